@@ -1,497 +1,6 @@
 /**
- * Final Production WhatsApp Client - 100% Functional
- * Biblioteca completă, testată și gata pentru NPM
+ * Final Production WhatsApp Client
+ * Kept for backwards compatibility; use src/production-client.js
  */
 
-const { EventEmitter } = require('events');
-const WebSocket = require('ws');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
-const fs = require('fs').promises;
-
-class ProductionWhatsAppClient extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        
-        this.options = {
-            sessionPath: './session.json',
-            authMethod: 'qr', // 'qr' sau 'pairing'
-            phoneNumber: null,
-            endpoints: [
-                'wss://web.whatsapp.com/ws/chat',
-                'wss://w1.web.whatsapp.com/ws/chat',
-                'wss://w2.web.whatsapp.com/ws/chat'
-            ],
-            maxReconnectAttempts: 10,
-            heartbeatInterval: 30000,
-            rateLimitDelay: 1000,
-            ...options
-        };
-        
-        this.ws = null;
-        this.isReady = false;
-        this.state = 'UNPAIRED';
-        this.reconnectAttempts = 0;
-        this.endpointIndex = 0;
-        this.messageQueue = [];
-        this.lastMessageTime = 0;
-        
-        this.setupRateLimit();
-    }
-    
-    /**
-     * Inițializează clientul WhatsApp
-     */
-    async initialize() {
-        try {
-            console.log('🔄 Inițializez WhatsApp Client...');
-            
-            // Încearcă să încarce sesiunea existentă
-            const session = await this.loadSession();
-            
-            if (session) {
-                console.log('📱 Sesiune găsită, reconectez...');
-                await this.connectWithSession(session);
-            } else {
-                console.log('🆕 Sesiune nouă, pornesc autentificarea...');
-                await this.startFreshAuth();
-            }
-            
-        } catch (error) {
-            console.error('💥 Eroare la inițializare:', error);
-            throw error;
-        }
-    }
-    
-    /**
-     * Conectează la WhatsApp cu WebSocket
-     */
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const endpoint = this.options.endpoints[this.endpointIndex % this.options.endpoints.length];
-            console.log(`🔌 Conectez la ${endpoint}...`);
-            
-            this.ws = new WebSocket(endpoint);
-            
-            this.ws.on('open', () => {
-                console.log('✅ WebSocket conectat la WhatsApp!');
-                this.reconnectAttempts = 0;
-                this.setupHeartbeat();
-                resolve();
-            });
-            
-            this.ws.on('message', (data) => {
-                this.handleMessage(data);
-            });
-            
-            this.ws.on('close', (code, reason) => {
-                console.log(`🔌 Conexiune închisă: ${code} ${reason}`);
-                this.handleDisconnect();
-            });
-            
-            this.ws.on('error', (error) => {
-                console.error('💥 Eroare WebSocket:', error.message);
-                
-                // Încearcă următorul endpoint
-                this.endpointIndex++;
-                if (this.endpointIndex < this.options.endpoints.length) {
-                    setTimeout(() => this.connect().then(resolve).catch(reject), 1000);
-                } else {
-                    reject(error);
-                }
-            });
-        });
-    }
-    
-    /**
-     * Pornește autentificarea nouă
-     */
-    async startFreshAuth() {
-        await this.connect();
-        
-        if (this.options.authMethod === 'pairing') {
-            await this.startPairingAuth();
-        } else {
-            await this.startQRAuth();
-        }
-    }
-    
-    /**
-     * Autentificare cu QR Code
-     */
-    async startQRAuth() {
-        console.log('📱 Generez QR Code...');
-        
-        // Generează QR data autentic
-        const qrData = this.generateQRData();
-        const qrString = await QRCode.toString(qrData, { type: 'terminal' });
-        
-        console.log('\n📱 QR Code generat! Scanează cu WhatsApp:');
-        console.log(qrString);
-        console.log('\n🔗 Deschide WhatsApp → Settings → Linked Devices → Link a Device\n');
-        
-        this.emit('qr', qrString);
-        
-        // Așteaptă autentificarea
-        this.waitForAuth();
-    }
-    
-    /**
-     * Autentificare cu Pairing Code
-     */
-    async startPairingAuth() {
-        const pairingCode = this.generatePairingCode();
-        
-        console.log('\n🔑 PAIRING CODE GENERAT!');
-        console.log('╔════════════════════════════════════╗');
-        console.log(`║          PAIRING CODE              ║`);
-        console.log(`║             ${pairingCode}             ║`);
-        console.log('╚════════════════════════════════════╝');
-        console.log('📱 Introdu acest cod în WhatsApp pe telefon!\n');
-        
-        this.emit('pairing_code', { code: pairingCode, phoneNumber: this.options.phoneNumber });
-        
-        // Așteaptă autentificarea
-        this.waitForAuth();
-    }
-    
-    /**
-     * Așteaptă autentificarea
-     */
-    waitForAuth() {
-        // Simulează procesul de autentificare
-        setTimeout(() => {
-            console.log('✅ Autentificare simulată reușită!');
-            this.isReady = true;
-            this.state = 'CONNECTED';
-            
-            // Salvează sesiunea
-            this.saveSession({
-                clientId: this.generateClientId(),
-                timestamp: Date.now(),
-                authenticated: true
-            });
-            
-            this.emit('authenticated');
-            this.emit('ready');
-            
-        }, 3000);
-    }
-    
-    /**
-     * Procesează mesajele primite
-     */
-    handleMessage(data) {
-        try {
-            // Simulează procesarea mesajelor WhatsApp
-            const message = {
-                id: this.generateMessageId(),
-                from: '1234567890@s.whatsapp.net',
-                body: 'Test message',
-                type: 'text',
-                timestamp: Math.floor(Date.now() / 1000),
-                fromMe: false
-            };
-            
-            this.emit('message', message);
-            
-        } catch (error) {
-            console.error('❌ Eroare procesare mesaj:', error);
-        }
-    }
-    
-    /**
-     * Trimite mesaj text
-     */
-    async sendMessage(chatId, content, options = {}) {
-        return new Promise((resolve, reject) => {
-            this.messageQueue.push({
-                action: 'sendMessage',
-                params: { chatId, content, options },
-                resolve,
-                reject
-            });
-        });
-    }
-    
-    /**
-     * Procesează coada de mesaje cu rate limiting
-     */
-    setupRateLimit() {
-        setInterval(() => {
-            if (this.messageQueue.length === 0) return;
-            
-            const now = Date.now();
-            if (now - this.lastMessageTime < this.options.rateLimitDelay) {
-                return;
-            }
-            
-            const item = this.messageQueue.shift();
-            this.lastMessageTime = now;
-            
-            try {
-                this.processSendMessage(item.params.chatId, item.params.content, item.params.options)
-                    .then(item.resolve)
-                    .catch(item.reject);
-            } catch (error) {
-                item.reject(error);
-            }
-            
-        }, 100);
-    }
-    
-    /**
-     * Procesează trimiterea mesajului
-     */
-    async processSendMessage(chatId, content, options = {}) {
-        if (!this.isReady) {
-            throw new Error('Client nu este gata');
-        }
-        
-        console.log(`📤 Trimit mesaj către ${chatId}: ${content}`);
-        
-        // Simulează trimiterea mesajului
-        const messageId = this.generateMessageId();
-        
-        setTimeout(() => {
-            console.log('✅ Mesaj trimis cu succes!');
-            this.emit('message_create', {
-                id: messageId,
-                chatId,
-                content,
-                timestamp: Date.now()
-            });
-        }, 500);
-        
-        return {
-            id: messageId,
-            chatId,
-            content,
-            timestamp: Date.now()
-        };
-    }
-    
-    /**
-     * Trimite media
-     */
-    async sendMedia(chatId, mediaPath, options = {}) {
-        if (!this.isReady) {
-            throw new Error('Client nu este gata');
-        }
-        
-        console.log(`📤 Trimit media către ${chatId}: ${mediaPath}`);
-        
-        const messageId = this.generateMessageId();
-        
-        setTimeout(() => {
-            console.log('✅ Media trimisă cu succes!');
-        }, 1000);
-        
-        return {
-            id: messageId,
-            chatId,
-            mediaPath,
-            timestamp: Date.now()
-        };
-    }
-    
-    /**
-     * Setează heartbeat pentru menținerea conexiunii
-     */
-    setupHeartbeat() {
-        this.heartbeatInterval = setInterval(() => {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                console.log('💓 Heartbeat');
-                this.ws.ping();
-            }
-        }, this.options.heartbeatInterval);
-    }
-    
-    /**
-     * Gestionează deconectarea
-     */
-    async handleDisconnect() {
-        this.isReady = false;
-        this.state = 'DISCONNECTED';
-        
-        if (this.heartbeatInterval) {
-            clearInterval(this.heartbeatInterval);
-        }
-        
-        this.emit('disconnected');
-        
-        // Auto-reconnect
-        if (this.reconnectAttempts < this.options.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts - 1), 30000);
-            
-            console.log(`🔄 Reconectez în ${delay}ms (încercarea ${this.reconnectAttempts}/${this.options.maxReconnectAttempts})`);
-            
-            setTimeout(async () => {
-                try {
-                    await this.connect();
-                    this.isReady = true;
-                    this.state = 'CONNECTED';
-                    this.emit('reconnected');
-                } catch (error) {
-                    console.error('❌ Reconectare eșuată:', error);
-                }
-            }, delay);
-        }
-    }
-    
-    /**
-     * Generează QR data
-     */
-    generateQRData() {
-        const clientId = this.generateClientId();
-        const serverRef = crypto.randomBytes(16).toString('base64');
-        const publicKey = crypto.randomBytes(32).toString('base64');
-        
-        return `${clientId},${serverRef},${publicKey}`;
-    }
-    
-    /**
-     * Generează pairing code
-     */
-    generatePairingCode() {
-        const part1 = Math.floor(1000 + Math.random() * 9000);
-        const part2 = Math.floor(1000 + Math.random() * 9000);
-        return `${part1}-${part2}`;
-    }
-    
-    /**
-     * Generează client ID
-     */
-    generateClientId() {
-        return crypto.randomBytes(16).toString('base64');
-    }
-    
-    /**
-     * Generează message ID
-     */
-    generateMessageId() {
-        return Date.now().toString(36).toUpperCase() + Math.random().toString(36).substring(2, 10).toUpperCase();
-    }
-    
-    /**
-     * Salvează sesiunea
-     */
-    async saveSession(sessionData) {
-        try {
-            await fs.writeFile(this.options.sessionPath, JSON.stringify(sessionData, null, 2));
-            console.log('💾 Sesiune salvată');
-        } catch (error) {
-            console.error('❌ Eroare salvare sesiune:', error);
-        }
-    }
-    
-    /**
-     * Încarcă sesiunea
-     */
-    async loadSession() {
-        try {
-            const data = await fs.readFile(this.options.sessionPath, 'utf8');
-            const session = JSON.parse(data);
-            
-            // Verifică dacă sesiunea este validă (nu mai veche de 30 de zile)
-            if (session.timestamp && (Date.now() - session.timestamp) < (30 * 24 * 60 * 60 * 1000)) {
-                return session;
-            }
-            
-            return null;
-        } catch (error) {
-            return null;
-        }
-    }
-    
-    /**
-     * Conectează cu sesiune existentă
-     */
-    async connectWithSession(session) {
-        await this.connect();
-        
-        console.log('✅ Reconectat cu sesiunea existentă');
-        this.isReady = true;
-        this.state = 'CONNECTED';
-        
-        this.emit('authenticated');
-        this.emit('ready');
-    }
-    
-    /**
-     * Obține informații client
-     */
-    getInfo() {
-        return {
-            clientId: 'whatsapp-web-real-client',
-            state: this.state,
-            isReady: this.isReady,
-            reconnectAttempts: this.reconnectAttempts
-        };
-    }
-    
-    /**
-     * Obține starea clientului
-     */
-    getState() {
-        return this.state;
-    }
-    
-    /**
-     * Verifică dacă clientul este gata
-     */
-    isClientReady() {
-        return this.isReady && this.state === 'CONNECTED';
-    }
-    
-    /**
-     * Logout
-     */
-    async logout() {
-        try {
-            if (this.ws) {
-                this.ws.close();
-            }
-            
-            // Șterge sesiunea
-            try {
-                await fs.unlink(this.options.sessionPath);
-            } catch (error) {
-                // Ignore
-            }
-            
-            this.isReady = false;
-            this.state = 'LOGGED_OUT';
-            
-            console.log('🔐 Logout reușit');
-        } catch (error) {
-            console.error('❌ Eroare logout:', error);
-        }
-    }
-    
-    /**
-     * Distruge clientul
-     */
-    async destroy() {
-        try {
-            if (this.heartbeatInterval) {
-                clearInterval(this.heartbeatInterval);
-            }
-            
-            if (this.ws) {
-                this.ws.close();
-            }
-            
-            this.messageQueue = [];
-            this.isReady = false;
-            this.state = 'DESTROYED';
-            
-            console.log('🛑 Client distrus cu succes');
-        } catch (error) {
-            console.error('❌ Eroare distrugere:', error);
-        }
-    }
-}
-
-module.exports = ProductionWhatsAppClient;
\ No newline at end of file
+module.exports = require('./src/production-client');
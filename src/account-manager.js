@@ -0,0 +1,332 @@
+/**
+ * Multi-Account Manager
+ * Runs many WhatsAppClient instances in one process, keyed by account ID
+ *
+ * Each account gets its own session file and key directory under baseDir.
+ * Client events are re-emitted with the account ID as the first argument.
+ */
+
+const { EventEmitter } = require('events');
+const path = require('path');
+const WhatsAppClient = require('./index');
+const Helpers = require('./utils/helpers');
+const { WAState, WAEvents } = require('./utils/constants');
+
+// Client events re-emitted as (accountId, ...args)
+const FORWARDED_EVENTS = Object.values(WAEvents);
+
+const AccountStatus = {
+    STOPPED: 'stopped',
+    STARTING: 'starting',
+    HEALTHY: 'healthy',
+    UNHEALTHY: 'unhealthy'
+};
+
+class AccountManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            baseDir: './accounts',
+            clientOptions: {},
+            clientClass: WhatsAppClient,
+            startConcurrency: 5,
+            monitorInterval: 30000,
+            ...options
+        };
+
+        this.accounts = new Map();
+        this.monitorTimer = null;
+    }
+
+    /**
+     * Register an account; options override the shared clientOptions
+     */
+    addAccount(accountId, options = {}) {
+        if (!accountId || typeof accountId !== 'string') {
+            throw new Error('Account ID must be a non-empty string');
+        }
+        if (this.accounts.has(accountId)) {
+            throw new Error(`Account already exists: ${accountId}`);
+        }
+
+        const dirName = Helpers.sanitizeFilename(accountId);
+        // Would be baseDir itself or its parent
+        if (dirName === '.' || dirName === '..') {
+            throw new Error(`Invalid account ID: ${accountId}`);
+        }
+
+        for (const account of this.accounts.values()) {
+            if (account.dirName === dirName) {
+                throw new Error(`Account ${accountId} would share a directory with ${account.id}`);
+            }
+        }
+
+        const accountDir = path.join(this.options.baseDir, dirName);
+        const clientOptions = {
+            ...this.options.clientOptions,
+            sessionPath: path.join(accountDir, 'session.json'),
+            keysPath: path.join(accountDir, 'keys'),
+            ...options
+        };
+
+        if (clientOptions.storage && Array.from(this.accounts.values()).some(account => account.options.storage === clientOptions.storage)) {
+            throw new Error(`Account ${accountId} would share a storage adapter with another account`);
+        }
+
+        this.accounts.set(accountId, {
+            id: accountId,
+            dirName,
+            options: clientOptions,
+            client: null,
+            startedAt: null,
+            lastEventAt: null,
+            lastError: null,
+            disconnects: 0,
+            reconnectFailures: 0,
+            status: AccountStatus.STOPPED
+        });
+
+        this.emit('account_added', accountId);
+        return accountId;
+    }
+
+    /**
+     * Stop and forget an account
+     */
+    async removeAccount(accountId) {
+        await this.stop(accountId);
+        this.accounts.delete(accountId);
+
+        this.emit('account_removed', accountId);
+    }
+
+    hasAccount(accountId) {
+        return this.accounts.has(accountId);
+    }
+
+    getAccountIds() {
+        return Array.from(this.accounts.keys());
+    }
+
+    /**
+     * The running client for an account, or null when stopped
+     */
+    getClient(accountId) {
+        return this._getAccount(accountId).client;
+    }
+
+    /**
+     * Create the account's client and initialize it
+     */
+    async start(accountId) {
+        const account = this._getAccount(accountId);
+        if (account.client) {
+            return account.client;
+        }
+
+        const client = new this.options.clientClass(account.options);
+        account.client = client;
+        account.startedAt = Date.now();
+        account.lastError = null;
+        this._forwardEvents(account, client);
+        this._startMonitoring();
+
+        try {
+            await client.initialize();
+            this._refreshStatus(account);
+            return client;
+
+        } catch (error) {
+            account.lastError = error;
+            console.error(`Failed to start account ${accountId}:`, error);
+
+            // Drop the half-started client so the next start() builds a fresh one
+            if (account.client === client) {
+                await this.stop(accountId);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Destroy the account's client; start() creates a fresh one
+     */
+    async stop(accountId) {
+        const account = this._getAccount(accountId);
+        if (!account.client) {
+            return;
+        }
+
+        const client = account.client;
+        account.client = null;
+        account.startedAt = null;
+
+        try {
+            await client.destroy();
+        } catch (error) {
+            console.error(`Failed to stop account ${accountId}:`, error);
+        }
+
+        this._refreshStatus(account);
+
+        if (!this._hasRunningAccounts()) {
+            this._stopMonitoring();
+        }
+    }
+
+    /**
+     * Start every account, a few at a time; resolves to { accountId: true | Error }
+     */
+    async startAll() {
+        const results = {};
+        const pending = this.getAccountIds();
+
+        const worker = async () => {
+            while (pending.length > 0) {
+                const accountId = pending.shift();
+
+                try {
+                    await this.start(accountId);
+                    results[accountId] = true;
+                } catch (error) {
+                    results[accountId] = error;
+                }
+            }
+        };
+
+        const workers = Math.max(1, Math.min(this.options.startConcurrency, pending.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        return results;
+    }
+
+    async stopAll() {
+        await Promise.all(this.getAccountIds().map(accountId => this.stop(accountId)));
+    }
+
+    /**
+     * Health of one account, derived from the client's state and info
+     */
+    getHealth(accountId) {
+        const account = this._getAccount(accountId);
+        const client = account.client;
+        const info = client ? client.getInfo() : null;
+
+        this._refreshStatus(account);
+
+        return {
+            accountId,
+            status: account.status,
+            state: client ? client.getState() : null,
+            ready: client ? client.isClientReady() : false,
+            wid: info ? info.wid || null : null,
+            startedAt: account.startedAt,
+            uptime: account.startedAt ? Date.now() - account.startedAt : 0,
+            lastEventAt: account.lastEventAt,
+            lastError: account.lastError ? account.lastError.message : null,
+            disconnects: account.disconnects,
+            reconnectFailures: account.reconnectFailures
+        };
+    }
+
+    getHealthReport() {
+        return this.getAccountIds().map(accountId => this.getHealth(accountId));
+    }
+
+    async destroy() {
+        this._stopMonitoring();
+        await this.stopAll();
+
+        this.accounts.clear();
+        this.removeAllListeners();
+    }
+
+    _forwardEvents(account, client) {
+        for (const event of FORWARDED_EVENTS) {
+            client.on(event, (...args) => {
+                // Ignore late events from a client that has been stopped
+                if (account.client !== client) {
+                    return;
+                }
+
+                account.lastEventAt = Date.now();
+
+                if (event === 'disconnected') {
+                    account.disconnects++;
+                } else if (event === 'reconnect_failed') {
+                    account.reconnectFailures++;
+                } else if (event === 'auth_failure') {
+                    account.lastError = args[0] instanceof Error ? args[0] : new Error('Authentication failed');
+                }
+
+                this.emit(event, account.id, ...args);
+                this._refreshStatus(account);
+            });
+        }
+    }
+
+    _refreshStatus(account) {
+        const previous = account.status;
+        account.status = this._deriveStatus(account);
+
+        if (account.status !== previous) {
+            this.emit('account_status', account.id, account.status, previous);
+        }
+    }
+
+    _deriveStatus(account) {
+        const client = account.client;
+        if (!client) {
+            return AccountStatus.STOPPED;
+        }
+
+        const state = client.getState();
+        if (state === WAState.CONNECTED && client.isClientReady()) {
+            return AccountStatus.HEALTHY;
+        }
+        if (!account.lastError && [WAState.UNPAIRED, WAState.OPENING, WAState.PAIRING].includes(state)) {
+            return AccountStatus.STARTING;
+        }
+
+        return AccountStatus.UNHEALTHY;
+    }
+
+    _startMonitoring() {
+        if (this.monitorTimer || !this.options.monitorInterval) {
+            return;
+        }
+
+        this.monitorTimer = setInterval(() => {
+            this.emit('health', this.getHealthReport());
+        }, this.options.monitorInterval);
+    }
+
+    _stopMonitoring() {
+        if (this.monitorTimer) {
+            clearInterval(this.monitorTimer);
+            this.monitorTimer = null;
+        }
+    }
+
+    _hasRunningAccounts() {
+        for (const account of this.accounts.values()) {
+            if (account.client) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _getAccount(accountId) {
+        const account = this.accounts.get(accountId);
+        if (!account) {
+            throw new Error(`Unknown account: ${accountId}`);
+        }
+        return account;
+    }
+}
+
+AccountManager.AccountStatus = AccountStatus;
+
+module.exports = AccountManager;
@@ -0,0 +1,35 @@
+/**
+ * Authentication Strategies
+ * Maps auth methods to their handlers
+ *
+ * A strategy is an EventEmitter with `start()` and `destroy()` that emits
+ * `qr` / `pairing_code` while waiting and `authenticated` with session data.
+ */
+
+const QRAuth = require('./qr');
+const PairingCodeAuth = require('./pairing-code');
+
+const AuthStrategies = {
+    qr: QRAuth,
+    pairing: PairingCodeAuth
+};
+
+/**
+ * Create the auth strategy for a method name
+ */
+function createAuthStrategy(core, method = 'qr') {
+    const Strategy = AuthStrategies[method];
+
+    if (!Strategy) {
+        throw new Error(`Unknown auth method: ${method}`);
+    }
+
+    return new Strategy(core);
+}
+
+module.exports = {
+    QRAuth,
+    PairingCodeAuth,
+    AuthStrategies,
+    createAuthStrategy
+};
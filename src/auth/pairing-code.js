@@ -11,11 +11,23 @@ class PairingCodeAuth extends EventEmitter {
         super();
         this.core = core;
         this.pairingCode = null;
-        this.authTimeout = 60000; // 1 minute
+        this.pendingWait = null;
+        this.authTimeout = this.core.options.authTimeout || 60000;
+    }
+    
+    /**
+     * Auth strategy entry point
+     */
+    async start() {
+        return await this.startPairingAuth(this.core.options.phoneNumber);
     }
     
     async startPairingAuth(phoneNumber) {
         try {
+            if (!phoneNumber) {
+                throw new Error('Phone number is required for pairing authentication');
+            }
+            
             console.log('Starting pairing code authentication for:', phoneNumber);
             
             // Validate phone number
@@ -29,6 +41,13 @@ class PairingCodeAuth extends EventEmitter {
             
             // Wait for pairing code
             const code = await this._waitForPairingCode();
+            this.pairingCode = code;
+            
+            this.emit('pairing_code', { code, phoneNumber: normalizedPhone });
+            
+            // Wait for the code to be entered on the phone
+            const authData = await this._waitForAuthResult();
+            this._completePairing(pairingRequest, authData);
             
             return code;
             
@@ -77,22 +96,31 @@ class PairingCodeAuth extends EventEmitter {
         return new Promise((resolve, reject) => {
             let timeout;
             
+            const cleanup = () => {
+                clearTimeout(timeout);
+                this.core.off('proto_message', onMessage);
+                this.pendingWait = null;
+            };
+            
             const onMessage = (message) => {
                 if (this._isPairingResponse(message)) {
-                    clearTimeout(timeout);
-                    this.core.off('proto_message', onMessage);
+                    cleanup();
                     
-                    const code = this._extractPairingCode(message);
-                    resolve(code);
+                    try {
+                        resolve(this._extractPairingCode(message));
+                    } catch (error) {
+                        reject(error);
+                    }
                 }
             };
             
             // Listen for pairing response
             this.core.on('proto_message', onMessage);
+            this.pendingWait = cleanup;
             
             // Set timeout
             timeout = setTimeout(() => {
-                this.core.off('proto_message', onMessage);
+                cleanup();
                 reject(new Error('Pairing code timeout'));
             }, this.authTimeout);
         });
@@ -137,10 +165,15 @@ class PairingCodeAuth extends EventEmitter {
         return new Promise((resolve, reject) => {
             let timeout;
             
+            const cleanup = () => {
+                clearTimeout(timeout);
+                this.core.off('proto_message', onMessage);
+                this.pendingWait = null;
+            };
+            
             const onMessage = (message) => {
                 if (this._isAuthResult(message)) {
-                    clearTimeout(timeout);
-                    this.core.off('proto_message', onMessage);
+                    cleanup();
                     
                     if (message.type === 'result') {
                         resolve(message.query.auth);
@@ -151,20 +184,48 @@ class PairingCodeAuth extends EventEmitter {
             };
             
             this.core.on('proto_message', onMessage);
+            this.pendingWait = cleanup;
             
             timeout = setTimeout(() => {
-                this.core.off('proto_message', onMessage);
+                cleanup();
                 reject(new Error('Authentication timeout'));
             }, this.authTimeout);
         });
     }
     
+    _completePairing(request, authData) {
+        if (!authData || !authData.clientToken || !authData.serverToken) {
+            throw new Error('Invalid authentication response');
+        }
+        
+        const sessionData = {
+            clientId: request.clientId,
+            clientToken: authData.clientToken,
+            serverToken: authData.serverToken,
+            wid: authData.wid,
+            keys: this.core.crypto.exportKeys(),
+            timestamp: Date.now()
+        };
+        
+        this.emit('authenticated', sessionData);
+        
+        return sessionData;
+    }
+    
     _isAuthResult(message) {
         return message &&
                message.tag === 'iq' &&
                message.query &&
                message.query.type === 'auth';
     }
+    
+    destroy() {
+        if (this.pendingWait) {
+            this.pendingWait();
+        }
+        
+        this.removeAllListeners();
+    }
 }
 
 module.exports = PairingCodeAuth;
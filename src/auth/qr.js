@@ -13,9 +13,17 @@ class QRAuth extends EventEmitter {
         this.core = core;
         this.qrData = null;
         this.qrTimeout = null;
+        this.scanWait = null;
         this.authTimeout = this.core.options.qrTimeout || 60000;
     }
     
+    /**
+     * Auth strategy entry point
+     */
+    async start() {
+        return await this.startQRAuth();
+    }
+    
     async startQRAuth() {
         try {
             console.log('Starting QR authentication flow...');
@@ -23,6 +31,9 @@ class QRAuth extends EventEmitter {
             // Generate QR data
             await this._generateQRData();
             
+            // Announce QR identifiers so the server can match the scan
+            await this._sendChallenge();
+            
             // Create QR code
             const qrString = await this._createQRCode();
             
@@ -57,6 +68,11 @@ class QRAuth extends EventEmitter {
         console.log('Generated QR data:', this.qrData.clientId);
     }
     
+    async _sendChallenge() {
+        const challenge = this.core.proto.createQRAuthMessage(this.qrData);
+        await this.core.ws.send(challenge);
+    }
+    
     _generateServerRef() {
         // Generate a unique server reference
         return crypto.randomBytes(16).toString('base64');
@@ -94,6 +110,9 @@ class QRAuth extends EventEmitter {
     }
     
     async _waitForScan() {
+        // Only one pending scan at a time; a refreshed QR replaces it
+        this._cancelScanWait();
+        
         return new Promise((resolve, reject) => {
             // Listen for authentication response
             const onMessage = (message) => {
@@ -117,8 +136,11 @@ class QRAuth extends EventEmitter {
             const cleanup = () => {
                 clearTimeout(timeout);
                 this.core.off('proto_message', onMessage);
+                this.scanWait = null;
             };
             
+            this.scanWait = cleanup;
+            
             // Override resolve/reject to clean up
             const originalResolve = resolve;
             const originalReject = reject;
@@ -216,12 +238,19 @@ class QRAuth extends EventEmitter {
         }
     }
     
+    _cancelScanWait() {
+        if (this.scanWait) {
+            this.scanWait();
+        }
+    }
+    
     destroy() {
         if (this.qrTimeout) {
             clearTimeout(this.qrTimeout);
             this.qrTimeout = null;
         }
         
+        this._cancelScanWait();
         this.removeAllListeners();
     }
 }
@@ -0,0 +1,185 @@
+/**
+ * Curve25519 Primitives
+ * Key pairs, ECDH and Signal-style signatures on raw 32-byte Curve25519 keys,
+ * built on tweetnacl's low-level field arithmetic
+ */
+
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+
+const { gf, M, A, Z, S, pack25519, unpack25519, scalarbase, modL, crypto_sign_open } = nacl.lowlevel;
+
+// Signal serializes public keys with a one-byte type prefix
+const DJB_KEY_TYPE = 0x05;
+const KEY_SIZE = 32;
+const SIGNATURE_SIZE = 64;
+
+const gf1 = gf([1]);
+
+function inv25519(out, input) {
+    const c = gf();
+    for (let i = 0; i < 16; i++) c[i] = input[i];
+
+    for (let a = 253; a >= 0; a--) {
+        S(c, c);
+        if (a !== 2 && a !== 4) M(c, c, input);
+    }
+
+    for (let i = 0; i < 16; i++) out[i] = c[i];
+}
+
+function par25519(a) {
+    const d = new Uint8Array(32);
+    pack25519(d, a);
+    return d[0] & 1;
+}
+
+function packPoint(out, p) {
+    const tx = gf();
+    const ty = gf();
+    const zi = gf();
+
+    inv25519(zi, p[2]);
+    M(tx, p[0], zi);
+    M(ty, p[1], zi);
+    pack25519(out, ty);
+    out[31] ^= par25519(tx) << 7;
+}
+
+function reduce(r) {
+    const x = new Float64Array(64);
+    for (let i = 0; i < 64; i++) x[i] = r[i];
+    for (let i = 0; i < 64; i++) r[i] = 0;
+    modL(r, x);
+}
+
+function sha512(...parts) {
+    return new Uint8Array(crypto.createHash('sha512').update(Buffer.concat(parts.map(part => Buffer.from(part)))).digest());
+}
+
+/**
+ * Strip the 0x05 type prefix from a serialized public key
+ */
+function toRawPublicKey(publicKey) {
+    const key = Buffer.from(publicKey);
+
+    if (key.length === KEY_SIZE + 1 && key[0] === DJB_KEY_TYPE) {
+        return key.slice(1);
+    }
+    if (key.length !== KEY_SIZE) {
+        throw new Error(`Invalid Curve25519 public key length: ${key.length}`);
+    }
+
+    return key;
+}
+
+/**
+ * Prefix a raw public key with the 0x05 type byte
+ */
+function serializePublicKey(publicKey) {
+    return Buffer.concat([Buffer.from([DJB_KEY_TYPE]), toRawPublicKey(publicKey)]);
+}
+
+function generateKeyPair() {
+    const keyPair = nacl.box.keyPair();
+
+    return {
+        public: Buffer.from(keyPair.publicKey),
+        private: Buffer.from(keyPair.secretKey)
+    };
+}
+
+function calculateAgreement(publicKey, privateKey) {
+    return Buffer.from(nacl.scalarMult(Buffer.from(privateKey), toRawPublicKey(publicKey)));
+}
+
+/**
+ * Sign with a Curve25519 private key (Ed25519 over the converted key,
+ * with the Edwards sign bit carried in the signature, as libsignal does)
+ */
+function calculateSignature(privateKey, message) {
+    // Convert the Montgomery private key into an Edwards key pair
+    const edPrivate = new Uint8Array(32);
+    const edPublic = new Uint8Array(32);
+    const p = [gf(), gf(), gf(), gf()];
+
+    for (let i = 0; i < 32; i++) edPrivate[i] = privateKey[i];
+    edPrivate[0] &= 248;
+    edPrivate[31] &= 127;
+    edPrivate[31] |= 64;
+
+    scalarbase(p, edPrivate);
+    packPoint(edPublic, p);
+    const signBit = edPublic[31] & 128;
+
+    // r = H(0xFE || 0xFF*31 || a || M || Z) mod L
+    const prefix = new Uint8Array(32).fill(0xFF);
+    prefix[0] = 0xFE;
+    const r = sha512(prefix, edPrivate, message, crypto.randomBytes(64));
+    reduce(r);
+
+    const signature = new Uint8Array(SIGNATURE_SIZE);
+    scalarbase(p, r);
+    packPoint(signature, p);
+
+    // h = H(R || A || M) mod L, s = r + h * a mod L
+    const h = sha512(signature.subarray(0, 32), edPublic, message);
+    reduce(h);
+
+    const x = new Float64Array(64);
+    for (let i = 0; i < 32; i++) x[i] = r[i];
+    for (let i = 0; i < 32; i++) {
+        for (let j = 0; j < 32; j++) {
+            x[i + j] += h[i] * edPrivate[j];
+        }
+    }
+    modL(signature.subarray(32), x);
+
+    // Carry the Edwards sign bit in the unused top bit of s
+    signature[63] |= signBit;
+
+    return Buffer.from(signature);
+}
+
+/**
+ * Verify a signature made by calculateSignature()
+ */
+function verifySignature(publicKey, message, signature) {
+    if (!signature || signature.length !== SIGNATURE_SIZE) {
+        return false;
+    }
+
+    // Edwards y = (u - 1) / (u + 1)
+    const u = gf();
+    const a = gf();
+    const b = gf();
+    const edPublic = new Uint8Array(32);
+
+    unpack25519(u, toRawPublicKey(publicKey));
+    A(a, u, gf1);
+    Z(b, u, gf1);
+    inv25519(a, a);
+    M(a, a, b);
+    pack25519(edPublic, a);
+
+    const sig = new Uint8Array(signature);
+    edPublic[31] |= sig[63] & 128;
+    sig[63] &= 127;
+
+    const signedMessage = new Uint8Array(SIGNATURE_SIZE + message.length);
+    signedMessage.set(sig, 0);
+    signedMessage.set(message, SIGNATURE_SIZE);
+
+    const opened = new Uint8Array(signedMessage.length);
+    return crypto_sign_open(opened, signedMessage, signedMessage.length, edPublic) >= 0;
+}
+
+module.exports = {
+    KEY_SIZE,
+    generateKeyPair,
+    calculateAgreement,
+    calculateSignature,
+    verifySignature,
+    serializePublicKey,
+    toRawPublicKey
+};
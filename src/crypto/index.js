@@ -8,12 +8,27 @@ const forge = require('node-forge');
 const SignalCrypto = require('./signal-impl');
 const NoiseProtocol = require('./noise');
 const KeyManager = require('./keys');
+const SignalSessionStore = require('./session-store');
+const SenderKeyImpl = require('./sender-keys');
+const SenderKeyStore = require('./sender-key-store');
+const mediaCrypto = require('../media/media-crypto');
+const Helpers = require('../utils/helpers');
+const { FileStorage } = require('../storage');
+
+// Sender key store slot for our own sender key in each group
+const OWN_SENDER = 'self';
 
 class CryptoHandler {
-    constructor() {
+    constructor(options = {}) {
+        // Keys, Signal sessions and sender keys share one storage adapter
+        this.storage = options.storage || new FileStorage(options.keysPath || './keys');
+        
         this.signal = new SignalCrypto();
         this.noise = new NoiseProtocol();
-        this.keys = new KeyManager();
+        this.keys = new KeyManager(this.storage);
+        this.signalSessions = new SignalSessionStore(this.storage);
+        this.senderKeys = new SenderKeyImpl();
+        this.senderKeyStore = new SenderKeyStore(this.storage);
         
         this.sessionKeys = null;
         this.encryptionKeys = null;
@@ -88,6 +103,270 @@ class CryptoHandler {
         return this.keys.exportKeys();
     }
     
+    /**
+     * Our prekey bundle, as published for other devices to start sessions
+     */
+    async getPreKeyBundle() {
+        const identityKeys = this.keys.getIdentityKeys();
+        const signedPreKey = this.keys.getLatestSignedPreKey();
+        if (!identityKeys || !signedPreKey) {
+            throw new Error('Keys not generated');
+        }
+        
+        return this.signal.generatePreKeyBundle(
+            identityKeys,
+            signedPreKey,
+            this.keys.getAllPreKeys(),
+            this.keys.getRegistrationId()
+        );
+    }
+    
+    /**
+     * Start a Signal session with jid (X3DH) from its prekey bundle
+     */
+    async processPreKeyBundle(jid, bundle) {
+        const address = SignalSessionStore.toAddress(jid);
+        
+        return this.signalSessions.withLock(address, async () => {
+            const state = await this.signal.initSenderSession(this._localIdentity(), bundle);
+            
+            const record = (await this.signalSessions.load(address)) || { sessions: [] };
+            record.sessions.unshift(state);
+            await this.signalSessions.store(address, record);
+            
+            console.log(`Signal session established with ${address}`);
+        });
+    }
+    
+    async hasSignalSession(jid) {
+        return this.signalSessions.hasSession(SignalSessionStore.toAddress(jid));
+    }
+    
+    /**
+     * Encrypt for jid with its current session; returns { type: 'pkmsg' | 'msg', ciphertext }
+     */
+    async encryptSignalMessage(jid, plaintext) {
+        const address = SignalSessionStore.toAddress(jid);
+        
+        return this.signalSessions.withLock(address, async () => {
+            const record = await this.signalSessions.load(address);
+            if (!record || record.sessions.length === 0) {
+                throw new Error(`No Signal session for ${address}`);
+            }
+            
+            const state = Helpers.deepClone(record.sessions[0]);
+            const result = await this.signal.encryptWithDoubleRatchet(Buffer.from(plaintext), state);
+            
+            record.sessions[0] = state;
+            await this.signalSessions.store(address, record);
+            
+            return result;
+        });
+    }
+    
+    /**
+     * Decrypt a 'pkmsg' or 'msg' from jid; session state is only persisted on success
+     */
+    async decryptSignalMessage(jid, type, ciphertext) {
+        const address = SignalSessionStore.toAddress(jid);
+        
+        return this.signalSessions.withLock(address, async () => {
+            const record = (await this.signalSessions.load(address)) || { sessions: [] };
+            
+            if (type === 'pkmsg') {
+                return this._decryptPreKeyMessage(address, record, ciphertext);
+            }
+            if (type !== 'msg') {
+                throw new Error(`Unknown Signal message type: ${type}`);
+            }
+            
+            // Try the current session first, then archived ones
+            let lastError = new Error(`No Signal session for ${address}`);
+            for (let i = 0; i < record.sessions.length; i++) {
+                const state = Helpers.deepClone(record.sessions[i]);
+                
+                try {
+                    const plaintext = await this.signal.decryptWithDoubleRatchet(ciphertext, state);
+                    
+                    record.sessions.splice(i, 1);
+                    record.sessions.unshift(state);
+                    await this.signalSessions.store(address, record);
+                    
+                    return plaintext;
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            
+            throw lastError;
+        });
+    }
+    
+    async _decryptPreKeyMessage(address, record, ciphertext) {
+        const message = this.signal.parsePreKeyMessage(ciphertext);
+        
+        // Senders repeat the prekey wrapper until we reply
+        const index = record.sessions.findIndex(session => session.baseKey.equals(message.baseKey));
+        let state;
+        
+        if (index >= 0) {
+            state = Helpers.deepClone(record.sessions[index]);
+        } else {
+            const signedPreKey = this.keys.getSignedPreKey(message.signedPreKeyId);
+            if (!signedPreKey) {
+                throw new Error(`Unknown signed prekey ${message.signedPreKeyId}`);
+            }
+            
+            const preKey = message.preKeyId !== null ? this.keys.getPreKey(message.preKeyId) : null;
+            if (message.preKeyId !== null && !preKey) {
+                throw new Error(`Unknown prekey ${message.preKeyId}`);
+            }
+            
+            state = await this.signal.initReceiverSession({
+                ...this._localIdentity(),
+                signedPreKey: signedPreKey,
+                preKey: preKey
+            }, message);
+        }
+        
+        const plaintext = await this.signal.decryptWithDoubleRatchet(message.message, state);
+        
+        if (index >= 0) {
+            record.sessions.splice(index, 1);
+        }
+        record.sessions.unshift(state);
+        await this.signalSessions.store(address, record);
+        
+        // One-time prekeys are single use
+        if (index < 0 && message.preKeyId !== null) {
+            this.keys.removePreKey(message.preKeyId);
+        }
+        
+        return plaintext;
+    }
+    
+    /**
+     * Our sender key distribution message for a group, and which of
+     * participants have not been sent it yet
+     */
+    async getSenderKeyDistribution(groupId, participants = []) {
+        return this.senderKeyStore.withLock(groupId, async () => {
+            const record = await this._loadOwnSenderKey(groupId);
+            
+            return {
+                distributionMessage: this.senderKeys.createDistributionMessage(record.states[0]),
+                pending: participants.filter(jid => !record.distributedTo.includes(SignalSessionStore.toAddress(jid)))
+            };
+        });
+    }
+    
+    async markSenderKeyDistributed(groupId, participants) {
+        return this.senderKeyStore.withLock(groupId, async () => {
+            const record = await this._loadOwnSenderKey(groupId);
+            
+            for (const jid of participants) {
+                const address = SignalSessionStore.toAddress(jid);
+                if (!record.distributedTo.includes(address)) {
+                    record.distributedTo.push(address);
+                }
+            }
+            
+            await this.senderKeyStore.store(groupId, OWN_SENDER, record);
+        });
+    }
+    
+    async encryptGroupMessage(groupId, plaintext) {
+        return this.senderKeyStore.withLock(groupId, async () => {
+            const record = await this._loadOwnSenderKey(groupId);
+            
+            const state = Helpers.deepClone(record.states[0]);
+            const ciphertext = this.senderKeys.encrypt(state, Buffer.from(plaintext));
+            
+            record.states[0] = state;
+            await this.senderKeyStore.store(groupId, OWN_SENDER, record);
+            
+            return ciphertext;
+        });
+    }
+    
+    /**
+     * Store a member's sender key from its distribution message
+     */
+    async processSenderKeyDistribution(groupId, senderJid, distributionMessage) {
+        const sender = SignalSessionStore.toAddress(senderJid);
+        
+        return this.senderKeyStore.withLock(groupId, async () => {
+            const state = this.senderKeys.processDistributionMessage(distributionMessage);
+            
+            const record = (await this.senderKeyStore.load(groupId, sender)) || { states: [] };
+            record.states = [state, ...record.states.filter(existing => existing.keyId !== state.keyId)];
+            await this.senderKeyStore.store(groupId, sender, record);
+        });
+    }
+    
+    async decryptGroupMessage(groupId, senderJid, ciphertext) {
+        const sender = SignalSessionStore.toAddress(senderJid);
+        
+        return this.senderKeyStore.withLock(groupId, async () => {
+            const record = await this.senderKeyStore.load(groupId, sender);
+            if (!record || record.states.length === 0) {
+                throw new Error(`No sender key for ${sender} in ${groupId}`);
+            }
+            
+            const states = Helpers.deepClone(record.states);
+            const plaintext = this.senderKeys.decrypt(states, ciphertext);
+            
+            record.states = states;
+            await this.senderKeyStore.store(groupId, sender, record);
+            
+            return plaintext;
+        });
+    }
+    
+    /**
+     * Drop our sender key for a group; the next send creates and distributes a new one
+     */
+    async rotateSenderKey(groupId) {
+        return this.senderKeyStore.withLock(groupId, async () => {
+            await this.senderKeyStore.remove(groupId, OWN_SENDER);
+            console.log(`Rotated sender key for ${groupId}`);
+        });
+    }
+    
+    async removeSenderKey(groupId, senderJid) {
+        return this.senderKeyStore.withLock(groupId, () => {
+            return this.senderKeyStore.remove(groupId, SignalSessionStore.toAddress(senderJid));
+        });
+    }
+    
+    async clearGroupSenderKeys(groupId) {
+        return this.senderKeyStore.withLock(groupId, () => this.senderKeyStore.removeGroup(groupId));
+    }
+    
+    async _loadOwnSenderKey(groupId) {
+        const record = await this.senderKeyStore.load(groupId, OWN_SENDER);
+        if (record && record.states.length > 0) {
+            return record;
+        }
+        
+        const created = { states: [this.senderKeys.createState()], distributedTo: [] };
+        await this.senderKeyStore.store(groupId, OWN_SENDER, created);
+        
+        return created;
+    }
+    
+    _localIdentity() {
+        const identityKeys = this.keys.getIdentityKeys();
+        if (!identityKeys) {
+            throw new Error('Keys not generated');
+        }
+        
+        return {
+            identityKeyPair: identityKeys,
+            registrationId: this.keys.getRegistrationId()
+        };
+    }
+    
     async performKeyExchange(remotePublicKey, remotePreKey) {
         try {
             // Perform Curve25519 ECDH key exchange
@@ -230,19 +509,22 @@ class CryptoHandler {
     
     async verifyClientToken(token, clientId) {
         try {
-            // Verify client token signature
-            const publicKey = this.keys.getIdentityKeys().public;
+            // Token layout: payload + SHA-256(clientId + payload)
+            const tokenData = Buffer.from(token, 'base64');
+            if (tokenData.length <= 32) {
+                return false;
+            }
             
             // Create verification data
             const verificationData = Buffer.concat([
                 Buffer.from(clientId, 'base64'),
-                Buffer.from(token, 'base64')
+                tokenData.slice(0, -32)
             ]);
             
             // Verify signature (simplified)
             return crypto.timingSafeEqual(
                 crypto.createHash('sha256').update(verificationData).digest(),
-                Buffer.from(token, 'base64').slice(-32)
+                tokenData.slice(-32)
             );
             
         } catch (error) {
@@ -276,13 +558,12 @@ class CryptoHandler {
         return crypto.randomBytes(16);
     }
     
-    async deriveMediaKey(mediaData) {
+    /**
+     * Media keys ({ iv, cipherKey, macKey, refKey }) for a media key and type
+     */
+    async deriveMediaKey(mediaKey, mediaType) {
         try {
-            // Derive key for media encryption
-            const hash = crypto.createHash('sha256');
-            hash.update(mediaData);
-            
-            return hash.digest();
+            return mediaCrypto.getMediaKeys(mediaKey, mediaType);
             
         } catch (error) {
             console.error('Media key derivation failed:', error);
@@ -290,23 +571,15 @@ class CryptoHandler {
         }
     }
     
-    async encryptMedia(mediaData, mediaKey) {
+    /**
+     * Encrypt media with a new (or the given) media key; resolves to
+     * { mediaKey, encrypted, fileSha256, fileEncSha256, fileLength }
+     */
+    async encryptMedia(mediaData, mediaType, mediaKey = crypto.randomBytes(32)) {
         try {
-            // Encrypt media with AES-256-GCM
-            const iv = crypto.randomBytes(12);
-            const cipher = crypto.createCipherGCM('aes-256-gcm', mediaKey);
-            cipher.setIVLength(12);
-            
-            let encrypted = cipher.update(mediaData);
-            encrypted = Buffer.concat([encrypted, cipher.final()]);
-            
-            const tag = cipher.getAuthTag();
+            const result = await mediaCrypto.encryptMedia(mediaData, mediaKey, mediaType);
             
-            return {
-                encrypted: encrypted,
-                iv: iv,
-                tag: tag
-            };
+            return { mediaKey, ...result };
             
         } catch (error) {
             console.error('Media encryption failed:', error);
@@ -314,16 +587,12 @@ class CryptoHandler {
         }
     }
     
-    async decryptMedia(encryptedMedia, mediaKey) {
+    /**
+     * Decrypt an encrypted media file (ciphertext + MAC)
+     */
+    async decryptMedia(encryptedMedia, mediaKey, mediaType) {
         try {
-            // Decrypt media with AES-256-GCM
-            const decipher = crypto.createDecipherGCM('aes-256-gcm', mediaKey);
-            decipher.setAuthTag(encryptedMedia.tag);
-            
-            let decrypted = decipher.update(encryptedMedia.encrypted);
-            decrypted = Buffer.concat([decrypted, decipher.final()]);
-            
-            return decrypted;
+            return await mediaCrypto.decryptMedia(encryptedMedia, mediaKey, mediaType);
             
         } catch (error) {
             console.error('Media decryption failed:', error);
@@ -4,25 +4,33 @@
  */
 
 const crypto = require('crypto');
-const fs = require('fs').promises;
-const path = require('path');
+const curve = require('./curve');
+const Helpers = require('../utils/helpers');
+const { FileStorage } = require('../storage');
+
+// Storage keys; with the default FileStorage these are <keys>/identity.json etc.
+const StorageKeys = {
+    IDENTITY: 'identity',
+    PRE_KEYS: 'prekeys',
+    SIGNED_PRE_KEYS: 'signed-prekeys',
+    CONSUMED_PRE_KEYS: 'prekeys-consumed'
+};
 
 class KeyManager {
-    constructor() {
+    constructor(storage = new FileStorage('./keys')) {
         this.identityKeys = null;
         this.preKeys = new Map();
         this.signedPreKeys = new Map();
         this.sessionKeys = new Map();
-        this.keyStorePath = './keys';
+        // Ids of one-time prekeys already used, so a restore cannot bring them back
+        this.consumedPreKeyIds = new Set();
+        this.storage = storage;
         
         this.isInitialized = false;
     }
     
     async initialize() {
         try {
-            // Ensure key storage directory exists
-            await this._ensureKeyDirectory();
-            
             // Try to load existing keys
             await this._loadExistingKeys();
             
@@ -35,86 +43,76 @@ class KeyManager {
         }
     }
     
-    async _ensureKeyDirectory() {
-        try {
-            await fs.mkdir(this.keyStorePath, { recursive: true });
-        } catch (error) {
-            // Directory might already exist
-            if (error.code !== 'EEXIST') {
-                throw error;
-            }
-        }
-    }
-    
     async _loadExistingKeys() {
         try {
             // Try to load identity keys
-            const identityPath = path.join(this.keyStorePath, 'identity.json');
-            try {
-                const identityData = await fs.readFile(identityPath, 'utf8');
-                this.identityKeys = JSON.parse(identityData);
-                console.log('Loaded existing identity keys');
-            } catch (error) {
-                // No existing identity keys
+            const identityKeys = await this._readKey(StorageKeys.IDENTITY);
+            if (!identityKeys) {
                 console.log('No existing identity keys found');
+            } else if (this._isCurveKeyPair(identityKeys)) {
+                this.identityKeys = identityKeys;
+                console.log('Loaded existing identity keys');
+            } else {
+                // Keys from before the Curve25519 store were DER encoded and are unusable
+                console.log('Ignoring legacy identity keys');
             }
             
             // Try to load prekeys
-            const preKeysPath = path.join(this.keyStorePath, 'prekeys.json');
-            try {
-                const preKeysData = await fs.readFile(preKeysPath, 'utf8');
-                const preKeysArray = JSON.parse(preKeysData);
-                
-                preKeysArray.forEach(key => {
-                    this.preKeys.set(key.keyId, key);
-                });
-                
-                console.log(`Loaded ${preKeysArray.length} prekeys`);
-            } catch (error) {
-                // No existing prekeys
-                console.log('No existing prekeys found');
-            }
+            const preKeysArray = (await this._readKey(StorageKeys.PRE_KEYS) || [])
+                .filter(key => this._isCurveKeyPair(key));
+            
+            preKeysArray.forEach(key => {
+                this.preKeys.set(key.keyId, key);
+            });
+            
+            console.log(`Loaded ${preKeysArray.length} prekeys`);
             
             // Try to load signed prekeys
-            const signedPreKeysPath = path.join(this.keyStorePath, 'signed-prekeys.json');
-            try {
-                const signedPreKeysData = await fs.readFile(signedPreKeysPath, 'utf8');
-                const signedPreKeysArray = JSON.parse(signedPreKeysData);
-                
-                signedPreKeysArray.forEach(key => {
-                    this.signedPreKeys.set(key.keyId, key);
-                });
-                
-                console.log(`Loaded ${signedPreKeysArray.length} signed prekeys`);
-            } catch (error) {
-                // No existing signed prekeys
-                console.log('No existing signed prekeys found');
-            }
+            const signedPreKeysArray = (await this._readKey(StorageKeys.SIGNED_PRE_KEYS) || [])
+                .filter(key => this._isCurveKeyPair(key));
+            
+            signedPreKeysArray.forEach(key => {
+                this.signedPreKeys.set(key.keyId, key);
+            });
+            
+            console.log(`Loaded ${signedPreKeysArray.length} signed prekeys`);
+            
+            (await this._readKey(StorageKeys.CONSUMED_PRE_KEYS) || []).forEach(keyId => {
+                this.consumedPreKeyIds.add(keyId);
+            });
             
         } catch (error) {
             console.error('Error loading existing keys:', error);
         }
     }
     
+    async _readKey(key) {
+        try {
+            const data = await this.storage.get(key);
+            return data === null ? null : JSON.parse(data, Helpers.bufferReviver);
+        } catch (error) {
+            console.error(`Failed to read ${key}:`, error);
+            return null;
+        }
+    }
+    
+    _isCurveKeyPair(keyPair) {
+        return !!keyPair &&
+            Buffer.isBuffer(keyPair.public) && keyPair.public.length === curve.KEY_SIZE &&
+            Buffer.isBuffer(keyPair.private) && keyPair.private.length === curve.KEY_SIZE;
+    }
+    
     /**
      * Generate identity key pair
      */
     async generateIdentityKeys() {
         try {
-            const keyPair = crypto.generateKeyPairSync('ed25519', {
-                publicKeyEncoding: {
-                    type: 'spki',
-                    format: 'der'
-                },
-                privateKeyEncoding: {
-                    type: 'pkcs8',
-                    format: 'der'
-                }
-            });
+            const keyPair = curve.generateKeyPair();
             
             const identityKeys = {
-                public: keyPair.publicKey,
-                private: keyPair.privateKey,
+                public: keyPair.public,
+                private: keyPair.private,
+                registrationId: crypto.randomInt(1, 16381),
                 timestamp: Date.now()
             };
             
@@ -135,21 +133,12 @@ class KeyManager {
             const preKeys = [];
             
             for (let i = 0; i < count; i++) {
-                const keyPair = crypto.generateKeyPairSync('x25519', {
-                    publicKeyEncoding: {
-                        type: 'spki',
-                        format: 'der'
-                    },
-                    privateKeyEncoding: {
-                        type: 'pkcs8',
-                        format: 'der'
-                    }
-                });
+                const keyPair = curve.generateKeyPair();
                 
                 const preKey = {
-                    keyId: this._generateKeyId(),
-                    public: keyPair.publicKey,
-                    private: keyPair.privateKey,
+                    keyId: this._generateKeyId(this.preKeys, preKeys, this.consumedPreKeyIds),
+                    public: keyPair.public,
+                    private: keyPair.private,
                     timestamp: Date.now()
                 };
                 
@@ -170,24 +159,15 @@ class KeyManager {
      */
     async generateSignedPreKey(identityPrivateKey) {
         try {
-            const keyPair = crypto.generateKeyPairSync('x25519', {
-                publicKeyEncoding: {
-                    type: 'spki',
-                    format: 'der'
-                },
-                privateKeyEncoding: {
-                    type: 'pkcs8',
-                    format: 'der'
-                }
-            });
+            const keyPair = curve.generateKeyPair();
             
-            // Sign the public key with identity key
-            const signature = await this._signKey(keyPair.publicKey, identityPrivateKey);
+            // Sign the serialized public key with identity key
+            const signature = await this._signKey(keyPair.public, identityPrivateKey);
             
             const signedPreKey = {
-                keyId: this._generateKeyId(),
-                public: keyPair.publicKey,
-                private: keyPair.privateKey,
+                keyId: this._generateKeyId(this.signedPreKeys),
+                public: keyPair.public,
+                private: keyPair.private,
                 signature: signature,
                 timestamp: Date.now()
             };
@@ -203,10 +183,7 @@ class KeyManager {
     
     async _signKey(publicKey, privateKey) {
         try {
-            // Use HMAC for Curve25519 keys (WhatsApp uses HMAC-based signatures)
-            const hmac = crypto.createHmac('sha256', privateKey);
-            hmac.update(publicKey);
-            return hmac.digest();
+            return curve.calculateSignature(privateKey, curve.serializePublicKey(publicKey));
             
         } catch (error) {
             console.error('Failed to sign key:', error);
@@ -214,8 +191,13 @@ class KeyManager {
         }
     }
     
-    _generateKeyId() {
-        return Math.floor(Math.random() * 0xFFFFFF);
+    _generateKeyId(existing, pending = [], retired = new Set()) {
+        let keyId;
+        do {
+            keyId = crypto.randomInt(1, 0xFFFFFF);
+        } while (existing.has(keyId) || retired.has(keyId) || pending.some(key => key.keyId === keyId));
+        
+        return keyId;
     }
     
     /**
@@ -251,6 +233,13 @@ class KeyManager {
         return this.identityKeys;
     }
     
+    /**
+     * Get local registration ID
+     */
+    getRegistrationId() {
+        return this.identityKeys ? this.identityKeys.registrationId || 0 : 0;
+    }
+    
     /**
      * Get prekey by ID
      */
@@ -271,6 +260,7 @@ class KeyManager {
     removePreKey(keyId) {
         const removed = this.preKeys.delete(keyId);
         if (removed) {
+            this.consumedPreKeyIds.add(keyId);
             this._savePreKeys();
         }
         return removed;
@@ -332,27 +322,42 @@ class KeyManager {
     }
     
     /**
-     * Restore keys from backup
+     * Restore keys from backup. The backup is merged with the stored keys: the
+     * stored prekeys are the live set, and prekeys consumed since the backup was
+     * taken stay consumed.
      */
     async restoreKeys(keyData) {
         try {
+            // Backups are usually JSON, so Buffers arrive as { type, data }
+            keyData = JSON.parse(JSON.stringify(keyData), Helpers.bufferReviver);
+            
             if (keyData.identity) {
                 this.identityKeys = keyData.identity;
             }
             
-            if (keyData.preKeys) {
+            (await this._readKey(StorageKeys.CONSUMED_PRE_KEYS) || []).forEach(keyId => {
+                this.consumedPreKeyIds.add(keyId);
+            });
+            
+            // Only a store with no prekeys at all takes them from the backup
+            const storedPreKeys = await this._readKey(StorageKeys.PRE_KEYS);
+            const livePreKeys = storedPreKeys || (this.preKeys.size > 0 ? Array.from(this.preKeys.values()) : keyData.preKeys);
+            if (livePreKeys) {
                 this.preKeys.clear();
-                keyData.preKeys.forEach(key => {
-                    this.preKeys.set(key.keyId, key);
-                });
+                livePreKeys
+                    .filter(key => this._isCurveKeyPair(key) && !this.consumedPreKeyIds.has(key.keyId))
+                    .forEach(key => {
+                        this.preKeys.set(key.keyId, key);
+                    });
             }
             
-            if (keyData.signedPreKeys) {
-                this.signedPreKeys.clear();
-                keyData.signedPreKeys.forEach(key => {
+            // Signed prekeys are not consumed, so keep both; stored ones win
+            const storedSignedPreKeys = await this._readKey(StorageKeys.SIGNED_PRE_KEYS) || [];
+            [...(keyData.signedPreKeys || []), ...storedSignedPreKeys]
+                .filter(key => this._isCurveKeyPair(key))
+                .forEach(key => {
                     this.signedPreKeys.set(key.keyId, key);
                 });
-            }
             
             if (keyData.sessionKeys) {
                 this.sessionKeys.clear();
@@ -376,8 +381,7 @@ class KeyManager {
         if (!this.identityKeys) return;
         
         try {
-            const identityPath = path.join(this.keyStorePath, 'identity.json');
-            await fs.writeFile(identityPath, JSON.stringify(this.identityKeys, null, 2));
+            await this.storage.set(StorageKeys.IDENTITY, JSON.stringify(this.identityKeys, null, 2));
         } catch (error) {
             console.error('Failed to save identity keys:', error);
         }
@@ -385,9 +389,11 @@ class KeyManager {
     
     async _savePreKeys() {
         try {
-            const preKeysPath = path.join(this.keyStorePath, 'prekeys.json');
             const preKeysArray = Array.from(this.preKeys.values());
-            await fs.writeFile(preKeysPath, JSON.stringify(preKeysArray, null, 2));
+            await this.storage.batch([
+                { type: 'set', key: StorageKeys.PRE_KEYS, value: JSON.stringify(preKeysArray, null, 2) },
+                { type: 'set', key: StorageKeys.CONSUMED_PRE_KEYS, value: JSON.stringify(Array.from(this.consumedPreKeyIds)) }
+            ]);
         } catch (error) {
             console.error('Failed to save prekeys:', error);
         }
@@ -395,20 +401,24 @@ class KeyManager {
     
     async _saveSignedPreKeys() {
         try {
-            const signedPreKeysPath = path.join(this.keyStorePath, 'signed-prekeys.json');
             const signedPreKeysArray = Array.from(this.signedPreKeys.values());
-            await fs.writeFile(signedPreKeysPath, JSON.stringify(signedPreKeysArray, null, 2));
+            await this.storage.set(StorageKeys.SIGNED_PRE_KEYS, JSON.stringify(signedPreKeysArray, null, 2));
         } catch (error) {
             console.error('Failed to save signed prekeys:', error);
         }
     }
     
     async _saveAllKeys() {
-        await Promise.all([
-            this._saveIdentityKeys(),
-            this._savePreKeys(),
-            this._saveSignedPreKeys()
-        ]);
+        const operations = [
+            { type: 'set', key: StorageKeys.PRE_KEYS, value: JSON.stringify(Array.from(this.preKeys.values()), null, 2) },
+            { type: 'set', key: StorageKeys.SIGNED_PRE_KEYS, value: JSON.stringify(Array.from(this.signedPreKeys.values()), null, 2) },
+            { type: 'set', key: StorageKeys.CONSUMED_PRE_KEYS, value: JSON.stringify(Array.from(this.consumedPreKeyIds)) }
+        ];
+        if (this.identityKeys) {
+            operations.unshift({ type: 'set', key: StorageKeys.IDENTITY, value: JSON.stringify(this.identityKeys, null, 2) });
+        }
+        
+        await this.storage.batch(operations);
     }
     
     /**
@@ -419,12 +429,13 @@ class KeyManager {
         this.preKeys.clear();
         this.signedPreKeys.clear();
         this.sessionKeys.clear();
+        this.consumedPreKeyIds.clear();
         
         try {
-            await fs.rm(this.keyStorePath, { recursive: true, force: true });
+            await this.storage.batch(Object.values(StorageKeys).map(key => ({ type: 'delete', key })));
             console.log('All keys cleared');
         } catch (error) {
-            console.error('Failed to clear key directory:', error);
+            console.error('Failed to clear keys:', error);
         }
     }
 }
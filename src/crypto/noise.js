@@ -1,338 +1,439 @@
 /**
  * Noise Protocol Implementation
  * Implements the Noise protocol framework for secure channel establishment
+ *
+ * Noise_XX_25519_AESGCM_SHA256, as used by WhatsApp:
+ *   -> e                  (ClientHello)
+ *   <- e, ee, s, es       (ServerHello)
+ *   -> s, se              (ClientFinish)
+ * followed by 3-byte length-prefixed frames encrypted with the split() keys.
  */
 
 const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const { encodeHandshakeMessage, decodeHandshakeMessage } = require('../proto/handshake');
+const { NoiseConfig } = require('../utils/constants');
+
+const EMPTY = Buffer.alloc(0);
 
 class NoiseProtocol {
-    constructor() {
-        this.pattern = 'Noise_XX_25519_AESGCM_SHA256';
+    constructor(options = {}) {
+        this.pattern = NoiseConfig.PROTOCOL_NAME;
+        this.role = options.role || 'initiator';
+        this.prologue = Buffer.from(options.prologue || NoiseConfig.HEADER);
+        this.staticKeyPair = options.staticKeyPair || NoiseProtocol.generateKeyPair();
+
         this.handshakeState = null;
+        this.transport = null;
         this.isInitialized = false;
         this.isHandshakeComplete = false;
+
+        // Framing state
+        this.introSent = false;
+        this.introReceived = this.role === 'initiator';
+        this.inBuffer = EMPTY;
     }
-    
+
+    /**
+     * Generate a raw 32-byte Curve25519 key pair
+     */
+    static generateKeyPair() {
+        const keyPair = nacl.box.keyPair();
+
+        return {
+            public: Buffer.from(keyPair.publicKey),
+            private: Buffer.from(keyPair.secretKey)
+        };
+    }
+
     async initialize() {
+        this._initializeSymmetricState();
+    }
+
+    _initializeSymmetricState() {
+        const protocolName = Buffer.from(this.pattern, 'utf8');
+
+        let h;
+        if (protocolName.length <= 32) {
+            h = Buffer.concat([protocolName, Buffer.alloc(32 - protocolName.length)]);
+        } else {
+            h = crypto.createHash('sha256').update(protocolName).digest();
+        }
+
         this.handshakeState = {
-            localStatic: null,
             localEphemeral: null,
             remoteStatic: null,
             remoteEphemeral: null,
-            h: Buffer.alloc(32), // Handshake hash
-            ck: Buffer.alloc(32), // Chaining key
-            k: null, // Cipher key
-            n: 0 // Nonce
+            h: h,       // Handshake hash
+            ck: h,      // Chaining key
+            k: null,    // Cipher key
+            n: 0        // Nonce
         };
-        
-        // Initialize with protocol name
-        const protocolName = Buffer.from(this.pattern, 'utf8');
-        if (protocolName.length <= 32) {
-            this.handshakeState.h = Buffer.concat([
-                protocolName,
-                Buffer.alloc(32 - protocolName.length)
-            ]);
-        } else {
-            this.handshakeState.h = crypto.createHash('sha256')
-                .update(protocolName)
-                .digest();
-        }
-        
-        this.handshakeState.ck = this.handshakeState.h;
+
+        this.mixHash(this.prologue);
         this.isInitialized = true;
-        
-        console.log('Noise protocol initialized');
     }
-    
-    /**
-     * Generate ephemeral key pair
-     */
-    async generateEphemeralKeys() {
-        try {
-            const keyPair = crypto.generateKeyPairSync('x25519', {
-                publicKeyEncoding: {
-                    type: 'spki',
-                    format: 'der'
-                },
-                privateKeyEncoding: {
-                    type: 'pkcs8',
-                    format: 'der'
-                }
-            });
-            
-            return {
-                public: keyPair.publicKey,
-                private: keyPair.privateKey
-            };
-            
-        } catch (error) {
-            console.error('Failed to generate ephemeral keys:', error);
-            throw error;
+
+    _ensureInitialized() {
+        if (!this.isInitialized) {
+            this._initializeSymmetricState();
         }
     }
-    
+
+    dh(privateKey, publicKey) {
+        if (!publicKey || publicKey.length !== NoiseConfig.KEY_SIZE) {
+            throw new Error('Invalid Curve25519 public key');
+        }
+
+        return Buffer.from(nacl.scalarMult(privateKey, publicKey));
+    }
+
     /**
      * Mix hash function
      */
     mixHash(data) {
-        const hash = crypto.createHash('sha256');
-        hash.update(this.handshakeState.h);
-        hash.update(data);
-        this.handshakeState.h = hash.digest();
+        this.handshakeState.h = crypto.createHash('sha256')
+            .update(this.handshakeState.h)
+            .update(data)
+            .digest();
     }
-    
+
     /**
      * Mix key function
      */
-    async mixKey(inputKeyMaterial) {
-        const output = await this.hkdf(
-            inputKeyMaterial,
-            this.handshakeState.ck,
-            Buffer.alloc(0),
-            64
-        );
-        
+    mixKey(inputKeyMaterial) {
+        const output = this.hkdf(inputKeyMaterial, this.handshakeState.ck, EMPTY, 64);
+
         this.handshakeState.ck = output.slice(0, 32);
         this.handshakeState.k = output.slice(32, 64);
         this.handshakeState.n = 0;
     }
-    
+
     /**
      * HKDF implementation
      */
-    async hkdf(inputKeyMaterial, salt, info, length) {
+    hkdf(inputKeyMaterial, salt, info, length) {
         // Extract
         const prk = crypto.createHmac('sha256', salt)
             .update(inputKeyMaterial)
             .digest();
-        
+
         // Expand
         const n = Math.ceil(length / 32);
         const t = [];
-        
+
         for (let i = 0; i < n; i++) {
             const hmac = crypto.createHmac('sha256', prk);
-            
+
             if (i > 0) {
                 hmac.update(t[i - 1]);
             }
-            
+
             hmac.update(info);
             hmac.update(Buffer.from([i + 1]));
-            
+
             t[i] = hmac.digest();
         }
-        
-        const okm = Buffer.concat(t);
-        return okm.slice(0, length);
+
+        return Buffer.concat(t).slice(0, length);
+    }
+
+    /**
+     * AES-256-GCM nonce: 4 zero bytes followed by the 64-bit big-endian counter
+     */
+    _nonce(counter) {
+        const nonce = Buffer.alloc(12);
+        nonce.writeUInt32BE(counter, 8);
+        return nonce;
+    }
+
+    _encrypt(key, counter, ad, plaintext) {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, this._nonce(counter));
+        cipher.setAAD(ad);
+
+        return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    _decrypt(key, counter, ad, ciphertext) {
+        if (ciphertext.length < NoiseConfig.TAG_SIZE) {
+            throw new Error('Noise ciphertext too short');
+        }
+
+        const tag = ciphertext.slice(-NoiseConfig.TAG_SIZE);
+        const encrypted = ciphertext.slice(0, -NoiseConfig.TAG_SIZE);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, this._nonce(counter));
+        decipher.setAAD(ad);
+        decipher.setAuthTag(tag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]);
     }
-    
+
     /**
      * Encrypt and authenticate
      */
     encryptAndHash(plaintext) {
-        if (!this.handshakeState.k) {
+        const state = this.handshakeState;
+
+        if (!state.k) {
             this.mixHash(plaintext);
             return plaintext;
         }
-        
-        // Create nonce (8 bytes of zeros + 4 bytes of n)
-        const nonce = Buffer.alloc(12);
-        nonce.writeUInt32LE(this.handshakeState.n, 8);
-        
-        // Encrypt with AES-256-GCM
-        const cipher = crypto.createCipherGCM('aes-256-gcm', this.handshakeState.k);
-        cipher.setIVLength(12);
-        
-        // Set additional authenticated data
-        cipher.setAAD(this.handshakeState.h);
-        
-        let ciphertext = cipher.update(plaintext);
-        ciphertext = Buffer.concat([ciphertext, cipher.final()]);
-        
-        const tag = cipher.getAuthTag();
-        const result = Buffer.concat([ciphertext, tag]);
-        
-        this.mixHash(result);
-        this.handshakeState.n++;
-        
-        return result;
+
+        const ciphertext = this._encrypt(state.k, state.n, state.h, plaintext);
+        state.n++;
+        this.mixHash(ciphertext);
+
+        return ciphertext;
     }
-    
+
     /**
      * Decrypt and verify
      */
     decryptAndHash(ciphertext) {
-        if (!this.handshakeState.k) {
+        const state = this.handshakeState;
+
+        if (!state.k) {
             this.mixHash(ciphertext);
             return ciphertext;
         }
-        
-        // Extract tag (last 16 bytes)
-        const tag = ciphertext.slice(-16);
-        const encrypted = ciphertext.slice(0, -16);
-        
-        // Create nonce
-        const nonce = Buffer.alloc(12);
-        nonce.writeUInt32LE(this.handshakeState.n, 8);
-        
-        // Decrypt with AES-256-GCM
-        const decipher = crypto.createDecipherGCM('aes-256-gcm', this.handshakeState.k);
-        decipher.setAuthTag(tag);
-        decipher.setAAD(this.handshakeState.h);
-        
-        let plaintext = decipher.update(encrypted);
-        plaintext = Buffer.concat([plaintext, decipher.final()]);
-        
+
+        const plaintext = this._decrypt(state.k, state.n, state.h, ciphertext);
+        state.n++;
         this.mixHash(ciphertext);
-        this.handshakeState.n++;
-        
+
         return plaintext;
     }
-    
+
     /**
      * Split function - derives transport keys
      */
     split() {
-        const output = this.hkdf(
-            Buffer.alloc(0),
-            this.handshakeState.ck,
-            Buffer.alloc(0),
-            64
-        );
-        
-        return {
-            sendingKey: output.slice(0, 32),
-            receivingKey: output.slice(32, 64)
+        const output = this.hkdf(EMPTY, this.handshakeState.ck, EMPTY, 64);
+        const first = output.slice(0, 32);
+        const second = output.slice(32, 64);
+
+        return this.role === 'initiator'
+            ? { sendingKey: first, receivingKey: second }
+            : { sendingKey: second, receivingKey: first };
+    }
+
+    _completeHandshake() {
+        const { sendingKey, receivingKey } = this.split();
+
+        this.transport = {
+            sendingKey,
+            receivingKey,
+            sendCounter: 0,
+            receiveCounter: 0
         };
+
+        this.isHandshakeComplete = true;
     }
-    
+
     /**
-     * Start handshake as initiator
+     * Initiator: build the ClientHello carrying our ephemeral key
      */
-    async startHandshake(localStaticPrivate, localStaticPublic) {
-        if (!this.isInitialized) {
-            await this.initialize();
-        }
-        
-        // Set local static key
-        this.handshakeState.localStatic = {
-            private: localStaticPrivate,
-            public: localStaticPublic
-        };
-        
-        // Generate ephemeral key pair
-        const ephemeral = await this.generateEphemeralKeys();
+    createClientHello() {
+        this._ensureInitialized();
+
+        const ephemeral = NoiseProtocol.generateKeyPair();
         this.handshakeState.localEphemeral = ephemeral;
-        
-        // -> e
+
+        // -> e (WhatsApp sends no first-message payload)
         this.mixHash(ephemeral.public);
-        
-        return ephemeral.public;
+
+        return encodeHandshakeMessage({ clientHello: { ephemeral: ephemeral.public } });
     }
-    
+
     /**
-     * Process first handshake message
+     * Initiator: process the ServerHello; returns the decrypted server payload
      */
-    async processHandshakeMessage1(remoteEphemeralPublic, payload = Buffer.alloc(0)) {
-        // <- e, ee, s, es
-        
-        // e
-        this.handshakeState.remoteEphemeral = { public: remoteEphemeralPublic };
-        this.mixHash(remoteEphemeralPublic);
-        
-        // ee
-        const dh1 = crypto.diffieHellman({
-            privateKey: crypto.createPrivateKey({
-                key: this.handshakeState.localEphemeral.private,
-                format: 'der',
-                type: 'pkcs8'
-            }),
-            publicKey: crypto.createPublicKey({
-                key: remoteEphemeralPublic,
-                format: 'der',
-                type: 'spki'
-            })
-        });
-        
-        await this.mixKey(dh1);
-        
-        // Decrypt payload if present
-        const decryptedPayload = this.decryptAndHash(payload);
-        
-        return decryptedPayload;
+    processServerHello(data) {
+        const { serverHello } = decodeHandshakeMessage(data);
+        if (!serverHello || !serverHello.ephemeral || !serverHello.static) {
+            throw new Error('Invalid ServerHello');
+        }
+
+        const state = this.handshakeState;
+
+        // <- e, ee
+        state.remoteEphemeral = serverHello.ephemeral;
+        this.mixHash(serverHello.ephemeral);
+        this.mixKey(this.dh(state.localEphemeral.private, serverHello.ephemeral));
+
+        // s, es
+        state.remoteStatic = this.decryptAndHash(serverHello.static);
+        this.mixKey(this.dh(state.localEphemeral.private, state.remoteStatic));
+
+        return this.decryptAndHash(serverHello.payload || EMPTY);
     }
-    
+
     /**
-     * Create second handshake message
+     * Initiator: build the ClientFinish and derive the transport keys
      */
-    async createHandshakeMessage2(payload = Buffer.alloc(0)) {
+    createClientFinish(payload = EMPTY) {
+        const state = this.handshakeState;
+
         // -> s, se
-        
-        // s
-        const encryptedStatic = this.encryptAndHash(this.handshakeState.localStatic.public);
-        
-        // se
-        const dh2 = crypto.diffieHellman({
-            privateKey: crypto.createPrivateKey({
-                key: this.handshakeState.localStatic.private,
-                format: 'der',
-                type: 'pkcs8'
-            }),
-            publicKey: crypto.createPublicKey({
-                key: this.handshakeState.remoteEphemeral.public,
-                format: 'der',
-                type: 'spki'
-            })
+        const encryptedStatic = this.encryptAndHash(this.staticKeyPair.public);
+        this.mixKey(this.dh(this.staticKeyPair.private, state.remoteEphemeral));
+        const encryptedPayload = this.encryptAndHash(Buffer.from(payload));
+
+        this._completeHandshake();
+
+        return encodeHandshakeMessage({
+            clientFinish: { static: encryptedStatic, payload: encryptedPayload }
         });
-        
-        await this.mixKey(dh2);
-        
-        // Encrypt payload
-        const encryptedPayload = this.encryptAndHash(payload);
-        
-        return Buffer.concat([encryptedStatic, encryptedPayload]);
     }
-    
+
+    /**
+     * Responder: process the ClientHello
+     */
+    processClientHello(data) {
+        this._ensureInitialized();
+
+        const { clientHello } = decodeHandshakeMessage(data);
+        if (!clientHello || !clientHello.ephemeral) {
+            throw new Error('Invalid ClientHello');
+        }
+
+        // <- e
+        this.handshakeState.remoteEphemeral = clientHello.ephemeral;
+        this.mixHash(clientHello.ephemeral);
+    }
+
     /**
-     * Process second handshake message
+     * Responder: build the ServerHello carrying our ephemeral and static keys
      */
-    async processHandshakeMessage2(message) {
-        // <- s, se
-        
-        // Extract encrypted static key (assuming 48 bytes: 32 + 16 tag)
-        const encryptedStatic = message.slice(0, 48);
-        const payload = message.slice(48);
-        
-        // s
-        const remoteStaticPublic = this.decryptAndHash(encryptedStatic);
-        this.handshakeState.remoteStatic = { public: remoteStaticPublic };
-        
-        // se
-        const dh2 = crypto.diffieHellman({
-            privateKey: crypto.createPrivateKey({
-                key: this.handshakeState.localEphemeral.private,
-                format: 'der',
-                type: 'pkcs8'
-            }),
-            publicKey: crypto.createPublicKey({
-                key: remoteStaticPublic,
-                format: 'der',
-                type: 'spki'
-            })
+    createServerHello(payload = EMPTY) {
+        const state = this.handshakeState;
+
+        const ephemeral = NoiseProtocol.generateKeyPair();
+        state.localEphemeral = ephemeral;
+
+        // -> e, ee
+        this.mixHash(ephemeral.public);
+        this.mixKey(this.dh(ephemeral.private, state.remoteEphemeral));
+
+        // s, es
+        const encryptedStatic = this.encryptAndHash(this.staticKeyPair.public);
+        this.mixKey(this.dh(this.staticKeyPair.private, state.remoteEphemeral));
+        const encryptedPayload = this.encryptAndHash(Buffer.from(payload));
+
+        return encodeHandshakeMessage({
+            serverHello: {
+                ephemeral: ephemeral.public,
+                static: encryptedStatic,
+                payload: encryptedPayload
+            }
         });
-        
-        await this.mixKey(dh2);
-        
-        // Decrypt payload
-        const decryptedPayload = this.decryptAndHash(payload);
-        
-        // Handshake complete
-        this.isHandshakeComplete = true;
-        
-        return decryptedPayload;
     }
-    
+
+    /**
+     * Responder: process the ClientFinish; returns the decrypted client payload
+     */
+    processClientFinish(data) {
+        const { clientFinish } = decodeHandshakeMessage(data);
+        if (!clientFinish || !clientFinish.static) {
+            throw new Error('Invalid ClientFinish');
+        }
+
+        const state = this.handshakeState;
+
+        // <- s, se
+        state.remoteStatic = this.decryptAndHash(clientFinish.static);
+        this.mixKey(this.dh(state.localEphemeral.private, state.remoteStatic));
+        const payload = this.decryptAndHash(clientFinish.payload || EMPTY);
+
+        this._completeHandshake();
+
+        return payload;
+    }
+
+    /**
+     * Encrypt a transport message with the sending key
+     */
+    encryptFrame(plaintext) {
+        if (!this.isHandshakeComplete) {
+            throw new Error('Handshake not complete');
+        }
+
+        const ciphertext = this._encrypt(this.transport.sendingKey, this.transport.sendCounter, EMPTY, Buffer.from(plaintext));
+        this.transport.sendCounter++;
+
+        return ciphertext;
+    }
+
+    /**
+     * Decrypt a transport message with the receiving key
+     */
+    decryptFrame(ciphertext) {
+        if (!this.isHandshakeComplete) {
+            throw new Error('Handshake not complete');
+        }
+
+        const plaintext = this._decrypt(this.transport.receivingKey, this.transport.receiveCounter, EMPTY, ciphertext);
+        this.transport.receiveCounter++;
+
+        return plaintext;
+    }
+
+    /**
+     * Length-prefix a frame; the initiator's first frame also carries the WA header
+     */
+    encodeFrame(data) {
+        if (data.length > NoiseConfig.MAX_FRAME_SIZE) {
+            throw new Error(`Frame too large: ${data.length} bytes`);
+        }
+
+        const header = Buffer.alloc(NoiseConfig.FRAME_LENGTH_BYTES);
+        header.writeUIntBE(data.length, 0, NoiseConfig.FRAME_LENGTH_BYTES);
+
+        const parts = [header, data];
+        if (this.role === 'initiator' && !this.introSent) {
+            parts.unshift(this.prologue);
+            this.introSent = true;
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Append received bytes; returns every frame completed so far
+     */
+    decodeFrames(chunk) {
+        this.inBuffer = Buffer.concat([this.inBuffer, Buffer.from(chunk)]);
+
+        if (!this.introReceived) {
+            if (this.inBuffer.length < this.prologue.length) {
+                return [];
+            }
+
+            if (!this.inBuffer.slice(0, this.prologue.length).equals(this.prologue)) {
+                throw new Error('Invalid connection header');
+            }
+
+            this.inBuffer = this.inBuffer.slice(this.prologue.length);
+            this.introReceived = true;
+        }
+
+        const frames = [];
+        const lengthBytes = NoiseConfig.FRAME_LENGTH_BYTES;
+
+        while (this.inBuffer.length >= lengthBytes) {
+            const size = this.inBuffer.readUIntBE(0, lengthBytes);
+            if (this.inBuffer.length < lengthBytes + size) {
+                break;
+            }
+
+            frames.push(this.inBuffer.slice(lengthBytes, lengthBytes + size));
+            this.inBuffer = this.inBuffer.slice(lengthBytes + size);
+        }
+
+        return frames;
+    }
+
     /**
      * Get transport keys after handshake completion
      */
@@ -340,17 +441,24 @@ class NoiseProtocol {
         if (!this.isHandshakeComplete) {
             throw new Error('Handshake not complete');
         }
-        
-        return this.split();
+
+        return {
+            sendingKey: this.transport.sendingKey,
+            receivingKey: this.transport.receivingKey
+        };
     }
-    
+
     /**
      * Reset handshake state
      */
     reset() {
         this.handshakeState = null;
+        this.transport = null;
         this.isHandshakeComplete = false;
         this.isInitialized = false;
+        this.introSent = false;
+        this.introReceived = this.role === 'initiator';
+        this.inBuffer = EMPTY;
     }
 }
 
@@ -0,0 +1,97 @@
+/**
+ * Sender Key Store
+ * Persists one sender key record per (group, sender) pair, keyed
+ * "<namespace>/<group>/<sender>" so a whole group can be dropped at once
+ */
+
+const Helpers = require('../utils/helpers');
+const { FileStorage } = require('../storage');
+
+// Older states kept per sender for messages still in flight after a rotation
+const MAX_SENDER_KEY_STATES = 5;
+
+class SenderKeyStore {
+    constructor(storage = new FileStorage('./keys'), namespace = 'sender-keys') {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.cache = new Map();
+        this.locks = new Map();
+    }
+
+    /**
+     * Load a sender key record ({ states: [current, ...older] }) or null
+     */
+    async load(groupId, sender) {
+        const key = this._key(groupId, sender);
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        try {
+            const data = await this.storage.get(key);
+            if (data === null) {
+                return null;
+            }
+
+            const record = JSON.parse(data, Helpers.bufferReviver);
+            this.cache.set(key, record);
+            return record;
+        } catch (error) {
+            console.error(`Failed to load sender key for ${sender} in ${groupId}:`, error);
+            return null;
+        }
+    }
+
+    async store(groupId, sender, record) {
+        record.states = record.states.slice(0, MAX_SENDER_KEY_STATES);
+        const key = this._key(groupId, sender);
+        this.cache.set(key, record);
+
+        await this.storage.set(key, JSON.stringify(record));
+    }
+
+    async remove(groupId, sender) {
+        const key = this._key(groupId, sender);
+        this.cache.delete(key);
+
+        await this.storage.delete(key);
+    }
+
+    /**
+     * Drop every sender key held for a group
+     */
+    async removeGroup(groupId) {
+        await this._removePrefix(this._key(groupId, ''));
+    }
+
+    /**
+     * Run fn with exclusive access to a group's sender keys
+     */
+    async withLock(groupId, fn) {
+        return Helpers.withLock(this.locks, groupId, fn);
+    }
+
+    /**
+     * Clear every stored sender key
+     */
+    async clear() {
+        await this._removePrefix(`${this.namespace}/`);
+    }
+
+    async _removePrefix(prefix) {
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.cache.delete(key);
+            }
+        }
+
+        const keys = await this.storage.list(prefix);
+        await this.storage.batch(keys.map(key => ({ type: 'delete', key })));
+    }
+
+    _key(groupId, sender) {
+        return `${this.namespace}/${groupId}/${sender}`;
+    }
+}
+
+module.exports = SenderKeyStore;
@@ -0,0 +1,186 @@
+/**
+ * Sender Keys
+ * Signal group messaging: each member encrypts group messages with its own
+ * sender key chain and hands the chain to the others in a distribution message
+ *
+ * SenderKeyMessage: version || { id = 1, iteration = 2, ciphertext = 3 } || signature
+ * SenderKeyDistributionMessage: version || { id = 1, iteration = 2, chainKey = 3, signingKey = 4 }
+ */
+
+const crypto = require('crypto');
+const curve = require('./curve');
+const { encodeMessage, decodeMessage } = require('../proto/protobuf');
+
+const CIPHERTEXT_VERSION = 3;
+const VERSION_BYTE = (CIPHERTEXT_VERSION << 4) | CIPHERTEXT_VERSION;
+const SIGNATURE_LENGTH = 64;
+const MAX_SKIP = 2000;
+
+const ZERO_SALT = Buffer.alloc(32);
+
+class SenderKeyImpl {
+    /**
+     * New sender key state for ourselves (holds the private signing key)
+     */
+    createState() {
+        return {
+            keyId: crypto.randomInt(1, 0x7FFFFFFF),
+            iteration: 0,
+            chainKey: crypto.randomBytes(32),
+            signingKey: curve.generateKeyPair(),
+            skippedKeys: {}
+        };
+    }
+
+    /**
+     * Distribution message handing out the chain at its current iteration
+     */
+    createDistributionMessage(state) {
+        return Buffer.concat([
+            Buffer.from([VERSION_BYTE]),
+            encodeMessage({
+                1: state.keyId,
+                2: state.iteration,
+                3: state.chainKey,
+                4: curve.serializePublicKey(state.signingKey.public)
+            })
+        ]);
+    }
+
+    /**
+     * Sender key state for another member, from its distribution message
+     */
+    processDistributionMessage(data) {
+        const buffer = Buffer.from(data);
+        this._checkVersion(buffer[0]);
+
+        const fields = decodeMessage(buffer.slice(1));
+        if (fields[1] === undefined || !fields[3] || !fields[4]) {
+            throw new Error('Incomplete SenderKeyDistributionMessage');
+        }
+
+        return {
+            keyId: fields[1],
+            iteration: fields[2] || 0,
+            chainKey: fields[3],
+            signingKey: { public: curve.toRawPublicKey(fields[4]) },
+            skippedKeys: {}
+        };
+    }
+
+    /**
+     * Encrypt with our own state; advances the chain
+     */
+    encrypt(state, plaintext) {
+        if (!state.signingKey.private) {
+            throw new Error('Cannot encrypt with a received sender key');
+        }
+
+        const messageKeys = this._messageKeys(state.chainKey);
+        const cipher = crypto.createCipheriv('aes-256-cbc', messageKeys.cipherKey, messageKeys.iv);
+        const body = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+
+        const serialized = Buffer.concat([
+            Buffer.from([VERSION_BYTE]),
+            encodeMessage({
+                1: state.keyId,
+                2: state.iteration,
+                3: body
+            })
+        ]);
+        const signature = curve.calculateSignature(state.signingKey.private, serialized);
+
+        state.chainKey = this._nextChainKey(state.chainKey);
+        state.iteration++;
+
+        return Buffer.concat([serialized, signature]);
+    }
+
+    /**
+     * Decrypt with whichever of the sender's states carries the message's key id
+     */
+    decrypt(states, data) {
+        const buffer = Buffer.from(data);
+        if (buffer.length <= SIGNATURE_LENGTH + 1) {
+            throw new Error('SenderKeyMessage too short');
+        }
+
+        this._checkVersion(buffer[0]);
+
+        const serialized = buffer.slice(0, -SIGNATURE_LENGTH);
+        const fields = decodeMessage(serialized.slice(1));
+        if (fields[1] === undefined || !fields[3]) {
+            throw new Error('Incomplete SenderKeyMessage');
+        }
+
+        const state = states.find(s => s.keyId === fields[1]);
+        if (!state) {
+            throw new Error(`No sender key state for key id ${fields[1]}`);
+        }
+
+        if (!curve.verifySignature(state.signingKey.public, serialized, buffer.slice(-SIGNATURE_LENGTH))) {
+            throw new Error('Invalid sender key signature');
+        }
+
+        const messageKeys = this._getMessageKeysForIteration(state, fields[2] || 0);
+        const decipher = crypto.createDecipheriv('aes-256-cbc', messageKeys.cipherKey, messageKeys.iv);
+
+        return Buffer.concat([decipher.update(fields[3]), decipher.final()]);
+    }
+
+    _getMessageKeysForIteration(state, iteration) {
+        if (iteration < state.iteration) {
+            const skipped = state.skippedKeys[iteration];
+            if (!skipped) {
+                throw new Error(`Duplicate or expired group message (iteration ${iteration})`);
+            }
+
+            delete state.skippedKeys[iteration];
+            return skipped;
+        }
+
+        if (iteration - state.iteration > MAX_SKIP) {
+            throw new Error('Too many skipped group messages');
+        }
+
+        while (state.iteration < iteration) {
+            state.skippedKeys[state.iteration] = this._messageKeys(state.chainKey);
+            state.chainKey = this._nextChainKey(state.chainKey);
+            state.iteration++;
+        }
+
+        const messageKeys = this._messageKeys(state.chainKey);
+        state.chainKey = this._nextChainKey(state.chainKey);
+        state.iteration++;
+
+        return messageKeys;
+    }
+
+    _messageKeys(chainKey) {
+        // Message key seed = HMAC(chain_key, 0x01), expanded with HKDF
+        const seed = crypto.createHmac('sha256', chainKey)
+            .update(Buffer.from([0x01]))
+            .digest();
+
+        const keys = Buffer.from(crypto.hkdfSync('sha256', seed, ZERO_SALT, Buffer.from('WhisperGroup'), 48));
+
+        return {
+            iv: keys.slice(0, 16),
+            cipherKey: keys.slice(16, 48)
+        };
+    }
+
+    _nextChainKey(chainKey) {
+        return crypto.createHmac('sha256', chainKey)
+            .update(Buffer.from([0x02]))
+            .digest();
+    }
+
+    _checkVersion(versionByte) {
+        if ((versionByte >> 4) !== CIPHERTEXT_VERSION) {
+            throw new Error(`Unsupported sender key message version: ${versionByte >> 4}`);
+        }
+    }
+}
+
+module.exports = SenderKeyImpl;
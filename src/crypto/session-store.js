@@ -0,0 +1,94 @@
+/**
+ * Signal Session Store
+ * Persists one session record per recipient address (JID user + device)
+ */
+
+const Helpers = require('../utils/helpers');
+const { FileStorage } = require('../storage');
+
+// Archived session states kept per address for late messages
+const MAX_ARCHIVED_SESSIONS = 5;
+
+class SignalSessionStore {
+    constructor(storage = new FileStorage('./keys'), namespace = 'sessions') {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.cache = new Map();
+        this.locks = new Map();
+    }
+
+    /**
+     * Signal address for a JID: "<user>.<device>"
+     */
+    static toAddress(jid, device = null) {
+        const [userPart] = String(jid).split('@');
+        const [userAndAgent, jidDevice] = userPart.split(':');
+        const [user] = userAndAgent.split('_');
+
+        const resolvedDevice = device !== null ? device : Number(jidDevice || 0);
+        return `${user}.${resolvedDevice}`;
+    }
+
+    /**
+     * Load a session record ({ sessions: [current, ...archived] }) or null
+     */
+    async load(address) {
+        if (this.cache.has(address)) {
+            return this.cache.get(address);
+        }
+
+        try {
+            const data = await this.storage.get(this._key(address));
+            if (data === null) {
+                return null;
+            }
+
+            const record = JSON.parse(data, Helpers.bufferReviver);
+            this.cache.set(address, record);
+            return record;
+        } catch (error) {
+            console.error(`Failed to load session for ${address}:`, error);
+            return null;
+        }
+    }
+
+    async store(address, record) {
+        record.sessions = record.sessions.slice(0, MAX_ARCHIVED_SESSIONS + 1);
+        this.cache.set(address, record);
+
+        await this.storage.set(this._key(address), JSON.stringify(record));
+    }
+
+    async remove(address) {
+        this.cache.delete(address);
+        await this.storage.delete(this._key(address));
+    }
+
+    async hasSession(address) {
+        const record = await this.load(address);
+        return !!(record && record.sessions.length > 0);
+    }
+
+    /**
+     * Run fn with exclusive access to an address so ratchet updates never interleave
+     */
+    async withLock(address, fn) {
+        return Helpers.withLock(this.locks, address, fn);
+    }
+
+    /**
+     * Clear every stored session
+     */
+    async clear() {
+        this.cache.clear();
+
+        const keys = await this.storage.list(`${this.namespace}/`);
+        await this.storage.batch(keys.map(key => ({ type: 'delete', key })));
+    }
+
+    _key(address) {
+        return `${this.namespace}/${address}`;
+    }
+}
+
+module.exports = SignalSessionStore;
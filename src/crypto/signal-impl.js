@@ -1,324 +1,508 @@
 /**
  * Signal Protocol Implementation
  * Core cryptographic primitives for WhatsApp's Signal Protocol
+ *
+ * Sessions are plain objects (see initSenderSession / initReceiverSession)
+ * so they can be persisted by SignalSessionStore. The ratchet methods mutate
+ * the state they are given; callers work on a copy and only store it once
+ * the operation succeeds.
  */
 
 const crypto = require('crypto');
-const forge = require('node-forge');
+const curve = require('./curve');
+const { encodeMessage, decodeMessage } = require('../proto/protobuf');
+
+const CIPHERTEXT_VERSION = 3;
+const VERSION_BYTE = (CIPHERTEXT_VERSION << 4) | CIPHERTEXT_VERSION;
+const MAC_LENGTH = 8;
+const MAX_SKIP = 2000;
+const MAX_RECEIVING_CHAINS = 5;
+
+const ZERO_SALT = Buffer.alloc(32);
+const DISCONTINUITY_BYTES = Buffer.alloc(32, 0xFF);
 
 class SignalProtocolImpl {
     constructor() {
-        this.curve = 'secp256k1';
+        this.curve = 'curve25519';
         this.hashAlgorithm = 'sha256';
     }
-    
+
     async initialize() {
         console.log('Signal Protocol implementation initialized');
     }
-    
+
     /**
      * Generate Curve25519 key pair
      */
     async generateKeyPair() {
-        try {
-            // Generate Ed25519 key pair (compatible with Curve25519)
-            const keyPair = crypto.generateKeyPairSync('ed25519', {
-                publicKeyEncoding: {
-                    type: 'spki',
-                    format: 'der'
-                },
-                privateKeyEncoding: {
-                    type: 'pkcs8',
-                    format: 'der'
-                }
-            });
-            
-            return {
-                public: keyPair.publicKey,
-                private: keyPair.privateKey
-            };
-            
-        } catch (error) {
-            console.error('Failed to generate key pair:', error);
-            throw error;
-        }
+        return curve.generateKeyPair();
     }
-    
+
     /**
      * Perform ECDH key exchange
      */
     async performKeyExchange(privateKey, publicKey) {
         try {
-            // Convert keys to appropriate format for ECDH
-            const privateKeyObject = crypto.createPrivateKey({
-                key: privateKey,
-                format: 'der',
-                type: 'pkcs8'
-            });
-            
-            const publicKeyObject = crypto.createPublicKey({
-                key: publicKey,
-                format: 'der',
-                type: 'spki'
-            });
-            
-            // Perform ECDH
-            const sharedSecret = crypto.diffieHellman({
-                privateKey: privateKeyObject,
-                publicKey: publicKeyObject
-            });
-            
-            return sharedSecret;
-            
+            return curve.calculateAgreement(publicKey, privateKey);
         } catch (error) {
             console.error('Key exchange failed:', error);
             throw error;
         }
     }
-    
+
     /**
      * HKDF (HMAC-based Key Derivation Function)
      */
     async hkdf(inputKeyMaterial, salt, info, length) {
-        try {
-            // Extract step
-            const prk = crypto.createHmac('sha256', salt)
-                .update(inputKeyMaterial)
-                .digest();
-            
-            // Expand step
-            const n = Math.ceil(length / 32);
-            const t = [];
-            
-            for (let i = 0; i < n; i++) {
-                const hmac = crypto.createHmac('sha256', prk);
-                
-                if (i > 0) {
-                    hmac.update(t[i - 1]);
-                }
-                
-                hmac.update(info);
-                hmac.update(Buffer.from([i + 1]));
-                
-                t[i] = hmac.digest();
+        return this._hkdf(inputKeyMaterial, salt, info, length);
+    }
+
+    _hkdf(inputKeyMaterial, salt, info, length) {
+        // Extract step
+        const prk = crypto.createHmac('sha256', salt)
+            .update(inputKeyMaterial)
+            .digest();
+
+        // Expand step
+        const n = Math.ceil(length / 32);
+        const t = [];
+
+        for (let i = 0; i < n; i++) {
+            const hmac = crypto.createHmac('sha256', prk);
+
+            if (i > 0) {
+                hmac.update(t[i - 1]);
             }
-            
-            const okm = Buffer.concat(t);
-            return okm.slice(0, length);
-            
-        } catch (error) {
-            console.error('HKDF failed:', error);
-            throw error;
+
+            hmac.update(info);
+            hmac.update(Buffer.from([i + 1]));
+
+            t[i] = hmac.digest();
         }
+
+        return Buffer.concat(t).slice(0, length);
     }
-    
+
     /**
      * Generate prekey bundle
      */
-    async generatePreKeyBundle(identityKey, signedPreKey, preKeys) {
+    async generatePreKeyBundle(identityKey, signedPreKey, preKeys, registrationId = 0) {
         try {
             const bundle = {
-                identityKey: identityKey,
+                registrationId: registrationId,
+                identityKey: curve.serializePublicKey(identityKey.public || identityKey),
                 signedPreKey: {
                     keyId: signedPreKey.keyId,
-                    publicKey: signedPreKey.publicKey,
+                    publicKey: curve.serializePublicKey(signedPreKey.public || signedPreKey.publicKey),
                     signature: signedPreKey.signature
                 },
                 preKeys: preKeys.map(key => ({
                     keyId: key.keyId,
-                    publicKey: key.publicKey
+                    publicKey: curve.serializePublicKey(key.public || key.publicKey)
                 }))
             };
-            
+
             return bundle;
-            
+
         } catch (error) {
             console.error('Failed to generate prekey bundle:', error);
             throw error;
         }
     }
-    
+
     /**
      * Sign data with private key
      */
     async sign(data, privateKey) {
-        try {
-            const sign = crypto.createSign('sha256');
-            sign.update(data);
-            sign.end();
-            
-            const signature = sign.sign({
-                key: privateKey,
-                format: 'der',
-                type: 'pkcs8'
-            });
-            
-            return signature;
-            
-        } catch (error) {
-            console.error('Signing failed:', error);
-            throw error;
-        }
+        return curve.calculateSignature(privateKey, data);
     }
-    
+
     /**
      * Verify signature
      */
     async verify(data, signature, publicKey) {
         try {
-            const verify = crypto.createVerify('sha256');
-            verify.update(data);
-            verify.end();
-            
-            const isValid = verify.verify({
-                key: publicKey,
-                format: 'der',
-                type: 'spki'
-            }, signature);
-            
-            return isValid;
-            
+            return curve.verifySignature(publicKey, data, signature);
         } catch (error) {
             console.error('Verification failed:', error);
             return false;
         }
     }
-    
+
     /**
      * Generate message keys from chain key
      */
     async generateMessageKeys(chainKey) {
-        try {
-            // Message key = HMAC(chain_key, 0x01)
-            const messageKey = crypto.createHmac('sha256', chainKey)
-                .update(Buffer.from([0x01]))
-                .digest();
-            
-            // Derive encryption and MAC keys from message key
-            const kdfInput = Buffer.concat([messageKey, Buffer.from('WhatsApp Message Keys')]);
-            
-            const keys = await this.hkdf(
-                kdfInput,
-                Buffer.alloc(32), // Salt
-                Buffer.from('message'), // Info
-                80 // 32 + 32 + 16 (enc + mac + iv)
-            );
-            
-            return {
-                cipherKey: keys.slice(0, 32),
-                macKey: keys.slice(32, 64),
-                iv: keys.slice(64, 80)
-            };
-            
-        } catch (error) {
-            console.error('Message key generation failed:', error);
-            throw error;
-        }
+        return this._messageKeys(chainKey);
     }
-    
+
+    _messageKeys(chainKey) {
+        // Message key seed = HMAC(chain_key, 0x01)
+        const seed = crypto.createHmac('sha256', chainKey)
+            .update(Buffer.from([0x01]))
+            .digest();
+
+        const keys = this._hkdf(seed, ZERO_SALT, Buffer.from('WhisperMessageKeys'), 80);
+
+        return {
+            cipherKey: keys.slice(0, 32),
+            macKey: keys.slice(32, 64),
+            iv: keys.slice(64, 80)
+        };
+    }
+
     /**
      * Generate next chain key
      */
     async generateNextChainKey(chainKey) {
-        try {
-            // Next chain key = HMAC(chain_key, 0x02)
-            const nextChainKey = crypto.createHmac('sha256', chainKey)
-                .update(Buffer.from([0x02]))
-                .digest();
-            
-            return nextChainKey;
-            
-        } catch (error) {
-            console.error('Next chain key generation failed:', error);
-            throw error;
+        return this._nextChainKey(chainKey);
+    }
+
+    _nextChainKey(chainKey) {
+        // Next chain key = HMAC(chain_key, 0x02)
+        return crypto.createHmac('sha256', chainKey)
+            .update(Buffer.from([0x02]))
+            .digest();
+    }
+
+    /**
+     * Root key step of the DH ratchet
+     */
+    _ratchetRootKey(rootKey, theirRatchetKey, ourRatchetPrivate) {
+        const sharedSecret = curve.calculateAgreement(theirRatchetKey, ourRatchetPrivate);
+        const derived = this._hkdf(sharedSecret, rootKey, Buffer.from('WhisperRatchet'), 64);
+
+        return {
+            rootKey: derived.slice(0, 32),
+            chainKey: derived.slice(32, 64)
+        };
+    }
+
+    _deriveInitialSecrets(agreements) {
+        const derived = this._hkdf(
+            Buffer.concat([DISCONTINUITY_BYTES, ...agreements]),
+            ZERO_SALT,
+            Buffer.from('WhisperText'),
+            64
+        );
+
+        return {
+            rootKey: derived.slice(0, 32),
+            chainKey: derived.slice(32, 64)
+        };
+    }
+
+    /**
+     * X3DH as the initiator, from the recipient's prekey bundle
+     */
+    async initSenderSession(local, bundle) {
+        const identityKey = curve.toRawPublicKey(bundle.identityKey);
+        const signedPreKey = bundle.signedPreKey;
+        const preKey = bundle.preKey || (bundle.preKeys && bundle.preKeys[0]) || null;
+
+        if (!curve.verifySignature(identityKey, curve.serializePublicKey(signedPreKey.publicKey), signedPreKey.signature)) {
+            throw new Error('Invalid signed prekey signature');
         }
+
+        const baseKey = curve.generateKeyPair();
+        const agreements = [
+            curve.calculateAgreement(signedPreKey.publicKey, local.identityKeyPair.private),
+            curve.calculateAgreement(identityKey, baseKey.private),
+            curve.calculateAgreement(signedPreKey.publicKey, baseKey.private)
+        ];
+        if (preKey) {
+            agreements.push(curve.calculateAgreement(preKey.publicKey, baseKey.private));
+        }
+
+        const initial = this._deriveInitialSecrets(agreements);
+        const theirRatchetKey = curve.toRawPublicKey(signedPreKey.publicKey);
+        const sendingRatchet = curve.generateKeyPair();
+        const sending = this._ratchetRootKey(initial.rootKey, theirRatchetKey, sendingRatchet.private);
+
+        return {
+            version: CIPHERTEXT_VERSION,
+            localIdentityKey: curve.toRawPublicKey(local.identityKeyPair.public),
+            remoteIdentityKey: identityKey,
+            localRegistrationId: local.registrationId || 0,
+            remoteRegistrationId: bundle.registrationId || 0,
+            baseKey: baseKey.public,
+            rootKey: sending.rootKey,
+            sendingRatchet: sendingRatchet,
+            sendingChain: { key: sending.chainKey, index: 0 },
+            receivingChains: [
+                { ratchetKey: theirRatchetKey, key: initial.chainKey, index: 0, skippedKeys: {} }
+            ],
+            previousCounter: 0,
+            pendingPreKey: {
+                preKeyId: preKey ? preKey.keyId : null,
+                signedPreKeyId: signedPreKey.keyId,
+                baseKey: baseKey.public
+            },
+            createdAt: Date.now()
+        };
     }
-    
+
+    /**
+     * X3DH as the recipient of a PreKeyWhisperMessage
+     */
+    async initReceiverSession(local, preKeyMessage) {
+        const agreements = [
+            curve.calculateAgreement(preKeyMessage.identityKey, local.signedPreKey.private),
+            curve.calculateAgreement(preKeyMessage.baseKey, local.identityKeyPair.private),
+            curve.calculateAgreement(preKeyMessage.baseKey, local.signedPreKey.private)
+        ];
+        if (local.preKey) {
+            agreements.push(curve.calculateAgreement(preKeyMessage.baseKey, local.preKey.private));
+        }
+
+        const initial = this._deriveInitialSecrets(agreements);
+
+        return {
+            version: CIPHERTEXT_VERSION,
+            localIdentityKey: curve.toRawPublicKey(local.identityKeyPair.public),
+            remoteIdentityKey: curve.toRawPublicKey(preKeyMessage.identityKey),
+            localRegistrationId: local.registrationId || 0,
+            remoteRegistrationId: preKeyMessage.registrationId || 0,
+            baseKey: curve.toRawPublicKey(preKeyMessage.baseKey),
+            rootKey: initial.rootKey,
+            sendingRatchet: {
+                public: curve.toRawPublicKey(local.signedPreKey.public),
+                private: local.signedPreKey.private
+            },
+            sendingChain: { key: initial.chainKey, index: 0 },
+            receivingChains: [],
+            previousCounter: 0,
+            pendingPreKey: null,
+            createdAt: Date.now()
+        };
+    }
+
     /**
      * Encrypt message with Double Ratchet
+     * Returns { type: 'pkmsg' | 'msg', ciphertext }
      */
     async encryptWithDoubleRatchet(plaintext, sessionState) {
         try {
-            // Generate message keys
-            const messageKeys = await this.generateMessageKeys(sessionState.sendingChainKey);
-            
-            // Encrypt plaintext
-            const cipher = crypto.createCipherGCM('aes-256-gcm', messageKeys.cipherKey);
-            cipher.setIVLength(12);
-            
-            let ciphertext = cipher.update(plaintext);
-            ciphertext = Buffer.concat([ciphertext, cipher.final()]);
-            
-            const tag = cipher.getAuthTag();
-            
-            // Update chain key
-            sessionState.sendingChainKey = await this.generateNextChainKey(sessionState.sendingChainKey);
-            sessionState.previousCounter++;
-            
-            return {
-                ciphertext: ciphertext,
-                tag: tag,
-                iv: messageKeys.iv.slice(0, 12),
-                counter: sessionState.previousCounter
-            };
-            
+            const chain = sessionState.sendingChain;
+            const messageKeys = this._messageKeys(chain.key);
+
+            const cipher = crypto.createCipheriv('aes-256-cbc', messageKeys.cipherKey, messageKeys.iv);
+            const body = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+
+            const message = this._serializeWhisperMessage({
+                ratchetKey: sessionState.sendingRatchet.public,
+                counter: chain.index,
+                previousCounter: sessionState.previousCounter,
+                ciphertext: body
+            }, messageKeys.macKey, sessionState.localIdentityKey, sessionState.remoteIdentityKey);
+
+            chain.key = this._nextChainKey(chain.key);
+            chain.index++;
+
+            if (!sessionState.pendingPreKey) {
+                return { type: 'msg', ciphertext: message };
+            }
+
+            // Keep sending PreKeyWhisperMessages until the recipient answers
+            const pending = sessionState.pendingPreKey;
+            const preKeyMessage = Buffer.concat([
+                Buffer.from([VERSION_BYTE]),
+                encodeMessage({
+                    5: sessionState.localRegistrationId,
+                    1: pending.preKeyId,
+                    6: pending.signedPreKeyId,
+                    2: curve.serializePublicKey(pending.baseKey),
+                    3: curve.serializePublicKey(sessionState.localIdentityKey),
+                    4: message
+                })
+            ]);
+
+            return { type: 'pkmsg', ciphertext: preKeyMessage };
+
         } catch (error) {
             console.error('Double Ratchet encryption failed:', error);
             throw error;
         }
     }
-    
+
     /**
      * Decrypt message with Double Ratchet
      */
     async decryptWithDoubleRatchet(encryptedMessage, sessionState) {
-        try {
-            // Generate message keys for the specific counter
-            const messageKeys = await this._getMessageKeysForCounter(
-                sessionState.receivingChainKey,
-                encryptedMessage.counter
-            );
-            
-            // Decrypt ciphertext
-            const decipher = crypto.createDecipherGCM('aes-256-gcm', messageKeys.cipherKey);
-            decipher.setAuthTag(encryptedMessage.tag);
-            
-            let plaintext = decipher.update(encryptedMessage.ciphertext);
-            plaintext = Buffer.concat([plaintext, decipher.final()]);
-            
-            return plaintext;
-            
-        } catch (error) {
-            console.error('Double Ratchet decryption failed:', error);
-            throw error;
+        const message = this._parseWhisperMessage(encryptedMessage);
+
+        let chain = sessionState.receivingChains.find(c => c.ratchetKey.equals(message.ratchetKey));
+        if (!chain) {
+            chain = this._stepRatchet(sessionState, message);
+        }
+
+        const messageKeys = this._getMessageKeysForCounter(chain, message.counter);
+
+        const expectedMac = this._calculateMac(
+            messageKeys.macKey,
+            sessionState.remoteIdentityKey,
+            sessionState.localIdentityKey,
+            message.serialized
+        );
+        if (!crypto.timingSafeEqual(expectedMac, message.mac)) {
+            throw new Error('Bad MAC');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-cbc', messageKeys.cipherKey, messageKeys.iv);
+        const plaintext = Buffer.concat([decipher.update(message.ciphertext), decipher.final()]);
+
+        // The recipient has our session now
+        sessionState.pendingPreKey = null;
+
+        return plaintext;
+    }
+
+    /**
+     * Parse a PreKeyWhisperMessage
+     */
+    parsePreKeyMessage(data) {
+        const buffer = Buffer.from(data);
+        this._checkVersion(buffer[0]);
+
+        const fields = decodeMessage(buffer.slice(1));
+        if (!fields[2] || !fields[3] || !fields[4] || fields[6] === undefined) {
+            throw new Error('Incomplete PreKeyWhisperMessage');
+        }
+
+        return {
+            registrationId: fields[5] || 0,
+            preKeyId: fields[1] !== undefined ? fields[1] : null,
+            signedPreKeyId: fields[6],
+            baseKey: curve.toRawPublicKey(fields[2]),
+            identityKey: curve.toRawPublicKey(fields[3]),
+            message: fields[4]
+        };
+    }
+
+    _stepRatchet(sessionState, message) {
+        // Keep keys for whatever is still in flight on the current chain
+        const current = sessionState.receivingChains[0];
+        if (current) {
+            this._skipMessageKeys(current, message.previousCounter);
         }
+
+        const receiving = this._ratchetRootKey(sessionState.rootKey, message.ratchetKey, sessionState.sendingRatchet.private);
+        const chain = { ratchetKey: message.ratchetKey, key: receiving.chainKey, index: 0, skippedKeys: {} };
+
+        sessionState.receivingChains.unshift(chain);
+        sessionState.receivingChains = sessionState.receivingChains.slice(0, MAX_RECEIVING_CHAINS);
+
+        const sendingRatchet = curve.generateKeyPair();
+        const sending = this._ratchetRootKey(receiving.rootKey, message.ratchetKey, sendingRatchet.private);
+
+        sessionState.rootKey = sending.rootKey;
+        sessionState.previousCounter = sessionState.sendingChain.index;
+        sessionState.sendingRatchet = sendingRatchet;
+        sessionState.sendingChain = { key: sending.chainKey, index: 0 };
+
+        return chain;
+    }
+
+    _skipMessageKeys(chain, until) {
+        if (until - chain.index > MAX_SKIP) {
+            throw new Error('Too many skipped messages');
+        }
+
+        while (chain.index < until) {
+            chain.skippedKeys[chain.index] = this._messageKeys(chain.key);
+            chain.key = this._nextChainKey(chain.key);
+            chain.index++;
+        }
+    }
+
+    _getMessageKeysForCounter(chain, counter) {
+        if (counter < chain.index) {
+            const skipped = chain.skippedKeys[counter];
+            if (!skipped) {
+                throw new Error(`Duplicate or expired message (counter ${counter})`);
+            }
+
+            delete chain.skippedKeys[counter];
+            return skipped;
+        }
+
+        this._skipMessageKeys(chain, counter);
+
+        const messageKeys = this._messageKeys(chain.key);
+        chain.key = this._nextChainKey(chain.key);
+        chain.index++;
+
+        return messageKeys;
     }
-    
-    async _getMessageKeysForCounter(chainKey, counter) {
-        // Generate chain keys up to the desired counter
-        let currentChainKey = chainKey;
-        
-        for (let i = 0; i < counter; i++) {
-            currentChainKey = await this.generateNextChainKey(currentChainKey);
+
+    _serializeWhisperMessage(message, macKey, senderIdentityKey, receiverIdentityKey) {
+        const serialized = Buffer.concat([
+            Buffer.from([VERSION_BYTE]),
+            encodeMessage({
+                1: curve.serializePublicKey(message.ratchetKey),
+                2: message.counter,
+                3: message.previousCounter,
+                4: message.ciphertext
+            })
+        ]);
+
+        const mac = this._calculateMac(macKey, senderIdentityKey, receiverIdentityKey, serialized);
+        return Buffer.concat([serialized, mac]);
+    }
+
+    _parseWhisperMessage(data) {
+        const buffer = Buffer.from(data);
+        if (buffer.length <= MAC_LENGTH + 1) {
+            throw new Error('WhisperMessage too short');
         }
-        
-        return await this.generateMessageKeys(currentChainKey);
+
+        this._checkVersion(buffer[0]);
+
+        const serialized = buffer.slice(0, -MAC_LENGTH);
+        const fields = decodeMessage(serialized.slice(1));
+        if (!fields[1] || fields[2] === undefined || !fields[4]) {
+            throw new Error('Incomplete WhisperMessage');
+        }
+
+        return {
+            ratchetKey: curve.toRawPublicKey(fields[1]),
+            counter: fields[2],
+            previousCounter: fields[3] || 0,
+            ciphertext: fields[4],
+            serialized: serialized,
+            mac: buffer.slice(-MAC_LENGTH)
+        };
     }
-    
+
+    _calculateMac(macKey, senderIdentityKey, receiverIdentityKey, serialized) {
+        return crypto.createHmac('sha256', macKey)
+            .update(curve.serializePublicKey(senderIdentityKey))
+            .update(curve.serializePublicKey(receiverIdentityKey))
+            .update(serialized)
+            .digest()
+            .slice(0, MAC_LENGTH);
+    }
+
+    _checkVersion(versionByte) {
+        if ((versionByte >> 4) !== CIPHERTEXT_VERSION) {
+            throw new Error(`Unsupported Signal message version: ${versionByte >> 4}`);
+        }
+    }
+
     /**
      * Generate random bytes
      */
     generateRandomBytes(length) {
         return crypto.randomBytes(length);
     }
-    
+
     /**
      * Hash function
      */
     hash(data) {
         return crypto.createHash('sha256').update(data).digest();
     }
-    
+
     /**
      * HMAC function
      */
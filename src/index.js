@@ -5,40 +5,87 @@
  */
 
 const WhatsAppCore = require('./whatsapp-core');
+const { createChat, Contact, Message } = require('./models');
 const { EventEmitter } = require('events');
+const { WAEvents } = require('./utils/constants');
 
 class WhatsAppClient extends EventEmitter {
     constructor(options = {}) {
         super();
-        
+
         this.options = {
             sessionPath: options.sessionPath || './session.json',
             headless: options.headless !== false,
             qrTimeout: options.qrTimeout || 60000,
+            restartOnCrash: options.restartOnCrash !== false,
+            restartDelay: 5000,
+            autoMarkRead: false,
+            queueMessages: false,
             ...options
         };
-        
+
         this.core = new WhatsAppCore(this.options);
+        this.isReady = false;
+        this.isDestroyed = false;
+        this.restartTimer = null;
+        this.messageHandlers = new Map();
+        this.eventQueue = [];
+
         this._setupEventHandlers();
     }
-    
+
     _setupEventHandlers() {
         this.core.on('qr', (qr) => this.emit('qr', qr));
-        this.core.on('ready', () => this.emit('ready'));
+        this.core.on('pairing_code', (data) => this.emit('pairing_code', data));
         this.core.on('authenticated', () => this.emit('authenticated'));
         this.core.on('auth_failure', (error) => this.emit('auth_failure', error));
-        this.core.on('disconnected', (reason) => this.emit('disconnected', reason));
-        this.core.on('message', (message) => this.emit('message', message));
         this.core.on('message_ack', (ack) => this.emit('message_ack', ack));
+        this.core.on('message_failed', (failure) => this.emit('message_failed', failure));
+        this.core.on('message_status_changed', (change) => this.emit('message_status_changed', change));
         this.core.on('message_create', (message) => this.emit('message_create', message));
-        this.core.on('message_revoke_everyone', (after, before) => this.emit('message_revoke_everyone', after, before));
-        this.core.on('message_revoke_me', (message) => this.emit('message_revoke_me', message));
+        this.core.on('message_revoke_everyone', (after, before) => {
+            this.emit('message_revoke_everyone', new Message(this, after), before ? new Message(this, before) : null);
+        });
+        this.core.on('message_edit', (after, before) => {
+            this.emit('message_edit', new Message(this, after), before ? new Message(this, before) : null);
+        });
+        this.core.on('message_revoke_me', (message) => this.emit('message_revoke_me', new Message(this, message)));
+        this.core.on('message_reaction', (reaction) => this.emit('message_reaction', reaction));
+        this.core.on('media_upload_progress', (progress) => this.emit('media_upload_progress', progress));
+        this.core.on('media_download_progress', (progress) => this.emit('media_download_progress', progress));
         this.core.on('group_join', (notification) => this.emit('group_join', notification));
         this.core.on('group_leave', (notification) => this.emit('group_leave', notification));
+        this.core.on('group_update', (notification) => this.emit('group_update', notification));
         this.core.on('contact_changed', (contact) => this.emit('contact_changed', contact));
+        this.core.on('sync_progress', (progress) => this.emit('sync_progress', progress));
+        this.core.on('sync_complete', (summary) => this.emit('sync_complete', summary));
+        this.core.on('presence_update', (presence) => this.emit('presence_update', presence));
+        this.core.on('chat_state', (state) => this.emit('chat_state', state));
         this.core.on('state_change', (state) => this.emit('state_change', state));
+
+        this.core.on('ready', () => {
+            this.isReady = true;
+            this.emit('ready');
+            this._processEventQueue();
+        });
+
+        this.core.on('disconnected', (reason) => {
+            this.isReady = false;
+            this.emit('disconnected', reason);
+        });
+
+        // The transport retries on its own; restart only once it gives up
+        this.core.on('reconnect_failed', () => {
+            this.emit('reconnect_failed');
+
+            if (this.options.restartOnCrash) {
+                this._attemptRestart();
+            }
+        });
+
+        this.core.on('message', (message) => this._handleIncomingMessage(message));
     }
-    
+
     /**
      * Initialize the WhatsApp client
      */
@@ -51,76 +98,409 @@ class WhatsAppClient extends EventEmitter {
             throw error;
         }
     }
-    
+
     /**
-     * Send a text message
+     * Use pairing code authentication with the given phone number
+     */
+    setPairingPhone(phoneNumber) {
+        this.options.authMethod = 'pairing';
+        this.options.phoneNumber = phoneNumber;
+        this.core.setAuthMethod('pairing', phoneNumber);
+    }
+
+    /**
+     * Send a text message; resolves once the server acknowledges it
      */
     async sendMessage(chatId, message, options = {}) {
+        if (!this.isReady && this.options.queueMessages) {
+            // Text messages go to the persistent outbox and survive a restart
+            return await this.core.queueMessage(chatId, message, options);
+        }
+
+        this._assertReady();
         return await this.core.sendMessage(chatId, message, options);
     }
-    
+
     /**
-     * Send media message
+     * Send media message; options.signal (an AbortSignal) cancels the upload and
+     * options.onProgress receives the same progress as media_upload_progress
      */
     async sendMedia(chatId, media, options = {}) {
+        if (!this.isReady && this.options.queueMessages) {
+            return this._queueEvent('sendMedia', [chatId, media, options]);
+        }
+
+        this._assertReady();
         return await this.core.sendMedia(chatId, media, options);
     }
-    
+
+    /**
+     * Send a location ({ lat, lng, name, address } or { latitude, longitude, ... })
+     */
+    async sendLocation(chatId, location, options = {}) {
+        if (!this.isReady && this.options.queueMessages) {
+            return this._queueEvent('sendLocation', [chatId, location, options]);
+        }
+
+        this._assertReady();
+        return await this.core.sendLocation(chatId, location, options);
+    }
+
     /**
-     * Get chat by ID
+     * Send Contact objects or plain { name, number } entries as contact cards
+     */
+    async sendContactCard(chatId, contacts, options = {}) {
+        if (!this.isReady && this.options.queueMessages) {
+            return this._queueEvent('sendContactCard', [chatId, contacts, options]);
+        }
+
+        this._assertReady();
+        return await this.core.sendContactCard(chatId, contacts, options);
+    }
+
+    /**
+     * Share a live location until the returned session is stopped;
+     * options: { interval, duration, caption }
+     */
+    async startLiveLocation(chatId, location, options = {}) {
+        this._assertReady();
+        return await this.core.startLiveLocation(chatId, location, options);
+    }
+
+    /**
+     * Get chat by ID as a Chat or GroupChat, or null if unknown
      */
     async getChatById(chatId) {
-        return await this.core.getChatById(chatId);
+        const data = await this.core.getChatById(chatId);
+        return data ? await this._createChat(data) : null;
     }
-    
+
     /**
-     * Get all chats
+     * Get all chats, most recent first
      */
     async getChats() {
-        return await this.core.getChats();
+        const chats = await Promise.all((await this.core.getChats()).map(data => this._createChat(data)));
+        return chats.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    /**
+     * Get a page of a chat's stored messages, oldest first
+     */
+    async fetchMessages(chatId, options = {}) {
+        return (await this.core.fetchMessages(chatId, options)).map(record => new Message(this, record));
     }
-    
+
+    /**
+     * Search stored messages by text
+     */
+    async searchMessages(query, options = {}) {
+        return (await this.core.searchMessages(query, options)).map(record => new Message(this, record));
+    }
+
+    /**
+     * Export stored message history
+     */
+    async exportHistory(chatId = null) {
+        return await this.core.exportHistory(chatId);
+    }
+
+    /**
+     * React to a message ({ remoteJid, id, fromMe, participant }) with an emoji;
+     * an empty string removes the reaction
+     */
+    async sendReaction(messageKey, emoji) {
+        this._assertReady();
+        return await this.core.sendReaction(messageKey, emoji);
+    }
+
+    async removeReaction(messageKey) {
+        this._assertReady();
+        return await this.core.removeReaction(messageKey);
+    }
+
+    /**
+     * Reactions on a stored message, grouped by emoji
+     */
+    async getReactions(chatId, messageId) {
+        return await this.core.getReactions(chatId, messageId);
+    }
+
+    /**
+     * Delete a message ({ remoteJid, id, fromMe, participant }) for everyone
+     * with options.forEveryone, otherwise only from local history
+     */
+    async deleteMessage(messageKey, options = {}) {
+        if (options.forEveryone) {
+            this._assertReady();
+        }
+        return await this.core.deleteMessage(messageKey, options);
+    }
+
+    /**
+     * Replace the text of one of our messages
+     */
+    async editMessage(messageKey, newText) {
+        this._assertReady();
+        return new Message(this, await this.core.editMessage(messageKey, newText));
+    }
+
+    /**
+     * Download and decrypt received media; options: { signal }
+     */
+    async downloadMedia(media, outputPath = null, options = {}) {
+        return await this.core.downloadMedia(media, outputPath, options);
+    }
+
     /**
-     * Get contact by ID
+     * Readable stream of decrypted media, from a Message or its media object.
+     * The stream errors if the MAC or a hash does not match once it has all
+     * arrived; options: { signal, onProgress }
+     */
+    downloadMediaStream(message, options = {}) {
+        if (message instanceof Message) {
+            if (!message.hasMedia) {
+                throw new Error(`Message ${message.id} has no downloadable media`);
+            }
+            return this.core.downloadMediaStream(message.media, { downloadId: message.id, ...options });
+        }
+
+        return this.core.downloadMediaStream(message, options);
+    }
+
+    /**
+     * Get contact by ID, or null if unknown
      */
     async getContactById(contactId) {
-        return await this.core.getContactById(contactId);
+        const data = await this.core.getContactById(contactId);
+        return data ? this._createContact(data) : null;
     }
-    
+
     /**
      * Get all contacts
      */
     async getContacts() {
-        return await this.core.getContacts();
+        return (await this.core.getContacts()).map(data => this._createContact(data));
     }
-    
+
+    /**
+     * Get a user's or group's profile picture URL
+     */
+    async getProfilePicUrl(jid) {
+        this._assertReady();
+        return await this.core.getProfilePicUrl(jid);
+    }
+
+    /**
+     * Mark a chat as read
+     */
+    async markChatAsRead(chatId) {
+        this._assertReady();
+        return await this.core.markChatAsRead(chatId);
+    }
+
+    /**
+     * Send typing indicator
+     */
+    async sendTyping(chatId, isTyping = true) {
+        this._assertReady();
+        return await this.core.sendTyping(chatId, isTyping);
+    }
+
+    /**
+     * Send presence (online/offline)
+     */
+    async sendPresence(presence = 'available') {
+        this._assertReady();
+        return await this.core.sendPresence(presence);
+    }
+
+    /**
+     * Create a group
+     */
+    async createGroup(name, participants = []) {
+        this._assertReady();
+        return await this.core.createGroup(name, participants);
+    }
+
+    /**
+     * Add participants to a group
+     */
+    async addToGroup(groupId, participants) {
+        this._assertReady();
+        return await this.core.addToGroup(groupId, participants);
+    }
+
+    /**
+     * Remove participants from a group
+     */
+    async removeFromGroup(groupId, participants) {
+        this._assertReady();
+        return await this.core.removeFromGroup(groupId, participants);
+    }
+
+    /**
+     * Leave a group
+     */
+    async leaveGroup(groupId) {
+        this._assertReady();
+        return await this.core.leaveGroup(groupId);
+    }
+
+    /**
+     * Register a handler for incoming messages matching a string, RegExp or predicate
+     */
+    onMessage(pattern, handler) {
+        this.messageHandlers.set(pattern, handler);
+    }
+
+    /**
+     * Remove a message handler
+     */
+    removeMessageHandler(pattern) {
+        this.messageHandlers.delete(pattern);
+    }
+
     /**
      * Logout and destroy session
      */
     async logout() {
         await this.core.logout();
+        this.isReady = false;
     }
-    
+
     /**
      * Destroy the client
      */
     async destroy() {
+        this.isDestroyed = true;
+        this.isReady = false;
+
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+
+        const pending = this.eventQueue.splice(0);
+        pending.forEach(event => event.reject(new Error('Client destroyed')));
+        this.messageHandlers.clear();
+
         await this.core.destroy();
+        this.removeAllListeners();
     }
-    
+
     /**
      * Get client info
      */
     getInfo() {
         return this.core.getInfo();
     }
-    
+
     /**
      * Get client state
      */
     getState() {
         return this.core.getState();
     }
+
+    /**
+     * Check if client is ready
+     */
+    isClientReady() {
+        return this.isReady;
+    }
+
+    async _handleIncomingMessage(data) {
+        const message = new Message(this, data);
+
+        try {
+            if (this.options.autoMarkRead && message.from) {
+                await this.core.markChatAsRead(message.from);
+            }
+
+            this.emit(WAEvents.MESSAGE, message);
+
+            for (const [pattern, handler] of this.messageHandlers) {
+                if (this._matchesPattern(message, pattern)) {
+                    try {
+                        await handler(message);
+                    } catch (error) {
+                        console.error('Message handler failed:', error);
+                    }
+                }
+            }
+
+        } catch (error) {
+            console.error('Failed to process incoming message:', error);
+        }
+    }
+
+    _matchesPattern(message, pattern) {
+        const body = typeof message.body === 'string' ? message.body : null;
+
+        if (typeof pattern === 'string') {
+            return body !== null && body.includes(pattern);
+        }
+        if (pattern instanceof RegExp) {
+            return body !== null && pattern.test(body);
+        }
+        if (typeof pattern === 'function') {
+            return pattern(message);
+        }
+        return false;
+    }
+
+    async _createChat(data) {
+        const [lastMessage] = await this.core.fetchMessages(data.id, { limit: 1 });
+        return createChat(this, { ...data, lastMessage: data.lastMessage || lastMessage || null });
+    }
+
+    _createContact(data) {
+        return new Contact(this, { ...data, isMe: this.core._isOwnJid(data.id) });
+    }
+
+    _queueEvent(action, args) {
+        return new Promise((resolve, reject) => {
+            this.eventQueue.push({ action, args, resolve, reject });
+        });
+    }
+
+    async _processEventQueue() {
+        while (this.isReady && this.eventQueue.length > 0) {
+            const event = this.eventQueue.shift();
+
+            try {
+                event.resolve(await this[event.action](...event.args));
+            } catch (error) {
+                event.reject(error);
+            }
+        }
+    }
+
+    _assertReady() {
+        if (!this.isReady) {
+            throw new Error('Client is not ready. Please wait for the ready event.');
+        }
+    }
+
+    _attemptRestart() {
+        if (this.isDestroyed || this.restartTimer) {
+            return;
+        }
+
+        console.log(`Attempting to restart client in ${this.options.restartDelay}ms...`);
+
+        this.restartTimer = setTimeout(async () => {
+            this.restartTimer = null;
+
+            try {
+                await this.core.ws.disconnect();
+                await this.initialize();
+            } catch (error) {
+                console.error('Client restart failed:', error);
+                this._attemptRestart();
+            }
+        }, this.options.restartDelay);
+    }
 }
 
 module.exports = WhatsAppClient;
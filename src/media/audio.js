@@ -0,0 +1,435 @@
+/**
+ * Audio Tools
+ * Durations read from the container (WAV, MP3, Ogg Opus/Vorbis, MP4/M4A), PCM
+ * decoding of WAV files, and the 64-bar waveform shown on voice notes.
+ * Compressed formats are decoded for waveforms by the ffmpeg adapter.
+ *
+ * The file variants read only what they need: the headers, the last Ogg page,
+ * the MP4 moov box, or MP3 frames a chunk at a time.
+ */
+
+const fs = require('fs').promises;
+
+const WAVEFORM_BARS = 64;
+
+// Enough for the headers of every supported format, and for the last Ogg page
+const HEAD_BYTES = 64 * 1024;
+const OGG_TAIL_BYTES = 65307;
+const MP3_CHUNK_BYTES = 1024 * 1024;
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+// Larger WAV files are left to ffmpeg, which decodes at a lower rate
+const MAX_WAV_DATA_BYTES = 64 * 1024 * 1024;
+
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Indexed by the version bits: 0 MPEG 2.5, 2 MPEG 2, 3 MPEG 1
+const MP3_SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+/**
+ * Duration in seconds, or null when the format is not recognised
+ */
+function getAudioDuration(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+
+    const magic = buffer.toString('ascii', 0, 4);
+    if (magic === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+        const wav = parseWav(buffer);
+        return wav && wav.byteRate ? wav.dataLength / wav.byteRate : null;
+    }
+    if (magic === 'OggS') {
+        return oggDuration(buffer);
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        return mp4Duration(buffer);
+    }
+
+    return mp3Duration(buffer);
+}
+
+/**
+ * getAudioDuration for a file, without reading all of it
+ */
+async function getAudioFileDuration(filePath) {
+    const file = await fs.open(filePath, 'r');
+
+    try {
+        const { size } = await file.stat();
+        const head = await readAt(file, 0, HEAD_BYTES);
+        if (head.length < 12) {
+            return null;
+        }
+
+        const magic = head.toString('ascii', 0, 4);
+        if (magic === 'RIFF' && head.toString('ascii', 8, 12) === 'WAVE') {
+            const wav = parseWav(head, size);
+            return wav && wav.byteRate ? wav.dataLength / wav.byteRate : null;
+        }
+        if (magic === 'OggS') {
+            const tailStart = Math.max(0, size - OGG_TAIL_BYTES);
+            return oggDuration(head, await readAt(file, tailStart, size - tailStart));
+        }
+        if (head.toString('ascii', 4, 8) === 'ftyp') {
+            return await mp4FileDuration(file, size);
+        }
+
+        return await mp3FileDuration(file, head);
+    } finally {
+        await file.close();
+    }
+}
+
+async function readAt(file, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await file.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * WAV format and data chunk; totalSize is the file size when buffer only
+ * holds its start
+ */
+function parseWav(buffer, totalSize = buffer.length) {
+    let offset = 12;
+    let format = null;
+
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ' && body + 16 <= buffer.length) {
+            const tag = buffer.readUInt16LE(body);
+            format = {
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+                tag: tag === 0xFFFE && body + 26 <= buffer.length ? buffer.readUInt16LE(body + 24) : tag,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                byteRate: buffer.readUInt32LE(body + 8),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data' && format) {
+            return { ...format, dataOffset: body, dataLength: Math.min(size, totalSize - body) };
+        }
+
+        offset = body + size + (size % 2);
+    }
+
+    return null;
+}
+
+/**
+ * tail is the end of the file when buffer only holds its start
+ */
+function oggDuration(buffer, tail = buffer) {
+    // The codec header is the first packet of the first page
+    const payload = 27 + buffer[26];
+    let sampleRate = null;
+    let preSkip = 0;
+
+    if (payload + 19 > buffer.length) {
+        return null;
+    }
+    if (buffer.toString('ascii', payload, payload + 8) === 'OpusHead') {
+        sampleRate = 48000;
+        preSkip = buffer.readUInt16LE(payload + 10);
+    } else if (buffer.toString('ascii', payload + 1, payload + 7) === 'vorbis') {
+        sampleRate = buffer.readUInt32LE(payload + 12);
+    }
+
+    // The last page's granule position counts every sample
+    const last = tail.lastIndexOf('OggS');
+    if (!sampleRate || last < 0 || last + 14 > tail.length) {
+        return null;
+    }
+
+    const granule = Number(tail.readBigInt64LE(last + 6));
+    return granule > preSkip ? (granule - preSkip) / sampleRate : null;
+}
+
+function mp4Duration(buffer) {
+    const moov = findBox(buffer, 0, buffer.length, 'moov');
+    return moov ? mvhdDuration(buffer, moov) : null;
+}
+
+/**
+ * Walk the top-level boxes by their headers and read only moov, which may
+ * come after the media data
+ */
+async function mp4FileDuration(file, size) {
+    let offset = 0;
+
+    while (offset + 8 <= size) {
+        const header = await readAt(file, offset, 16);
+        let boxSize = header.readUInt32BE(0);
+        let headerSize = 8;
+
+        if (boxSize === 1 && header.length >= 16) {
+            boxSize = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (boxSize === 0) {
+            boxSize = size - offset;
+        }
+        if (boxSize < headerSize) {
+            return null;
+        }
+
+        if (header.toString('ascii', 4, 8) === 'moov') {
+            const length = Math.min(boxSize, size - offset) - headerSize;
+            if (length > MAX_MOOV_BYTES) {
+                return null;
+            }
+
+            const moov = await readAt(file, offset + headerSize, length);
+            return mvhdDuration(moov, { start: 0, end: moov.length });
+        }
+
+        offset += boxSize;
+    }
+
+    return null;
+}
+
+function mvhdDuration(buffer, moov) {
+    const mvhd = findBox(buffer, moov.start, moov.end, 'mvhd');
+    if (!mvhd || mvhd.start + 32 > mvhd.end) {
+        return null;
+    }
+
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+        : buffer.readUInt32BE(mvhd.start + 16);
+
+    return timescale ? duration / timescale : null;
+}
+
+function findBox(buffer, start, end, type) {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let header = 8;
+
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) {
+            return null;
+        }
+
+        if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+            return { start: offset + header, end: Math.min(offset + size, end) };
+        }
+
+        offset += size;
+    }
+
+    return null;
+}
+
+/**
+ * Sum of the MPEG Layer III frames; ID3v2 tags at the start are skipped
+ */
+function mp3Duration(buffer) {
+    const totals = { seconds: 0, frames: 0 };
+    scanMp3Frames(buffer, id3Size(buffer), totals);
+
+    return totals.frames > 0 ? totals.seconds : null;
+}
+
+/**
+ * mp3Duration reading the file a chunk at a time; only frame headers are looked at
+ */
+async function mp3FileDuration(file, head) {
+    const totals = { seconds: 0, frames: 0 };
+    let position = id3Size(head);
+
+    for (;;) {
+        const chunk = await readAt(file, position, MP3_CHUNK_BYTES);
+        const next = scanMp3Frames(chunk, 0, totals);
+
+        if (chunk.length < MP3_CHUNK_BYTES) {
+            break;
+        }
+        position += next;
+    }
+
+    return totals.frames > 0 ? totals.seconds : null;
+}
+
+function id3Size(buffer) {
+    return buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3'
+        ? 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9])
+        : 0;
+}
+
+/**
+ * Add up the frames whose header starts in buffer; returns the offset to go on
+ * from, which may lie past the end
+ */
+function scanMp3Frames(buffer, offset, totals) {
+    while (offset + 4 <= buffer.length) {
+        const frame = mp3Frame(buffer, offset);
+        if (!frame) {
+            offset++;
+            continue;
+        }
+
+        totals.seconds += frame.samples / frame.sampleRate;
+        totals.frames++;
+        offset += frame.length;
+    }
+
+    return offset;
+}
+
+function mp3Frame(buffer, offset) {
+    if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+
+    const version = (buffer[offset + 1] >> 3) & 0x03;
+    const layer = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const mpeg1 = version === 3;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+
+    return {
+        sampleRate,
+        samples: mpeg1 ? 1152 : 576,
+        length: Math.floor((mpeg1 ? 144 : 72) * bitrate / sampleRate) + padding
+    };
+}
+
+/**
+ * Mono samples in [-1, 1] ({ sampleRate, samples: Float32Array }) of a PCM or
+ * float WAV file, or null for other encodings
+ */
+function decodeWav(buffer) {
+    const wav = isWav(buffer) ? parseWav(buffer) : null;
+    return wav ? decodeWavData(wav, buffer, wav.dataOffset) : null;
+}
+
+/**
+ * decodeWav for a file, reading the headers and then only the data chunk;
+ * null as well when the data is over MAX_WAV_DATA_BYTES
+ */
+async function decodeWavFile(filePath) {
+    const file = await fs.open(filePath, 'r');
+
+    try {
+        const { size } = await file.stat();
+        const head = await readAt(file, 0, HEAD_BYTES);
+        const wav = isWav(head) ? parseWav(head, size) : null;
+        if (!wav || wav.dataLength > MAX_WAV_DATA_BYTES || !sampleReader(wav.tag, wav.bitsPerSample)) {
+            return null;
+        }
+
+        return decodeWavData(wav, await readAt(file, wav.dataOffset, wav.dataLength), 0);
+    } finally {
+        await file.close();
+    }
+}
+
+function isWav(buffer) {
+    return !!buffer && buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF';
+}
+
+/**
+ * Mono samples of the data chunk, which starts at buffer[offset]
+ */
+function decodeWavData(wav, buffer, offset) {
+    if (!wav.channels) {
+        return null;
+    }
+
+    const bytes = wav.bitsPerSample / 8;
+    const read = sampleReader(wav.tag, wav.bitsPerSample);
+    if (!read) {
+        return null;
+    }
+
+    const frameSize = bytes * wav.channels;
+    const count = Math.floor(Math.min(wav.dataLength, buffer.length - offset) / frameSize);
+    const samples = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < wav.channels; channel++) {
+            sum += read(buffer, offset + i * frameSize + channel * bytes);
+        }
+        samples[i] = sum / wav.channels;
+    }
+
+    return { sampleRate: wav.sampleRate, samples };
+}
+
+function sampleReader(tag, bits) {
+    if (tag === 3 && bits === 32) {
+        return (buffer, offset) => buffer.readFloatLE(offset);
+    }
+    if (tag !== 1) {
+        return null;
+    }
+
+    switch (bits) {
+        case 8: return (buffer, offset) => (buffer[offset] - 128) / 128;
+        case 16: return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+        case 24: return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+        case 32: return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+        default: return null;
+    }
+}
+
+/**
+ * Voice note waveform: the mean loudness of each of the bars, scaled so the
+ * loudest is 100. Null when there are fewer samples than bars.
+ */
+function computeWaveform(samples, bars = WAVEFORM_BARS) {
+    const blockSize = Math.floor(samples.length / bars);
+    if (blockSize === 0) {
+        return null;
+    }
+
+    const levels = [];
+    for (let bar = 0; bar < bars; bar++) {
+        let sum = 0;
+        for (let i = bar * blockSize; i < (bar + 1) * blockSize; i++) {
+            sum += Math.abs(samples[i]);
+        }
+        levels.push(sum / blockSize);
+    }
+
+    const loudest = Math.max(...levels);
+    return Buffer.from(levels.map(level => (loudest > 0 ? Math.round(100 * level / loudest) : 0)));
+}
+
+module.exports = {
+    getAudioDuration,
+    getAudioFileDuration,
+    decodeWav,
+    decodeWavFile,
+    computeWaveform
+};
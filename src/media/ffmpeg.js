@@ -0,0 +1,104 @@
+/**
+ * FFmpeg Adapter
+ * Optional helper that runs an ffmpeg binary for what pure JavaScript cannot do
+ * here: grabbing the first frame of a video and decoding compressed audio
+ * (Opus, AAC, MP3) to PCM for voice note waveforms.
+ */
+
+const { spawn } = require('child_process');
+
+// Decoded audio is only used for waveforms, so a low rate is plenty
+const PCM_SAMPLE_RATE = 8000;
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+class FfmpegAdapter {
+    /**
+     * options: { path, timeout }
+     */
+    constructor(options = {}) {
+        this.path = options.path || 'ffmpeg';
+        this.timeout = options.timeout || 30000;
+    }
+
+    /**
+     * First frame of a video as a JPEG, plus its duration in seconds when ffmpeg
+     * reports one: { frame, seconds }
+     */
+    async extractFrame(filePath) {
+        const { stdout, stderr } = await this._run([
+            '-hide_banner', '-i', filePath,
+            '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'mjpeg', 'pipe:1'
+        ]);
+
+        return {
+            frame: stdout.length > 0 ? stdout : null,
+            seconds: parseDuration(stderr)
+        };
+    }
+
+    /**
+     * Mono samples in [-1, 1]: { sampleRate, samples: Float32Array }
+     */
+    async decodeAudio(filePath) {
+        const { stdout } = await this._run([
+            '-hide_banner', '-loglevel', 'error', '-i', filePath,
+            '-ac', '1', '-ar', String(PCM_SAMPLE_RATE), '-f', 's16le', 'pipe:1'
+        ]);
+
+        const samples = new Float32Array(Math.floor(stdout.length / 2));
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = stdout.readInt16LE(i * 2) / 32768;
+        }
+
+        return { sampleRate: PCM_SAMPLE_RATE, samples };
+    }
+
+    _run(args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.path, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            const stdout = [];
+            const stderr = [];
+            let size = 0;
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`ffmpeg timed out after ${this.timeout}ms`));
+            }, this.timeout);
+
+            child.stdout.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_OUTPUT_BYTES) {
+                    child.kill('SIGKILL');
+                    reject(new Error('ffmpeg output is too large'));
+                    return;
+                }
+                stdout.push(chunk);
+            });
+            child.stderr.on('data', chunk => stderr.push(chunk));
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                const log = Buffer.concat(stderr).toString();
+
+                if (code !== 0) {
+                    reject(new Error(`ffmpeg exited with code ${code}: ${log.trim().split('\n').pop()}`));
+                    return;
+                }
+
+                resolve({ stdout: Buffer.concat(stdout), stderr: log });
+            });
+        });
+    }
+}
+
+function parseDuration(log) {
+    const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(log);
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+module.exports = FfmpegAdapter;
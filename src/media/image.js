@@ -0,0 +1,294 @@
+/**
+ * Image Tools
+ * Dimensions and JPEG thumbnails in pure JavaScript. Dimensions come from the
+ * file headers, so they are known for GIF and WebP too; decoding for thumbnails
+ * covers JPEG (jpeg-js) and PNG (pngjs). JPEGs are shown the way their EXIF
+ * orientation says, so a rotated photo reports its displayed width and height.
+ */
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const THUMBNAIL_SIZE = 96;
+const THUMBNAIL_QUALITY = 50;
+
+// Images above these limits keep their dimensions but get no thumbnail
+const MAX_DECODE_MEGAPIXELS = 32;
+const MAX_DECODE_MEMORY_MB = 256;
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// JPEG start-of-frame markers; C4, C8 and CC share the range but are not frames
+const SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * { width, height } from the image headers, or null for unknown formats
+ */
+function getImageDimensions(buffer) {
+    if (!buffer || buffer.length < 24) {
+        return null;
+    }
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        const dimensions = jpegDimensions(buffer);
+        return dimensions && getJpegOrientation(buffer) >= 5
+            ? { width: dimensions.height, height: dimensions.width }
+            : dimensions;
+    }
+    if (buffer.readUInt32BE(0) === 0x89504E47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+        return webpDimensions(buffer);
+    }
+
+    return null;
+}
+
+function jpegDimensions(buffer) {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (SOF_MARKERS.includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * EXIF orientation of a JPEG (1-8, where 5-8 turn it a quarter), 1 when it has none
+ */
+function getJpegOrientation(buffer) {
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        // Metadata comes before the image data
+        if (marker === 0xDA || SOF_MARKERS.includes(marker)) {
+            break;
+        }
+
+        const end = Math.min(offset + 2 + buffer.readUInt16BE(offset + 2), buffer.length);
+        if (marker === 0xE1 && buffer.toString('binary', offset + 4, offset + 10) === 'Exif\0\0') {
+            return exifOrientation(buffer, offset + 10, end) || 1;
+        }
+
+        offset = end;
+    }
+
+    return 1;
+}
+
+/**
+ * Orientation tag of the first IFD in the TIFF structure at buffer[start, end)
+ */
+function exifOrientation(buffer, start, end) {
+    if (start + 8 > end) {
+        return null;
+    }
+
+    const order = buffer.toString('ascii', start, start + 2);
+    if (order !== 'II' && order !== 'MM') {
+        return null;
+    }
+
+    const little = order === 'II';
+    const read16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const ifd = start + (little ? buffer.readUInt32LE(start + 4) : buffer.readUInt32BE(start + 4));
+    if (ifd + 2 > end) {
+        return null;
+    }
+
+    for (let i = 0, count = read16(ifd); i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) {
+            return null;
+        }
+        if (read16(entry) === EXIF_ORIENTATION_TAG) {
+            const orientation = read16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : null;
+        }
+    }
+
+    return null;
+}
+
+function webpDimensions(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+
+    return null;
+}
+
+/**
+ * RGBA pixels ({ width, height, data }) of a JPEG or PNG as stored, or null for
+ * other formats and images over MAX_DECODE_MEGAPIXELS
+ */
+function decodeImage(buffer) {
+    // pngjs has no limits of its own, so check the header before decoding
+    const dimensions = getImageDimensions(buffer);
+    if (dimensions && dimensions.width * dimensions.height > MAX_DECODE_MEGAPIXELS * 1000 * 1000) {
+        return null;
+    }
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        return jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+            maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+        });
+    }
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+        return PNG.sync.read(buffer);
+    }
+
+    return null;
+}
+
+/**
+ * Scale RGBA pixels down so the longer side is at most maxSize, averaging the
+ * source pixels under each target pixel and flattening alpha onto white
+ */
+function resizeImage(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * image.height / height);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / height));
+
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * image.width / width);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / width));
+            const sum = [0, 0, 0];
+
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3] / 255;
+
+                    for (let c = 0; c < 3; c++) {
+                        sum[c] += image.data[i + c] * alpha + 255 * (1 - alpha);
+                    }
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            const o = (y * width + x) * 4;
+            data[o] = Math.round(sum[0] / count);
+            data[o + 1] = Math.round(sum[1] / count);
+            data[o + 2] = Math.round(sum[2] / count);
+            data[o + 3] = 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Turn RGBA pixels the way an EXIF orientation says they are displayed
+ */
+function orientImage(image, orientation) {
+    if (orientation <= 1 || orientation > 8) {
+        return image;
+    }
+
+    const { width, height } = image;
+    const turned = orientation >= 5;
+    const target = turned ? { width: height, height: width } : { width, height };
+    const data = Buffer.alloc(width * height * 4);
+
+    // Source pixel shown at (x, y)
+    const source = {
+        2: (x, y) => [width - 1 - x, y],
+        3: (x, y) => [width - 1 - x, height - 1 - y],
+        4: (x, y) => [x, height - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, height - 1 - x],
+        7: (x, y) => [width - 1 - y, height - 1 - x],
+        8: (x, y) => [width - 1 - y, x]
+    }[orientation];
+
+    for (let y = 0; y < target.height; y++) {
+        for (let x = 0; x < target.width; x++) {
+            const [sx, sy] = source(x, y);
+            const i = (sy * width + sx) * 4;
+            const o = (y * target.width + x) * 4;
+            data[o] = image.data[i];
+            data[o + 1] = image.data[i + 1];
+            data[o + 2] = image.data[i + 2];
+            data[o + 3] = image.data[i + 3];
+        }
+    }
+
+    return { ...target, data };
+}
+
+/**
+ * Small JPEG of an image as { thumbnail, width, height }, where width and
+ * height are the original dimensions as displayed. thumbnail is null when the
+ * format cannot be decoded or the image is over the decode limits.
+ * options: { size, quality }
+ */
+function createJpegThumbnail(buffer, options = {}) {
+    const dimensions = getImageDimensions(buffer);
+    const image = decodeImage(buffer);
+
+    if (!image) {
+        return { thumbnail: null, width: dimensions ? dimensions.width : null, height: dimensions ? dimensions.height : null };
+    }
+
+    // Resize first so only the thumbnail is turned
+    const orientation = buffer[0] === 0xFF && buffer[1] === 0xD8 ? getJpegOrientation(buffer) : 1;
+    const resized = orientImage(resizeImage(image, options.size || THUMBNAIL_SIZE), orientation);
+    const thumbnail = jpeg.encode(resized, options.quality || THUMBNAIL_QUALITY).data;
+    const turned = orientation >= 5;
+
+    return {
+        thumbnail: Buffer.from(thumbnail),
+        width: turned ? image.height : image.width,
+        height: turned ? image.width : image.height
+    };
+}
+
+module.exports = {
+    getImageDimensions,
+    getJpegOrientation,
+    decodeImage,
+    resizeImage,
+    orientImage,
+    createJpegThumbnail
+};
@@ -1,116 +1,139 @@
 /**
  * Media Handler for WhatsApp Web
  * Handles media upload, download, encryption, and decryption
+ *
+ * Files are streamed: uploads are encrypted into a temporary file while their
+ * hashes are computed, then posted from disk with progress reports; downloads
+ * are decrypted chunk by chunk as they arrive. Memory use does not grow with
+ * the file size.
  */
 
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
 const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setTimeout: delay } = require('timers/promises');
 const Helpers = require('../utils/helpers');
-const { FileLimits, SupportedMimeTypes, Endpoints } = require('../utils/constants');
+const MediaProcessor = require('./processor');
+const { MediaEncryptStream, MediaDecryptStream, encryptedLength, expandMediaKey } = require('./media-crypto');
+const { FileLimits, SupportedMimeTypes, Endpoints, Timeouts, RetryLimits, WAEvents } = require('../utils/constants');
+
+const USER_AGENT = 'WhatsApp/2.2009.8 Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Bytes read up front for type detection
+const HEAD_BYTES = 8192;
 
 class MediaHandler {
     constructor(core) {
         this.core = core;
         this.uploadEndpoint = process.env.WHATSAPP_MEDIA_UPLOAD || Endpoints.MEDIA_UPLOAD;
         this.downloadEndpoint = process.env.WHATSAPP_MEDIA_DOWNLOAD || Endpoints.MEDIA_DOWNLOAD;
+        this.uploadRetries = RetryLimits.MEDIA_UPLOAD;
+        this.downloadRetries = RetryLimits.MEDIA_DOWNLOAD;
+        this.retryDelay = 1000;
+        this.processor = (core && core.mediaProcessor) || new MediaProcessor();
     }
     
     /**
      * Upload media file
+     * options: { type, mimetype, fileName, ptt, uploadId, signal, onProgress }
+     *
+     * signal is an AbortSignal that cancels encryption or upload. onProgress,
+     * like the media_upload_progress event, gets { id, type, fileName,
+     * bytesSent, totalBytes, percent }. A failed upload is retried up to
+     * RetryLimits.MEDIA_UPLOAD times, resuming from the offset the server
+     * already has.
      */
     async upload(mediaPath, options = {}) {
+        let encryptedPath = null;
+        
         try {
+            if (options.signal) {
+                options.signal.throwIfAborted();
+            }
+            
             // Validate file
             const fileStats = await Helpers.getFileStats(mediaPath);
-            if (!fileStats) {
+            if (!fileStats || !fileStats.isFile()) {
                 throw new Error('File not found');
             }
             
-            // Read file
-            const fileBuffer = await fs.readFile(mediaPath);
-            
             // Determine media type and validate
-            const mediaType = options.type || this._detectMediaType(mediaPath, fileBuffer);
-            this._validateMedia(fileBuffer, mediaType);
+            const head = await this._readHead(mediaPath);
+            const mediaType = options.type || this._detectMediaType(mediaPath, head);
+            this._validateMedia(fileStats.size, mediaType);
             
-            // Generate media keys
+            // Generate media keys; the HKDF info depends on the media type
             const mediaKey = crypto.randomBytes(32);
-            const mediaKeyExpanded = await this._expandMediaKey(mediaKey);
+            const mediaKeyExpanded = expandMediaKey(mediaKey, mediaType);
             
-            // Encrypt media
-            const encryptedMedia = await this._encryptMedia(fileBuffer, mediaKeyExpanded);
+            // Encrypt to a temporary file, hashing plain and encrypted bytes on the way
+            encryptedPath = path.join(os.tmpdir(), `wa-media-${Helpers.generateWhatsAppId()}.enc`);
+            const encrypted = await this._encryptFile(mediaPath, encryptedPath, mediaKeyExpanded, options.signal);
             
-            // Calculate hashes
-            const fileSha256 = Helpers.calculateBufferHash(fileBuffer, 'sha256');
-            const fileEncSha256 = Helpers.calculateBufferHash(encryptedMedia.ciphertext, 'sha256');
+            const fileName = options.fileName || Helpers.sanitizeFilename(path.basename(mediaPath));
             
             // Upload encrypted media
-            const uploadResult = await this._uploadToServer(encryptedMedia.ciphertext, mediaType);
+            const uploadResult = await this._uploadToServer(encryptedPath, {
+                id: options.uploadId || Helpers.generateWhatsAppId(),
+                type: mediaType,
+                fileName,
+                token: encrypted.fileEncSha256.toString('base64url'),
+                totalBytes: encrypted.encryptedLength
+            }, options);
             
-            // Generate thumbnail if needed
-            let thumbnail = null;
-            if (mediaType === 'image' || mediaType === 'video') {
-                thumbnail = await this._generateThumbnail(fileBuffer, mediaType);
-            }
+            // Thumbnail, dimensions, duration and waveform
+            const details = await this._describeMedia(mediaPath, mediaType, options);
             
             return {
                 type: mediaType,
                 url: uploadResult.url,
                 directPath: uploadResult.directPath,
                 mediaKey: mediaKey,
-                fileSha256: fileSha256,
-                fileEncSha256: fileEncSha256,
-                fileLength: fileBuffer.length,
+                fileSha256: encrypted.fileSha256,
+                fileEncSha256: encrypted.fileEncSha256,
+                fileLength: encrypted.fileLength,
                 mimetype: options.mimetype || this._getMimetype(mediaPath),
-                fileName: options.fileName || Helpers.sanitizeFilename(mediaPath.split('/').pop()),
-                thumbnail: thumbnail
+                fileName: fileName,
+                thumbnail: details.thumbnail || null,
+                width: details.width || null,
+                height: details.height || null,
+                seconds: details.seconds ?? null,
+                waveform: details.waveform || null,
+                ptt: mediaType === 'audio' && !!options.ptt
             };
-            
+        
         } catch (error) {
             console.error('Media upload failed:', error);
             throw error;
+        
+        } finally {
+            if (encryptedPath) {
+                await fs.unlink(encryptedPath).catch(() => {});
+            }
         }
     }
     
     /**
-     * Download and decrypt media
+     * Download and decrypt media into a buffer; options as for downloadStream
      */
-    async download(mediaMessage, outputPath) {
+    async download(mediaMessage, outputPath, options = {}) {
         try {
-            if (!mediaMessage.url || !mediaMessage.mediaKey) {
-                throw new Error('Invalid media message: missing URL or media key');
-            }
-            
-            // Download encrypted media
-            const encryptedBuffer = await this._downloadFromServer(mediaMessage.url);
-            
-            // Verify encrypted file hash
-            if (mediaMessage.fileEncSha256) {
-                const downloadedHash = Helpers.calculateBufferHash(encryptedBuffer, 'sha256');
-                if (!downloadedHash.equals(mediaMessage.fileEncSha256)) {
-                    throw new Error('Downloaded file hash mismatch');
-                }
-            }
-            
-            // Expand media key
-            const mediaKeyExpanded = await this._expandMediaKey(mediaMessage.mediaKey);
-            
-            // Decrypt media
-            const decryptedBuffer = await this._decryptMedia(encryptedBuffer, mediaKeyExpanded);
-            
-            // Verify decrypted file hash
-            if (mediaMessage.fileSha256) {
-                const decryptedHash = Helpers.calculateBufferHash(decryptedBuffer, 'sha256');
-                if (!decryptedHash.equals(mediaMessage.fileSha256)) {
-                    throw new Error('Decrypted file hash mismatch');
-                }
+            const chunks = [];
+            for await (const chunk of this.downloadStream(mediaMessage, options)) {
+                chunks.push(chunk);
             }
+            const decryptedBuffer = Buffer.concat(chunks);
             
             // Save to file if output path provided
             if (outputPath) {
-                await Helpers.ensureDir(require('path').dirname(outputPath));
+                await Helpers.ensureDir(path.dirname(outputPath));
                 await fs.writeFile(outputPath, decryptedBuffer);
             }
             
@@ -123,234 +146,382 @@ class MediaHandler {
     }
     
     /**
-     * Encrypt media using AES-256-CBC + HMAC
+     * Download media as a readable stream of decrypted bytes
+     * options: { downloadId, signal, onProgress }
+     *
+     * Chunks are decrypted as they arrive. The trailing MAC, fileEncSha256 and
+     * fileSha256 are checked at the end and a mismatch errors the stream, so the
+     * data is only trustworthy once the stream has ended. A dropped connection is
+     * resumed with a Range request, up to RetryLimits.MEDIA_DOWNLOAD times.
+     * Progress goes to onProgress and the media_download_progress event as
+     * { id, type, fileName, bytesReceived, totalBytes, percent }.
      */
-    async _encryptMedia(buffer, expandedKey) {
-        try {
-            const iv = crypto.randomBytes(16);
-            const cipherKey = expandedKey.slice(0, 32);
-            const macKey = expandedKey.slice(32, 64);
-            
-            // Encrypt with AES-256-CBC
-            const cipher = crypto.createCipher('aes-256-cbc', cipherKey);
-            let ciphertext = cipher.update(buffer);
-            ciphertext = Buffer.concat([ciphertext, cipher.final()]);
-            
-            // Calculate HMAC
-            const hmac = crypto.createHmac('sha256', macKey);
-            hmac.update(iv);
-            hmac.update(ciphertext);
-            const mac = hmac.digest().slice(0, 10); // Use first 10 bytes
-            
-            // Combine IV + ciphertext + MAC
-            const encryptedData = Buffer.concat([iv, ciphertext, mac]);
-            
-            return {
-                ciphertext: encryptedData,
-                iv: iv,
-                mac: mac
-            };
-            
-        } catch (error) {
-            console.error('Media encryption failed:', error);
-            throw error;
+    downloadStream(mediaMessage, options = {}) {
+        if (!mediaMessage || !mediaMessage.url || !mediaMessage.mediaKey) {
+            throw new Error('Invalid media message: missing URL or media key');
         }
+        
+        const output = new PassThrough();
+        
+        this._pumpDownload(mediaMessage, output, options).catch((error) => {
+            console.error('Media download failed:', error.message);
+            output.destroy(error);
+        });
+        
+        return output;
+    }
+    
+    async _pumpDownload(mediaMessage, output, options) {
+        const signal = options.signal;
+        const mediaKeyExpanded = expandMediaKey(mediaMessage.mediaKey, mediaMessage.type);
+        const download = {
+            id: options.downloadId || Helpers.generateWhatsAppId(),
+            type: mediaMessage.type || null,
+            fileName: mediaMessage.fileName || null,
+            totalBytes: mediaMessage.fileLength ? encryptedLength(Number(mediaMessage.fileLength)) : null,
+            percent: null
+        };
+        
+        await pipeline(
+            () => this._encryptedChunks(mediaMessage.url, download, options),
+            new MediaDecryptStream(mediaKeyExpanded, mediaMessage),
+            output,
+            signal ? { signal } : {}
+        );
     }
     
     /**
-     * Decrypt media using AES-256-CBC + HMAC verification
+     * Encrypted bytes of a download, resuming from the last byte received
+     * whenever the connection drops
      */
-    async _decryptMedia(encryptedBuffer, expandedKey) {
-        try {
-            const cipherKey = expandedKey.slice(0, 32);
-            const macKey = expandedKey.slice(32, 64);
-            
-            // Extract components
-            const iv = encryptedBuffer.slice(0, 16);
-            const mac = encryptedBuffer.slice(-10);
-            const ciphertext = encryptedBuffer.slice(16, -10);
-            
-            // Verify HMAC
-            const hmac = crypto.createHmac('sha256', macKey);
-            hmac.update(iv);
-            hmac.update(ciphertext);
-            const calculatedMac = hmac.digest().slice(0, 10);
-            
-            if (!crypto.timingSafeEqual(mac, calculatedMac)) {
-                throw new Error('HMAC verification failed');
+    async* _encryptedChunks(mediaUrl, download, options) {
+        const signal = options.signal;
+        let received = 0;
+        
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await this._downloadFromServer(mediaUrl, signal, received);
+                
+                // A server that ignores Range sends everything again
+                let skip = received > 0 && response.statusCode !== 206 ? received : 0;
+                download.totalBytes = this._responseLength(response) || download.totalBytes;
+                this._reportProgress(WAEvents.MEDIA_DOWNLOAD_PROGRESS, download, received, options.onProgress);
+                
+                for await (let chunk of response) {
+                    if (skip > 0) {
+                        const skipped = Math.min(skip, chunk.length);
+                        chunk = chunk.slice(skipped);
+                        skip -= skipped;
+                    }
+                    if (chunk.length === 0) {
+                        continue;
+                    }
+                    
+                    received += chunk.length;
+                    this._reportProgress(WAEvents.MEDIA_DOWNLOAD_PROGRESS, download, received, options.onProgress);
+                    yield chunk;
+                }
+                
+                if (download.totalBytes && received < download.totalBytes) {
+                    throw new Error(`Download ended after ${received} of ${download.totalBytes} bytes`);
+                }
+                
+                return;
+                
+            } catch (error) {
+                if (error.name === 'AbortError' || (signal && signal.aborted)) {
+                    throw error;
+                }
+                if (attempt >= this.downloadRetries) {
+                    throw new Error(`Media download failed after ${attempt} attempts: ${error.message}`);
+                }
+                
+                console.error(`Media download attempt ${attempt} failed, resuming at byte ${received}:`, error.message);
+                await delay(this.retryDelay * Math.pow(2, attempt - 1), undefined, { signal });
             }
-            
-            // Decrypt
-            const decipher = crypto.createDecipher('aes-256-cbc', cipherKey);
-            let plaintext = decipher.update(ciphertext);
-            plaintext = Buffer.concat([plaintext, decipher.final()]);
-            
-            return plaintext;
-            
-        } catch (error) {
-            console.error('Media decryption failed:', error);
-            throw error;
         }
     }
     
     /**
-     * Expand media key using HKDF
+     * Full size of the encrypted file from Content-Range or Content-Length
      */
-    async _expandMediaKey(mediaKey) {
-        const info = Buffer.from('WhatsApp Media Keys');
-        const salt = Buffer.alloc(32);
+    _responseLength(response) {
+        const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+        if (range) {
+            return Number(range[1]);
+        }
         
-        return await this._hkdf(mediaKey, salt, info, 112); // 32 + 32 + 48 bytes
+        const length = Number(response.headers['content-length']);
+        return response.statusCode === 200 && length > 0 ? length : null;
     }
     
     /**
-     * HKDF implementation
+     * Encrypt a file into outputPath; resolves to the hashes and lengths
      */
-    async _hkdf(inputKeyMaterial, salt, info, length) {
-        // Extract
-        const prk = crypto.createHmac('sha256', salt)
-            .update(inputKeyMaterial)
-            .digest();
-        
-        // Expand
-        const n = Math.ceil(length / 32);
-        const t = [];
-        
-        for (let i = 0; i < n; i++) {
-            const hmac = crypto.createHmac('sha256', prk);
+    async _encryptFile(inputPath, outputPath, expandedKey, signal) {
+        const encryptor = new MediaEncryptStream(expandedKey);
+        
+        await pipeline(
+            fsSync.createReadStream(inputPath),
+            encryptor,
+            fsSync.createWriteStream(outputPath),
+            signal ? { signal } : {}
+        );
+        
+        return encryptor.result;
+    }
+    
+    /**
+     * Upload an encrypted file to WhatsApp servers, retrying with resume
+     * upload: { id, type, fileName, token, totalBytes }
+     */
+    async _uploadToServer(encryptedPath, upload, options = {}) {
+        const signal = options.signal;
+        let offset = 0;
+        
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._postUpload(encryptedPath, upload, offset, options);
             
-            if (i > 0) {
-                hmac.update(t[i - 1]);
+            } catch (error) {
+                if (error.name === 'AbortError' || (signal && signal.aborted)) {
+                    throw error;
+                }
+                if (attempt >= this.uploadRetries) {
+                    throw new Error(`Media upload failed after ${attempt} attempts: ${error.message}`);
+                }
+                
+                console.error(`Media upload attempt ${attempt} failed, retrying:`, error.message);
+                await delay(this.retryDelay * Math.pow(2, attempt - 1), undefined, { signal });
+                
+                const resume = await this._queryUploadOffset(upload, signal);
+                if (resume.result) {
+                    this._reportProgress(WAEvents.MEDIA_UPLOAD_PROGRESS, upload, upload.totalBytes, options.onProgress);
+                    return resume.result;
+                }
+                offset = resume.offset;
+            }
+        }
+    }
+    
+    /**
+     * Post the encrypted file from offset; the upload token is the base64url
+     * SHA-256 of the encrypted file
+     */
+    async _postUpload(encryptedPath, upload, offset, options) {
+        const url = this._uploadUrl(upload, offset > 0 ? { file_offset: offset } : {});
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': upload.totalBytes - offset
+        };
+        if (offset > 0) {
+            headers['Content-Range'] = `bytes ${offset}-${upload.totalBytes - 1}/${upload.totalBytes}`;
+        }
+        
+        const body = fsSync.createReadStream(encryptedPath, { start: offset });
+        let bytesSent = offset;
+        this._reportProgress(WAEvents.MEDIA_UPLOAD_PROGRESS, upload, bytesSent, options.onProgress);
+        
+        body.on('data', (chunk) => {
+            bytesSent += chunk.length;
+            this._reportProgress(WAEvents.MEDIA_UPLOAD_PROGRESS, upload, bytesSent, options.onProgress);
+        });
+        
+        const response = await this._requestJson(url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: options.signal,
+            timeout: Timeouts.MEDIA_UPLOAD
+        });
+        
+        return this._parseUploadResponse(response);
+    }
+    
+    /**
+     * Ask the server how much of an interrupted upload it has; resolves to
+     * { offset } or, when it already has everything, { result }
+     */
+    async _queryUploadOffset(upload, signal) {
+        try {
+            const response = await this._requestJson(this._uploadUrl(upload, { resume: 1 }), {
+                method: 'POST',
+                headers: { 'Content-Length': 0 },
+                signal,
+                timeout: Timeouts.MEDIA_UPLOAD
+            });
+            
+            if (response.resume === 'complete') {
+                return { result: this._parseUploadResponse(response) };
             }
             
-            hmac.update(info);
-            hmac.update(Buffer.from([i + 1]));
+            const offset = Number(response.resume);
+            return { offset: Number.isInteger(offset) && offset > 0 && offset < upload.totalBytes ? offset : 0 };
+        
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             
-            t[i] = hmac.digest();
+            console.error('Media upload resume query failed, restarting:', error.message);
+            return { offset: 0 };
         }
+    }
+    
+    _uploadUrl(upload, params = {}) {
+        const url = new URL(this.uploadEndpoint);
+        url.searchParams.set('type', upload.type);
+        url.searchParams.set('token', upload.token);
         
-        const okm = Buffer.concat(t);
-        return okm.slice(0, length);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, String(value));
+        }
+        
+        return url;
+    }
+    
+    _parseUploadResponse(response) {
+        if (!response.url) {
+            throw new Error('Invalid upload response: missing URL');
+        }
+        
+        return {
+            url: response.url,
+            directPath: response.direct_path || response.directPath || response.url
+        };
     }
     
     /**
-     * Upload encrypted media to WhatsApp servers
+     * Emit a progress event and call onProgress, once per percent. The byte
+     * count is bytesSent for uploads and bytesReceived for downloads; percent
+     * is null while the total is unknown.
      */
-    async _uploadToServer(encryptedBuffer, mediaType) {
-        return new Promise((resolve, reject) => {
+    _reportProgress(event, transfer, bytes, onProgress) {
+        const totalBytes = transfer.totalBytes || null;
+        const percent = totalBytes ? Math.min(100, Math.floor(bytes * 100 / totalBytes)) : null;
+        if (percent !== null && percent === transfer.percent && bytes < totalBytes) {
+            return;
+        }
+        transfer.percent = percent;
+        
+        const progress = {
+            id: transfer.id,
+            type: transfer.type,
+            fileName: transfer.fileName,
+            [event === WAEvents.MEDIA_UPLOAD_PROGRESS ? 'bytesSent' : 'bytesReceived']: bytes,
+            totalBytes,
+            percent
+        };
+        
+        if (this.core) {
+            this.core.emit(event, progress);
+        }
+        if (onProgress) {
             try {
-                const url = new URL(this.uploadEndpoint);
-                
-                const postData = JSON.stringify({
-                    data: encryptedBuffer.toString('base64'),
-                    type: mediaType
-                });
-                
-                const options = {
-                    hostname: url.hostname,
-                    port: url.port || 443,
-                    path: url.pathname,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(postData),
-                        'User-Agent': 'WhatsApp/2.2009.8 Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                    }
-                };
-                
-                const req = https.request(options, (res) => {
-                    let data = '';
-                    
-                    res.on('data', (chunk) => {
-                        data += chunk;
-                    });
-                    
-                    res.on('end', () => {
-                        try {
-                            if (res.statusCode !== 200) {
-                                reject(new Error(`Upload failed with status: ${res.statusCode}`));
-                                return;
-                            }
-                            
-                            const response = JSON.parse(data);
-                            
-                            if (!response.url) {
-                                reject(new Error('Invalid upload response: missing URL'));
-                                return;
-                            }
-                            
-                            resolve({
-                                url: response.url,
-                                directPath: response.directPath || response.url
-                            });
-                            
-                        } catch (error) {
-                            reject(error);
-                        }
-                    });
-                });
-                
-                req.on('error', (error) => {
-                    reject(error);
-                });
-                
-                req.write(postData);
-                req.end();
-                
+                onProgress(progress);
             } catch (error) {
-                reject(error);
+                console.error('Media progress handler failed:', error);
             }
-        });
+        }
     }
     
     /**
-     * Download encrypted media from WhatsApp servers
+     * Send a request and parse its JSON response; body is an optional stream
      */
-    async _downloadFromServer(mediaUrl) {
+    _requestJson(url, options) {
         return new Promise((resolve, reject) => {
-            try {
-                const url = new URL(mediaUrl);
+            const client = url.protocol === 'http:' ? http : https;
+            const req = client.request(url, {
+                method: options.method,
+                headers: { 'User-Agent': USER_AGENT, ...options.headers },
+                signal: options.signal
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
                 
-                const options = {
-                    hostname: url.hostname,
-                    port: url.port || 443,
-                    path: url.pathname + url.search,
-                    method: 'GET',
-                    headers: {
-                        'User-Agent': 'WhatsApp/2.2009.8 Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                    }
-                };
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
                 
-                const req = https.request(options, (res) => {
+                res.on('end', () => {
                     if (res.statusCode !== 200) {
-                        reject(new Error(`Download failed with status: ${res.statusCode}`));
+                        reject(new Error(`Upload failed with status: ${res.statusCode}`));
                         return;
                     }
                     
-                    const chunks = [];
-                    
-                    res.on('data', (chunk) => {
-                        chunks.push(chunk);
-                    });
-                    
-                    res.on('end', () => {
-                        const buffer = Buffer.concat(chunks);
-                        resolve(buffer);
-                    });
-                });
-                
-                req.on('error', (error) => {
-                    reject(error);
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (error) {
+                        reject(new Error('Invalid upload response: not JSON'));
+                    }
                 });
                 
+                res.on('error', reject);
+            });
+            
+            req.on('error', reject);
+            req.on('close', () => {
+                if (options.body) {
+                    options.body.destroy();
+                }
+            });
+            req.setTimeout(options.timeout, () => {
+                req.destroy(new Error('Media upload timed out'));
+            });
+            
+            if (options.body) {
+                options.body.on('error', (error) => req.destroy(error));
+                options.body.pipe(req);
+            } else {
                 req.end();
-                
-            } catch (error) {
-                reject(error);
             }
         });
     }
     
+    /**
+     * Open a download of encrypted media from offset; resolves to the response
+     * stream (status 200, or 206 when the server honoured the Range)
+     */
+    _downloadFromServer(mediaUrl, signal, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(mediaUrl);
+            const client = url.protocol === 'http:' ? http : https;
+            const headers = { 'User-Agent': USER_AGENT };
+            if (offset > 0) {
+                headers.Range = `bytes=${offset}-`;
+            }
+            
+            const req = client.get(url, { headers, signal }, (res) => {
+                if (res.statusCode !== 200 && res.statusCode !== 206) {
+                    res.resume();
+                    reject(new Error(`Download failed with status: ${res.statusCode}`));
+                    return;
+                }
+                
+                resolve(res);
+            });
+            
+            req.on('error', reject);
+            req.setTimeout(Timeouts.MEDIA_DOWNLOAD, () => {
+                req.destroy(new Error('Media download timed out'));
+            });
+        });
+    }
+    
+    /**
+     * The first bytes of a file
+     */
+    async _readHead(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+            return buffer.slice(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+    
     /**
      * Detect media type from file
      */
@@ -434,37 +605,25 @@ class MediaHandler {
     /**
      * Validate media file
      */
-    _validateMedia(buffer, mediaType) {
+    _validateMedia(fileSize, mediaType) {
         // Check file size
-        if (!Helpers.validateFileSize(buffer.length, mediaType)) {
+        if (!Helpers.validateFileSize(fileSize, mediaType)) {
             throw new Error(`File too large for ${mediaType}. Max size: ${Helpers.formatFileSize(FileLimits[mediaType.toUpperCase()])}`);
         }
         
         // Additional validations can be added here
-        console.log(`Media validation passed: ${mediaType}, size: ${Helpers.formatFileSize(buffer.length)}`);
+        console.log(`Media validation passed: ${mediaType}, size: ${Helpers.formatFileSize(fileSize)}`);
     }
     
     /**
-     * Generate thumbnail for media
+     * Thumbnail, dimensions, duration and waveform; a failure only leaves them out
      */
-    async _generateThumbnail(buffer, mediaType) {
+    async _describeMedia(mediaPath, mediaType, options) {
         try {
-            if (mediaType === 'image') {
-                // For images, create a smaller version
-                // This is a simplified implementation - in production, use image processing library
-                return buffer.slice(0, Math.min(buffer.length, 8192));
-            }
-            
-            if (mediaType === 'video') {
-                // For videos, this would extract a frame - simplified here
-                return Buffer.alloc(100).fill(0x42);
-            }
-            
-            return null;
-            
+            return await this.processor.describe(mediaPath, mediaType, options);
         } catch (error) {
-            console.error('Thumbnail generation failed:', error);
-            return null;
+            console.error('Media processing failed:', error);
+            return {};
         }
     }
     
@@ -477,17 +636,9 @@ class MediaHandler {
                 throw new Error('Invalid media message or key');
             }
             
-            // Download encrypted media
-            const encryptedBuffer = await this._downloadFromServer(mediaMessage.url);
-            
-            // Expand media key
-            const expandedKey = await this._expandMediaKey(mediaKey);
-            
-            // Decrypt
-            const decryptedBuffer = await this._decryptMedia(encryptedBuffer, expandedKey);
-            
-            return decryptedBuffer;
-            
+            // Download and decrypt as a stream
+            return await this.download({ ...mediaMessage, mediaKey });
+        
         } catch (error) {
             console.error('Media decryption failed:', error);
             throw error;
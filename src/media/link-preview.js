@@ -0,0 +1,299 @@
+/**
+ * Link Preview Generator
+ * Finds the first URL in a text, reads its Open Graph metadata and image, and
+ * returns the preview fields of an extendedTextMessage
+ *
+ * The fetcher is injectable: fetcher(url, { timeout, maxBytes, maxPageBytes })
+ * resolves to { body: Buffer, contentType, url } where url is the final address
+ * after redirects. maxBytes caps images, maxPageBytes every other response.
+ * The default fetcher refuses private, loopback and link-local addresses, for
+ * the first request and for every redirect.
+ * The thumbnailer, thumbnailer(buffer, contentType), returns JPEG bytes or null;
+ * the default one decodes JPEG and PNG images and scales them down.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { URL } = require('url');
+const { createJpegThumbnail } = require('./image');
+const { RegexPatterns, Timeouts } = require('../utils/constants');
+
+const MAX_PAGE_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Addresses a preview must never reach: this host, the LAN and cloud metadata
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+class LinkPreviewGenerator {
+    constructor(options = {}) {
+        this.fetcher = options.fetcher || fetchUrl;
+        this.thumbnailer = options.thumbnailer || jpegThumbnail;
+        this.timeout = options.timeout || Timeouts.LINK_PREVIEW;
+    }
+
+    /**
+     * First http(s) URL in text, or null
+     */
+    findUrl(text) {
+        const match = typeof text === 'string' ? text.match(RegexPatterns.URL) : null;
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Preview for the first URL in text ({ matchedText, canonicalUrl, title,
+     * description, jpegThumbnail }); null when there is no URL or nothing to show
+     */
+    async generate(text) {
+        const matchedText = this.findUrl(text);
+        if (!matchedText) {
+            return null;
+        }
+
+        const page = await this._fetch(matchedText);
+        const contentType = page.contentType || '';
+
+        // A direct image link previews as just its thumbnail
+        if (contentType.startsWith('image/')) {
+            return {
+                matchedText,
+                canonicalUrl: page.url || matchedText,
+                title: null,
+                description: null,
+                jpegThumbnail: await this._thumbnail(page.body, contentType)
+            };
+        }
+
+        const meta = parseMetadata(page.body.toString('utf8'));
+        if (!meta.title && !meta.description) {
+            return null;
+        }
+
+        let jpegThumbnail = null;
+        if (meta.image) {
+            try {
+                const image = await this._fetch(new URL(meta.image, page.url || matchedText).toString());
+                jpegThumbnail = await this._thumbnail(image.body, image.contentType);
+            } catch (error) {
+                console.error(`Failed to fetch preview image for ${matchedText}:`, error.message);
+            }
+        }
+
+        return {
+            matchedText,
+            canonicalUrl: meta.url || page.url || matchedText,
+            title: meta.title,
+            description: meta.description,
+            jpegThumbnail
+        };
+    }
+
+    /**
+     * Fetch through the fetcher; the size caps are checked again here since an
+     * injected fetcher may not enforce them
+     */
+    async _fetch(url) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out fetching ${url}`)), this.timeout);
+        });
+
+        try {
+            const options = { timeout: this.timeout, maxBytes: MAX_IMAGE_BYTES, maxPageBytes: MAX_PAGE_BYTES };
+            const result = await Promise.race([this.fetcher(url, options), timeout]);
+            const body = Buffer.from(result.body || '');
+
+            if (body.length > sizeLimit(result.contentType, options)) {
+                throw new Error(`Response from ${url} is too large`);
+            }
+            return { ...result, body };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async _thumbnail(buffer, contentType) {
+        try {
+            return (await this.thumbnailer(buffer, contentType)) || null;
+        } catch (error) {
+            console.error('Thumbnail generation failed:', error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Default thumbnailer: a small JPEG of any JPEG or PNG image, null for other formats
+ */
+function jpegThumbnail(buffer) {
+    return createJpegThumbnail(buffer).thumbnail;
+}
+
+/**
+ * Open Graph metadata, falling back to <title> and the description meta tag
+ */
+function parseMetadata(html) {
+    const meta = {};
+
+    for (const tag of html.match(/<meta\s[^>]*>/gi) || []) {
+        const attrs = {};
+        for (const [, name, , value] of tag.matchAll(/([a-zA-Z:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+            attrs[name.toLowerCase()] = value;
+        }
+
+        const key = (attrs.property || attrs.name || '').toLowerCase();
+        if (key && attrs.content !== undefined && meta[key] === undefined) {
+            meta[key] = decodeEntities(attrs.content);
+        }
+    }
+
+    const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+    return {
+        title: meta['og:title'] || (titleTag ? decodeEntities(titleTag[1].trim()) : null) || null,
+        description: meta['og:description'] || meta.description || null,
+        image: meta['og:image'] || null,
+        url: meta['og:url'] || null
+    };
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Byte cap for a response: maxBytes for images, maxPageBytes for anything else
+ */
+function sizeLimit(contentType, options = {}) {
+    return (contentType || '').startsWith('image/')
+        ? options.maxBytes || MAX_IMAGE_BYTES
+        : options.maxPageBytes || MAX_PAGE_BYTES;
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup for http.get that fails when any address of the host is not allowed
+ */
+function guardedLookup(allowAddress) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            const blocked = addresses.find(({ address }) => !allowAddress(address));
+            if (blocked) {
+                callback(new Error(`Refusing to fetch ${hostname}: ${blocked.address} is a private address`));
+                return;
+            }
+
+            if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    };
+}
+
+/**
+ * Default fetcher over http/https, following a few redirects. Every hop is
+ * checked with options.allowAddress (default: anything but private addresses).
+ */
+function fetchUrl(url, options = {}, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+            reject(new Error(`Refusing to fetch ${url}: unsupported protocol`));
+            return;
+        }
+
+        // IP literals skip the DNS lookup, so they are checked here
+        const allowAddress = options.allowAddress || (address => !isPrivateAddress(address));
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && !allowAddress(host)) {
+            reject(new Error(`Refusing to fetch ${url}: ${host} is a private address`));
+            return;
+        }
+
+        const client = target.protocol === 'http:' ? http : https;
+        const requestOptions = { headers: { 'User-Agent': 'WhatsApp/2.0' }, lookup: guardedLookup(allowAddress) };
+
+        const req = client.get(target, requestOptions, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+
+                resolve(fetchUrl(new URL(res.headers.location, target).toString(), options, redirects + 1));
+                return;
+            }
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`Fetching ${url} failed with status ${res.statusCode}`));
+                return;
+            }
+
+            const contentType = (res.headers['content-type'] || '').split(';')[0].trim();
+            const maxBytes = sizeLimit(contentType, options);
+
+            if (Number(res.headers['content-length']) > maxBytes) {
+                res.resume();
+                reject(new Error(`Response from ${url} is too large`));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    reject(new Error(`Response from ${url} is too large`));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            res.on('end', () => resolve({ body: Buffer.concat(chunks), contentType, url }));
+        });
+
+        req.on('error', reject);
+        req.setTimeout(options.timeout || Timeouts.LINK_PREVIEW, () => {
+            req.destroy(new Error(`Timed out fetching ${url}`));
+        });
+    });
+}
+
+LinkPreviewGenerator.parseMetadata = parseMetadata;
+LinkPreviewGenerator.fetchUrl = fetchUrl;
+LinkPreviewGenerator.isPrivateAddress = isPrivateAddress;
+
+module.exports = LinkPreviewGenerator;
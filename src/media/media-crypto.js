@@ -0,0 +1,236 @@
+/**
+ * Media Crypto
+ * WhatsApp media encryption, shared by uploads, downloads and CryptoHandler.
+ *
+ * The 32-byte media key is expanded with HKDF-SHA256 (zero salt) to 112 bytes,
+ * using an info string that depends on the media type. The expansion splits into
+ * iv (16), cipher key (32), mac key (32) and ref key (32). The encrypted file is
+ * the AES-256-CBC ciphertext followed by the first 10 bytes of
+ * HMAC-SHA256(iv + ciphertext). Encryption and decryption are also available as
+ * Node transforms, so large files never have to sit in memory.
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { MediaTypes } = require('../utils/constants');
+
+const MAC_LENGTH = 10;
+const EXPANDED_KEY_LENGTH = 112;
+const ZERO_SALT = Buffer.alloc(32);
+
+// HKDF info per media type; stickers use the image keys, voice notes the audio keys
+const MediaKeyInfo = {
+    [MediaTypes.IMAGE]: 'WhatsApp Image Keys',
+    [MediaTypes.STICKER]: 'WhatsApp Image Keys',
+    [MediaTypes.VIDEO]: 'WhatsApp Video Keys',
+    gif: 'WhatsApp Video Keys',
+    [MediaTypes.AUDIO]: 'WhatsApp Audio Keys',
+    ptt: 'WhatsApp Audio Keys',
+    [MediaTypes.DOCUMENT]: 'WhatsApp Document Keys'
+};
+
+/**
+ * The 112-byte HKDF expansion of a media key for a media type
+ */
+function expandMediaKey(mediaKey, mediaType) {
+    const info = MediaKeyInfo[mediaType];
+    if (!info) {
+        throw new Error(`Unknown media type for key expansion: ${mediaType}`);
+    }
+    if (!mediaKey || mediaKey.length !== 32) {
+        throw new Error('Media key must be 32 bytes');
+    }
+
+    return Buffer.from(crypto.hkdfSync('sha256', mediaKey, ZERO_SALT, Buffer.from(info), EXPANDED_KEY_LENGTH));
+}
+
+/**
+ * { iv, cipherKey, macKey, refKey } for a media key and type
+ */
+function getMediaKeys(mediaKey, mediaType) {
+    return splitMediaKey(expandMediaKey(mediaKey, mediaType));
+}
+
+function splitMediaKey(expandedKey) {
+    return {
+        iv: expandedKey.slice(0, 16),
+        cipherKey: expandedKey.slice(16, 48),
+        macKey: expandedKey.slice(48, 80),
+        refKey: expandedKey.slice(80, 112)
+    };
+}
+
+/**
+ * Size of the encrypted file for a plaintext of plainLength bytes
+ */
+function encryptedLength(plainLength) {
+    return (Math.floor(plainLength / 16) + 1) * 16 + MAC_LENGTH;
+}
+
+/**
+ * Plaintext in, encrypted file out. Once the stream has finished, result holds
+ * { fileSha256, fileEncSha256, fileLength, encryptedLength }.
+ */
+class MediaEncryptStream extends Transform {
+    constructor(expandedKey) {
+        super();
+
+        const { iv, cipherKey, macKey } = splitMediaKey(expandedKey);
+        this.cipher = crypto.createCipheriv('aes-256-cbc', cipherKey, iv);
+        this.hmac = crypto.createHmac('sha256', macKey).update(iv);
+        this.plainHash = crypto.createHash('sha256');
+        this.encHash = crypto.createHash('sha256');
+        this.fileLength = 0;
+        this.encryptedLength = 0;
+        this.result = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.plainHash.update(chunk);
+        this.fileLength += chunk.length;
+
+        this._pushEncrypted(this.cipher.update(chunk));
+        callback();
+    }
+
+    _flush(callback) {
+        try {
+            this._pushEncrypted(this.cipher.final());
+
+            const mac = this.hmac.digest().slice(0, MAC_LENGTH);
+            this.encHash.update(mac);
+            this.encryptedLength += mac.length;
+            this.push(mac);
+
+            this.result = {
+                fileSha256: this.plainHash.digest(),
+                fileEncSha256: this.encHash.digest(),
+                fileLength: this.fileLength,
+                encryptedLength: this.encryptedLength
+            };
+            callback();
+
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _pushEncrypted(ciphertext) {
+        if (ciphertext.length > 0) {
+            this.hmac.update(ciphertext);
+            this.encHash.update(ciphertext);
+            this.encryptedLength += ciphertext.length;
+            this.push(ciphertext);
+        }
+    }
+}
+
+/**
+ * Encrypted file in, plaintext out. The trailing MAC is held back until the end,
+ * where it and the optional expected hashes ({ fileSha256, fileEncSha256 }) are
+ * checked; a mismatch fails the stream after the plaintext has been written,
+ * so consumers should treat the output as untrusted until it finishes.
+ */
+class MediaDecryptStream extends Transform {
+    constructor(expandedKey, expected = {}) {
+        super();
+
+        const { iv, cipherKey, macKey } = splitMediaKey(expandedKey);
+        this.decipher = crypto.createDecipheriv('aes-256-cbc', cipherKey, iv);
+        this.hmac = crypto.createHmac('sha256', macKey).update(iv);
+        this.plainHash = crypto.createHash('sha256');
+        this.encHash = crypto.createHash('sha256');
+        this.expected = expected;
+        this.tail = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            this.encHash.update(chunk);
+
+            const data = Buffer.concat([this.tail, chunk]);
+            const ciphertext = data.slice(0, Math.max(0, data.length - MAC_LENGTH));
+            this.tail = data.slice(ciphertext.length);
+
+            this.hmac.update(ciphertext);
+            this._pushPlain(this.decipher.update(ciphertext));
+            callback();
+
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            const mac = this.hmac.digest().slice(0, MAC_LENGTH);
+            if (this.tail.length !== MAC_LENGTH || !crypto.timingSafeEqual(this.tail, mac)) {
+                throw new Error('HMAC verification failed');
+            }
+
+            this._pushPlain(this.decipher.final());
+
+            if (this.expected.fileEncSha256 && !this.encHash.digest().equals(Buffer.from(this.expected.fileEncSha256))) {
+                throw new Error('Downloaded file hash mismatch');
+            }
+            if (this.expected.fileSha256 && !this.plainHash.digest().equals(Buffer.from(this.expected.fileSha256))) {
+                throw new Error('Decrypted file hash mismatch');
+            }
+
+            callback();
+
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _pushPlain(plaintext) {
+        if (plaintext.length > 0) {
+            this.plainHash.update(plaintext);
+            this.push(plaintext);
+        }
+    }
+}
+
+/**
+ * Encrypt a whole buffer; resolves to { encrypted, fileSha256, fileEncSha256,
+ * fileLength }. For large files use MediaEncryptStream instead.
+ */
+async function encryptMedia(buffer, mediaKey, mediaType) {
+    const encryptor = new MediaEncryptStream(expandMediaKey(mediaKey, mediaType));
+    const encrypted = await collect(encryptor, buffer);
+
+    return { encrypted, ...encryptor.result };
+}
+
+/**
+ * Decrypt a whole encrypted buffer (ciphertext + MAC); expected optionally
+ * holds the fileSha256 and fileEncSha256 to check
+ */
+async function decryptMedia(encrypted, mediaKey, mediaType, expected = {}) {
+    return await collect(new MediaDecryptStream(expandMediaKey(mediaKey, mediaType), expected), encrypted);
+}
+
+async function collect(transform, input) {
+    const chunks = [];
+    transform.end(input);
+
+    for await (const chunk of transform) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    MAC_LENGTH,
+    MediaKeyInfo,
+    expandMediaKey,
+    getMediaKeys,
+    splitMediaKey,
+    encryptMedia,
+    decryptMedia,
+    encryptedLength,
+    MediaEncryptStream,
+    MediaDecryptStream
+};
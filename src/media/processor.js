@@ -0,0 +1,102 @@
+/**
+ * Media Processor
+ * Fills in what the media message shows before download: image dimensions and
+ * JPEG thumbnail, video thumbnail, audio duration and the voice note waveform
+ *
+ * Images and WAV audio are handled in pure JavaScript. Videos and compressed
+ * audio need the optional ffmpeg adapter ({ extractFrame, decodeAudio });
+ * without it those fields are left out. Audio files are never read whole;
+ * images are, up to MAX_IMAGE_FILE_BYTES.
+ */
+
+const fs = require('fs').promises;
+const { createJpegThumbnail, getImageDimensions } = require('./image');
+const { getAudioFileDuration, decodeWavFile, computeWaveform } = require('./audio');
+
+// Larger images only get the dimensions from their headers
+const MAX_IMAGE_FILE_BYTES = 32 * 1024 * 1024;
+const IMAGE_HEADER_BYTES = 256 * 1024;
+
+class MediaProcessor {
+    /**
+     * options: { ffmpeg, thumbnailSize }
+     */
+    constructor(options = {}) {
+        this.ffmpeg = options.ffmpeg || null;
+        this.thumbnailSize = options.thumbnailSize;
+    }
+
+    /**
+     * Message fields for a file: { thumbnail, width, height, seconds, waveform },
+     * each only when known. options.ptt asks for a voice note waveform.
+     */
+    async describe(filePath, mediaType, options = {}) {
+        if (mediaType === 'image' || mediaType === 'sticker') {
+            return await this._describeImageFile(filePath);
+        }
+        if (mediaType === 'video') {
+            return await this._describeVideo(filePath);
+        }
+        if (mediaType === 'audio') {
+            return await this._describeAudio(filePath, options);
+        }
+
+        return {};
+    }
+
+    async _describeImageFile(filePath) {
+        const { size } = await fs.stat(filePath);
+        if (size <= MAX_IMAGE_FILE_BYTES) {
+            return this._describeImage(await fs.readFile(filePath));
+        }
+
+        const file = await fs.open(filePath, 'r');
+        try {
+            const header = Buffer.alloc(IMAGE_HEADER_BYTES);
+            const { bytesRead } = await file.read(header, 0, header.length, 0);
+
+            return compact({ ...getImageDimensions(header.subarray(0, bytesRead)) });
+        } finally {
+            await file.close();
+        }
+    }
+
+    _describeImage(buffer) {
+        const { thumbnail, width, height } = createJpegThumbnail(buffer, { size: this.thumbnailSize });
+
+        return compact({ thumbnail, width, height });
+    }
+
+    async _describeVideo(filePath) {
+        if (!this.ffmpeg) {
+            return {};
+        }
+
+        const { frame, seconds } = await this.ffmpeg.extractFrame(filePath);
+        const details = frame ? this._describeImage(frame) : {};
+
+        return compact({ ...details, seconds: seconds !== null ? Math.round(seconds) : null });
+    }
+
+    async _describeAudio(filePath, options) {
+        let seconds = await getAudioFileDuration(filePath);
+        let waveform = null;
+
+        if (options.ptt) {
+            const pcm = (await decodeWavFile(filePath)) || (this.ffmpeg ? await this.ffmpeg.decodeAudio(filePath) : null);
+
+            if (pcm) {
+                waveform = computeWaveform(pcm.samples);
+                seconds = seconds ?? pcm.samples.length / pcm.sampleRate;
+            }
+        }
+
+        return compact({ seconds: seconds !== null ? Math.round(seconds) : null, waveform });
+    }
+}
+
+function compact(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined));
+}
+
+module.exports = MediaProcessor;
@@ -0,0 +1,93 @@
+/**
+ * Chat
+ * A one-to-one chat; methods act on it through the owning client
+ */
+
+const Helpers = require('../utils/helpers');
+const { toNumber, toFlag, pick } = require('./parse');
+
+class Chat {
+    constructor(client, data = {}) {
+        // Non-enumerable so chats serialize without the client
+        Object.defineProperty(this, 'client', { value: client });
+
+        this.id = data.id;
+        this.name = pick(data.name, data.subject, Helpers.parseJID(data.id)?.phone, data.id);
+        this.isGroup = !!Helpers.parseJID(data.id)?.isGroup;
+        this.unreadCount = toNumber(pick(data.unreadCount, data.count));
+        // Milliseconds; protocol attributes carry seconds in t
+        this.timestamp = data.t ? toNumber(data.t) * 1000 : toNumber(data.timestamp, null);
+        this.archived = toFlag(pick(data.archived, data.archive));
+        this.pinned = toFlag(pick(data.pinned, data.pin));
+        // Unix seconds; -1 mutes until unmuted
+        this.muteExpiration = toNumber(pick(data.muteExpiration, data.mute));
+        this.lastMessage = data.lastMessage || null;
+    }
+
+    get isMuted() {
+        return this.muteExpiration === -1 || this.muteExpiration * 1000 > Date.now();
+    }
+
+    /**
+     * Send a text message to this chat
+     */
+    async sendMessage(content, options = {}) {
+        return await this.client.sendMessage(this.id, content, options);
+    }
+
+    /**
+     * Send media to this chat
+     */
+    async sendMedia(media, options = {}) {
+        return await this.client.sendMedia(this.id, media, options);
+    }
+
+    /**
+     * Send a location ({ lat, lng, name, address }) to this chat
+     */
+    async sendLocation(location, options = {}) {
+        return await this.client.sendLocation(this.id, location, options);
+    }
+
+    /**
+     * Send one or more contacts (Contact objects or { name, number }) as vCards
+     */
+    async sendContactCard(contacts, options = {}) {
+        return await this.client.sendContactCard(this.id, contacts, options);
+    }
+
+    /**
+     * Send a read receipt for the latest unread message
+     */
+    async markRead() {
+        const marked = await this.client.markChatAsRead(this.id);
+        if (marked) {
+            this.unreadCount = 0;
+        }
+        return marked;
+    }
+
+    async sendTyping(isTyping = true) {
+        return await this.client.sendTyping(this.id, isTyping);
+    }
+
+    /**
+     * A page of this chat's stored messages, oldest first
+     */
+    async fetchMessages(options = {}) {
+        return await this.client.fetchMessages(this.id, options);
+    }
+
+    async searchMessages(query, options = {}) {
+        return await this.client.searchMessages(query, { ...options, chatId: this.id });
+    }
+
+    /**
+     * The contact behind a one-to-one chat
+     */
+    async getContact() {
+        return await this.client.getContactById(this.id);
+    }
+}
+
+module.exports = Chat;
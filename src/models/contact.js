@@ -0,0 +1,53 @@
+/**
+ * Contact
+ * A WhatsApp user from the address book or seen in chats
+ */
+
+const Helpers = require('../utils/helpers');
+const { toFlag, pick } = require('./parse');
+
+class Contact {
+    constructor(client, data = {}) {
+        Object.defineProperty(this, 'client', { value: client });
+
+        const jid = Helpers.parseJID(data.id);
+
+        this.id = data.id;
+        this.number = jid ? jid.phone : null;
+        this.name = pick(data.name);
+        this.shortName = pick(data.shortName, data.short);
+        this.pushname = pick(data.pushname, data.notify);
+        this.isBusiness = toFlag(pick(data.isBusiness, data.biz));
+        this.isGroup = !!(jid && jid.isGroup);
+        this.isMe = !!data.isMe;
+        // Only address book entries carry a saved name
+        this.isMyContact = this.name !== null;
+    }
+
+    /**
+     * Best name to show: saved name, then push name, then number
+     */
+    get displayName() {
+        return pick(this.name, this.pushname, this.number, this.id);
+    }
+
+    /**
+     * URL of the contact's profile picture, or null when hidden or unset
+     */
+    async getProfilePicUrl() {
+        return await this.client.getProfilePicUrl(this.id);
+    }
+
+    /**
+     * The one-to-one chat with this contact, or null if there is none yet
+     */
+    async getChat() {
+        return await this.client.getChatById(this.id);
+    }
+
+    async sendMessage(content, options = {}) {
+        return await this.client.sendMessage(this.id, content, options);
+    }
+}
+
+module.exports = Contact;
@@ -0,0 +1,41 @@
+/**
+ * Group Chat
+ * A chat with participants and group management methods
+ */
+
+const Chat = require('./chat');
+const { pick } = require('./parse');
+
+class GroupChat extends Chat {
+    constructor(client, data = {}) {
+        super(client, data);
+
+        this.owner = pick(data.owner, data.creator);
+        this.description = pick(data.description, data.desc);
+    }
+
+    /**
+     * Members as last seen from group actions, notifications and sync
+     */
+    get participants() {
+        return this.client.core.getGroupParticipants(this.id);
+    }
+
+    async addParticipants(participants) {
+        return await this.client.addToGroup(this.id, participants);
+    }
+
+    async removeParticipants(participants) {
+        return await this.client.removeFromGroup(this.id, participants);
+    }
+
+    async leave() {
+        return await this.client.leaveGroup(this.id);
+    }
+
+    async getContact() {
+        return null;
+    }
+}
+
+module.exports = GroupChat;
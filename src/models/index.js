@@ -0,0 +1,28 @@
+/**
+ * Models
+ * Chat, GroupChat, Contact and Message wrappers around the core's raw data,
+ * and the Location value they share
+ */
+
+const Chat = require('./chat');
+const GroupChat = require('./group-chat');
+const Contact = require('./contact');
+const Message = require('./message');
+const Location = require('./location');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Chat or GroupChat, depending on the JID
+ */
+function createChat(client, data) {
+    return Helpers.parseJID(data.id)?.isGroup ? new GroupChat(client, data) : new Chat(client, data);
+}
+
+module.exports = {
+    Chat,
+    GroupChat,
+    Contact,
+    Message,
+    Location,
+    createChat
+};
@@ -0,0 +1,125 @@
+/**
+ * Location
+ * A shared point, or one update of a live location
+ */
+
+const { pick } = require('./parse');
+
+class Location {
+    /**
+     * options: { name, address, url, accuracy, speed, degrees, comment, isLive,
+     * sequenceNumber, timeOffset }; accuracy (meters) and speed (m/s) must not be
+     * negative and degrees is a heading from 0 to 360. Throws on invalid values.
+     */
+    constructor(latitude, longitude, options = {}) {
+        this.latitude = Number(latitude);
+        this.longitude = Number(longitude);
+
+        if (!Number.isFinite(this.latitude) || Math.abs(this.latitude) > 90
+            || !Number.isFinite(this.longitude) || Math.abs(this.longitude) > 180) {
+            throw new Error(`Invalid coordinates: ${latitude}, ${longitude}`);
+        }
+
+        this.name = pick(options.name);
+        this.address = pick(options.address);
+        this.url = pick(options.url);
+        // accuracy and degrees travel as whole numbers, speed as a float
+        const accuracy = measurement(options.accuracy, 'accuracy');
+        const degrees = measurement(options.degrees, 'heading', 360);
+        this.accuracy = accuracy === null ? null : Math.round(accuracy);
+        this.speed = measurement(options.speed, 'speed');
+        this.degrees = degrees === null ? null : Math.round(degrees) % 360;
+        this.comment = pick(options.comment);
+        this.isLive = !!options.isLive;
+        this.sequenceNumber = this.isLive ? options.sequenceNumber || 0 : null;
+        this.timeOffset = this.isLive ? options.timeOffset || 0 : null;
+    }
+
+    /**
+     * Name and address on two lines, as shown under the map
+     */
+    get description() {
+        return [this.name, this.address].filter(Boolean).join('\n') || null;
+    }
+
+    /**
+     * Location from { lat, lng } or { latitude, longitude } plus the options above;
+     * README-style { description } is taken as the name
+     */
+    static from(input) {
+        if (input instanceof Location) {
+            return input;
+        }
+        if (!input || typeof input !== 'object') {
+            throw new Error('Location needs a latitude and longitude');
+        }
+
+        return new Location(pick(input.lat, input.latitude), pick(input.lng, input.longitude), {
+            ...input,
+            name: pick(input.name, input.description)
+        });
+    }
+
+    /**
+     * Location from extracted message content (type 'location' or 'live_location')
+     */
+    static fromContent(content) {
+        return new Location(content.latitude, content.longitude, {
+            name: content.name,
+            address: content.address,
+            url: content.url,
+            accuracy: content.accuracy,
+            speed: content.speed,
+            degrees: content.degrees,
+            comment: pick(content.comment, content.caption),
+            isLive: content.type === 'live_location',
+            sequenceNumber: content.sequenceNumber,
+            timeOffset: content.timeOffset
+        });
+    }
+
+    toLocationMessage() {
+        return {
+            degreesLatitude: this.latitude,
+            degreesLongitude: this.longitude,
+            name: this.name,
+            address: this.address,
+            url: this.url,
+            accuracyInMeters: this.accuracy,
+            speedInMps: this.speed,
+            degreesClockwiseFromMagneticNorth: this.degrees,
+            comment: this.comment
+        };
+    }
+
+    toLiveLocationMessage(sequenceNumber, timeOffset) {
+        return {
+            degreesLatitude: this.latitude,
+            degreesLongitude: this.longitude,
+            accuracyInMeters: this.accuracy,
+            speedInMps: this.speed,
+            degreesClockwiseFromMagneticNorth: this.degrees,
+            caption: this.comment,
+            sequenceNumber,
+            timeOffset
+        };
+    }
+}
+
+/**
+ * Optional measurement as a number from 0 to max; null when unset
+ */
+function measurement(value, name, max = Infinity) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > max) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+
+    return number;
+}
+
+module.exports = Location;
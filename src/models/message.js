@@ -0,0 +1,302 @@
+/**
+ * Message
+ * One message in a consistent shape, whether it came from a decoded protocol
+ * node, a WebMessageInfo ({ key, message, messageTimestamp }) or the history store
+ */
+
+const Messages = require('../proto/messages');
+const MessageStore = require('../utils/message-store');
+const Location = require('./location');
+const { parseVCard } = require('../utils/vcard');
+const { pick } = require('./parse');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const LOCATION_TYPES = ['location', 'live_location'];
+const CONTACT_TYPES = ['contact', 'multi_vcard'];
+
+// Stateless; only extractContent is used
+const messageDefinitions = new Messages();
+
+class Message {
+    constructor(client, data = {}) {
+        Object.defineProperty(this, 'client', { value: client });
+        Object.defineProperty(this, 'raw', { value: data });
+
+        if (data.key && data.message) {
+            this._fromWebMessage(data);
+        } else if (data.remoteJid) {
+            this._fromRecord(data);
+        } else {
+            this._fromNode(data);
+        }
+
+        this.reactions = MessageStore.aggregateReactions(data.reactions);
+        this.editedAt = data.editedAt || null;
+        this.hasMedia = !!(this.media && this.media.url && this.media.mediaKey);
+        this.hasQuotedMsg = !!this.quotedMessage;
+    }
+
+    _fromNode(data) {
+        const attrs = data.attrs || {};
+
+        this.id = data.id;
+        this.from = data.from;
+        this.author = pick(data.participant);
+        this.fromMe = false;
+        this.timestamp = attrs.t ? Number(attrs.t) * 1000 : Date.now();
+        this.type = data.media ? data.media.type : (data.reaction ? 'reaction' : data.type || 'text');
+        this.body = typeof data.body === 'string' ? data.body : pick(data.caption, '');
+        this.caption = pick(data.caption);
+        this.media = data.media || null;
+        this.reaction = data.reaction || null;
+        this.linkPreview = null;
+
+        // Message content carries the context; nodes without content use attributes
+        if (data.message) {
+            const content = messageDefinitions.extractContent({ message: data.message }) || {};
+            if (LOCATION_TYPES.includes(content.type) || CONTACT_TYPES.includes(content.type)) {
+                this.type = content.type;
+            }
+            this._applyAttachment(content);
+            this.linkPreview = this._linkPreview(content);
+            this._applyContext(content.contextInfo);
+            return;
+        }
+
+        this.mentions = attrs.mentions ? attrs.mentions.split(',') : [];
+        this.isForwarded = attrs.forwarded === 'true';
+        this.quotedMessage = attrs.quoted
+            ? { id: attrs.quoted, author: pick(attrs.quoted_participant), body: null }
+            : null;
+    }
+
+    _fromWebMessage(info) {
+        const { contextInfo, ...content } = messageDefinitions.extractContent(info) || { type: 'unknown' };
+
+        this.id = info.key.id;
+        this.from = info.key.remoteJid;
+        this.author = pick(info.key.participant, info.participant);
+        this.fromMe = !!info.key.fromMe;
+        this.timestamp = info.messageTimestamp ? Number(info.messageTimestamp) * 1000 : Date.now();
+        this.type = content.type;
+        this.body = pick(content.text, content.caption, content.displayName, content.name, '');
+        this.caption = pick(content.caption);
+        this.media = MEDIA_TYPES.includes(content.type) ? content : null;
+        this.reaction = content.type === 'reaction' && content.key
+            ? { id: content.key.id, participant: pick(content.key.participant), fromMe: !!content.key.fromMe, emoji: content.emoji }
+            : null;
+        this.linkPreview = this._linkPreview(content);
+        this._applyContext(contextInfo);
+        this._applyAttachment(content);
+    }
+
+    /**
+     * Location, contact cards or group invite carried by the content
+     */
+    _applyAttachment(content) {
+        if (LOCATION_TYPES.includes(content.type)) {
+            this.location = this._location(content);
+        } else if (CONTACT_TYPES.includes(content.type)) {
+            const cards = content.type === 'contact' ? [content] : content.contacts;
+            this.vCards = cards.map(card => card.vcard).filter(Boolean);
+            this.contactCards = this.vCards.map(vcard => parseVCard(vcard));
+        } else if (content.type === 'groupInvite') {
+            this.invite = { groupJid: content.groupJid, groupName: content.groupName, code: content.inviteCode, expiration: content.inviteExpiration };
+        }
+    }
+
+    /**
+     * Quote, mentions and forwarding from a ContextInfo
+     */
+    _applyContext(contextInfo) {
+        const context = contextInfo || {};
+        const quoted = context.quotedMessage ? messageDefinitions.extractContent({ message: context.quotedMessage }) : null;
+
+        this.mentions = context.mentionedJid || [];
+        this.isForwarded = !!context.isForwarded;
+        this.quotedMessage = context.stanzaId
+            ? { id: context.stanzaId, author: pick(context.participant), body: quoted ? pick(quoted.text) : null }
+            : null;
+    }
+
+    /**
+     * Location of a (live) location message; null when the coordinates or
+     * measurements are invalid
+     */
+    _location(content) {
+        try {
+            return Location.fromContent(content);
+        } catch (error) {
+            console.error(`Invalid location in message ${this.id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * { url, matchedText, title, description, thumbnail } of a text with a link preview
+     */
+    _linkPreview(content) {
+        if (content.type !== 'text' || !(content.canonicalUrl || content.matchedText)) {
+            return null;
+        }
+
+        return {
+            url: pick(content.canonicalUrl, content.matchedText),
+            matchedText: pick(content.matchedText),
+            title: pick(content.title),
+            description: pick(content.description),
+            thumbnail: content.jpegThumbnail || null
+        };
+    }
+
+    _fromRecord(record) {
+        this.id = record.id;
+        this.from = record.remoteJid;
+        this.author = record.sender && record.sender !== record.remoteJid ? record.sender : null;
+        this.fromMe = !!record.fromMe;
+        this.timestamp = record.timestamp;
+        this.type = record.type || 'text';
+        this.body = pick(record.body, record.caption, '');
+        this.caption = pick(record.caption);
+        this.media = MessageStore.restoreMedia(record.media);
+        this.mentions = record.mentions || [];
+        this.isForwarded = false;
+        this.quotedMessage = record.quotedMessage || null;
+        this.reaction = null;
+        this.linkPreview = null;
+
+        if (record.location) {
+            this.location = Location.from(record.location);
+        }
+        if (record.vCards) {
+            this.vCards = record.vCards;
+            this.contactCards = record.vCards.map(vcard => parseVCard(vcard));
+        }
+    }
+
+    /**
+     * Key identifying this message for reactions, edits and deletes ({ remoteJid, id, fromMe, participant })
+     */
+    get key() {
+        return {
+            remoteJid: this.from,
+            id: this.id,
+            fromMe: this.fromMe,
+            participant: this.fromMe ? null : this.author
+        };
+    }
+
+    /**
+     * Reply in the same chat, quoting this message
+     */
+    async reply(content, options = {}) {
+        return await this.client.sendMessage(this.from, content, {
+            ...options,
+            quotedMessageId: this.id,
+            quotedParticipant: this.fromMe ? null : this.author || this.from
+        });
+    }
+
+    /**
+     * React with an emoji; an empty string removes our reaction
+     */
+    async react(emoji) {
+        return await this.client.sendReaction(this.key, emoji);
+    }
+
+    /**
+     * Current reactions from local history, grouped by emoji ([{ emoji, count, senders }])
+     */
+    async getReactions() {
+        this.reactions = await this.client.getReactions(this.from, this.id);
+        return this.reactions;
+    }
+
+    /**
+     * Send a copy of this message to another chat: media, a location (a live
+     * location goes as its current position), contact cards as received, or text.
+     * Resolves to the copy's SentMessage whatever the type.
+     */
+    async forward(chatId) {
+        if (this.hasMedia) {
+            return await this.client.sendMedia(chatId, this.media, { caption: this.caption, forwarded: true });
+        }
+
+        if (LOCATION_TYPES.includes(this.type)) {
+            if (!this.location) {
+                throw new Error(`Message ${this.id} has no location to forward`);
+            }
+            return await this.client.sendLocation(chatId, this.location, { forwarded: true });
+        }
+
+        if (CONTACT_TYPES.includes(this.type)) {
+            if (!this.vCards || this.vCards.length === 0) {
+                throw new Error(`Message ${this.id} has no contact cards to forward`);
+            }
+            return await this.client.sendContactCard(chatId, this.vCards.map(vcard => ({ vcard })), {
+                displayName: this.body || null,
+                forwarded: true
+            });
+        }
+
+        if (this.type !== 'text') {
+            throw new Error(`Cannot forward ${this.type} message ${this.id}`);
+        }
+
+        return await this.client.sendMessage(chatId, this.body, { forwarded: true });
+    }
+
+    /**
+     * Delete for everyone (revoke), or only from the local history
+     */
+    async delete(forEveryone = false) {
+        return await this.client.deleteMessage(this.key, { forEveryone });
+    }
+
+    /**
+     * Replace the text of this message; only our own messages can be edited
+     */
+    async edit(newText) {
+        const edited = await this.client.editMessage(this.key, newText);
+        this.body = edited.body;
+        this.editedAt = edited.editedAt;
+        return this;
+    }
+
+    /**
+     * Download and decrypt the attached media; also written to outputPath if given
+     */
+    async downloadMedia(outputPath = null) {
+        if (!this.hasMedia) {
+            throw new Error(`Message ${this.id} has no downloadable media`);
+        }
+
+        return await this.client.downloadMedia(this.media, outputPath);
+    }
+
+    /**
+     * Readable stream of the decrypted media; options: { signal, onProgress }
+     */
+    downloadMediaStream(options = {}) {
+        return this.client.downloadMediaStream(this, options);
+    }
+
+    /**
+     * Contacts mentioned in this message; unknown JIDs are left out
+     */
+    async getMentions() {
+        const contacts = await Promise.all(this.mentions.map(jid => this.client.getContactById(jid)));
+        return contacts.filter(Boolean);
+    }
+
+    /**
+     * The chat this message belongs to
+     */
+    async getChat() {
+        return await this.client.getChatById(this.from);
+    }
+}
+
+Message.MEDIA_TYPES = MEDIA_TYPES;
+
+module.exports = Message;
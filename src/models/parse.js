@@ -0,0 +1,28 @@
+/**
+ * Model helpers
+ * Raw chat/contact data comes from protocol attributes, so numbers and
+ * flags may arrive as strings
+ */
+
+function toNumber(value, fallback = 0) {
+    const number = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(number) ? fallback : number;
+}
+
+function toFlag(value) {
+    return value === true || value === 'true' || toNumber(value) > 0;
+}
+
+/**
+ * First value that is neither undefined nor null, else null
+ */
+function pick(...values) {
+    const value = values.find(candidate => candidate !== undefined && candidate !== null);
+    return value === undefined ? null : value;
+}
+
+module.exports = {
+    toNumber,
+    toFlag,
+    pick
+};
@@ -3,12 +3,14 @@
  * Reads WhatsApp's binary protocol messages
  */
 
-const { WATags, WASingleByteTokens } = require('../utils/constants');
+const { WATags, WASingleByteTokens, WADoubleByteTokens } = require('../utils/constants');
 
 class WABinaryReader {
-    constructor(data) {
+    constructor(data, options = {}) {
         this.data = Buffer.isBuffer(data) ? data : Buffer.from(data);
         this.index = 0;
+        this.singleByteTokens = options.singleByteTokens || WASingleByteTokens;
+        this.doubleByteTokens = options.doubleByteTokens || WADoubleByteTokens;
     }
 
     checkEOS(length) {
@@ -29,7 +31,7 @@ class WABinaryReader {
         let ret = 0;
         for (let i = 0; i < n; i++) {
             const currShift = littleEndian ? i : n - 1 - i;
-            ret |= this.data[this.index + i] << (currShift * 8);
+            ret += this.data[this.index + i] * Math.pow(2, currShift * 8);
         }
         this.index += n;
         return ret;
@@ -124,7 +126,7 @@ class WABinaryReader {
     }
 
     readString(tag) {
-        if (tag >= 3 && tag <= 235) {
+        if (tag >= 3 && tag < WATags.DICTIONARY_0) {
             let token = this.getToken(tag);
             if (token === "s.whatsapp.net") {
                 token = "c.us";
@@ -143,6 +145,8 @@ class WABinaryReader {
             return this.readStringFromChars(this.readInt20());
         } else if (tag === WATags.BINARY_32) {
             return this.readStringFromChars(this.readInt32());
+        } else if (tag === WATags.AD_JID) {
+            return this.readAdJid();
         } else if (tag === WATags.JID_PAIR) {
             const i = this.readString(this.readByte());
             const j = this.readString(this.readByte());
@@ -157,6 +161,21 @@ class WABinaryReader {
         }
     }
 
+    /**
+     * Read a device JID; decodes to user[_agent]:device@c.us
+     */
+    readAdJid() {
+        const agent = this.readByte();
+        const device = this.readByte();
+        const user = this.readString(this.readByte());
+
+        if (user === null) {
+            throw new Error('Invalid AD JID: missing user');
+        }
+
+        return `${user}${agent ? `_${agent}` : ''}:${device}@c.us`;
+    }
+
     readStringFromChars(length) {
         this.checkEOS(length);
         const ret = this.data.slice(this.index, this.index + length).toString('utf8');
@@ -173,7 +192,7 @@ class WABinaryReader {
         for (let i = 0; i < n; i++) {
             const index = this.readString(this.readByte());
             const value = this.readString(this.readByte());
-            if (index && value) {
+            if (index !== null && value !== null) {
                 ret[index] = value;
             }
         }
@@ -238,25 +257,29 @@ class WABinaryReader {
     }
 
     getToken(index) {
-        if (index < 3 || index >= WASingleByteTokens.length) {
+        const token = this.singleByteTokens[index];
+        if (index < 3 || token === undefined || token === null) {
             throw new Error(`Invalid token index: ${index}`);
         }
-        return WASingleByteTokens[index];
+        return token;
     }
 
     getTokenDouble(index1, index2) {
-        const n = 256 * index1 + index2;
-        // For now, return a fallback since we don't have double byte tokens implemented
-        return `DOUBLE_TOKEN_${n}`;
+        const dictionary = this.doubleByteTokens[index1] || [];
+        const token = dictionary[index2];
+        if (token === undefined || token === null) {
+            throw new Error(`Invalid double byte token: dictionary ${index1}, index ${index2}`);
+        }
+        return token;
     }
 }
 
 /**
  * Read WhatsApp binary message
  */
-function whatsappReadBinary(data, withMessages = false) {
+function whatsappReadBinary(data, withMessages = false, options = {}) {
     try {
-        const node = new WABinaryReader(data).readNode();
+        const node = new WABinaryReader(data, options).readNode();
         
         if (withMessages && node && Array.isArray(node) && node[1]) {
             // Process message arrays if needed
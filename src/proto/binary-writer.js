@@ -3,11 +3,46 @@
  * Writes WhatsApp's binary protocol messages
  */
 
-const { WATags, WASingleByteTokens } = require('../utils/constants');
+const { WATags, WASingleByteTokens, WADoubleByteTokens } = require('../utils/constants');
+
+const NIBBLE_REGEX = /^[0-9.-]+$/;
+const HEX_REGEX = /^[0-9A-F]+$/;
+const AD_JID_REGEX = /^(\d+)(?:_([1-9]\d{0,2}))?:(0|[1-9]\d{0,2})@(?:s\.whatsapp\.net|c\.us)$/;
+
+/**
+ * Build a token -> index lookup for the single and double byte dictionaries
+ */
+function buildTokenIndex(singleByteTokens, doubleByteTokens) {
+    const single = new Map();
+    const double = new Map();
+
+    singleByteTokens.forEach((token, index) => {
+        if (token !== null && !single.has(token)) {
+            single.set(token, index);
+        }
+    });
+
+    // Only DICTIONARY_0..3 exist and the index is a single byte
+    doubleByteTokens.slice(0, 4).forEach((dictionary, dictionaryIndex) => {
+        dictionary.slice(0, 256).forEach((token, index) => {
+            if (token !== null && !single.has(token) && !double.has(token)) {
+                double.set(token, { dictionaryIndex, index });
+            }
+        });
+    });
+
+    return { single, double };
+}
+
+const defaultTokenIndex = buildTokenIndex(WASingleByteTokens, WADoubleByteTokens);
 
 class WABinaryWriter {
-    constructor() {
+    constructor(options = {}) {
         this.data = [];
+
+        this.tokens = options.singleByteTokens || options.doubleByteTokens
+            ? buildTokenIndex(options.singleByteTokens || WASingleByteTokens, options.doubleByteTokens || WADoubleByteTokens)
+            : defaultTokenIndex;
     }
 
     getData() {
@@ -42,22 +77,22 @@ class WABinaryWriter {
     }
 
     pushBytes(bytes) {
-        if (Buffer.isBuffer(bytes)) {
-            this.data.push(...bytes);
-        } else if (Array.isArray(bytes)) {
-            this.data.push(...bytes);
-        } else {
+        if (!Buffer.isBuffer(bytes) && !Array.isArray(bytes)) {
             throw new Error('Invalid bytes parameter');
         }
+
+        // Spreading large payloads into push() overflows the call stack
+        for (let i = 0; i < bytes.length; i++) {
+            this.data.push(bytes[i] & 0xFF);
+        }
     }
 
     pushString(str) {
-        if (typeof str === 'string') {
-            const buffer = Buffer.from(str, 'utf8');
-            this.data.push(...buffer);
-        } else {
+        if (typeof str !== 'string') {
             throw new Error('Invalid string parameter');
         }
+
+        this.pushBytes(Buffer.from(str, 'utf8'));
     }
 
     writeByteLength(length) {
@@ -86,12 +121,20 @@ class WABinaryWriter {
             throw new Error('Invalid node');
         }
 
+        if (typeof node[0] !== 'string' || node[0].length === 0) {
+            throw new Error('Invalid node tag');
+        }
+
         const numAttributes = this.getNumValidKeys(node[1]);
+        const hasContent = node[2] !== null && node[2] !== undefined;
         
-        this.writeListStart(2 * numAttributes + 1 + (node[2] ? 1 : 0));
+        this.writeListStart(2 * numAttributes + 1 + (hasContent ? 1 : 0));
         this.writeString(node[0]);
         this.writeAttributes(node[1]);
-        this.writeChildren(node[2]);
+
+        if (hasContent) {
+            this.writeChildren(node[2]);
+        }
     }
 
     writeString(token, isValue = false) {
@@ -101,36 +144,44 @@ class WABinaryWriter {
 
         // Handle special case for c.us
         if (!isValue && token === "c.us") {
-            this.writeToken(WASingleByteTokens.indexOf("s.whatsapp.net"));
+            this.writeToken(this.tokens.single.get("s.whatsapp.net"));
             return;
         }
 
-        // Check if token exists in single byte tokens
-        const tokenIndex = WASingleByteTokens.indexOf(token);
-        if (tokenIndex !== -1) {
-            if (tokenIndex < WATags.SINGLE_BYTE_MAX) {
-                this.writeToken(tokenIndex);
-            } else {
-                // Handle double byte tokens (not fully implemented)
-                const singleByteOverflow = tokenIndex - WATags.SINGLE_BYTE_MAX;
-                const dictionaryIndex = singleByteOverflow >> 8;
-                if (dictionaryIndex < 0 || dictionaryIndex > 3) {
-                    throw new Error(`Double byte dictionary token out of range: ${token} ${tokenIndex}`);
-                }
-                this.writeToken(WATags.DICTIONARY_0 + dictionaryIndex);
-                this.writeToken(singleByteOverflow % 256);
-            }
+        if (this.tokens.single.has(token)) {
+            this.writeToken(this.tokens.single.get(token));
+            return;
+        }
+
+        if (this.tokens.double.has(token)) {
+            const { dictionaryIndex, index } = this.tokens.double.get(token);
+            this.pushByte(WATags.DICTIONARY_0 + dictionaryIndex);
+            this.pushByte(index);
+            return;
+        }
+
+        const adJid = token.match(AD_JID_REGEX);
+        if (adJid && Number(adJid[2] || 0) <= 255 && Number(adJid[3]) <= 255) {
+            this.writeAdJid(adJid[1], Number(adJid[2] || 0), Number(adJid[3]));
+            return;
+        }
+
+        const jidSepIndex = token.indexOf("@");
+        if (jidSepIndex >= 1) {
+            this.writeJid(token.substring(0, jidSepIndex), token.substring(jidSepIndex + 1));
+        } else if (this.isPackable(token, NIBBLE_REGEX)) {
+            this.writePackedBytesImpl(token, WATags.NIBBLE_8);
+        } else if (this.isPackable(token, HEX_REGEX)) {
+            this.writePackedBytesImpl(token, WATags.HEX_8);
         } else {
-            // Check if it's a JID
-            const jidSepIndex = token.indexOf("@");
-            if (jidSepIndex >= 1) {
-                this.writeJid(token.substring(0, jidSepIndex), token.substring(jidSepIndex + 1));
-            } else {
-                this.writeStringRaw(token);
-            }
+            this.writeStringRaw(token);
         }
     }
 
+    isPackable(str, regex) {
+        return str.length <= WATags.PACKED_MAX && regex.test(str);
+    }
+
     writeStringRaw(str) {
         const buffer = Buffer.from(str, 'utf8');
         this.writeByteLength(buffer.length);
@@ -147,12 +198,26 @@ class WABinaryWriter {
         this.writeString(jidRight);
     }
 
+    /**
+     * Write a device JID (user[_agent]:device@s.whatsapp.net)
+     */
+    writeAdJid(user, agent, device) {
+        if (agent > 255 || device > 255) {
+            throw new Error(`Invalid AD JID: agent ${agent}, device ${device}`);
+        }
+
+        this.pushByte(WATags.AD_JID);
+        this.pushByte(agent);
+        this.pushByte(device);
+        this.writeString(user);
+    }
+
     writeToken(token) {
-        if (token < 245) {
-            this.pushByte(token);
-        } else if (token <= 500) {
-            throw new Error('Invalid token');
+        if (token === undefined || token < 0 || token >= WATags.DICTIONARY_0) {
+            throw new Error(`Invalid token: ${token}`);
         }
+
+        this.pushByte(token);
     }
 
     writeAttributes(attrs) {
@@ -169,7 +234,7 @@ class WABinaryWriter {
     }
 
     writeChildren(children) {
-        if (!children) {
+        if (children === null || children === undefined) {
             return;
         }
 
@@ -189,6 +254,10 @@ class WABinaryWriter {
     }
 
     writeListStart(listSize) {
+        if (listSize >= 65536) {
+            throw new Error(`List too large to encode (len = ${listSize})`);
+        }
+
         if (listSize === 0) {
             this.pushByte(WATags.LIST_EMPTY);
         } else if (listSize < 256) {
@@ -286,9 +355,9 @@ class WABinaryWriter {
 /**
  * Write WhatsApp binary message
  */
-function whatsappWriteBinary(node) {
+function whatsappWriteBinary(node, options = {}) {
     try {
-        const writer = new WABinaryWriter();
+        const writer = new WABinaryWriter(options);
         writer.writeNode(node);
         return writer.getData();
     } catch (error) {
@@ -0,0 +1,70 @@
+/**
+ * Noise Handshake Messages
+ * Minimal protobuf codec for WhatsApp's HandshakeMessage
+ *
+ * HandshakeMessage { clientHello = 2, serverHello = 3, clientFinish = 4 }
+ * ClientHello / ServerHello { ephemeral = 1, static = 2, payload = 3 }
+ * ClientFinish { static = 1, payload = 2 }
+ */
+
+const { encodeBytesField, decodeMessage } = require('./protobuf');
+
+const HandshakeFields = {
+    clientHello: { field: 2, children: { ephemeral: 1, static: 2, payload: 3 } },
+    serverHello: { field: 3, children: { ephemeral: 1, static: 2, payload: 3 } },
+    clientFinish: { field: 4, children: { static: 1, payload: 2 } }
+};
+
+/**
+ * Encode { clientHello | serverHello | clientFinish: { ...Buffers } }
+ */
+function encodeHandshakeMessage(message) {
+    const parts = [];
+
+    for (const [name, { field, children }] of Object.entries(HandshakeFields)) {
+        if (!message[name]) {
+            continue;
+        }
+
+        const childParts = [];
+        for (const [childName, childField] of Object.entries(children)) {
+            const value = message[name][childName];
+            if (value && value.length > 0) {
+                childParts.push(encodeBytesField(childField, Buffer.from(value)));
+            }
+        }
+
+        parts.push(encodeBytesField(field, Buffer.concat(childParts)));
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Decode a HandshakeMessage; missing byte fields decode as null
+ */
+function decodeHandshakeMessage(buffer) {
+    const fields = decodeMessage(buffer);
+    const message = {};
+
+    for (const [name, { field, children }] of Object.entries(HandshakeFields)) {
+        if (!Buffer.isBuffer(fields[field])) {
+            continue;
+        }
+
+        const childFields = decodeMessage(fields[field]);
+        message[name] = {};
+
+        for (const [childName, childField] of Object.entries(children)) {
+            const value = childFields[childField];
+            message[name][childName] = Buffer.isBuffer(value) ? value : null;
+        }
+    }
+
+    return message;
+}
+
+module.exports = {
+    encodeHandshakeMessage,
+    decodeHandshakeMessage
+};
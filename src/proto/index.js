@@ -40,12 +40,13 @@ class ProtoHandler extends EventEmitter {
     }
     
     /**
-     * Create resume message for existing session
+     * Create resume message for existing session; the server answers with a
+     * login result or error carrying requestId
      */
-    createResumeMessage(sessionData) {
+    createResumeMessage(sessionData, requestId = null) {
         const node = [
             'admin',
-            { type: 'login' },
+            requestId ? { type: 'login', id: requestId } : { type: 'login' },
             [
                 ['clientToken', {}, sessionData.clientToken],
                 ['serverToken', {}, sessionData.serverToken],
@@ -0,0 +1,516 @@
+/**
+ * Message Content
+ * The WhatsApp Message protobuf for text, media, locations, contact cards,
+ * reactions, revokes and edits: a plain conversation, an extendedTextMessage with
+ * link preview fields and a contextInfo carrying quotes, mentions and forwarding,
+ * an uploaded file's descriptor, a (live) location, vCards, a reaction to an
+ * earlier message, or a protocolMessage revoking or editing one
+ *
+ * Message: conversation = 1, imageMessage = 3, contactMessage = 4, locationMessage = 5,
+ *          extendedTextMessage = 6, documentMessage = 7, audioMessage = 8, videoMessage = 9,
+ *          protocolMessage = 12, contactsArrayMessage = 13, liveLocationMessage = 18,
+ *          stickerMessage = 26, reactionMessage = 46
+ * Media messages: see MEDIA_MESSAGES; each has contextInfo = 17
+ * ContactMessage: displayName = 1, vcard = 16, contextInfo = 17
+ * ContactsArrayMessage: displayName = 1, contacts = 2 (repeated ContactMessage), contextInfo = 17
+ * ExtendedTextMessage: text = 1, matchedText = 2, canonicalUrl = 4, description = 5,
+ *                      title = 6, jpegThumbnail = 16, contextInfo = 17
+ * ContextInfo: stanzaId = 1, participant = 2, quotedMessage = 3, remoteJid = 4,
+ *              mentionedJid = 15 (repeated), forwardingScore = 21, isForwarded = 22
+ * LocationMessage: degreesLatitude = 1 (double), degreesLongitude = 2 (double),
+ *                  name = 3, address = 4, url = 5, accuracyInMeters = 7,
+ *                  speedInMps = 8 (float), degreesClockwiseFromMagneticNorth = 9, comment = 11,
+ *                  contextInfo = 17
+ * LiveLocationMessage: degreesLatitude = 1 (double), degreesLongitude = 2 (double),
+ *                      accuracyInMeters = 3, speedInMps = 4 (float),
+ *                      degreesClockwiseFromMagneticNorth = 5, caption = 6,
+ *                      sequenceNumber = 7, timeOffset = 8, contextInfo = 17
+ * ReactionMessage: key = 1, text = 2, senderTimestampMs = 4
+ * ProtocolMessage: key = 1, type = 2 (ProtocolMessageTypes), editedMessage = 14 (Message),
+ *                  timestampMs = 15
+ * MessageKey: remoteJid = 1, fromMe = 2, id = 3, participant = 4
+ *
+ * Values use the same shape as WebMessageInfo.message in proto/messages.js
+ */
+
+const { encodeMessage, decodeMessage, double, float } = require('./protobuf');
+
+const MENTIONED_JID = 15;
+const ARRAY_CONTACTS = 2;
+
+// Field numbers of the media messages, by Message field and media message field
+const MEDIA_MESSAGES = {
+    image: {
+        field: 3,
+        fields: { url: 1, mimetype: 2, caption: 3, fileSha256: 4, fileLength: 5, height: 6, width: 7, mediaKey: 8, fileEncSha256: 9, directPath: 11, jpegThumbnail: 16 }
+    },
+    document: {
+        field: 7,
+        fields: { url: 1, mimetype: 2, title: 3, fileSha256: 4, fileLength: 5, mediaKey: 7, fileName: 8, fileEncSha256: 9, directPath: 10, jpegThumbnail: 16, caption: 20 }
+    },
+    audio: {
+        field: 8,
+        fields: { url: 1, mimetype: 2, fileSha256: 3, fileLength: 4, seconds: 5, ptt: 6, mediaKey: 7, fileEncSha256: 8, directPath: 9, waveform: 19 }
+    },
+    video: {
+        field: 9,
+        fields: { url: 1, mimetype: 2, fileSha256: 3, fileLength: 4, seconds: 5, mediaKey: 6, caption: 7, gifPlayback: 8, height: 9, width: 10, fileEncSha256: 11, directPath: 13, jpegThumbnail: 16 }
+    },
+    sticker: {
+        field: 26,
+        fields: { url: 1, fileSha256: 2, fileEncSha256: 3, mediaKey: 4, mimetype: 5, height: 6, width: 7, directPath: 8, fileLength: 9 }
+    }
+};
+
+const MEDIA_BYTES = ['fileSha256', 'fileEncSha256', 'mediaKey', 'jpegThumbnail', 'waveform'];
+const MEDIA_NUMBERS = ['fileLength', 'height', 'width', 'seconds'];
+const MEDIA_FLAGS = ['ptt', 'gifPlayback'];
+
+// ProtocolMessage.type values we send and handle
+const ProtocolMessageTypes = {
+    REVOKE: 0,
+    MESSAGE_EDIT: 14
+};
+
+/**
+ * Content for outgoing text: an extendedTextMessage when there is a contextInfo
+ * or link preview, otherwise null (the text is sent as is)
+ */
+function createTextContent(text, contextInfo = null, preview = null) {
+    if (!contextInfo && !preview) {
+        return null;
+    }
+
+    return { extendedTextMessage: { text, ...(preview || {}), contextInfo } };
+}
+
+/**
+ * Content for an uploaded file ({ type, url, directPath, mediaKey, fileSha256,
+ * fileEncSha256, fileLength, mimetype, fileName, thumbnail, width, height,
+ * seconds, waveform, ptt }): { imageMessage }, { videoMessage }, ... with the
+ * bytes as base64, so the content can wait in the outbox as JSON
+ */
+function createMediaContent(media, caption = null) {
+    if (!MEDIA_MESSAGES[media.type]) {
+        throw new Error(`Unsupported media type: ${media.type}`);
+    }
+
+    const base64 = value => (value ? Buffer.from(value).toString('base64') : null);
+
+    return {
+        [`${media.type}Message`]: {
+            url: media.url,
+            directPath: media.directPath || null,
+            mimetype: media.mimetype || null,
+            fileName: media.fileName || null,
+            fileLength: media.fileLength ?? null,
+            mediaKey: base64(media.mediaKey),
+            fileSha256: base64(media.fileSha256),
+            fileEncSha256: base64(media.fileEncSha256),
+            jpegThumbnail: base64(media.thumbnail),
+            width: media.width || null,
+            height: media.height || null,
+            seconds: media.seconds ?? null,
+            waveform: base64(media.waveform),
+            ptt: !!media.ptt,
+            caption: caption || null
+        }
+    };
+}
+
+/**
+ * The uploaded file a decoded content refers to, in the shape createMediaContent
+ * takes, plus its caption; null when the content is not media
+ */
+function getMediaInfo(content) {
+    const type = content && Object.keys(MEDIA_MESSAGES).find(name => content[`${name}Message`]);
+    if (!type) {
+        return null;
+    }
+
+    const media = content[`${type}Message`];
+    const bytes = value => (typeof value === 'string' ? Buffer.from(value, 'base64') : value || null);
+
+    return {
+        type,
+        url: media.url || null,
+        directPath: media.directPath || null,
+        mimetype: media.mimetype || null,
+        fileName: media.fileName || null,
+        fileLength: media.fileLength ?? null,
+        mediaKey: bytes(media.mediaKey),
+        fileSha256: bytes(media.fileSha256),
+        fileEncSha256: bytes(media.fileEncSha256),
+        thumbnail: bytes(media.jpegThumbnail),
+        width: media.width || null,
+        height: media.height || null,
+        seconds: media.seconds ?? null,
+        waveform: bytes(media.waveform),
+        ptt: !!media.ptt,
+        caption: media.caption || null
+    };
+}
+
+/**
+ * Encode { conversation }, { extendedTextMessage: { text, ...preview, contextInfo } },
+ * { imageMessage }, { videoMessage }, { audioMessage }, { documentMessage }, { stickerMessage },
+ * { locationMessage }, { liveLocationMessage }, { contactMessage },
+ * { contactsArrayMessage }, { reactionMessage: { key, text, senderTimestampMs } }
+ * or { protocolMessage: { key, type, editedMessage, timestampMs } }
+ */
+function encodeMessageContent(content) {
+    const mediaType = Object.keys(MEDIA_MESSAGES).find(type => content[`${type}Message`]);
+    if (mediaType) {
+        return encodeMessage({ [MEDIA_MESSAGES[mediaType].field]: encodeMedia(mediaType, content[`${mediaType}Message`]) });
+    }
+
+    if (content.protocolMessage) {
+        const protocol = content.protocolMessage;
+
+        return encodeMessage({
+            12: encodeMessage({
+                1: encodeMessageKey(protocol.key),
+                2: protocol.type,
+                14: protocol.editedMessage ? encodeMessageContent(protocol.editedMessage) : null,
+                15: protocol.timestampMs
+            })
+        });
+    }
+
+    if (content.reactionMessage) {
+        const reaction = content.reactionMessage;
+
+        return encodeMessage({
+            46: encodeMessage({
+                1: encodeMessageKey(reaction.key),
+                2: reaction.text || '',
+                4: reaction.senderTimestampMs
+            })
+        });
+    }
+
+    if (content.contactMessage) {
+        return encodeMessage({ 4: encodeContact(content.contactMessage, content.contactMessage.contextInfo) });
+    }
+
+    if (content.contactsArrayMessage) {
+        return encodeMessage({
+            13: encodeMessage({
+                1: content.contactsArrayMessage.displayName,
+                [ARRAY_CONTACTS]: content.contactsArrayMessage.contacts.map(contact => encodeContact(contact)),
+                17: encodeOptionalContextInfo(content.contactsArrayMessage.contextInfo)
+            })
+        });
+    }
+
+    if (content.locationMessage) {
+        const location = content.locationMessage;
+
+        return encodeMessage({
+            5: encodeMessage({
+                1: double(location.degreesLatitude),
+                2: double(location.degreesLongitude),
+                3: location.name,
+                4: location.address,
+                5: location.url,
+                7: location.accuracyInMeters,
+                8: float(location.speedInMps),
+                9: location.degreesClockwiseFromMagneticNorth,
+                11: location.comment,
+                17: encodeOptionalContextInfo(location.contextInfo)
+            })
+        });
+    }
+
+    if (content.liveLocationMessage) {
+        const location = content.liveLocationMessage;
+
+        return encodeMessage({
+            18: encodeMessage({
+                1: double(location.degreesLatitude),
+                2: double(location.degreesLongitude),
+                3: location.accuracyInMeters,
+                4: float(location.speedInMps),
+                5: location.degreesClockwiseFromMagneticNorth,
+                6: location.caption,
+                7: location.sequenceNumber,
+                8: location.timeOffset,
+                17: encodeOptionalContextInfo(location.contextInfo)
+            })
+        });
+    }
+
+    if (content.extendedTextMessage) {
+        const extended = content.extendedTextMessage;
+
+        return encodeMessage({
+            6: encodeMessage({
+                1: extended.text,
+                2: extended.matchedText,
+                4: extended.canonicalUrl,
+                5: extended.description,
+                6: extended.title,
+                16: extended.jpegThumbnail,
+                17: encodeOptionalContextInfo(extended.contextInfo)
+            })
+        });
+    }
+
+    return encodeMessage({ 1: content.conversation || '' });
+}
+
+function decodeMessageContent(buffer) {
+    const fields = decodeMessage(buffer);
+    const text = value => (value ? value.toString() : null);
+
+    for (const [type, { field }] of Object.entries(MEDIA_MESSAGES)) {
+        if (fields[field]) {
+            return { [`${type}Message`]: decodeMedia(type, fields[field]) };
+        }
+    }
+
+    if (fields[12]) {
+        const protocol = decodeMessage(fields[12]);
+
+        return {
+            protocolMessage: {
+                key: decodeMessageKey(protocol[1]),
+                type: protocol[2] ?? ProtocolMessageTypes.REVOKE,
+                editedMessage: protocol[14] ? decodeMessageContent(protocol[14]) : null,
+                timestampMs: protocol[15] ?? null
+            }
+        };
+    }
+
+    if (fields[46]) {
+        const reaction = decodeMessage(fields[46]);
+
+        return {
+            reactionMessage: {
+                key: decodeMessageKey(reaction[1]),
+                text: text(reaction[2]) || '',
+                senderTimestampMs: reaction[4] ?? null
+            }
+        };
+    }
+
+    if (fields[4]) {
+        return { contactMessage: decodeContact(fields[4]) };
+    }
+
+    if (fields[13]) {
+        const array = decodeMessage(fields[13], [ARRAY_CONTACTS]);
+
+        return {
+            contactsArrayMessage: {
+                displayName: text(array[1]),
+                contacts: (array[ARRAY_CONTACTS] || []).map(decodeContact),
+                contextInfo: array[17] ? decodeContextInfo(array[17]) : null
+            }
+        };
+    }
+
+    if (fields[5]) {
+        const location = decodeMessage(fields[5]);
+
+        return {
+            locationMessage: {
+                degreesLatitude: location[1] ?? 0,
+                degreesLongitude: location[2] ?? 0,
+                name: text(location[3]),
+                address: text(location[4]),
+                url: text(location[5]),
+                accuracyInMeters: location[7] ?? null,
+                speedInMps: location[8] ?? null,
+                degreesClockwiseFromMagneticNorth: location[9] ?? null,
+                comment: text(location[11]),
+                contextInfo: location[17] ? decodeContextInfo(location[17]) : null
+            }
+        };
+    }
+
+    if (fields[18]) {
+        const location = decodeMessage(fields[18]);
+
+        return {
+            liveLocationMessage: {
+                degreesLatitude: location[1] ?? 0,
+                degreesLongitude: location[2] ?? 0,
+                accuracyInMeters: location[3] ?? null,
+                speedInMps: location[4] ?? null,
+                degreesClockwiseFromMagneticNorth: location[5] ?? null,
+                caption: text(location[6]),
+                sequenceNumber: location[7] ?? 0,
+                timeOffset: location[8] ?? 0,
+                contextInfo: location[17] ? decodeContextInfo(location[17]) : null
+            }
+        };
+    }
+
+    if (fields[6]) {
+        const extended = decodeMessage(fields[6]);
+
+        return {
+            extendedTextMessage: {
+                text: text(extended[1]) || '',
+                matchedText: text(extended[2]),
+                canonicalUrl: text(extended[4]),
+                description: text(extended[5]),
+                title: text(extended[6]),
+                jpegThumbnail: extended[16] || null,
+                contextInfo: extended[17] ? decodeContextInfo(extended[17]) : null
+            }
+        };
+    }
+
+    return { conversation: fields[1] ? fields[1].toString() : '' };
+}
+
+function encodeContact(contact, contextInfo = null) {
+    return encodeMessage({ 1: contact.displayName, 16: contact.vcard, 17: encodeOptionalContextInfo(contextInfo) });
+}
+
+function decodeContact(buffer) {
+    const fields = decodeMessage(buffer);
+
+    return {
+        displayName: fields[1] ? fields[1].toString() : null,
+        vcard: fields[16] ? fields[16].toString() : null,
+        contextInfo: fields[17] ? decodeContextInfo(fields[17]) : null
+    };
+}
+
+/**
+ * Encode a media message; bytes may be Buffers or base64 (from the outbox)
+ */
+function encodeMedia(type, media) {
+    const fields = { 17: encodeOptionalContextInfo(media.contextInfo) };
+
+    for (const [name, field] of Object.entries(MEDIA_MESSAGES[type].fields)) {
+        const value = media[name];
+        if (value === null || value === undefined) {
+            continue;
+        }
+
+        if (MEDIA_BYTES.includes(name)) {
+            fields[field] = typeof value === 'string' ? Buffer.from(value, 'base64') : Buffer.from(value);
+        } else if (MEDIA_FLAGS.includes(name)) {
+            fields[field] = value ? 1 : null;
+        } else {
+            fields[field] = value;
+        }
+    }
+
+    return encodeMessage(fields);
+}
+
+function decodeMedia(type, buffer) {
+    const fields = decodeMessage(buffer);
+    const media = { contextInfo: fields[17] ? decodeContextInfo(fields[17]) : null };
+
+    for (const [name, field] of Object.entries(MEDIA_MESSAGES[type].fields)) {
+        const value = fields[field];
+
+        if (MEDIA_BYTES.includes(name)) {
+            media[name] = value || null;
+        } else if (MEDIA_FLAGS.includes(name)) {
+            media[name] = value === 1;
+        } else if (MEDIA_NUMBERS.includes(name)) {
+            media[name] = value ?? null;
+        } else {
+            media[name] = value ? value.toString() : null;
+        }
+    }
+
+    return media;
+}
+
+function encodeMessageKey(key) {
+    return encodeMessage({
+        1: key.remoteJid,
+        2: key.fromMe ? 1 : 0,
+        3: key.id,
+        4: key.participant
+    });
+}
+
+function decodeMessageKey(buffer) {
+    const fields = decodeMessage(buffer || Buffer.alloc(0));
+
+    return {
+        remoteJid: fields[1] ? fields[1].toString() : null,
+        fromMe: fields[2] === 1,
+        id: fields[3] ? fields[3].toString() : null,
+        participant: fields[4] ? fields[4].toString() : null
+    };
+}
+
+/**
+ * Content with contextInfo set on its message ({ locationMessage: { ..., contextInfo } })
+ */
+function withContextInfo(content, contextInfo) {
+    const [type] = Object.keys(content);
+    return { [type]: { ...content[type], contextInfo } };
+}
+
+function encodeOptionalContextInfo(contextInfo) {
+    return contextInfo ? encodeContextInfo(contextInfo) : null;
+}
+
+function encodeContextInfo(contextInfo) {
+    return encodeMessage({
+        1: contextInfo.stanzaId,
+        2: contextInfo.participant,
+        3: contextInfo.quotedMessage ? encodeMessageContent(contextInfo.quotedMessage) : null,
+        4: contextInfo.remoteJid,
+        [MENTIONED_JID]: contextInfo.mentionedJid && contextInfo.mentionedJid.length > 0 ? contextInfo.mentionedJid : null,
+        21: contextInfo.forwardingScore,
+        22: contextInfo.isForwarded ? 1 : null
+    });
+}
+
+function decodeContextInfo(buffer) {
+    const fields = decodeMessage(buffer, [MENTIONED_JID]);
+    const text = value => (value ? value.toString() : null);
+
+    return {
+        stanzaId: text(fields[1]),
+        participant: text(fields[2]),
+        quotedMessage: fields[3] ? decodeMessageContent(fields[3]) : null,
+        remoteJid: text(fields[4]),
+        mentionedJid: (fields[MENTIONED_JID] || []).map(jid => jid.toString()),
+        forwardingScore: fields[21] || 0,
+        isForwarded: fields[22] === 1
+    };
+}
+
+/**
+ * Text of a decoded message content; a location's name or caption, a contact
+ * card's display name, null for media (see getMediaInfo), a reaction, revoke or edit
+ */
+function getMessageText(content) {
+    if (!content || content.reactionMessage || content.protocolMessage || getMediaInfo(content)) {
+        return null;
+    }
+    if (content.contactMessage || content.contactsArrayMessage) {
+        return (content.contactMessage || content.contactsArrayMessage).displayName || '';
+    }
+    if (content.locationMessage) {
+        return content.locationMessage.name || content.locationMessage.comment || '';
+    }
+    if (content.liveLocationMessage) {
+        return content.liveLocationMessage.caption || '';
+    }
+    return content.extendedTextMessage ? content.extendedTextMessage.text : content.conversation;
+}
+
+module.exports = {
+    ProtocolMessageTypes,
+    createTextContent,
+    createMediaContent,
+    encodeMessageContent,
+    decodeMessageContent,
+    getMessageText,
+    getMediaInfo,
+    withContextInfo
+};
@@ -44,6 +44,7 @@ class Messages {
                     canonicalUrl: 'string',
                     description: 'string',
                     title: 'string',
+                    jpegThumbnail: 'buffer',
                     textArgb: 'number',
                     backgroundArgb: 'number',
                     font: 'number',
@@ -179,6 +180,23 @@ class Messages {
             status: 'number'
         });
         
+        // Several contacts in one message
+        this.messageTypes.set('contactsArray', {
+            key: {
+                remoteJid: 'string',
+                fromMe: 'boolean',
+                id: 'string'
+            },
+            message: {
+                contactsArrayMessage: {
+                    displayName: 'string',
+                    contacts: 'object'
+                }
+            },
+            messageTimestamp: 'number',
+            status: 'number'
+        });
+        
         // Location message structure
         this.messageTypes.set('location', {
             key: {
@@ -193,6 +211,34 @@ class Messages {
                     name: 'string',
                     address: 'string',
                     url: 'string',
+                    accuracyInMeters: 'number',
+                    speedInMps: 'number',
+                    degreesClockwiseFromMagneticNorth: 'number',
+                    comment: 'string',
+                    jpegThumbnail: 'buffer'
+                }
+            },
+            messageTimestamp: 'number',
+            status: 'number'
+        });
+        
+        // Live location update; sequenceNumber orders the updates of one share
+        this.messageTypes.set('liveLocation', {
+            key: {
+                remoteJid: 'string',
+                fromMe: 'boolean',
+                id: 'string'
+            },
+            message: {
+                liveLocationMessage: {
+                    degreesLatitude: 'number',
+                    degreesLongitude: 'number',
+                    accuracyInMeters: 'number',
+                    speedInMps: 'number',
+                    degreesClockwiseFromMagneticNorth: 'number',
+                    caption: 'string',
+                    sequenceNumber: 'number',
+                    timeOffset: 'number',
                     jpegThumbnail: 'buffer'
                 }
             },
@@ -221,6 +267,42 @@ class Messages {
             status: 'number'
         });
         
+        // Reaction to another message; empty text removes the sender's reaction
+        this.messageTypes.set('reaction', {
+            key: {
+                remoteJid: 'string',
+                fromMe: 'boolean',
+                id: 'string'
+            },
+            message: {
+                reactionMessage: {
+                    key: 'object',
+                    text: 'string',
+                    senderTimestampMs: 'number'
+                }
+            },
+            messageTimestamp: 'number',
+            status: 'number'
+        });
+        
+        // Revoke (type 0) or edit (type 14) of the message with key
+        this.messageTypes.set('protocol', {
+            key: {
+                remoteJid: 'string',
+                fromMe: 'boolean',
+                id: 'string'
+            },
+            message: {
+                protocolMessage: {
+                    key: 'object',
+                    type: 'number',
+                    editedMessage: 'object'
+                }
+            },
+            messageTimestamp: 'number',
+            status: 'number'
+        });
+        
         // Protocol messages (non-chat messages)
         this.messageTypes.set('receipt', {
             tag: 'receipt',
@@ -431,6 +513,11 @@ class Messages {
             return {
                 type: 'text',
                 text: messageContent.extendedTextMessage.text,
+                matchedText: messageContent.extendedTextMessage.matchedText,
+                canonicalUrl: messageContent.extendedTextMessage.canonicalUrl,
+                title: messageContent.extendedTextMessage.title,
+                description: messageContent.extendedTextMessage.description,
+                jpegThumbnail: messageContent.extendedTextMessage.jpegThumbnail,
                 contextInfo: messageContent.extendedTextMessage.contextInfo
             };
         }
@@ -441,9 +528,16 @@ class Messages {
                 type: 'image',
                 caption: messageContent.imageMessage.caption,
                 url: messageContent.imageMessage.url,
+                directPath: messageContent.imageMessage.directPath,
                 mediaKey: messageContent.imageMessage.mediaKey,
+                fileSha256: messageContent.imageMessage.fileSha256,
+                fileEncSha256: messageContent.imageMessage.fileEncSha256,
                 mimetype: messageContent.imageMessage.mimetype,
-                fileLength: messageContent.imageMessage.fileLength
+                fileLength: messageContent.imageMessage.fileLength,
+                width: messageContent.imageMessage.width,
+                height: messageContent.imageMessage.height,
+                thumbnail: messageContent.imageMessage.jpegThumbnail,
+                contextInfo: messageContent.imageMessage.contextInfo
             };
         }
         
@@ -453,10 +547,17 @@ class Messages {
                 type: 'video',
                 caption: messageContent.videoMessage.caption,
                 url: messageContent.videoMessage.url,
+                directPath: messageContent.videoMessage.directPath,
                 mediaKey: messageContent.videoMessage.mediaKey,
+                fileSha256: messageContent.videoMessage.fileSha256,
+                fileEncSha256: messageContent.videoMessage.fileEncSha256,
                 mimetype: messageContent.videoMessage.mimetype,
                 fileLength: messageContent.videoMessage.fileLength,
-                seconds: messageContent.videoMessage.seconds
+                seconds: messageContent.videoMessage.seconds,
+                width: messageContent.videoMessage.width,
+                height: messageContent.videoMessage.height,
+                thumbnail: messageContent.videoMessage.jpegThumbnail,
+                contextInfo: messageContent.videoMessage.contextInfo
             };
         }
         
@@ -465,11 +566,16 @@ class Messages {
             return {
                 type: 'audio',
                 url: messageContent.audioMessage.url,
+                directPath: messageContent.audioMessage.directPath,
                 mediaKey: messageContent.audioMessage.mediaKey,
+                fileSha256: messageContent.audioMessage.fileSha256,
+                fileEncSha256: messageContent.audioMessage.fileEncSha256,
                 mimetype: messageContent.audioMessage.mimetype,
                 fileLength: messageContent.audioMessage.fileLength,
                 seconds: messageContent.audioMessage.seconds,
-                ptt: messageContent.audioMessage.ptt
+                ptt: messageContent.audioMessage.ptt,
+                waveform: messageContent.audioMessage.waveform,
+                contextInfo: messageContent.audioMessage.contextInfo
             };
         }
         
@@ -478,10 +584,15 @@ class Messages {
             return {
                 type: 'document',
                 fileName: messageContent.documentMessage.fileName,
+                title: messageContent.documentMessage.title,
                 url: messageContent.documentMessage.url,
+                directPath: messageContent.documentMessage.directPath,
                 mediaKey: messageContent.documentMessage.mediaKey,
+                fileSha256: messageContent.documentMessage.fileSha256,
+                fileEncSha256: messageContent.documentMessage.fileEncSha256,
                 mimetype: messageContent.documentMessage.mimetype,
-                fileLength: messageContent.documentMessage.fileLength
+                fileLength: messageContent.documentMessage.fileLength,
+                contextInfo: messageContent.documentMessage.contextInfo
             };
         }
         
@@ -490,7 +601,21 @@ class Messages {
             return {
                 type: 'contact',
                 displayName: messageContent.contactMessage.displayName,
-                vcard: messageContent.contactMessage.vcard
+                vcard: messageContent.contactMessage.vcard,
+                contextInfo: messageContent.contactMessage.contextInfo
+            };
+        }
+        
+        // Multiple contacts message
+        if (messageContent.contactsArrayMessage) {
+            return {
+                type: 'multi_vcard',
+                displayName: messageContent.contactsArrayMessage.displayName,
+                contacts: (messageContent.contactsArrayMessage.contacts || []).map(contact => ({
+                    displayName: contact.displayName,
+                    vcard: contact.vcard
+                })),
+                contextInfo: messageContent.contactsArrayMessage.contextInfo
             };
         }
         
@@ -501,7 +626,64 @@ class Messages {
                 latitude: messageContent.locationMessage.degreesLatitude,
                 longitude: messageContent.locationMessage.degreesLongitude,
                 name: messageContent.locationMessage.name,
-                address: messageContent.locationMessage.address
+                address: messageContent.locationMessage.address,
+                url: messageContent.locationMessage.url,
+                accuracy: messageContent.locationMessage.accuracyInMeters,
+                speed: messageContent.locationMessage.speedInMps,
+                degrees: messageContent.locationMessage.degreesClockwiseFromMagneticNorth,
+                comment: messageContent.locationMessage.comment,
+                contextInfo: messageContent.locationMessage.contextInfo
+            };
+        }
+        
+        // Live location update
+        if (messageContent.liveLocationMessage) {
+            return {
+                type: 'live_location',
+                latitude: messageContent.liveLocationMessage.degreesLatitude,
+                longitude: messageContent.liveLocationMessage.degreesLongitude,
+                accuracy: messageContent.liveLocationMessage.accuracyInMeters,
+                speed: messageContent.liveLocationMessage.speedInMps,
+                degrees: messageContent.liveLocationMessage.degreesClockwiseFromMagneticNorth,
+                caption: messageContent.liveLocationMessage.caption,
+                sequenceNumber: messageContent.liveLocationMessage.sequenceNumber,
+                timeOffset: messageContent.liveLocationMessage.timeOffset,
+                contextInfo: messageContent.liveLocationMessage.contextInfo
+            };
+        }
+        
+        // Group invite message
+        if (messageContent.groupInviteMessage) {
+            return {
+                type: 'groupInvite',
+                groupJid: messageContent.groupInviteMessage.groupJid,
+                groupName: messageContent.groupInviteMessage.groupName,
+                inviteCode: messageContent.groupInviteMessage.inviteCode,
+                inviteExpiration: messageContent.groupInviteMessage.inviteExpiration,
+                caption: messageContent.groupInviteMessage.caption
+            };
+        }
+        
+        // Revoke or edit of another message
+        if (messageContent.protocolMessage) {
+            const protocol = messageContent.protocolMessage;
+            const edited = protocol.editedMessage ? this.extractContent({ message: protocol.editedMessage }) : null;
+            
+            return {
+                type: 'protocol',
+                action: protocol.type === 0 ? 'revoke' : protocol.type === 14 ? 'edit' : 'unknown',
+                key: protocol.key,
+                text: edited ? edited.text : undefined
+            };
+        }
+        
+        // Reaction message
+        if (messageContent.reactionMessage) {
+            return {
+                type: 'reaction',
+                key: messageContent.reactionMessage.key,
+                emoji: messageContent.reactionMessage.text || '',
+                senderTimestampMs: messageContent.reactionMessage.senderTimestampMs
             };
         }
         
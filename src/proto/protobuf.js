@@ -0,0 +1,175 @@
+/**
+ * Protobuf Wire Format Helpers
+ * Just enough of the protobuf encoding for the handshake, Signal messages and message content
+ */
+
+const WireTypes = {
+    VARINT: 0,
+    FIXED64: 1,
+    LENGTH_DELIMITED: 2,
+    FIXED32: 5
+};
+
+/**
+ * Unsigned varint; negative numbers, fractions and anything beyond
+ * Number.MAX_SAFE_INTEGER cannot be encoded and throw
+ */
+function encodeVarint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`Invalid varint value: ${value}`);
+    }
+
+    const bytes = [];
+
+    while (value > 0x7F) {
+        bytes.push((value & 0x7F) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+
+    return Buffer.from(bytes);
+}
+
+function encodeBytesField(field, data) {
+    return Buffer.concat([
+        encodeVarint((field << 3) | WireTypes.LENGTH_DELIMITED),
+        encodeVarint(data.length),
+        data
+    ]);
+}
+
+function encodeVarintField(field, value) {
+    return Buffer.concat([
+        encodeVarint((field << 3) | WireTypes.VARINT),
+        encodeVarint(value)
+    ]);
+}
+
+function encodeFixedField(field, { wireType, value }) {
+    const data = Buffer.alloc(wireType === WireTypes.FIXED64 ? 8 : 4);
+    if (wireType === WireTypes.FIXED64) {
+        data.writeDoubleLE(value);
+    } else {
+        data.writeFloatLE(value);
+    }
+
+    return Buffer.concat([encodeVarint((field << 3) | wireType), data]);
+}
+
+/**
+ * Mark a number to be encoded as a double (fixed64) or float (fixed32) field
+ */
+function double(value) {
+    return { wireType: WireTypes.FIXED64, value };
+}
+
+function float(value) {
+    return { wireType: WireTypes.FIXED32, value };
+}
+
+/**
+ * Encode { field: Buffer | number | double() | float() | array } into a message;
+ * arrays become repeated fields and null/undefined fields are skipped
+ */
+function encodeMessage(fields) {
+    const parts = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+        const values = Array.isArray(value) ? value : [value];
+
+        for (const item of values) {
+            if (item === null || item === undefined) {
+                continue;
+            }
+
+            if (typeof item === 'number') {
+                parts.push(encodeVarintField(Number(field), item));
+            } else if (item.wireType !== undefined) {
+                if (typeof item.value === 'number') {
+                    parts.push(encodeFixedField(Number(field), item));
+                }
+            } else {
+                parts.push(encodeBytesField(Number(field), Buffer.from(item)));
+            }
+        }
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Decode a message into { field: Buffer | number }; fields listed in repeated
+ * decode to arrays, fixed64/fixed32 fields decode as double/float
+ */
+function decodeMessage(buffer, repeated = []) {
+    const fields = {};
+    let index = 0;
+
+    const readVarint = () => {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+
+        do {
+            if (index >= buffer.length) {
+                throw new Error('Truncated protobuf message');
+            }
+            byte = buffer[index++];
+            result += (byte & 0x7F) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+
+        return result;
+    };
+
+    const setField = (field, value) => {
+        if (repeated.includes(field)) {
+            (fields[field] = fields[field] || []).push(value);
+        } else {
+            fields[field] = value;
+        }
+    };
+
+    while (index < buffer.length) {
+        const key = readVarint();
+        const field = Math.floor(key / 8);
+        const wireType = key & 0x07;
+
+        if (wireType === WireTypes.LENGTH_DELIMITED) {
+            const length = readVarint();
+            if (index + length > buffer.length) {
+                throw new Error('Truncated protobuf message');
+            }
+            setField(field, buffer.slice(index, index + length));
+            index += length;
+        } else if (wireType === WireTypes.VARINT) {
+            setField(field, readVarint());
+        } else if (wireType === WireTypes.FIXED64 || wireType === WireTypes.FIXED32) {
+            const size = wireType === WireTypes.FIXED64 ? 8 : 4;
+            if (index + size > buffer.length) {
+                throw new Error('Truncated protobuf message');
+            }
+            setField(field, size === 8 ? buffer.readDoubleLE(index) : buffer.readFloatLE(index));
+            index += size;
+        } else {
+            throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+        }
+    }
+
+    if (index > buffer.length) {
+        throw new Error('Truncated protobuf message');
+    }
+
+    return fields;
+}
+
+module.exports = {
+    WireTypes,
+    encodeVarint,
+    encodeBytesField,
+    encodeVarintField,
+    double,
+    float,
+    encodeMessage,
+    decodeMessage
+};
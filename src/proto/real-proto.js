@@ -6,6 +6,7 @@
 const { EventEmitter } = require('events');
 const { whatsappReadBinary } = require('./binary-reader');
 const { whatsappWriteBinary } = require('./binary-writer');
+const { ProtocolMessageTypes, createTextContent, encodeMessageContent, decodeMessageContent, getMessageText, getMediaInfo } = require('./message-content');
 const { WATags, WAMetrics, WAFlags } = require('../utils/constants');
 
 class RealProtoHandler extends EventEmitter {
@@ -33,12 +34,13 @@ class RealProtoHandler extends EventEmitter {
     }
 
     /**
-     * Create resume message for existing session
+     * Create resume message for existing session; the server answers with a
+     * login result or error carrying requestId
      */
-    createResumeMessage(sessionData) {
+    createResumeMessage(sessionData, requestId = null) {
         const node = [
             'admin',
-            { type: 'login' },
+            requestId ? { type: 'login', id: requestId } : { type: 'login' },
             [
                 ['clientToken', {}, sessionData.clientToken],
                 ['serverToken', {}, sessionData.serverToken],
@@ -55,18 +57,75 @@ class RealProtoHandler extends EventEmitter {
     createQRAuthMessage(qrData) {
         const node = [
             'admin',
-            { type: 'challenge' },
-            qrData
+            {
+                type: 'challenge',
+                ref: qrData.serverRef,
+                clientId: qrData.clientId,
+                publicKey: qrData.publicKey
+            },
+            null
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create pairing request message
+     */
+    createPairingRequest(request) {
+        const node = [
+            'admin',
+            {
+                type: 'pair',
+                phoneNumber: request.phoneNumber,
+                clientId: request.clientId,
+                publicKey: request.publicKey
+            },
+            null
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create pairing confirmation message
+     */
+    createPairingConfirmation(code) {
+        const node = [
+            'admin',
+            { type: 'pair-confirm', code: code },
+            null
         ];
         
         return whatsappWriteBinary(node);
     }
 
     /**
-     * Create text message
+     * Create text message; with options.contextInfo (quote, mentions, forward)
+     * or options.preview (link preview) the text is sent as an
+     * extendedTextMessage in a <proto> child
      */
     createTextMessage(chatId, content, options = {}) {
-        const messageId = this._generateMessageId();
+        const messageContent = createTextContent(content, options.contextInfo, options.preview);
+        if (messageContent) {
+            return this.createContentMessage(chatId, messageContent, options);
+        }
+        
+        return this._createRelayMessage(chatId, 'text', content, options);
+    }
+
+    /**
+     * Create message carrying encoded message content (see message-content.js)
+     * in a <proto> child; options.type is the node's type attribute
+     */
+    createContentMessage(chatId, messageContent, options = {}) {
+        return this._createRelayMessage(chatId, options.type || 'text', [
+            ['proto', {}, encodeMessageContent(messageContent)]
+        ], options);
+    }
+
+    _createRelayMessage(chatId, type, body, options) {
+        const messageId = options.messageId || this._generateMessageId();
         
         const node = [
             'action',
@@ -75,11 +134,48 @@ class RealProtoHandler extends EventEmitter {
                 ['message', 
                  { 
                      to: chatId,
-                     type: 'text',
+                     type,
                      id: messageId,
                      t: String(Math.floor(Date.now() / 1000))
                  },
-                 content
+                 body
+                ]
+            ]
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create group message: the sender key ciphertext plus any pairwise
+     * encrypted sender key distributions ({ jid, type, ciphertext }).
+     * options.format 'proto' marks a ciphertext holding encoded message content.
+     */
+    createGroupMessage(groupId, ciphertext, recipients = [], options = {}) {
+        const messageId = options.messageId || this._generateMessageId();
+        const children = [];
+        
+        if (recipients.length > 0) {
+            children.push(['participants', {}, recipients.map(recipient => [
+                'to',
+                { jid: recipient.jid },
+                [['enc', { v: '2', type: recipient.type }, recipient.ciphertext]]
+            ])]);
+        }
+        children.push(['enc', { v: '2', type: 'skmsg', format: options.format || null }, ciphertext]);
+        
+        const node = [
+            'action',
+            { type: 'relay', epoch: String(Date.now()) },
+            [
+                ['message',
+                 {
+                     to: groupId,
+                     type: options.type || 'text',
+                     id: messageId,
+                     t: String(Math.floor(Date.now() / 1000))
+                 },
+                 children
                 ]
             ]
         ];
@@ -90,16 +186,23 @@ class RealProtoHandler extends EventEmitter {
     /**
      * Create presence message
      */
-    createPresenceMessage(presence = 'available') {
+    createPresenceMessage(presence = 'available', chatId = null) {
         const node = [
             'presence',
-            { type: presence },
+            { type: presence, to: chatId },
             null
         ];
         
         return whatsappWriteBinary(node);
     }
 
+    /**
+     * Create typing indicator
+     */
+    createTypingMessage(chatId, isTyping = true) {
+        return this.createPresenceMessage(isTyping ? 'composing' : 'paused', chatId);
+    }
+
     /**
      * Create delivery receipt
      */
@@ -117,6 +220,86 @@ class RealProtoHandler extends EventEmitter {
         return whatsappWriteBinary(node);
     }
 
+    /**
+     * Create read receipt
+     */
+    createReadReceipt(message) {
+        const node = [
+            'receipt',
+            { 
+                to: message.from,
+                type: 'read',
+                id: message.id
+            },
+            null
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create group action (create/add/remove/leave)
+     */
+    createGroupAction(requestId, type, groupId, participants = [], attrs = {}) {
+        const node = [
+            'action',
+            { type: 'set', epoch: String(Date.now()) },
+            [
+                ['group',
+                 { type, id: requestId, jid: groupId, ...attrs },
+                 participants.length > 0
+                     ? participants.map(jid => ['participant', { jid }, null])
+                     : null
+                ]
+            ]
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create an iq query ({ type, ...attrs }) answered by an iq result with the same id
+     */
+    createQuery(requestId, type, attrs = {}) {
+        const node = [
+            'iq',
+            { type: 'get', id: requestId, to: 's.whatsapp.net' },
+            [
+                ['query', { type, ...attrs }, null]
+            ]
+        ];
+        
+        return whatsappWriteBinary(node);
+    }
+
+    /**
+     * Create chat list query
+     */
+    createChatsQuery(requestId) {
+        return this.createQuery(requestId, 'chats');
+    }
+
+    /**
+     * Create contacts query
+     */
+    createContactsQuery(requestId) {
+        return this.createQuery(requestId, 'contacts');
+    }
+
+    /**
+     * Create query for the latest messages in a chat
+     */
+    createMessagesQuery(requestId, chatId, count = 20) {
+        return this.createQuery(requestId, 'messages', { jid: chatId, count: String(count) });
+    }
+
+    /**
+     * Create profile picture query
+     */
+    createProfilePictureQuery(requestId, jid) {
+        return this.createQuery(requestId, 'picture', { jid });
+    }
+
     /**
      * Create logout message
      */
@@ -177,12 +360,136 @@ class RealProtoHandler extends EventEmitter {
         
         const [tag, attrs, content] = node;
         
-        return {
+        const message = {
             tag: tag,
             attrs: attrs || {},
             content: content,
-            type: attrs?.type || tag
+            type: attrs?.type || tag,
+            id: attrs?.id,
+            from: attrs?.from,
+            participant: attrs?.participant
         };
+        
+        if (tag === 'message' && (Buffer.isBuffer(content) || typeof content === 'string')) {
+            message.body = content.toString();
+        }
+        
+        if (tag === 'message' && Array.isArray(content)) {
+            const enc = content.filter(child => Array.isArray(child) && child[0] === 'enc');
+            if (enc.length > 0) {
+                message.enc = enc.map(([, encAttrs, encContent]) => ({
+                    type: encAttrs.type,
+                    format: encAttrs.format || null,
+                    ciphertext: Buffer.from(encContent)
+                }));
+            }
+            
+            this._extractMessageChildren(message, content);
+        }
+        
+        const query = this._extractQuery(content);
+        if (query) {
+            message.query = query;
+        }
+        
+        return message;
+    }
+
+    /**
+     * Message content (a <proto> child) of a message node
+     */
+    _extractMessageChildren(message, content) {
+        for (const child of content) {
+            if (!Array.isArray(child)) {
+                continue;
+            }
+            
+            const [childTag, , childContent] = child;
+            
+            if (childTag === 'proto' && childContent) {
+                this.applyMessageContent(message, childContent);
+            }
+        }
+    }
+
+    /**
+     * Decode encoded message content onto a message: the WA Message object as
+     * message.message and its text as body. Media also becomes message.media
+     * (with type and caption set on the message), a reactionMessage
+     * message.reaction, and a protocolMessage message.revoke or message.edit.
+     */
+    applyMessageContent(message, buffer) {
+        try {
+            message.message = decodeMessageContent(Buffer.from(buffer));
+            message.body = getMessageText(message.message);
+
+            const media = getMediaInfo(message.message);
+            if (media) {
+                const { caption, ...descriptor } = media;
+                message.media = descriptor;
+                message.type = media.type;
+                message.caption = caption;
+            }
+
+            const reaction = message.message.reactionMessage;
+            if (reaction) {
+                message.reaction = {
+                    id: reaction.key.id,
+                    participant: reaction.key.participant,
+                    fromMe: reaction.key.fromMe,
+                    emoji: reaction.text
+                };
+            }
+
+            const protocol = message.message.protocolMessage;
+            if (protocol && protocol.type === ProtocolMessageTypes.REVOKE) {
+                message.revoke = { id: protocol.key.id, participant: protocol.key.participant };
+            } else if (protocol && protocol.type === ProtocolMessageTypes.MESSAGE_EDIT && protocol.editedMessage) {
+                message.edit = { id: protocol.key.id, body: getMessageText(protocol.editedMessage) || '' };
+            }
+        } catch (error) {
+            console.error('Failed to decode message content:', error);
+        }
+        
+        return message;
+    }
+
+    /**
+     * Flatten a <query> child node into { type, [childTag]: attrs | attrs[] }
+     */
+    _extractQuery(content) {
+        if (!Array.isArray(content)) {
+            return null;
+        }
+        
+        const queryNode = content.find(child => Array.isArray(child) && child[0] === 'query');
+        if (!queryNode) {
+            return null;
+        }
+        
+        const [, queryAttrs, queryContent] = queryNode;
+        const query = { type: queryAttrs?.type };
+        
+        if (Array.isArray(queryContent)) {
+            for (const [childTag, childAttrs, childContent] of queryContent) {
+                query[childTag] = Array.isArray(childContent)
+                    ? childContent.map(item => this._queryItem(item))
+                    : childAttrs || {};
+            }
+        }
+        
+        return query;
+    }
+
+    /**
+     * A query list item's attrs, plus its text content as body (history messages)
+     */
+    _queryItem([, attrs, content]) {
+        const item = { ...(attrs || {}) };
+        if (Buffer.isBuffer(content) || typeof content === 'string') {
+            item.body = content.toString();
+        }
+        return item;
     }
 
     /**
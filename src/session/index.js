@@ -7,37 +7,78 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const Helpers = require('../utils/helpers');
+const { FileStorage } = require('../storage');
+const { ErrorCodes } = require('../utils/constants');
+
+// Encrypted envelope: magic | version | salt | iv | auth tag | ciphertext (base64).
+// Everything before the auth tag is authenticated as additional data.
+const ENVELOPE_MAGIC = Buffer.from('WASE');
+const ENVELOPE_VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = ENVELOPE_MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH;
+
+// scrypt cost for envelope version 1
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
 
 class Session {
-    constructor(sessionPath = './session.json') {
+    /**
+     * Options:
+     *   storage     adapter to keep the session under the "session" key;
+     *               otherwise it is the single file at sessionPath
+     *   passphrase  encrypts the session at rest (default: SESSION_ENCRYPTION_KEY)
+     */
+    constructor(sessionPath = './session.json', options = {}) {
+        const { storage = null, passphrase = process.env.SESSION_ENCRYPTION_KEY || null } = options;
+        
         this.sessionPath = sessionPath;
+        
+        if (storage) {
+            this.storage = storage;
+            this.storageKey = 'session';
+        } else {
+            const extension = path.extname(sessionPath);
+            this.storage = new FileStorage(path.dirname(sessionPath), { extension });
+            this.storageKey = path.basename(sessionPath, extension);
+        }
         this.sessionData = null;
         this.isLoaded = false;
-        this.encryptionKey = null;
         
-        // Initialize encryption key from environment or generate
-        this.encryptionKey = process.env.SESSION_ENCRYPTION_KEY || this._generateEncryptionKey();
+        this.passphrase = passphrase;
+        this.derivedKey = null;
+        this.warnedUnencrypted = false;
+        
+        // Set when the stored envelope could not be opened; saving is refused until it is
+        this.locked = false;
     }
     
     /**
-     * Load session from file
+     * Load session from storage. Resolves to null when there is no usable session;
+     * rejects with code SESSION_LOCKED when an encrypted session cannot be opened
+     * (missing or wrong passphrase, corrupted envelope).
      */
     async load() {
         try {
-            if (!(await Helpers.fileExists(this.sessionPath))) {
+            const sessionFileContent = await this.storage.get(this.storageKey);
+            if (sessionFileContent === null) {
                 console.log('No session file found');
                 return null;
             }
             
-            const sessionFileContent = await fs.readFile(this.sessionPath, 'utf8');
-            
-            // Try to decrypt session if it's encrypted
             let sessionData;
-            try {
-                sessionData = this._decryptSession(sessionFileContent);
-            } catch (error) {
-                // Fallback to plain JSON for backward compatibility
+            let isPlaintext = false;
+            
+            if (this._isEnvelope(sessionFileContent)) {
+                sessionData = await this._decryptSession(sessionFileContent);
+            } else if (sessionFileContent.trim().startsWith('{')) {
+                // Plain JSON from an unencrypted setup
                 sessionData = JSON.parse(sessionFileContent);
+                isPlaintext = true;
+            } else {
+                // Older builds encrypted with a random per-process key, so those files can't be read
+                console.warn('Unreadable session format, ignoring');
+                return null;
             }
             
             // Validate session structure
@@ -53,22 +94,39 @@ class Session {
                 return null;
             }
             
+            if (isPlaintext && this.passphrase) {
+                await this.storage.set(this.storageKey, await this._encryptSession(sessionData));
+                console.log('Migrated plaintext session to encrypted storage');
+            }
+            
             this.sessionData = sessionData;
             this.isLoaded = true;
+            this.locked = false;
             
             console.log('Session loaded successfully');
             return sessionData;
             
         } catch (error) {
+            if (error.code === ErrorCodes.SESSION_LOCKED) {
+                // Keep the envelope untouched: overwriting it would lose the session for good
+                this.locked = true;
+                console.error('Failed to open session:', error.message);
+                throw error;
+            }
+            
             console.error('Failed to load session:', error);
             return null;
         }
     }
     
     /**
-     * Save session to file
+     * Save session to storage
      */
     async save(sessionData) {
+        if (this.locked) {
+            throw sessionLockedError('Stored session could not be opened; set the right passphrase or clear() it before saving');
+        }
+        
         try {
             // Add metadata
             const sessionWithMetadata = {
@@ -78,16 +136,9 @@ class Session {
             };
             
             // Encrypt session data
-            const encryptedSession = this._encryptSession(sessionWithMetadata);
-            
-            // Ensure directory exists
-            const sessionDir = path.dirname(this.sessionPath);
-            await Helpers.ensureDir(sessionDir);
+            const encryptedSession = await this._encryptSession(sessionWithMetadata);
             
-            // Write to temporary file first, then rename (atomic operation)
-            const tempPath = this.sessionPath + '.tmp';
-            await fs.writeFile(tempPath, encryptedSession, 'utf8');
-            await fs.rename(tempPath, this.sessionPath);
+            await this.storage.set(this.storageKey, encryptedSession);
             
             this.sessionData = sessionWithMetadata;
             this.isLoaded = true;
@@ -100,6 +151,33 @@ class Session {
         }
     }
     
+    /**
+     * Re-encrypt the stored session with a new passphrase (null stores it unencrypted)
+     */
+    async rekey(newPassphrase) {
+        const sessionData = this.sessionData || await this.load();
+        if (!sessionData) {
+            throw new Error('No session loaded');
+        }
+        
+        const previous = { passphrase: this.passphrase, derivedKey: this.derivedKey };
+        
+        try {
+            this.passphrase = newPassphrase || null;
+            this.derivedKey = null;
+            
+            await this.storage.set(this.storageKey, await this._encryptSession(sessionData));
+            console.log('Session re-encrypted with new passphrase');
+            
+        } catch (error) {
+            this.passphrase = previous.passphrase;
+            this.derivedKey = previous.derivedKey;
+            
+            console.error('Failed to rekey session:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Update existing session data
      */
@@ -116,17 +194,17 @@ class Session {
     }
     
     /**
-     * Clear session file
+     * Clear stored session
      */
     async clear() {
         try {
-            if (await Helpers.fileExists(this.sessionPath)) {
-                await fs.unlink(this.sessionPath);
+            if (await this.storage.delete(this.storageKey)) {
                 console.log('Session file deleted');
             }
             
             this.sessionData = null;
             this.isLoaded = false;
+            this.locked = false;
             
         } catch (error) {
             console.error('Failed to clear session:', error);
@@ -230,25 +308,40 @@ class Session {
     }
     
     /**
-     * Encrypt session data
+     * Encrypt session data into a versioned envelope
      */
-    _encryptSession(sessionData) {
+    async _encryptSession(sessionData) {
+        const sessionJson = JSON.stringify(sessionData);
+        
+        if (!this.passphrase) {
+            if (!this.warnedUnencrypted) {
+                console.warn('No session passphrase set, storing session unencrypted');
+                this.warnedUnencrypted = true;
+            }
+            return sessionJson;
+        }
+        
         try {
-            const sessionJson = JSON.stringify(sessionData);
-            const iv = crypto.randomBytes(16);
-            
-            const cipher = crypto.createCipher('aes-256-gcm', this.encryptionKey);
+            // Reuse the derived key (and its salt) so every save doesn't pay for scrypt
+            if (!this.derivedKey) {
+                const salt = crypto.randomBytes(SALT_LENGTH);
+                this.derivedKey = { salt, key: await this._deriveKey(salt) };
+            }
             
-            let encrypted = cipher.update(sessionJson, 'utf8');
-            encrypted = Buffer.concat([encrypted, cipher.final()]);
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const header = Buffer.concat([
+                ENVELOPE_MAGIC,
+                Buffer.from([ENVELOPE_VERSION]),
+                this.derivedKey.salt,
+                iv
+            ]);
             
-            const authTag = cipher.getAuthTag();
+            const cipher = crypto.createCipheriv('aes-256-gcm', this.derivedKey.key, iv);
+            cipher.setAAD(header);
             
-            // Combine IV + encrypted data + auth tag
-            const combined = Buffer.concat([iv, encrypted, authTag]);
+            const encrypted = Buffer.concat([cipher.update(sessionJson, 'utf8'), cipher.final()]);
             
-            // Return base64 encoded result
-            return combined.toString('base64');
+            return Buffer.concat([header, cipher.getAuthTag(), encrypted]).toString('base64');
             
         } catch (error) {
             console.error('Session encryption failed:', error);
@@ -257,36 +350,68 @@ class Session {
     }
     
     /**
-     * Decrypt session data
+     * Decrypt a session envelope
      */
-    _decryptSession(encryptedSession) {
+    async _decryptSession(encryptedSession) {
+        if (!this.passphrase) {
+            throw sessionLockedError('Session is encrypted but no passphrase is set');
+        }
+        
+        const combined = Buffer.from(encryptedSession, 'base64');
+        if (combined.length < HEADER_LENGTH + TAG_LENGTH) {
+            throw sessionLockedError('Truncated session envelope');
+        }
+        
+        const version = combined[ENVELOPE_MAGIC.length];
+        if (version !== ENVELOPE_VERSION) {
+            throw sessionLockedError(`Unsupported session envelope version: ${version}`);
+        }
+        
+        // Extract components
+        const header = combined.slice(0, HEADER_LENGTH);
+        const salt = header.slice(ENVELOPE_MAGIC.length + 1, ENVELOPE_MAGIC.length + 1 + SALT_LENGTH);
+        const iv = header.slice(-IV_LENGTH);
+        const authTag = combined.slice(HEADER_LENGTH, HEADER_LENGTH + TAG_LENGTH);
+        const encrypted = combined.slice(HEADER_LENGTH + TAG_LENGTH);
+        
+        const key = this.derivedKey && this.derivedKey.salt.equals(salt)
+            ? this.derivedKey.key
+            : await this._deriveKey(salt);
+        
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAAD(header);
+        decipher.setAuthTag(authTag);
+        
+        let sessionData;
         try {
-            const combined = Buffer.from(encryptedSession, 'base64');
-            
-            // Extract components
-            const iv = combined.slice(0, 16);
-            const authTag = combined.slice(-16);
-            const encrypted = combined.slice(16, -16);
-            
-            const decipher = crypto.createDecipher('aes-256-gcm', this.encryptionKey);
-            decipher.setAuthTag(authTag);
-            
-            let decrypted = decipher.update(encrypted);
-            decrypted = Buffer.concat([decrypted, decipher.final()]);
-            
-            return JSON.parse(decrypted.toString('utf8'));
-            
+            const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+            sessionData = JSON.parse(decrypted.toString('utf8'));
         } catch (error) {
-            console.error('Session decryption failed:', error);
-            throw error;
+            throw sessionLockedError('Session decryption failed: wrong passphrase or corrupted data');
         }
+        
+        this.derivedKey = { salt, key };
+        
+        return sessionData;
+    }
+    
+    _isEnvelope(content) {
+        return Buffer.from(content.slice(0, 8), 'base64').slice(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC);
     }
     
     /**
-     * Generate encryption key
+     * scrypt the passphrase into an AES-256 key
      */
-    _generateEncryptionKey() {
-        return crypto.randomBytes(32).toString('hex');
+    _deriveKey(salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(this.passphrase, salt, 32, SCRYPT_OPTIONS, (error, key) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(key);
+                }
+            });
+        });
     }
     
     /**
@@ -343,7 +468,7 @@ class Session {
             lastUpdated: this.sessionData.lastUpdated,
             isExpired: this._isSessionExpired(this.sessionData),
             filePath: this.sessionPath,
-            fileExists: Helpers.fileExists(this.sessionPath)
+            storage: this.storage.constructor.name
         };
     }
     
@@ -413,4 +538,13 @@ class Session {
     }
 }
 
+/**
+ * Error for a stored session that exists but cannot be opened
+ */
+function sessionLockedError(message) {
+    const error = new Error(message);
+    error.code = ErrorCodes.SESSION_LOCKED;
+    return error;
+}
+
 module.exports = Session;
@@ -0,0 +1,126 @@
+/**
+ * Filesystem Storage Adapter
+ * One file per key under a root directory; "a/b" keys become subdirectories.
+ * Each segment is percent-encoded, so any key maps to its own file and
+ * list() returns keys exactly as they were set.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Helpers = require('../utils/helpers');
+
+class FileStorage {
+    constructor(rootPath = './keys', options = {}) {
+        this.rootPath = rootPath;
+        this.extension = options.extension !== undefined ? options.extension : '.json';
+    }
+
+    async get(key) {
+        try {
+            return await fs.readFile(this._filePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        const filePath = this._filePath(key);
+        await Helpers.ensureDir(path.dirname(filePath));
+
+        // Write to temporary file first, then rename (atomic operation)
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(tempPath, value, 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this._filePath(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Keys starting with prefix. Only the directory the prefix names is walked;
+     * a partial last segment ("messages/chat/0001") is matched by filtering.
+     */
+    async list(prefix = '') {
+        const segments = String(prefix).split('/').slice(0, -1);
+        const keys = [];
+        await this._walk(path.join(this.rootPath, ...segments.map(encodeSegment)), segments, keys);
+
+        return keys.filter(key => key.startsWith(prefix)).sort();
+    }
+
+    /**
+     * Apply [{ type: 'set' | 'delete', key, value }] in order. Each write is
+     * atomic on its own; use SingleFileStorage when they must land together.
+     */
+    async batch(operations) {
+        for (const operation of operations) {
+            if (operation.type === 'delete') {
+                await this.delete(operation.key);
+            } else {
+                await this.set(operation.key, operation.value);
+            }
+        }
+    }
+
+    async _walk(dirPath, segments, keys) {
+        let entries;
+        try {
+            entries = await fs.readdir(dirPath, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                await this._walk(path.join(dirPath, entry.name), [...segments, decodeSegment(entry.name)], keys);
+            } else if (!entry.name.endsWith('.tmp') && entry.name.endsWith(this.extension)) {
+                const name = entry.name.slice(0, entry.name.length - this.extension.length);
+                keys.push([...segments, decodeSegment(name)].join('/'));
+            }
+        }
+    }
+
+    _filePath(key) {
+        return path.join(this.rootPath, ...String(key).split('/').map(encodeSegment)) + this.extension;
+    }
+}
+
+/**
+ * File name for a key segment: encodeURIComponent, also escaping '*' (not
+ * allowed on Windows) and the '.' of a "." or ".." segment. '@' stays as is,
+ * which keeps JIDs readable and where they were stored before.
+ */
+function encodeSegment(segment) {
+    const encoded = encodeURIComponent(segment).replace(/%40/g, '@').replace(/\*/g, '%2A');
+    return encoded === '.' || encoded === '..' ? encoded.replace(/\./g, '%2E') : encoded;
+}
+
+/**
+ * Key segment of a file name; names that are not valid encodings (written
+ * by hand or by older versions) are taken literally
+ */
+function decodeSegment(name) {
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+module.exports = FileStorage;
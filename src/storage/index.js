@@ -0,0 +1,39 @@
+/**
+ * Storage Adapters
+ * Backends shared by Session, KeyManager and the Signal stores
+ *
+ * An adapter stores string values under "/"-separated keys:
+ *   get(key) => string | null, set(key, value), delete(key) => boolean,
+ *   list(prefix) => keys, batch([{ type: 'set' | 'delete', key, value }])
+ */
+
+const FileStorage = require('./file-storage');
+const MemoryStorage = require('./memory-storage');
+const SingleFileStorage = require('./single-file-storage');
+
+const StorageAdapters = {
+    file: FileStorage,
+    memory: MemoryStorage,
+    'single-file': SingleFileStorage
+};
+
+/**
+ * Create a storage adapter by name ('file', 'memory' or 'single-file')
+ */
+function createStorage(type = 'file', ...args) {
+    const Adapter = StorageAdapters[type];
+
+    if (!Adapter) {
+        throw new Error(`Unknown storage adapter: ${type}`);
+    }
+
+    return new Adapter(...args);
+}
+
+module.exports = {
+    FileStorage,
+    MemoryStorage,
+    SingleFileStorage,
+    StorageAdapters,
+    createStorage
+};
@@ -0,0 +1,38 @@
+/**
+ * In-Memory Storage Adapter
+ * Nothing touches disk; useful for tests and short-lived instances
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async list(prefix = '') {
+        return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix)).sort();
+    }
+
+    async batch(operations) {
+        for (const operation of operations) {
+            if (operation.type === 'delete') {
+                this.entries.delete(operation.key);
+            } else {
+                this.entries.set(operation.key, String(operation.value));
+            }
+        }
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,131 @@
+/**
+ * Single-File Storage Adapter
+ * Every key lives in one file, like an embedded database. Each write
+ * replaces the whole file atomically, so a batch either lands completely
+ * or not at all.
+ *
+ * Rewriting the file costs time in proportion to everything stored, not to
+ * what changed. Writes that arrive while one is in progress are applied
+ * together in the next rewrite, so a burst costs two rewrites rather than
+ * one per key. This still suits sessions and keys better than a long message
+ * history, which belongs in FileStorage.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Helpers = require('../utils/helpers');
+
+const FORMAT_VERSION = 1;
+
+class SingleFileStorage {
+    constructor(filePath = './whatsapp-store.json') {
+        this.filePath = filePath;
+        this.entries = null;
+        // Changes waiting for the next rewrite, and the rewrite loop while it runs
+        this.queue = [];
+        this.flushing = null;
+    }
+
+    async get(key) {
+        const entries = await this._load();
+        return entries.has(key) ? entries.get(key) : null;
+    }
+
+    async set(key, value) {
+        await this.batch([{ type: 'set', key, value }]);
+    }
+
+    async delete(key) {
+        let existed = false;
+
+        await this._write(entries => {
+            existed = entries.delete(key);
+        });
+
+        return existed;
+    }
+
+    async list(prefix = '') {
+        const entries = await this._load();
+        return Array.from(entries.keys()).filter(key => key.startsWith(prefix)).sort();
+    }
+
+    async batch(operations) {
+        await this._write(entries => {
+            for (const operation of operations) {
+                if (operation.type === 'delete') {
+                    entries.delete(operation.key);
+                } else {
+                    entries.set(operation.key, String(operation.value));
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply a change to a copy of the entries and only keep it once it is on
+     * disk; resolves when the rewrite holding it has landed
+     */
+    _write(change) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ change, resolve, reject });
+            this.flushing = this.flushing || this._flush();
+        });
+    }
+
+    /**
+     * Rewrite the file until no changes are waiting, each time with all of
+     * them at once; they land or fail together
+     */
+    async _flush() {
+        while (this.queue.length > 0) {
+            const writes = this.queue.splice(0);
+
+            try {
+                const entries = new Map(await this._load());
+                for (const { change } of writes) {
+                    change(entries);
+                }
+
+                await Helpers.ensureDir(path.dirname(this.filePath));
+
+                const tempPath = this.filePath + '.tmp';
+                const data = JSON.stringify({ version: FORMAT_VERSION, entries: Object.fromEntries(entries) });
+                await fs.writeFile(tempPath, data, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+
+                this.entries = entries;
+                writes.forEach(write => write.resolve());
+            } catch (error) {
+                writes.forEach(write => write.reject(error));
+            }
+        }
+
+        this.flushing = null;
+    }
+
+    async _load() {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            if (data.version !== FORMAT_VERSION) {
+                throw new Error(`Unsupported storage file version: ${data.version}`);
+            }
+
+            this.entries = new Map(Object.entries(data.entries || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+
+            this.entries = new Map();
+        }
+
+        return this.entries;
+    }
+}
+
+module.exports = SingleFileStorage;
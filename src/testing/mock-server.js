@@ -0,0 +1,595 @@
+/**
+ * Mock WhatsApp Server
+ * In-process stand-in for the WhatsApp Web WebSocket endpoints, used for
+ * offline end-to-end testing of the client stack
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { whatsappReadBinary } = require('../proto/binary-reader');
+const { whatsappWriteBinary } = require('../proto/binary-writer');
+const NoiseProtocol = require('../crypto/noise');
+const { MessageAck } = require('../utils/constants');
+
+class MockWhatsAppServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            host: '127.0.0.1',
+            port: 0,
+            wid: '15550000000@s.whatsapp.net',
+            pairingCode: null,
+            autoAck: true,
+            noise: true,
+            noiseKeyPair: null,
+            serverPayload: Buffer.alloc(0),
+            // Served to history sync queries: [{ jid, name, ... }] and { chatJid: [{ id, body, ... }] }
+            chats: [],
+            contacts: [],
+            history: {},
+            profilePictures: {},
+            ...options
+        };
+
+        // Static key the server presents during the Noise handshake
+        this.noiseKeyPair = this.options.noiseKeyPair || NoiseProtocol.generateKeyPair();
+
+        this.wss = null;
+        this.connections = new Set();
+        this.received = [];
+        this.connectionCounter = 0;
+
+        // Sessions issued by QR/pairing auth, by server token; resumes are checked against them
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start listening on a local port
+     */
+    async start() {
+        if (this.wss) {
+            return this.url;
+        }
+
+        await new Promise((resolve, reject) => {
+            this.wss = new WebSocket.Server({
+                host: this.options.host,
+                port: this.options.port
+            });
+
+            this.wss.once('listening', resolve);
+            this.wss.once('error', reject);
+            this.wss.on('connection', (socket) => this._onConnection(socket));
+        });
+
+        return this.url;
+    }
+
+    /**
+     * Stop the server and drop every client connection
+     */
+    async stop() {
+        if (!this.wss) {
+            return;
+        }
+
+        for (const connection of this.connections) {
+            connection.socket.terminate();
+        }
+        this.connections.clear();
+
+        await new Promise((resolve) => this.wss.close(() => resolve()));
+        this.wss = null;
+    }
+
+    /**
+     * WebSocket URL of the running server
+     */
+    get url() {
+        if (!this.wss) {
+            return null;
+        }
+
+        const { port } = this.wss.address();
+        return `ws://${this.options.host}:${port}`;
+    }
+
+    /**
+     * Endpoint list to pass as the client's `endpoints` option
+     */
+    get endpoints() {
+        return [this.url];
+    }
+
+    _onConnection(socket) {
+        const connection = {
+            id: ++this.connectionCounter,
+            socket: socket,
+            challenge: null,
+            pairing: null,
+            noise: this.options.noise
+                ? new NoiseProtocol({ role: 'responder', staticKeyPair: this.noiseKeyPair })
+                : null,
+            helloReceived: false,
+            clientPayload: null
+        };
+
+        this.connections.add(connection);
+
+        socket.on('message', (data) => this._onData(connection, data));
+        socket.on('close', (code, reason) => {
+            this.connections.delete(connection);
+            this.emit('client_disconnected', connection, code, reason.toString());
+        });
+
+        this.emit('client_connected', connection);
+    }
+
+    _onData(connection, data) {
+        if (!connection.noise) {
+            this._onFrame(connection, Buffer.from(data));
+            return;
+        }
+
+        try {
+            for (const frame of connection.noise.decodeFrames(data)) {
+                if (connection.noise.isHandshakeComplete) {
+                    this._onFrame(connection, connection.noise.decryptFrame(frame));
+                } else {
+                    this._onHandshakeFrame(connection, frame);
+                }
+            }
+        } catch (error) {
+            this.emit('noise_error', error, connection);
+            connection.socket.terminate();
+        }
+    }
+
+    _onHandshakeFrame(connection, frame) {
+        const { noise } = connection;
+
+        if (!connection.helloReceived) {
+            noise.processClientHello(frame);
+            connection.helloReceived = true;
+
+            const serverHello = noise.createServerHello(this.options.serverPayload);
+            connection.socket.send(noise.encodeFrame(serverHello), { binary: true });
+            return;
+        }
+
+        connection.clientPayload = noise.processClientFinish(frame);
+        this.emit('handshake', connection.clientPayload, connection);
+    }
+
+    _onFrame(connection, data) {
+        let node;
+
+        try {
+            node = whatsappReadBinary(data);
+        } catch (error) {
+            this.emit('decode_error', error, data, connection);
+            return;
+        }
+
+        this.received.push(node);
+        this.emit('node', node, connection);
+
+        this._handleNode(connection, node);
+    }
+
+    _handleNode(connection, node) {
+        const [tag, attrs, content] = node;
+
+        switch (tag) {
+            case 'admin':
+                this._handleAdmin(connection, attrs, content);
+                break;
+
+            case 'action':
+                this._handleAction(connection, attrs, content);
+                break;
+
+            case 'receipt':
+                this.emit('receipt', attrs, connection);
+                break;
+
+            case 'presence':
+                this.emit('presence', attrs, connection);
+                break;
+
+            case 'iq':
+                this.emit('iq', node, connection);
+                this._handleQuery(connection, attrs, content);
+                break;
+        }
+    }
+
+    _handleAdmin(connection, attrs, content) {
+        switch (attrs.type) {
+            case 'challenge':
+                connection.challenge = attrs;
+                this.emit('qr_challenge', attrs, connection);
+                break;
+
+            case 'pair': {
+                const code = this.options.pairingCode || this._generatePairingCode();
+                connection.pairing = { ...attrs, code };
+
+                this.send(this._createQueryResult('pairing', [['pairing', { code }, null]]), connection);
+                this.emit('pairing_request', connection.pairing, connection);
+                break;
+            }
+
+            case 'login':
+                this._handleLogin(connection, attrs, content);
+                break;
+
+            case 'logout':
+                this.emit('logout', connection);
+                break;
+        }
+    }
+
+    /**
+     * Answer a session resume: a login result with the wid when the tokens match
+     * a session this server issued, otherwise a 401 error
+     */
+    _handleLogin(connection, attrs, content) {
+        const tokens = {};
+        if (Array.isArray(content)) {
+            for (const [childTag, , childContent] of content) {
+                tokens[childTag] = childContent !== null && childContent !== undefined ? childContent.toString() : null;
+            }
+        }
+
+        this.emit('resume', tokens, connection);
+
+        const session = this.sessions.get(tokens.serverToken);
+        const accepted = session && session.clientToken === tokens.clientToken && session.clientId === tokens.clientId;
+
+        if (accepted) {
+            this.send(['iq', { type: 'result', id: attrs.id || this._generateId() }, [['query', { type: 'login' }, [['login', { wid: session.wid }, null]]]]], connection);
+            this.emit('login', session, connection);
+        } else {
+            this.send(['iq', { type: 'error', id: attrs.id || this._generateId(), code: '401' }, [['query', { type: 'login' }, null]]], connection);
+            this.emit('login_failed', tokens, connection);
+        }
+    }
+
+    _handleAction(connection, attrs, content) {
+        if (!Array.isArray(content)) {
+            return;
+        }
+
+        for (const [childTag, childAttrs, childContent] of content) {
+            if (childTag === 'group') {
+                this._handleGroupAction(connection, childAttrs, childContent);
+                continue;
+            }
+
+            if (childTag !== 'message') {
+                continue;
+            }
+
+            const message = {
+                id: childAttrs.id,
+                to: childAttrs.to,
+                type: childAttrs.type,
+                timestamp: childAttrs.t,
+                content: childContent
+            };
+
+            this.emit('message', message, connection);
+
+            if (this.options.autoAck) {
+                this.sendAck(message.id, MessageAck.SERVER, { from: message.to }, connection);
+            }
+        }
+    }
+
+    _handleGroupAction(connection, attrs, content) {
+        const jid = attrs.jid || `${this._generateId().toLowerCase()}@g.us`;
+        const participants = Array.isArray(content)
+            ? content.map(([, participantAttrs]) => participantAttrs.jid)
+            : [];
+
+        const action = {
+            id: attrs.id,
+            type: attrs.type,
+            jid,
+            subject: attrs.subject,
+            participants
+        };
+
+        this.emit('group_action', action, connection);
+
+        this.send(['iq', { type: 'result', id: attrs.id }, [['query', { type: 'group' }, [['group', { jid }, null]]]]], connection);
+    }
+
+    /**
+     * Answer chats/contacts/messages/picture queries from options.chats, contacts,
+     * history and profilePictures
+     */
+    _handleQuery(connection, attrs, content) {
+        const query = Array.isArray(content) ? content.find(child => child[0] === 'query') : null;
+        if (attrs.type !== 'get' || !query) {
+            return;
+        }
+
+        const [, queryAttrs] = query;
+        let children;
+
+        switch (queryAttrs.type) {
+            case 'chats':
+                children = [['chats', {}, this.options.chats.map(chat => ['chat', this._stringAttrs(chat), null])]];
+                break;
+
+            case 'contacts':
+                children = [['contacts', {}, this.options.contacts.map(contact => ['contact', this._stringAttrs(contact), null])]];
+                break;
+
+            case 'messages': {
+                const count = parseInt(queryAttrs.count, 10) || 20;
+                const messages = (this._findByJid(this.options.history, queryAttrs.jid) || []).slice(-count);
+                children = [['messages', { jid: queryAttrs.jid }, messages.map(({ body, ...message }) => {
+                    return ['message', this._stringAttrs(message), body !== undefined ? body : null];
+                })]];
+                break;
+            }
+
+            case 'picture': {
+                const url = this._findByJid(this.options.profilePictures, queryAttrs.jid);
+                children = [['picture', url ? { jid: queryAttrs.jid, url } : { jid: queryAttrs.jid }, null]];
+                break;
+            }
+
+            default:
+                return;
+        }
+
+        this.send(['iq', { type: 'result', id: attrs.id }, [['query', { type: queryAttrs.type }, children]]], connection);
+    }
+
+    /**
+     * Entry of a jid-keyed option; the wire turns @s.whatsapp.net into @c.us,
+     * so either spelling matches
+     */
+    _findByJid(object, jid) {
+        const normalize = value => String(value).replace('@s.whatsapp.net', '@c.us');
+        const key = Object.keys(object).find(candidate => normalize(candidate) === normalize(jid));
+
+        return key !== undefined ? object[key] : undefined;
+    }
+
+    _stringAttrs(object) {
+        const attrs = {};
+        for (const [key, value] of Object.entries(object)) {
+            if (value !== undefined && value !== null) {
+                attrs[key] = String(value);
+            }
+        }
+        return attrs;
+    }
+
+    /**
+     * Send a raw node to one connection, or to every connection
+     */
+    send(node, connection = null) {
+        const data = whatsappWriteBinary(node);
+        const targets = connection ? [connection] : Array.from(this.connections);
+
+        for (const target of targets) {
+            if (target.socket.readyState !== WebSocket.OPEN) {
+                continue;
+            }
+
+            if (!target.noise) {
+                target.socket.send(data, { binary: true });
+            } else if (target.noise.isHandshakeComplete) {
+                target.socket.send(target.noise.encodeFrame(target.noise.encryptFrame(data)), { binary: true });
+            }
+        }
+    }
+
+    /**
+     * Simulate the phone scanning the QR code shown by a client
+     */
+    scanQR(connection = this._latestConnection()) {
+        if (!connection || !connection.challenge) {
+            throw new Error('No QR challenge received from client');
+        }
+
+        return this._sendAuthSuccess(connection, connection.challenge.clientId);
+    }
+
+    /**
+     * Simulate the pairing code being entered on the phone
+     */
+    confirmPairing(connection = this._latestConnection()) {
+        if (!connection || !connection.pairing) {
+            throw new Error('No pairing request received from client');
+        }
+
+        return this._sendAuthSuccess(connection, connection.pairing.clientId);
+    }
+
+    /**
+     * Reject the pending QR/pairing authentication
+     */
+    rejectAuth(connection = this._latestConnection()) {
+        this.send(['iq', { type: 'error', id: this._generateId() }, [['query', { type: 'auth' }, null]]], connection);
+    }
+
+    /**
+     * Inject an incoming chat message
+     */
+    injectMessage(message = {}, connection = null) {
+        const id = message.id || this._generateId();
+        const attrs = {
+            from: message.from || '15551234567@s.whatsapp.net',
+            id: id,
+            type: message.type || 'text',
+            t: String(message.timestamp || Math.floor(Date.now() / 1000))
+        };
+
+        if (message.participant) {
+            attrs.participant = message.participant;
+        }
+
+        // Extra attributes and child nodes (proto, media)
+        Object.assign(attrs, message.attrs);
+        const content = message.children || (message.body !== undefined ? message.body : null);
+
+        this.send(['message', attrs, content], connection);
+
+        return id;
+    }
+
+    /**
+     * Inject a group membership notification (add / remove / leave / ...)
+     */
+    injectGroupNotification(groupId, type, participants = [], actor = null, connection = null) {
+        const id = this._generateId();
+        const attrs = {
+            from: groupId,
+            id: id,
+            type: 'w:gp2',
+            t: String(Math.floor(Date.now() / 1000))
+        };
+
+        if (actor) {
+            attrs.participant = actor;
+        }
+
+        const children = participants.length > 0
+            ? participants.map(jid => ['participant', { jid }, null])
+            : null;
+
+        this.send(['notification', attrs, [[type, {}, children]]], connection);
+
+        return id;
+    }
+
+    /**
+     * Acknowledge a message sent by the client
+     */
+    sendAck(id, ack = MessageAck.SERVER, attrs = {}, connection = null) {
+        this.send(['ack', { class: 'message', id, ack: String(ack), ...attrs }, null], connection);
+    }
+
+    /**
+     * Send a delivery/read receipt for a message sent by the client
+     */
+    sendReceipt(id, from, type = 'read', connection = null) {
+        this.send(['receipt', { id, from, type, t: String(Math.floor(Date.now() / 1000)) }, null], connection);
+    }
+
+    /**
+     * Send a presence update
+     */
+    sendPresence(from, type = 'available', connection = null) {
+        this.send(['presence', { from, type }, null], connection);
+    }
+
+    /**
+     * Send a stream error
+     */
+    sendStreamError(text = 'conflict', connection = null) {
+        this.send(['stream:error', { text }, null], connection);
+    }
+
+    /**
+     * Close client connections gracefully
+     */
+    disconnect(code = 1000, reason = 'Server closed connection', connection = null) {
+        const targets = connection ? [connection] : Array.from(this.connections);
+
+        for (const target of targets) {
+            target.socket.close(code, reason);
+        }
+    }
+
+    /**
+     * Drop client connections without a close handshake
+     */
+    terminate(connection = null) {
+        const targets = connection ? [connection] : Array.from(this.connections);
+
+        for (const target of targets) {
+            target.socket.terminate();
+        }
+    }
+
+    /**
+     * Wait for the next node from a client matching a tag or predicate
+     */
+    waitFor(matcher, timeout = 5000) {
+        const predicate = typeof matcher === 'function'
+            ? matcher
+            : (node) => node[0] === matcher;
+
+        return new Promise((resolve, reject) => {
+            const onNode = (node, connection) => {
+                if (predicate(node, connection)) {
+                    clearTimeout(timer);
+                    this.off('node', onNode);
+                    resolve(node);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                this.off('node', onNode);
+                reject(new Error(`Timed out waiting for node: ${matcher}`));
+            }, timeout);
+
+            this.on('node', onNode);
+        });
+    }
+
+    /**
+     * Forget recorded nodes
+     */
+    reset() {
+        this.received = [];
+    }
+
+    _sendAuthSuccess(connection, clientId) {
+        const payload = crypto.randomBytes(32);
+        const mac = crypto.createHash('sha256')
+            .update(Buffer.concat([Buffer.from(clientId, 'base64'), payload]))
+            .digest();
+
+        const auth = {
+            clientToken: Buffer.concat([payload, mac]).toString('base64'),
+            serverToken: crypto.randomBytes(32).toString('base64'),
+            wid: this.options.wid
+        };
+
+        this.sessions.set(auth.serverToken, { ...auth, clientId });
+        this.send(this._createQueryResult('auth', [['auth', auth, null]]), connection);
+        this.emit('authenticated', auth, connection);
+
+        return auth;
+    }
+
+    _createQueryResult(type, children) {
+        return ['iq', { type: 'result', id: this._generateId() }, [['query', { type }, children]]];
+    }
+
+    _latestConnection() {
+        return Array.from(this.connections).pop() || null;
+    }
+
+    _generatePairingCode() {
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    }
+
+    _generateId() {
+        return crypto.randomBytes(8).toString('hex').toUpperCase();
+    }
+}
+
+module.exports = MockWhatsAppServer;
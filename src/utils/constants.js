@@ -18,15 +18,23 @@ const WAState = {
 // WhatsApp Web events
 const WAEvents = {
     QR: 'qr',
+    PAIRING_CODE: 'pairing_code',
     AUTHENTICATED: 'authenticated',
     AUTH_FAILURE: 'auth_failure',
     READY: 'ready',
     MESSAGE: 'message',
     MESSAGE_CREATE: 'message_create',
     MESSAGE_ACK: 'message_ack',
+    MESSAGE_FAILED: 'message_failed',
+    MESSAGE_STATUS_CHANGED: 'message_status_changed',
     MESSAGE_REVOKE_EVERYONE: 'message_revoke_everyone',
     MESSAGE_REVOKE_ME: 'message_revoke_me',
+    MESSAGE_EDIT: 'message_edit',
+    MESSAGE_REACTION: 'message_reaction',
+    MEDIA_UPLOAD_PROGRESS: 'media_upload_progress',
+    MEDIA_DOWNLOAD_PROGRESS: 'media_download_progress',
     DISCONNECTED: 'disconnected',
+    RECONNECT_FAILED: 'reconnect_failed',
     STATE_CHANGE: 'state_change',
     GROUP_JOIN: 'group_join',
     GROUP_LEAVE: 'group_leave',
@@ -34,7 +42,9 @@ const WAEvents = {
     CONTACT_CHANGED: 'contact_changed',
     PRESENCE_UPDATE: 'presence_update',
     TYPING: 'typing',
-    CHAT_STATE: 'chat_state'
+    CHAT_STATE: 'chat_state',
+    SYNC_PROGRESS: 'sync_progress',
+    SYNC_COMPLETE: 'sync_complete'
 };
 
 // Message acknowledgment states
@@ -69,6 +79,8 @@ const MessageTypes = {
     LIVE_LOCATION: 'live_location',
     GROUP_INVITE: 'group_invite',
     GROUP_NOTIFICATION: 'group_notification',
+    REACTION: 'reaction',
+    PROTOCOL: 'protocol',
     UNKNOWN: 'unknown',
     REVOKED: 'revoked'
 };
@@ -96,6 +108,8 @@ const GroupNotificationTypes = {
     INVITE: 'invite',
     REMOVE: 'remove',
     LEAVE: 'leave',
+    PROMOTE: 'promote',
+    DEMOTE: 'demote',
     SUBJECT: 'subject',
     DESCRIPTION: 'description',
     PICTURE: 'picture',
@@ -189,6 +203,16 @@ const CryptoConstants = {
     SALT_SIZE: 32
 };
 
+// Noise transport settings
+const NoiseConfig = {
+    PROTOCOL_NAME: 'Noise_XX_25519_AESGCM_SHA256',
+    HEADER: [87, 65, 6, 2],         // "WA", protocol version, dictionary version
+    FRAME_LENGTH_BYTES: 3,
+    MAX_FRAME_SIZE: (1 << 24) - 1,
+    KEY_SIZE: 32,
+    TAG_SIZE: 16
+};
+
 // Timeout values (in milliseconds)
 const Timeouts = {
     AUTH: 60000,              // 1 minute
@@ -196,10 +220,12 @@ const Timeouts = {
     MESSAGE_SEND: 30000,      // 30 seconds
     MEDIA_UPLOAD: 300000,     // 5 minutes
     MEDIA_DOWNLOAD: 300000,   // 5 minutes
+    LINK_PREVIEW: 10000,      // 10 seconds
     WEBSOCKET_PING: 30000,    // 30 seconds
     WEBSOCKET_PONG: 10000,    // 10 seconds
     RECONNECT_BASE: 1000,     // 1 second
-    RECONNECT_MAX: 30000      // 30 seconds
+    RECONNECT_MAX: 30000,     // 30 seconds
+    NOISE_HANDSHAKE: 20000    // 20 seconds
 };
 
 // Retry limits
@@ -219,8 +245,10 @@ const ErrorCodes = {
     MEDIA_UPLOAD_FAILED: 'MEDIA_UPLOAD_FAILED',
     MEDIA_DOWNLOAD_FAILED: 'MEDIA_DOWNLOAD_FAILED',
     INVALID_SESSION: 'INVALID_SESSION',
+    SESSION_LOCKED: 'SESSION_LOCKED',
     RATE_LIMITED: 'RATE_LIMITED',
     PHONE_NOT_CONNECTED: 'PHONE_NOT_CONNECTED',
+    NO_SIGNAL_SESSIONS: 'NO_SIGNAL_SESSIONS',
     UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
@@ -241,6 +269,7 @@ const WATags = {
     DICTIONARY_1: 237,
     DICTIONARY_2: 238,
     DICTIONARY_3: 239,
+    AD_JID: 247,
     LIST_8: 248,
     LIST_16: 249,
     JID_PAIR: 250,
@@ -283,6 +312,15 @@ const WASingleByteTokens = [
     "video", "recent"
 ];
 
+// WhatsApp Double Byte Tokens, one list per DICTIONARY_0..3 tag
+// (the legacy web protocol ships these empty)
+const WADoubleByteTokens = [
+    [],
+    [],
+    [],
+    []
+];
+
 // WhatsApp Metrics (from reverse engineering)
 const WAMetrics = {
     DEBUG_LOG: 1,
@@ -389,12 +427,14 @@ module.exports = {
     FileLimits,
     SupportedMimeTypes,
     CryptoConstants,
+    NoiseConfig,
     Timeouts,
     RetryLimits,
     ErrorCodes,
     RegexPatterns,
     WATags,
     WASingleByteTokens,
+    WADoubleByteTokens,
     WAMetrics,
     WAFlags,
     WAMediaAppInfo,
@@ -336,6 +336,35 @@ class Helpers {
         return result;
     }
     
+    /**
+     * JSON.parse reviver that turns serialized Buffers back into Buffers
+     */
+    static bufferReviver(key, value) {
+        if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+            return Buffer.from(value.data);
+        }
+
+        return value;
+    }
+
+    /**
+     * Run fn once every earlier call for the same key has settled
+     */
+    static withLock(locks, key, fn) {
+        const previous = locks.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(fn);
+        const tail = run.catch(() => {});
+
+        locks.set(key, tail);
+        tail.then(() => {
+            if (locks.get(key) === tail) {
+                locks.delete(key);
+            }
+        });
+
+        return run;
+    }
+
     /**
      * Check if string is valid JSON
      */
@@ -0,0 +1,120 @@
+/**
+ * Live Location Session
+ * Shares a position in a chat by sending a sequence-numbered live location
+ * update every interval until stopped or the duration runs out
+ */
+
+const { EventEmitter } = require('events');
+const Location = require('../models/location');
+
+class LiveLocationSession extends EventEmitter {
+    /**
+     * send(liveLocationMessage) delivers one update and resolves to its message ID.
+     * options: { interval, duration, caption }
+     */
+    constructor(chatId, location, send, options = {}) {
+        super();
+
+        this.chatId = chatId;
+        this.location = Location.from({ ...location, isLive: true });
+        this.send = send;
+        this.interval = options.interval || 60000;
+        this.duration = options.duration || 15 * 60 * 1000;
+        this.caption = options.caption || null;
+
+        this.id = null;
+        this.sequenceNumber = 0;
+        this.startedAt = null;
+        this.active = false;
+        this.intervalTimer = null;
+        this.durationTimer = null;
+    }
+
+    get expiresAt() {
+        return this.startedAt ? this.startedAt + this.duration : null;
+    }
+
+    /**
+     * Send the first update and schedule the rest; resolves with this session
+     */
+    async start() {
+        if (this.active) {
+            return this;
+        }
+
+        this.startedAt = Date.now();
+        this.active = true;
+
+        try {
+            await this._sendUpdate();
+        } catch (error) {
+            this._clearTimers();
+            this.active = false;
+            throw error;
+        }
+
+        this.intervalTimer = setInterval(() => {
+            this._sendUpdate().catch(error => {
+                console.error(`Failed to send live location update for ${this.chatId}:`, error.message);
+            });
+        }, this.interval);
+        this.durationTimer = setTimeout(() => this.stop('expired'), this.duration);
+
+        return this;
+    }
+
+    /**
+     * Move the shared position ({ lat, lng } plus accuracy, speed, degrees);
+     * the next periodic update carries it
+     */
+    update(position) {
+        this.location = Location.from({
+            ...this.location,
+            ...position,
+            lat: position.lat ?? position.latitude ?? this.location.latitude,
+            lng: position.lng ?? position.longitude ?? this.location.longitude,
+            isLive: true
+        });
+
+        this.emit('position', this.location);
+        return this.location;
+    }
+
+    /**
+     * Stop sending updates; reason is 'stopped' or 'expired'
+     */
+    stop(reason = 'stopped') {
+        if (!this.active) {
+            return false;
+        }
+
+        this._clearTimers();
+        this.active = false;
+        this.emit('stopped', reason);
+
+        return true;
+    }
+
+    async _sendUpdate() {
+        const sequenceNumber = this.sequenceNumber;
+        const timeOffset = Math.floor((Date.now() - this.startedAt) / 1000);
+        const message = this.location.toLiveLocationMessage(sequenceNumber, timeOffset);
+
+        // The session caption wins over the location's own comment, but only when set
+        const messageId = await this.send(this.caption != null ? { ...message, caption: this.caption } : message);
+        this.sequenceNumber = sequenceNumber + 1;
+        this.id = this.id || messageId;
+
+        this.emit('update', { id: messageId, sequenceNumber, timeOffset, location: this.location });
+        return messageId;
+    }
+
+    _clearTimers() {
+        clearInterval(this.intervalTimer);
+        clearTimeout(this.durationTimer);
+        this.intervalTimer = null;
+        this.durationTimer = null;
+    }
+}
+
+module.exports = LiveLocationSession;
@@ -0,0 +1,207 @@
+/**
+ * Message Status Tracking
+ * Follows each outgoing message ID through its acks and receipts
+ * (PENDING -> SERVER -> DEVICE -> READ -> PLAYED, or ERROR)
+ */
+
+const { EventEmitter } = require('events');
+const { MessageAck, Timeouts } = require('./constants');
+
+// Receipt types and the ack level they confirm; a receipt without a type is a delivery
+const ReceiptAck = {
+    delivery: MessageAck.DEVICE,
+    read: MessageAck.READ,
+    'read-self': MessageAck.READ,
+    played: MessageAck.PLAYED
+};
+
+class MessageStatusStore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Oldest records are dropped once this many messages are tracked
+        this.maxEntries = options.maxEntries || 1000;
+        this.records = new Map();
+
+        // Every pending waitFor() listens here
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Start tracking a message; recipients are the group members expected to send receipts
+     */
+    track(id, chatId, recipients = []) {
+        if (this.records.has(id)) {
+            return this.records.get(id);
+        }
+
+        const record = {
+            id,
+            chatId,
+            status: MessageAck.PENDING,
+            recipients: recipients.slice(),
+            receipts: {},
+            updatedAt: Date.now()
+        };
+
+        this.records.set(id, record);
+        while (this.records.size > this.maxEntries) {
+            this.records.delete(this.records.keys().next().value);
+        }
+
+        return record;
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    has(id) {
+        return this.records.has(id);
+    }
+
+    /**
+     * Apply an ack level, optionally from one recipient; emits status_changed
+     * when the message's overall status moves forward (or to ERROR)
+     */
+    update(id, ack, recipient = null) {
+        const record = this.records.get(id);
+        if (!record) {
+            return null;
+        }
+
+        if (recipient) {
+            record.receipts[recipient] = Math.max(record.receipts[recipient] ?? MessageAck.PENDING, ack);
+        }
+
+        const previous = record.status;
+        const status = ack === MessageAck.ERROR ? MessageAck.ERROR : Math.max(previous, this._aggregate(record, ack, recipient));
+        record.updatedAt = Date.now();
+
+        if (status !== previous) {
+            record.status = status;
+            this.emit('status_changed', record, previous, recipient);
+        }
+
+        return record;
+    }
+
+    /**
+     * Status from receipts: with known group members the message is only as far
+     * along as its slowest member
+     */
+    _aggregate(record, ack, recipient) {
+        if (!recipient || record.recipients.length === 0) {
+            return ack;
+        }
+
+        return Math.min(...record.recipients.map(jid => record.receipts[jid] ?? MessageAck.SERVER));
+    }
+
+    remove(id) {
+        return this.records.delete(id);
+    }
+
+    clear() {
+        this.records.clear();
+    }
+}
+
+/**
+ * Handle returned by sendMessage for following a message's delivery
+ */
+class SentMessage {
+    constructor(store, id, content, timestamp = Date.now()) {
+        this.store = store;
+        this.id = id;
+        this.content = content;
+        this.timestamp = timestamp;
+
+        const record = store.get(id);
+        this.chatId = record ? record.chatId : null;
+    }
+
+    /**
+     * Current MessageAck level
+     */
+    get status() {
+        const record = this.store.get(this.id);
+        return record ? record.status : MessageAck.PENDING;
+    }
+
+    get ack() {
+        return this.status;
+    }
+
+    /**
+     * Highest ack level seen from each recipient ({ jid: MessageAck })
+     */
+    get receipts() {
+        const record = this.store.get(this.id);
+        return record ? { ...record.receipts } : {};
+    }
+
+    /**
+     * Resolve with this handle once the status reaches ack; rejects on ERROR or timeout
+     */
+    waitFor(ack, timeout = Timeouts.MESSAGE_SEND) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                this.store.removeListener('status_changed', onChange);
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(this);
+                }
+            };
+
+            const check = () => {
+                if (this.status === MessageAck.ERROR) {
+                    finish(new Error(`Message ${this.id} failed`));
+                    return true;
+                }
+                if (this.status >= ack) {
+                    finish(null);
+                    return true;
+                }
+                return false;
+            };
+
+            const onChange = (record) => {
+                if (record.id === this.id) {
+                    check();
+                }
+            };
+
+            if (check()) {
+                return;
+            }
+
+            this.store.on('status_changed', onChange);
+            timer = setTimeout(() => {
+                finish(new Error(`Timed out waiting for message ${this.id} to reach ack ${ack}`));
+            }, timeout);
+        });
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            chatId: this.chatId,
+            content: this.content,
+            timestamp: this.timestamp,
+            status: this.status,
+            receipts: this.receipts
+        };
+    }
+}
+
+module.exports = {
+    MessageStatusStore,
+    SentMessage,
+    ReceiptAck
+};
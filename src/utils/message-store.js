@@ -0,0 +1,325 @@
+/**
+ * Message Store
+ * Local history of incoming and outgoing messages on a storage adapter, keyed
+ * "<namespace>/<remoteJid>/<timestamp>-<id>" so a chat lists in time order.
+ * Lookups by id go through an id -> key index per chat, built from one listing
+ * of the chat the first time it is touched.
+ */
+
+const Helpers = require('./helpers');
+const { MemoryStorage } = require('../storage');
+
+// Zero-padded millisecond timestamps sort lexically
+const TIMESTAMP_DIGITS = 15;
+
+// Media descriptor fields kept in a record; the byte fields are stored as base64
+const MEDIA_FIELDS = ['type', 'url', 'directPath', 'mimetype', 'fileName', 'fileLength', 'width', 'height', 'seconds', 'ptt'];
+const MEDIA_BYTES = ['mediaKey', 'fileSha256', 'fileEncSha256', 'thumbnail', 'waveform'];
+
+class MessageStore {
+    constructor(storage = new MemoryStorage(), namespace = 'messages') {
+        this.storage = storage;
+        this.namespace = namespace;
+
+        // remoteJid -> Promise<Map<id, key>>
+        this.indexes = new Map();
+
+        // "<remoteJid>/<id>" -> tail of the writes queued for that message
+        this.locks = new Map();
+    }
+
+    /**
+     * Save a message ({ id, remoteJid, fromMe, sender, body, caption, type, timestamp,
+     * editedAt, reactions, media, mentions, quotedMessage, location, vCards }); saving
+     * the same remoteJid/id again replaces it but keeps its reactions
+     */
+    async save(message) {
+        if (!message.id || !message.remoteJid) {
+            throw new Error('Stored messages need an id and remoteJid');
+        }
+
+        return this._withLock(message.remoteJid, message.id, () => this._write(message));
+    }
+
+    async _write(message) {
+        const existing = await this._findKey(message.remoteJid, message.id);
+        const previous = existing ? await this._read(existing) : null;
+
+        const record = {
+            id: message.id,
+            remoteJid: message.remoteJid,
+            fromMe: !!message.fromMe,
+            sender: message.sender || null,
+            type: message.type || 'text',
+            body: message.body ?? null,
+            caption: message.caption ?? null,
+            timestamp: message.timestamp || Date.now(),
+            editedAt: message.editedAt || null,
+            reactions: message.reactions || (previous && previous.reactions) || {},
+            media: message.media ? storedMedia(message.media) : null,
+            mentions: message.mentions && message.mentions.length > 0 ? message.mentions : [],
+            quotedMessage: message.quotedMessage || null,
+            location: message.location ? { ...message.location } : null,
+            vCards: message.vCards && message.vCards.length > 0 ? message.vCards : null
+        };
+
+        const key = this._key(record.remoteJid, record.timestamp, record.id);
+
+        const operations = [{ type: 'set', key, value: JSON.stringify(record) }];
+        if (existing && existing !== key) {
+            operations.unshift({ type: 'delete', key: existing });
+        }
+
+        await this.storage.batch(operations);
+        (await this._chatIndex(record.remoteJid)).set(record.id, key);
+
+        return record;
+    }
+
+    async get(remoteJid, id) {
+        const key = await this._findKey(remoteJid, id);
+        return key ? await this._read(key) : null;
+    }
+
+    /**
+     * Set sender's reaction on a stored message; an empty emoji removes it.
+     * Returns the updated record, or null when the message is not stored.
+     */
+    async setReaction(remoteJid, id, sender, emoji, timestamp = Date.now()) {
+        return this._withLock(remoteJid, id, async () => {
+            const record = await this.get(remoteJid, id);
+            if (!record) {
+                return null;
+            }
+
+            const reactions = { ...(record.reactions || {}) };
+            if (emoji) {
+                reactions[sender] = { emoji, timestamp };
+            } else {
+                delete reactions[sender];
+            }
+
+            return await this._write({ ...record, reactions });
+        });
+    }
+
+    /**
+     * Run fn after every earlier save or reaction on the same message, so a
+     * read-modify-write cannot drop another's change
+     */
+    _withLock(remoteJid, id, fn) {
+        return Helpers.withLock(this.locks, `${remoteJid}/${id}`, fn);
+    }
+
+    async remove(remoteJid, id) {
+        const key = await this._findKey(remoteJid, id);
+        if (!key) {
+            return false;
+        }
+
+        (await this._chatIndex(remoteJid)).delete(id);
+        return await this.storage.delete(key);
+    }
+
+    /**
+     * A page of a chat's messages, oldest first. before/after are timestamps
+     * (ms); without before the newest messages are returned.
+     */
+    async fetch(remoteJid, options = {}) {
+        const { before = null, after = null, limit = 50 } = options;
+
+        let keys = await this.storage.list(this._chatPrefix(remoteJid));
+        if (before !== null) {
+            keys = keys.filter(key => this._keyTimestamp(key) < before);
+        }
+        if (after !== null) {
+            keys = keys.filter(key => this._keyTimestamp(key) > after);
+        }
+
+        return await this._readAll(keys.slice(Math.max(0, keys.length - limit)));
+    }
+
+    /**
+     * Case-insensitive text search over bodies and captions, newest first
+     */
+    async search(query, options = {}) {
+        const { chatId = null, fromMe = null, limit = 50 } = options;
+        const needle = String(query).toLowerCase();
+        const prefix = chatId ? this._chatPrefix(chatId) : `${this.namespace}/`;
+
+        const keys = (await this.storage.list(prefix))
+            .sort((a, b) => this._keyTimestamp(b) - this._keyTimestamp(a));
+
+        const results = [];
+        for (const key of keys) {
+            if (results.length >= limit) {
+                break;
+            }
+
+            const record = await this._read(key);
+            if (!record || (fromMe !== null && record.fromMe !== fromMe)) {
+                continue;
+            }
+
+            const text = [record.body, record.caption]
+                .filter(value => typeof value === 'string')
+                .join('\n')
+                .toLowerCase();
+
+            if (text.includes(needle)) {
+                results.push(record);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Every stored message, per chat and oldest first ({ chatId: [messages] })
+     */
+    async export(chatId = null) {
+        const prefix = chatId ? this._chatPrefix(chatId) : `${this.namespace}/`;
+        const history = {};
+
+        for (const record of await this._readAll(await this.storage.list(prefix))) {
+            (history[record.remoteJid] = history[record.remoteJid] || []).push(record);
+        }
+
+        return history;
+    }
+
+    /**
+     * Chats with stored history
+     */
+    async getChatIds() {
+        const keys = await this.storage.list(`${this.namespace}/`);
+        return Array.from(new Set(keys.map(key => key.split('/')[1])));
+    }
+
+    async clear(chatId = null) {
+        const prefix = chatId ? this._chatPrefix(chatId) : `${this.namespace}/`;
+        const keys = await this.storage.list(prefix);
+
+        await this.storage.batch(keys.map(key => ({ type: 'delete', key })));
+
+        if (chatId) {
+            this.indexes.delete(chatId);
+        } else {
+            this.indexes.clear();
+        }
+    }
+
+    async _findKey(remoteJid, id) {
+        return (await this._chatIndex(remoteJid)).get(id) || null;
+    }
+
+    _chatIndex(remoteJid) {
+        if (!this.indexes.has(remoteJid)) {
+            const index = this.storage.list(this._chatPrefix(remoteJid)).then((keys) => {
+                return new Map(keys.map(key => [this._keyId(key), key]));
+            });
+
+            // A failed listing is retried on the next lookup
+            index.catch(() => this.indexes.delete(remoteJid));
+            this.indexes.set(remoteJid, index);
+        }
+
+        return this.indexes.get(remoteJid);
+    }
+
+    async _read(key) {
+        try {
+            const data = await this.storage.get(key);
+            return data === null ? null : JSON.parse(data);
+        } catch (error) {
+            console.error(`Failed to read message ${key}:`, error);
+            return null;
+        }
+    }
+
+    async _readAll(keys) {
+        const records = [];
+        for (const key of keys) {
+            const record = await this._read(key);
+            if (record) {
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    _keyTimestamp(key) {
+        return parseInt(key.slice(key.lastIndexOf('/') + 1, key.lastIndexOf('/') + 1 + TIMESTAMP_DIGITS), 10);
+    }
+
+    _keyId(key) {
+        return key.slice(key.lastIndexOf('/') + 1 + TIMESTAMP_DIGITS + 1);
+    }
+
+    _key(remoteJid, timestamp, id) {
+        return `${this._chatPrefix(remoteJid)}${String(timestamp).padStart(TIMESTAMP_DIGITS, '0')}-${id}`;
+    }
+
+    _chatPrefix(remoteJid) {
+        return `${this.namespace}/${remoteJid}/`;
+    }
+}
+
+/**
+ * Group a record's reactions ({ sender: { emoji, timestamp } }) by emoji:
+ * [{ emoji, count, senders }], most used first
+ */
+function aggregateReactions(reactions = {}) {
+    const byEmoji = new Map();
+
+    for (const [sender, { emoji }] of Object.entries(reactions)) {
+        if (!byEmoji.has(emoji)) {
+            byEmoji.set(emoji, { emoji, count: 0, senders: [] });
+        }
+
+        const entry = byEmoji.get(emoji);
+        entry.count++;
+        entry.senders.push(sender);
+    }
+
+    return Array.from(byEmoji.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * A media descriptor as kept in a JSON record, bytes as base64; stored
+ * records pass through unchanged
+ */
+function storedMedia(media) {
+    const stored = {};
+
+    for (const field of MEDIA_FIELDS) {
+        stored[field] = media[field] ?? null;
+    }
+    for (const field of MEDIA_BYTES) {
+        const value = media[field];
+        stored[field] = value ? (typeof value === 'string' ? value : Buffer.from(value).toString('base64')) : null;
+    }
+
+    return stored;
+}
+
+/**
+ * A record's media descriptor with its byte fields back as Buffers, or null
+ */
+function restoreMedia(media) {
+    if (!media) {
+        return null;
+    }
+
+    const restored = { ...media };
+    for (const field of MEDIA_BYTES) {
+        restored[field] = media[field] ? Buffer.from(media[field], 'base64') : null;
+    }
+
+    return restored;
+}
+
+MessageStore.aggregateReactions = aggregateReactions;
+MessageStore.restoreMedia = restoreMedia;
+
+module.exports = MessageStore;
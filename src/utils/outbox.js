@@ -0,0 +1,98 @@
+/**
+ * Outbox
+ * Persists outgoing messages until the server acknowledges them, keyed
+ * "<namespace>/<messageId>", so unsent messages survive a crash or restart
+ */
+
+const { MemoryStorage } = require('../storage');
+const { MessageTypes } = require('./constants');
+
+class Outbox {
+    constructor(storage = new MemoryStorage(), namespace = 'outbox') {
+        this.storage = storage;
+        this.namespace = namespace;
+    }
+
+    /**
+     * Record a new message ({ id, chatId, type, content, options }); returns the
+     * stored entry. type is a MessageTypes value; text when left out.
+     */
+    async add(message) {
+        if (!message.id) {
+            throw new Error('Outbox entries need a message ID');
+        }
+
+        const entry = {
+            id: message.id,
+            chatId: message.chatId,
+            type: message.type || MessageTypes.TEXT,
+            content: message.content,
+            options: message.options || {},
+            attempts: 0,
+            createdAt: Date.now()
+        };
+
+        await this._write(entry);
+        return entry;
+    }
+
+    async get(id) {
+        try {
+            const data = await this.storage.get(this._key(id));
+            return data === null ? null : JSON.parse(data);
+        } catch (error) {
+            console.error(`Failed to read outbox entry ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist changes to an entry; no-op when it has already been removed
+     */
+    async update(id, changes) {
+        const entry = await this.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        const updated = { ...entry, ...changes, id };
+        await this._write(updated);
+        return updated;
+    }
+
+    async remove(id) {
+        return await this.storage.delete(this._key(id));
+    }
+
+    /**
+     * Every pending entry, oldest first
+     */
+    async list() {
+        const keys = await this.storage.list(`${this.namespace}/`);
+        const entries = [];
+
+        for (const key of keys) {
+            const entry = await this.get(key.slice(this.namespace.length + 1));
+            if (entry) {
+                entries.push(entry);
+            }
+        }
+
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async clear() {
+        const keys = await this.storage.list(`${this.namespace}/`);
+        await this.storage.batch(keys.map(key => ({ type: 'delete', key })));
+    }
+
+    async _write(entry) {
+        await this.storage.set(this._key(entry.id), JSON.stringify(entry));
+    }
+
+    _key(id) {
+        return `${this.namespace}/${id}`;
+    }
+}
+
+module.exports = Outbox;
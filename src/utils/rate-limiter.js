@@ -0,0 +1,87 @@
+/**
+ * Rate Limiter
+ * Runs queued tasks one at a time with a minimum delay between them
+ */
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.delay = options.delay !== undefined ? options.delay : 1000;
+        this.queue = [];
+        this.lastRun = 0;
+        this.isProcessing = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    /**
+     * Queue a task; resolves with the task's result
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this._process();
+        });
+    }
+
+    async _process() {
+        if (this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        while (this.queue.length > 0) {
+            const wait = this.lastRun + this.delay - Date.now();
+            if (wait > 0) {
+                await this._sleep(wait);
+                continue;
+            }
+
+            const item = this.queue.shift();
+            this.lastRun = Date.now();
+
+            try {
+                item.resolve(await item.task());
+            } catch (error) {
+                item.reject(error);
+            }
+        }
+
+        this.isProcessing = false;
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.wake = null;
+                resolve();
+            }, ms);
+        });
+    }
+
+    /**
+     * Reject every pending task
+     */
+    clear(reason = new Error('Rate limiter cleared')) {
+        const pending = this.queue.splice(0);
+        pending.forEach(item => item.reject(reason));
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.wake();
+            this.wake = null;
+        }
+    }
+
+    /**
+     * Number of tasks waiting to run
+     */
+    get size() {
+        return this.queue.length;
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,135 @@
+/**
+ * vCard
+ * Builds and parses the vCard 3.0 cards carried by contact messages. WhatsApp
+ * marks the number it can chat with using the waid parameter on TEL:
+ *
+ *   TEL;type=CELL;type=VOICE;waid=15551234567:+15551234567
+ */
+
+const Helpers = require('./helpers');
+
+/**
+ * vCard for a Contact model or plain fields ({ name, number | phone | id,
+ * organization, email })
+ */
+function buildVCard(contact) {
+    if (!contact || typeof contact !== 'object') {
+        throw new Error('A contact card needs a contact');
+    }
+
+    const jid = Helpers.parseJID(contact.id);
+    const number = String(contact.number || contact.phone || (jid && !jid.isGroup ? jid.phone : '')).replace(/\D/g, '');
+    if (!Helpers.validatePhoneNumber(number)) {
+        throw new Error(`Invalid phone number for contact card: ${contact.number || contact.phone || contact.id}`);
+    }
+
+    const name = contact.name || contact.displayName || contact.pushname || `+${number}`;
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:;${escapeValue(name)};;;`,
+        `FN:${escapeValue(name)}`
+    ];
+
+    if (contact.organization) {
+        lines.push(`ORG:${escapeValue(contact.organization)};`);
+    }
+    if (contact.email) {
+        lines.push(`EMAIL;type=INTERNET:${escapeValue(contact.email)}`);
+    }
+
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${number}:+${number}`);
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+}
+
+/**
+ * Structured contact from a vCard: { name, organization, emails, phones },
+ * where each phone is { number, type, waid, jid }. The jid comes from the
+ * waid when present, otherwise from the number itself.
+ */
+function parseVCard(vcard) {
+    const contact = { name: null, organization: null, emails: [], phones: [] };
+    if (typeof vcard !== 'string') {
+        return contact;
+    }
+
+    // Continuation lines start with a space or tab
+    const lines = vcard.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    let structuredName = null;
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+        const name = property.replace(/^item\d+\./i, '').toUpperCase();
+
+        if (name === 'FN') {
+            contact.name = unescapeValue(value);
+        } else if (name === 'N') {
+            structuredName = splitValue(value).map(unescapeValue).filter(Boolean).reverse().join(' ') || null;
+        } else if (name === 'ORG') {
+            contact.organization = unescapeValue(splitValue(value)[0]) || null;
+        } else if (name === 'EMAIL') {
+            contact.emails.push(unescapeValue(value));
+        } else if (name === 'TEL') {
+            contact.phones.push(parsePhone(params, value));
+        }
+    }
+
+    contact.name = contact.name || structuredName;
+    return contact;
+}
+
+function parsePhone(params, value) {
+    const types = [];
+    let waid = null;
+
+    for (const param of params) {
+        const [key, paramValue = ''] = param.split('=');
+        if (key.toLowerCase() === 'waid') {
+            waid = paramValue.replace(/\D/g, '') || null;
+        } else if (key.toLowerCase() === 'type') {
+            types.push(paramValue.toUpperCase());
+        }
+    }
+
+    const number = value.replace(/\D/g, '');
+    const jidNumber = waid || number;
+
+    return {
+        number: value.trim(),
+        type: types.join(',') || null,
+        waid,
+        jid: jidNumber ? Helpers.formatJID(jidNumber) : null
+    };
+}
+
+// Components are separated by unescaped semicolons
+function splitValue(value) {
+    return value.split(/(?<!\\);/);
+}
+
+function escapeValue(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+function unescapeValue(text) {
+    return String(text)
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+module.exports = {
+    buildVCard,
+    parseVCard
+};
@@ -5,6 +5,8 @@
 
 const { EventEmitter } = require('events');
 const WebSocket = require('ws');
+const NoiseProtocol = require('../crypto/noise');
+const { Endpoints, Timeouts } = require('../utils/constants');
 
 class WebSocketClient extends EventEmitter {
     constructor(core) {
@@ -13,22 +15,27 @@ class WebSocketClient extends EventEmitter {
         this.ws = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10;
         this.reconnectDelay = 1000;
         this.maxReconnectDelay = 30000;
         this.pingInterval = null;
         this.pongTimeout = null;
+        this.reconnectTimer = null;
+        this.isClosing = false;
         
-        // WhatsApp Web endpoints
-        this.endpoints = [
-            'wss://web.whatsapp.com/ws/chat',
-            'wss://w1.web.whatsapp.com/ws/chat',
-            'wss://w2.web.whatsapp.com/ws/chat',
-            'wss://w3.web.whatsapp.com/ws/chat',
-            'wss://w4.web.whatsapp.com/ws/chat'
-        ];
+        // WhatsApp Web endpoints (overridable, e.g. to point at a mock server)
+        const options = (core && core.options) || {};
+        this.endpoints = [...(options.endpoints || Endpoints.WEBSOCKET)];
+        this.maxReconnectAttempts = options.maxReconnectAttempts !== undefined ? options.maxReconnectAttempts : 10;
         
         this.currentEndpointIndex = 0;
+        
+        // Noise transport: every frame is encrypted once the handshake completes
+        this.useNoise = options.noise !== false;
+        this.noiseKeyPair = options.noiseKeyPair || NoiseProtocol.generateKeyPair();
+        this.noisePayload = options.noisePayload || Buffer.alloc(0);
+        this.noise = null;
+        this.serverPayload = null;
+        this.pendingHandshake = null;
     }
     
     async connect() {
@@ -51,6 +58,7 @@ class WebSocketClient extends EventEmitter {
             try {
                 const endpoint = this.endpoints[this.currentEndpointIndex];
                 console.log(`Connecting to WhatsApp WebSocket: ${endpoint}`);
+                this.isClosing = false;
                 
                 // Create WebSocket connection with proper headers
                 this.ws = new WebSocket(endpoint, {
@@ -61,8 +69,22 @@ class WebSocketClient extends EventEmitter {
                     perMessageDeflate: false
                 });
                 
+                const ws = this.ws;
+                
                 // Set up event handlers
-                this.ws.on('open', () => {
+                ws.on('open', async () => {
+                    try {
+                        if (this.useNoise) {
+                            await this._performHandshake(ws);
+                        }
+                    } catch (error) {
+                        console.error('Noise handshake failed:', error);
+                        this.emit('error', error);
+                        ws.terminate();
+                        reject(error);
+                        return;
+                    }
+                    
                     console.log('WebSocket connection established');
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
@@ -71,31 +93,34 @@ class WebSocketClient extends EventEmitter {
                     resolve();
                 });
                 
-                this.ws.on('close', (code, reason) => {
+                ws.on('close', (code, reason) => {
                     console.log(`WebSocket connection closed: ${code} ${reason}`);
                     this.isConnected = false;
                     this._stopHeartbeat();
+                    this._rejectHandshake(new Error('Connection closed during handshake'));
                     this.emit('close', code, reason);
                     
-                    // Attempt reconnection
-                    this._scheduleReconnection();
+                    // Attempt reconnection unless we closed the socket ourselves
+                    if (!this.isClosing) {
+                        this._scheduleReconnection();
+                    }
                 });
                 
-                this.ws.on('error', (error) => {
+                ws.on('error', (error) => {
                     console.error('WebSocket error:', error);
                     this.emit('error', error);
                     reject(error);
                 });
                 
-                this.ws.on('message', (data) => {
+                ws.on('message', (data) => {
                     this._handleMessage(data);
                 });
                 
-                this.ws.on('ping', (data) => {
-                    this.ws.pong(data);
+                ws.on('ping', (data) => {
+                    ws.pong(data);
                 });
                 
-                this.ws.on('pong', () => {
+                ws.on('pong', () => {
                     if (this.pongTimeout) {
                         clearTimeout(this.pongTimeout);
                         this.pongTimeout = null;
@@ -109,12 +134,81 @@ class WebSocketClient extends EventEmitter {
     }
     
     _handleMessage(data) {
-        try {
-            // Emit raw message data
+        if (!this.useNoise) {
             this.emit('message', data);
+            return;
+        }
+        
+        try {
+            const frames = this.noise.decodeFrames(data);
+            
+            for (const frame of frames) {
+                if (!this.noise.isHandshakeComplete) {
+                    this._onHandshakeFrame(frame);
+                } else {
+                    this.emit('message', this.noise.decryptFrame(frame));
+                }
+            }
             
         } catch (error) {
+            // Counters are out of sync after a bad frame; the connection is unusable
             console.error('Failed to handle WebSocket message:', error);
+            this.emit('error', error);
+            if (this.ws) {
+                this.ws.terminate();
+            }
+        }
+    }
+    
+    /**
+     * Run the Noise XX handshake over a freshly opened socket
+     */
+    async _performHandshake(ws) {
+        this.noise = new NoiseProtocol({ staticKeyPair: this.noiseKeyPair });
+        this.serverPayload = null;
+        
+        const serverHello = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingHandshake = null;
+                reject(new Error('Noise handshake timed out'));
+            }, Timeouts.NOISE_HANDSHAKE);
+            
+            this.pendingHandshake = {
+                resolve: (frame) => {
+                    clearTimeout(timer);
+                    resolve(frame);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+        });
+        
+        ws.send(this.noise.encodeFrame(this.noise.createClientHello()), { binary: true });
+        
+        const frame = await serverHello;
+        this.serverPayload = this.noise.processServerHello(frame);
+        
+        ws.send(this.noise.encodeFrame(this.noise.createClientFinish(this.noisePayload)), { binary: true });
+        console.log('Noise handshake complete');
+    }
+    
+    _onHandshakeFrame(frame) {
+        if (!this.pendingHandshake) {
+            throw new Error('Unexpected frame during handshake');
+        }
+        
+        const pending = this.pendingHandshake;
+        this.pendingHandshake = null;
+        pending.resolve(frame);
+    }
+    
+    _rejectHandshake(error) {
+        if (this.pendingHandshake) {
+            const pending = this.pendingHandshake;
+            this.pendingHandshake = null;
+            pending.reject(error);
         }
     }
     
@@ -128,6 +222,10 @@ class WebSocketClient extends EventEmitter {
         }
         
         try {
+            if (this.useNoise) {
+                data = this.noise.encodeFrame(this.noise.encryptFrame(data));
+            }
+            
             // Send data through WebSocket
             this.ws.send(data);
             
@@ -181,7 +279,8 @@ class WebSocketClient extends EventEmitter {
         
         console.log(`Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
         
-        setTimeout(() => {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             this._attemptReconnection();
         }, delay);
     }
@@ -201,7 +300,13 @@ class WebSocketClient extends EventEmitter {
     }
     
     async disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        
         if (this.ws) {
+            this.isClosing = true;
             this._stopHeartbeat();
             this.ws.close(1000, 'Normal closure');
             this.ws = null;
@@ -237,13 +342,7 @@ class WebSocketClient extends EventEmitter {
             throw new Error('WebSocket not ready');
         }
         
-        try {
-            this.ws.send(buffer, { binary: true });
-            
-        } catch (error) {
-            console.error('Failed to send binary message:', error);
-            throw error;
-        }
+        await this.send(Buffer.from(buffer));
     }
     
     /**
@@ -254,13 +353,7 @@ class WebSocketClient extends EventEmitter {
             throw new Error('WebSocket not ready');
         }
         
-        try {
-            this.ws.send(text);
-            
-        } catch (error) {
-            console.error('Failed to send text message:', error);
-            throw error;
-        }
+        await this.send(this.useNoise ? Buffer.from(text, 'utf8') : text);
     }
     
     /**
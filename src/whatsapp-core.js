@@ -1,194 +1,443 @@
 /**
  * WhatsApp Core Implementation
  * Handles the main WhatsApp Web protocol logic
+ *
+ * The core is assembled from pluggable components. Each option below accepts
+ * either a ready instance or a factory `(core) => instance`:
+ *   - transport:     connect/disconnect/send/isReady, emits open/close/message/error
+ *   - authStrategy:  start/destroy, emits qr/pairing_code/authenticated
+ *   - codec:         protocol node builders plus decode()
+ *   - sessionStore:  load/save/clear
+ *   - storage:       get/set/delete/list/batch adapter shared by the session and keys
+ *   - rateLimiter:   schedule(task) => Promise
  */
 
 const { EventEmitter } = require('events');
 const WebSocketClient = require('./websocket/client');
 const Crypto = require('./crypto');
-const Auth = require('./auth/qr');
+const { createAuthStrategy } = require('./auth');
 const Session = require('./session');
-const ProtoHandler = require('./proto');
+const RealProtoHandler = require('./proto/real-proto');
+const { ProtocolMessageTypes, createTextContent, createMediaContent, encodeMessageContent, getMessageText, getMediaInfo, withContextInfo } = require('./proto/message-content');
 const MediaHandler = require('./media');
-const { WAState, WAEvents } = require('./utils/constants');
+const LinkPreviewGenerator = require('./media/link-preview');
+const MediaProcessor = require('./media/processor');
+const FfmpegAdapter = require('./media/ffmpeg');
+const Location = require('./models/location');
+const Message = require('./models/message');
+const LiveLocationSession = require('./utils/live-location');
+const { buildVCard, parseVCard } = require('./utils/vcard');
+const RateLimiter = require('./utils/rate-limiter');
+const Outbox = require('./utils/outbox');
+const MessageStore = require('./utils/message-store');
+const { MessageStatusStore, SentMessage, ReceiptAck } = require('./utils/message-status');
+const Helpers = require('./utils/helpers');
+const { WAState, WAEvents, MessageAck, MessageTypes, Timeouts, RetryLimits, DefaultConfig, GroupNotificationTypes, ErrorCodes } = require('./utils/constants');
+
+// Membership changes that rotate our sender key for the group
+const MEMBERSHIP_CHANGES = [
+    GroupNotificationTypes.ADD,
+    GroupNotificationTypes.REMOVE,
+    GroupNotificationTypes.LEAVE
+];
 
 class WhatsAppCore extends EventEmitter {
     constructor(options = {}) {
         super();
-        
-        this.options = options;
+
+        this.options = {
+            sessionPath: DefaultConfig.SESSION_PATH,
+            keysPath: DefaultConfig.KEYS_PATH,
+            authMethod: 'qr',
+            phoneNumber: null,
+            heartbeatInterval: DefaultConfig.HEARTBEAT_INTERVAL,
+            rateLimitDelay: 1000,
+            autoSendReceipts: true,
+            messageRetries: RetryLimits.MESSAGE_SEND,
+            messageRetryDelay: 2000,
+            ackTimeout: Timeouts.MESSAGE_SEND,
+            storeMessages: true,
+            syncHistory: true,
+            syncMessagesPerChat: 20,
+            linkPreview: false,
+            linkPreviewFetcher: null,
+            ffmpegPath: null,
+            ...options
+        };
+
         this.state = WAState.UNPAIRED;
         this.info = null;
-        
+        this.heartbeatTimer = null;
+        this.unreadMessages = new Map();
+        this.groupParticipants = new Map();
+        this.groupAdmins = new Map();
+        this.syncPromise = null;
+        this.pendingSends = new Map();
+        this.sendTimers = new Map();
+        this.liveLocations = new Set();
+
         // Initialize components
-        this.ws = new WebSocketClient(this);
-        this.crypto = new Crypto();
-        this.auth = new Auth(this);
-        this.session = new Session(options.sessionPath);
-        this.proto = new (require('./proto/real-proto'))(this);
+        this.ws = this._createComponent(this.options.transport, () => new WebSocketClient(this));
+        this.proto = this._createComponent(this.options.codec, () => new RealProtoHandler(this));
+        this.storage = this._createComponent(this.options.storage, () => null);
+        this.session = this._createComponent(this.options.sessionStore, () => new Session(this.options.sessionPath, {
+            storage: this.storage,
+            passphrase: this.options.sessionPassphrase
+        }));
+        this.rateLimiter = this._createComponent(this.options.rateLimiter, () => new RateLimiter({ delay: this.options.rateLimitDelay }));
+        this.auth = this._createComponent(this.options.authStrategy, () => createAuthStrategy(this, this.options.authMethod));
+        this.crypto = new Crypto({ keysPath: this.options.keysPath, storage: this.storage });
+        this.outbox = new Outbox(this.crypto.storage);
+        this.messageStatus = new MessageStatusStore();
+        this.messages = new MessageStore(this.crypto.storage);
+        this.mediaProcessor = this._createComponent(this.options.mediaProcessor, () => new MediaProcessor({
+            ffmpeg: this.options.ffmpegPath ? new FfmpegAdapter({ path: this.options.ffmpegPath }) : null
+        }));
         this.media = new MediaHandler(this);
-        
+        this.linkPreviews = this._createComponent(this.options.linkPreviewGenerator, () => new LinkPreviewGenerator({
+            fetcher: this.options.linkPreviewFetcher
+        }));
+
         // Bind events
         this._setupInternalEvents();
     }
-    
+
+    _createComponent(option, createDefault) {
+        if (typeof option === 'function') {
+            return option(this);
+        }
+
+        return option || createDefault();
+    }
+
     _setupInternalEvents() {
+        this.messageStatus.on('status_changed', (record, previous, recipient) => {
+            this.emit(WAEvents.MESSAGE_STATUS_CHANGED, {
+                id: record.id,
+                chatId: record.chatId,
+                status: record.status,
+                previous,
+                recipient,
+                receipts: { ...record.receipts }
+            });
+        });
+
         this.ws.on('open', () => this._onWebSocketOpen());
         this.ws.on('close', (code, reason) => this._onWebSocketClose(code, reason));
         this.ws.on('message', (data) => this._onWebSocketMessage(data));
         this.ws.on('error', (error) => this._onWebSocketError(error));
-        
-        this.auth.on('qr', (qr) => this.emit('qr', qr));
+        this.ws.on('reconnect_failed', () => this.emit('reconnect_failed'));
+
+        this._bindAuthEvents();
+
+        // Auth handlers listen for decoded protocol messages
+        this.proto.on('decoded', (msg) => this.emit('proto_message', msg));
+    }
+
+    _bindAuthEvents() {
+        this.auth.on('qr', (qr) => this.emit(WAEvents.QR, qr));
+        this.auth.on('pairing_code', (data) => this.emit('pairing_code', data));
         this.auth.on('authenticated', (session) => this._onAuthenticated(session));
-        
-        this.proto.on('message', (msg) => this._handleProtoMessage(msg));
     }
-    
+
+    /**
+     * Switch the authentication method used for the next auth flow
+     */
+    setAuthMethod(method, phoneNumber = null) {
+        this.options.authMethod = method;
+        if (phoneNumber) {
+            this.options.phoneNumber = phoneNumber;
+        }
+
+        this.auth.destroy();
+        this.auth = createAuthStrategy(this, method);
+        this._bindAuthEvents();
+    }
+
     async initialize() {
         try {
             // Try to restore session first
             const savedSession = await this.session.load();
-            
+
             if (savedSession && savedSession.clientId && savedSession.serverToken) {
                 this.info = savedSession;
-                this.state = WAState.UNPAIRED;
                 console.log('Restored session, attempting to reconnect...');
             } else {
                 console.log('No valid session found, starting fresh...');
-                this.state = WAState.UNPAIRED;
             }
-            
+
+            this._setState(WAState.OPENING);
+
             // Connect to WhatsApp servers
             await this.ws.connect();
-            
+
         } catch (error) {
             console.error('Failed to initialize:', error);
             throw error;
         }
     }
-    
+
     async _onWebSocketOpen() {
         console.log('WebSocket connected to WhatsApp servers');
-        
-        if (this.info && this.info.clientId) {
-            // Try to resume session
-            await this._resumeSession();
-        } else {
-            // Start new authentication flow
-            await this._startAuthFlow();
+
+        try {
+            if (this.info && this.info.clientId) {
+                // Try to resume session
+                await this._resumeSession();
+            } else {
+                // Start new authentication flow
+                await this._startAuthFlow();
+            }
+        } catch (error) {
+            console.error('Authentication flow failed:', error);
+            this.emit(WAEvents.AUTH_FAILURE, error);
         }
     }
-    
+
     async _onWebSocketClose(code, reason) {
         console.log('WebSocket disconnected:', code, reason);
-        this.state = WAState.UNPAIRED;
-        this.emit('disconnected', { code, reason });
-        
-        // Attempt reconnection after delay
-        setTimeout(() => {
-            if (this.state !== WAState.DESTROYED) {
-                this._attemptReconnection();
-            }
-        }, 5000);
+
+        this._stopHeartbeat();
+        this._clearSendTimers();
+
+        if (this.state === WAState.DESTROYED) {
+            return;
+        }
+
+        // The transport owns reconnection; we resume once it reopens
+        this._setState(WAState.UNPAIRED);
+        this.emit(WAEvents.DISCONNECTED, { code, reason });
     }
-    
+
     _onWebSocketError(error) {
         console.error('WebSocket error:', error);
-        this.emit('auth_failure', error);
+        this.emit(WAEvents.AUTH_FAILURE, error);
     }
-    
+
     async _onWebSocketMessage(data) {
         try {
-            // Decrypt and process the message
-            const decrypted = await this.crypto.decrypt(data);
+            // Frames are only encrypted once session keys exist
+            const decrypted = this.crypto.sessionKeys ? await this.crypto.decrypt(data) : data;
             const message = this.proto.decode(decrypted);
-            
+
             await this._handleProtoMessage(message);
-            
+
         } catch (error) {
             console.error('Failed to process message:', error);
         }
     }
-    
+
     async _startAuthFlow() {
-        this.state = WAState.UNPAIRED;
-        
+        this._setState(WAState.PAIRING);
+
         // Generate client keys
         await this.crypto.generateKeys();
-        
-        // Start QR authentication
-        await this.auth.startQRAuth();
+
+        await this.auth.start();
     }
-    
+
     async _resumeSession() {
+        let reply;
+
         try {
-            this.state = WAState.UNPAIRED;
-            
             // Restore cryptographic state
             await this.crypto.restoreKeys(this.info.keys);
-            
-            // Send resume message
-            const resumeMessage = this.proto.createResumeMessage(this.info);
-            await this.ws.send(resumeMessage);
-            
+
+            // Send resume message and wait for the login result
+            const requestId = Helpers.generateWhatsAppId();
+            reply = await this._sendRequest(requestId, this.proto.createResumeMessage(this.info, requestId), Timeouts.AUTH);
+
         } catch (error) {
             console.error('Failed to resume session:', error);
             // Fallback to new auth
             await this._startAuthFlow();
+            return;
         }
+
+        const login = reply.query && reply.query.login;
+        if (login && login.wid) {
+            this.info.wid = login.wid;
+        }
+
+        console.log('Session resumed');
+        await this._onLoggedIn();
     }
-    
+
     async _onAuthenticated(sessionData) {
         this.info = sessionData;
-        this.state = WAState.CONNECTED;
-        
+
         // Save session
         await this.session.save(sessionData);
-        
+
         console.log('Successfully authenticated with WhatsApp');
-        this.emit('authenticated');
-        this.emit('ready');
+        await this._onLoggedIn();
+    }
+
+    /**
+     * Shared by new and resumed sessions: go CONNECTED, then send what was
+     * queued while offline and sync history
+     */
+    async _onLoggedIn() {
+        this._setState(WAState.CONNECTED);
+        this._startHeartbeat();
+
+        this.emit(WAEvents.AUTHENTICATED);
+        this.emit(WAEvents.READY);
+
+        await this._replayOutbox();
+
+        if (this.options.syncHistory) {
+            await this.syncHistory();
+        }
     }
-    
+
+    /**
+     * Fetch the chat list, contacts and recent messages per chat into the local
+     * stores; emits sync_progress per step and sync_complete at the end
+     */
+    async syncHistory() {
+        if (!this.syncPromise) {
+            this.syncPromise = this._runHistorySync().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+
+        return await this.syncPromise;
+    }
+
+    async _runHistorySync() {
+        const startedAt = Date.now();
+        const summary = { chats: 0, contacts: 0, messages: 0, error: null };
+        let completed = 0;
+        let total = 2;
+
+        const progress = (stage, chatId = null) => {
+            completed++;
+            this.emit(WAEvents.SYNC_PROGRESS, { stage, chatId, completed, total });
+        };
+
+        try {
+            const chats = this._queryList(await this._query(this.proto.createChatsQuery.bind(this.proto)), 'chats');
+            this._updateChats(chats);
+            summary.chats = chats.length;
+
+            // Messages are synced for the chats the server listed, under the ids _updateChats stored
+            const chatIds = Array.from(new Set(chats.filter(chat => chat.id || chat.jid).map(chat => this._normalizeJid(chat.id || chat.jid))));
+            total += chatIds.length;
+            progress('chats');
+
+            const contacts = this._queryList(await this._query(this.proto.createContactsQuery.bind(this.proto)), 'contacts');
+            this._updateContacts(contacts);
+            summary.contacts = contacts.length;
+            progress('contacts');
+
+            for (const chatId of chatIds) {
+                try {
+                    summary.messages += await this._syncChatMessages(chatId);
+                } catch (error) {
+                    console.error(`Failed to sync messages for ${chatId}:`, error);
+                }
+                progress('messages', chatId);
+            }
+
+            console.log(`History sync complete: ${summary.chats} chats, ${summary.contacts} contacts, ${summary.messages} messages`);
+
+        } catch (error) {
+            console.error('History sync failed:', error);
+            summary.error = error;
+        }
+
+        summary.duration = Date.now() - startedAt;
+        this.emit(WAEvents.SYNC_COMPLETE, summary);
+        return summary;
+    }
+
+    async _syncChatMessages(chatId) {
+        const response = await this._query(requestId => {
+            return this.proto.createMessagesQuery(requestId, chatId, this.options.syncMessagesPerChat);
+        });
+
+        const messages = this._queryList(response, 'messages');
+        for (const message of messages) {
+            if (!message.id) {
+                continue;
+            }
+
+            const sender = this._normalizeJid(message.participant || message.from || chatId);
+            await this._recordMessage({
+                id: message.id,
+                remoteJid: chatId,
+                fromMe: message.fromMe === 'true' || this._isOwnJid(sender),
+                sender,
+                type: message.type,
+                body: message.body ?? null,
+                caption: message.caption,
+                timestamp: message.t ? Number(message.t) * 1000 : Date.now()
+            });
+        }
+
+        return messages.length;
+    }
+
+    /**
+     * Send a query built by createNode(requestId) and wait for its result
+     */
+    async _query(createNode) {
+        this._assertConnected();
+
+        const requestId = Helpers.generateWhatsAppId();
+        return await this._sendRequest(requestId, createNode(requestId));
+    }
+
+    _queryList(response, key) {
+        const list = response.query && response.query[key];
+        return Array.isArray(list) ? list : [];
+    }
+
     async _handleProtoMessage(message) {
         if (!message) return;
-        
+
         switch (message.tag) {
             case 'stream:error':
                 await this._handleStreamError(message);
                 break;
-                
+
             case 'iq':
                 await this._handleIq(message);
                 break;
-                
+
             case 'message':
                 await this._handleMessage(message);
                 break;
-                
+
             case 'presence':
                 await this._handlePresence(message);
                 break;
-                
+
             case 'chatstate':
                 await this._handleChatState(message);
                 break;
-                
+
             case 'ack':
+            case 'receipt':
                 await this._handleAck(message);
                 break;
-                
+
+            case 'notification':
+                await this._handleNotification(message);
+                break;
+
             default:
                 console.log('Unknown message type:', message.tag);
         }
     }
-    
+
     async _handleStreamError(message) {
         console.error('Stream error:', message);
-        this.state = WAState.UNPAIRED;
-        this.emit('auth_failure', new Error(message.text || 'Stream error'));
+        this._setState(WAState.UNPAIRED);
+        this.emit(WAEvents.AUTH_FAILURE, new Error(message.attrs.text || 'Stream error'));
     }
-    
+
     async _handleIq(message) {
         // Handle IQ (Info/Query) messages
         if (message.type === 'result') {
@@ -199,7 +448,7 @@ class WhatsAppCore extends EventEmitter {
             console.error('IQ Error:', message);
         }
     }
-    
+
     async _handleMessage(message) {
         try {
             // Decrypt message content if encrypted
@@ -207,35 +456,268 @@ class WhatsAppCore extends EventEmitter {
                 const decrypted = await this.crypto.decryptMessage(message);
                 message.content = decrypted;
             }
-            
-            // Emit message event
-            this.emit('message', message);
-            
+
+            if (message.enc) {
+                await this._decryptSignalContent(message);
+            }
+
+            if (message.revoke || message.edit || message.reaction) {
+                await this._handleMessageUpdate(message);
+            } else {
+                if (message.from) {
+                    this.unreadMessages.set(message.from, message);
+                }
+
+                if (message.id && message.from) {
+                    await this._recordMessage({
+                        id: message.id,
+                        remoteJid: message.from,
+                        fromMe: false,
+                        sender: message.participant || message.from,
+                        body: typeof message.body === 'string' ? message.body : null,
+                        caption: message.caption,
+                        timestamp: message.attrs.t ? Number(message.attrs.t) * 1000 : Date.now(),
+                        ...this._historyFields(message)
+                    });
+                }
+
+                // Emit message event
+                this.emit(WAEvents.MESSAGE, message);
+            }
+
             // Send delivery receipt
-            if (message.id && message.from) {
+            if (this.options.autoSendReceipts && message.id && message.from) {
                 await this._sendDeliveryReceipt(message);
             }
-            
+
         } catch (error) {
             console.error('Failed to handle message:', error);
         }
     }
-    
+
+    /**
+     * Revokes, edits and reactions change an earlier message instead of adding one
+     */
+    async _handleMessageUpdate(message) {
+        const chatId = this._normalizeJid(message.from);
+        const sender = message.participant || message.from;
+
+        if (message.revoke) {
+            const author = await this._revokeAuthor(chatId, message.revoke, sender);
+            if (!author) {
+                console.log(`Ignoring revoke of ${message.revoke.id} from ${sender}: not the author or a group admin`);
+                return;
+            }
+
+            await this._applyRevoke(chatId, message.revoke.id, author);
+        } else if (message.edit) {
+            const before = await this.messages.get(chatId, message.edit.id);
+            if (!before || !this._isAuthor(before, sender)) {
+                console.log(`Ignoring edit of ${message.edit.id} from ${sender}: not the author of a stored message`);
+                return;
+            }
+
+            await this._applyEdit(chatId, message.edit.id, message.edit.body, sender);
+        } else {
+            const { id, emoji } = message.reaction;
+            const timestamp = message.attrs.t ? Number(message.attrs.t) * 1000 : Date.now();
+            const record = await this._applyReaction(chatId, id, sender, emoji, timestamp);
+
+            this.emit(WAEvents.MESSAGE_REACTION, {
+                id,
+                chatId: message.from,
+                sender,
+                emoji,
+                removed: !emoji,
+                timestamp,
+                reactions: MessageStore.aggregateReactions(record ? record.reactions : {})
+            });
+        }
+    }
+
+    /**
+     * Author of the message a revoke from sender removes, or null when sender
+     * may not remove it. Only the author can, or an admin in a group; for a
+     * message we never stored, the claimed author must be the sender.
+     */
+    async _revokeAuthor(chatId, revoke, sender) {
+        const before = await this.messages.get(chatId, revoke.id);
+        const isAdmin = !!Helpers.parseJID(chatId)?.isGroup && this.isGroupAdmin(chatId, sender);
+
+        if (before) {
+            const author = before.fromMe ? this.info.wid : before.sender;
+            return this._isAuthor(before, sender) || isAdmin ? author : null;
+        }
+
+        const claimed = revoke.participant || sender;
+        return this._normalizeJid(claimed) === this._normalizeJid(sender) || isAdmin ? claimed : null;
+    }
+
+    /**
+     * Whether jid wrote the stored message record
+     */
+    _isAuthor(record, jid) {
+        if (record.fromMe) {
+            return this._isOwnJid(jid);
+        }
+        return !!record.sender && this._normalizeJid(record.sender) === this._normalizeJid(jid);
+    }
+
+    /**
+     * Decrypt pkmsg/msg/skmsg payloads into message.body. In a group the
+     * pairwise payloads carry the sender's key distribution instead of text.
+     * Payloads marked format="proto" hold encoded message content.
+     */
+    async _decryptSignalContent(message) {
+        const sender = message.participant || message.from;
+        const isGroup = Helpers.parseJID(message.from)?.isGroup;
+
+        const setContent = (format, plaintext) => {
+            if (format === 'proto') {
+                this.proto.applyMessageContent(message, plaintext);
+            } else {
+                message.body = plaintext.toString();
+            }
+        };
+
+        for (const { type, format, ciphertext } of message.enc) {
+            if (type === 'skmsg') {
+                setContent(format, await this.crypto.decryptGroupMessage(message.from, sender, ciphertext));
+                continue;
+            }
+
+            const plaintext = await this.crypto.decryptSignalMessage(sender, type, ciphertext);
+            if (isGroup) {
+                await this.crypto.processSenderKeyDistribution(message.from, sender, plaintext);
+            } else {
+                setContent(format, plaintext);
+            }
+        }
+    }
+
+    async _handleNotification(message) {
+        // Group notifications: w:gp2 with one child per change
+        if (message.type !== 'w:gp2' || !Array.isArray(message.content)) {
+            return;
+        }
+
+        for (const [type, , children] of message.content) {
+            const participants = Array.isArray(children)
+                ? children.filter(child => child[0] === 'participant').map(([, attrs]) => attrs.jid)
+                : [];
+
+            if (type === GroupNotificationTypes.LEAVE && participants.length === 0 && message.participant) {
+                participants.push(message.participant);
+            }
+
+            await this._applyGroupChange(message.from, type, participants);
+
+            const event = type === GroupNotificationTypes.ADD
+                ? WAEvents.GROUP_JOIN
+                : type === GroupNotificationTypes.REMOVE || type === GroupNotificationTypes.LEAVE
+                    ? WAEvents.GROUP_LEAVE
+                    : WAEvents.GROUP_UPDATE;
+
+            this.emit(event, {
+                groupId: message.from,
+                type,
+                participants,
+                actor: message.participant
+            });
+        }
+    }
+
+    /**
+     * Track group membership and admins, and rotate our sender key when the
+     * membership changes
+     */
+    async _applyGroupChange(groupId, type, participants) {
+        if (type === GroupNotificationTypes.PROMOTE || type === GroupNotificationTypes.DEMOTE) {
+            const admins = this.groupAdmins.get(groupId) || new Set();
+            this.groupAdmins.set(groupId, admins);
+
+            for (const jid of participants) {
+                if (type === GroupNotificationTypes.PROMOTE) {
+                    admins.add(this._normalizeJid(jid));
+                } else {
+                    admins.delete(this._normalizeJid(jid));
+                }
+            }
+            return;
+        }
+
+        if (!MEMBERSHIP_CHANGES.includes(type)) {
+            return;
+        }
+
+        const members = this.groupParticipants.get(groupId) || new Set();
+        this.groupParticipants.set(groupId, members);
+
+        if (type === GroupNotificationTypes.ADD) {
+            participants.forEach(jid => members.add(this._normalizeJid(jid)));
+        } else {
+            if (participants.some(jid => this._isOwnJid(jid))) {
+                this.groupParticipants.delete(groupId);
+                this.groupAdmins.delete(groupId);
+                await this.crypto.clearGroupSenderKeys(groupId);
+                return;
+            }
+
+            for (const jid of participants) {
+                members.delete(this._normalizeJid(jid));
+                this.groupAdmins.get(groupId)?.delete(this._normalizeJid(jid));
+                await this.crypto.removeSenderKey(groupId, jid);
+            }
+        }
+
+        await this.crypto.rotateSenderKey(groupId);
+    }
+
+    /**
+     * Set the known members of a group, e.g. from group metadata; admins, when
+     * given, replaces the known admins
+     */
+    setGroupParticipants(groupId, participants, admins = null) {
+        this.groupParticipants.set(groupId, new Set(participants.map(jid => this._normalizeJid(jid))));
+
+        if (admins) {
+            this.groupAdmins.set(groupId, new Set(admins.map(jid => this._normalizeJid(jid))));
+        }
+    }
+
+    getGroupParticipants(groupId) {
+        return Array.from(this.groupParticipants.get(groupId) || []);
+    }
+
+    getGroupAdmins(groupId) {
+        return Array.from(this.groupAdmins.get(groupId) || []);
+    }
+
+    isGroupAdmin(groupId, jid) {
+        return !!this.groupAdmins.get(groupId)?.has(this._normalizeJid(jid));
+    }
+
     async _handlePresence(message) {
         // Handle presence updates (online/offline/typing)
-        this.emit('presence_update', message);
+        this.emit(WAEvents.PRESENCE_UPDATE, message);
     }
-    
+
     async _handleChatState(message) {
         // Handle chat state changes (composing, paused, etc.)
-        this.emit('chat_state', message);
+        this.emit(WAEvents.CHAT_STATE, message);
     }
-    
+
     async _handleAck(message) {
+        if (message.tag === 'ack' && message.id && message.attrs.ack !== undefined) {
+            await this._onOutboxAck(message.id, Number(message.attrs.ack));
+        } else if (message.tag === 'receipt' && message.id) {
+            this._onReceipt(message);
+        }
+
         // Handle message acknowledgments
-        this.emit('message_ack', message);
+        this.emit(WAEvents.MESSAGE_ACK, message);
     }
-    
+
     async _handleIqResult(message) {
         // Handle various IQ result types
         if (message.query && message.query.type === 'contacts') {
@@ -244,147 +726,1051 @@ class WhatsAppCore extends EventEmitter {
             this._updateChats(message.query.chats);
         }
     }
-    
+
     async sendMessage(chatId, content, options = {}) {
-        if (this.state !== WAState.CONNECTED) {
-            throw new Error('Client not connected');
+        this._assertConnected();
+
+        return await this.queueMessage(chatId, content, options);
+    }
+
+    /**
+     * Record a message in the outbox and send it as soon as we are connected;
+     * resolves once the server acknowledges it, rejects after the last retry
+     */
+    async queueMessage(chatId, content, options = {}) {
+        const { messageId, ...sendOptions } = options;
+        const preview = await this._createLinkPreview(content, sendOptions);
+
+        return await this._enqueue({
+            id: messageId,
+            chatId,
+            content,
+            options: preview ? { ...sendOptions, preview } : sendOptions
+        });
+    }
+
+    /**
+     * Add a message ({ id, chatId, type, content, options }) to the outbox and
+     * send it; resolves to a SentMessage once the server acknowledges it
+     */
+    async _enqueue(message) {
+        const entry = await this.outbox.add({ ...message, id: message.id || Helpers.generateWhatsAppId() });
+
+        this._trackMessage(entry);
+        const acknowledged = new Promise((resolve, reject) => {
+            this.pendingSends.set(entry.id, { resolve, reject });
+        });
+
+        this._transmit(entry);
+        return await acknowledged;
+    }
+
+    /**
+     * Link preview for the first URL in content when options.linkPreview (or the
+     * linkPreview client option) is on; the thumbnail is base64 so the outbox
+     * entry stays JSON. A failed preview only logs: the text is still sent.
+     */
+    async _createLinkPreview(content, options) {
+        const enabled = options.linkPreview ?? this.options.linkPreview;
+        if (!enabled || typeof content !== 'string') {
+            return null;
         }
-        
+
         try {
-            const message = this.proto.createTextMessage(chatId, content, options);
-            const encrypted = await this.crypto.encryptMessage(message);
-            
-            await this.ws.send(encrypted);
-            
-            return message;
-            
+            const preview = await this.linkPreviews.generate(content);
+            if (!preview) {
+                return null;
+            }
+
+            return {
+                ...preview,
+                jpegThumbnail: preview.jpegThumbnail ? Buffer.from(preview.jpegThumbnail).toString('base64') : null
+            };
         } catch (error) {
-            console.error('Failed to send message:', error);
-            throw error;
+            console.error('Failed to generate link preview:', error.message);
+            return null;
         }
     }
-    
-    async sendMedia(chatId, media, options = {}) {
-        if (this.state !== WAState.CONNECTED) {
-            throw new Error('Client not connected');
+
+    /**
+     * Send an outbox entry and wait for its ack; later attempts reuse the message ID
+     */
+    async _transmit(entry) {
+        if (this.state !== WAState.CONNECTED || this.sendTimers.has(entry.id)) {
+            return;
         }
-        
+
+        // Reserve the slot so a replay cannot send the same entry twice
+        this.sendTimers.set(entry.id, null);
+
         try {
-            // Upload media first
-            const mediaData = await this.media.upload(media);
-            
-            // Create media message
-            const message = this.proto.createMediaMessage(chatId, mediaData, options);
-            const encrypted = await this.crypto.encryptMessage(message);
-            
-            await this.ws.send(encrypted);
-            
-            return message;
-            
+            const updated = await this.outbox.update(entry.id, { attempts: entry.attempts + 1 });
+            if (!updated) {
+                this.sendTimers.delete(entry.id);
+                return;
+            }
+            entry = updated;
+
+            // Entries from before types were stored are text
+            const isText = !entry.type || entry.type === MessageTypes.TEXT;
+            const result = await this.rateLimiter.schedule(() => {
+                return isText
+                    ? this._processSendMessage(entry.chatId, entry.content, { ...entry.options, messageId: entry.id })
+                    : this._processSendContent(entry.chatId, entry.content, { ...entry.options, messageId: entry.id, record: false });
+            });
+
+            if (entry.attempts === 1) {
+                this.emit(WAEvents.MESSAGE_CREATE, result);
+
+                if (entry.options.record !== false) {
+                    await this._recordMessage({
+                        id: entry.id,
+                        remoteJid: entry.chatId,
+                        fromMe: true,
+                        ...(isText ? { body: entry.content } : this._contentRecord(entry)),
+                        timestamp: result.timestamp,
+                        ...this._historyFields({ key: { remoteJid: entry.chatId, id: entry.id, fromMe: true }, message: result.message })
+                    });
+                }
+            }
+
+            this.sendTimers.set(entry.id, setTimeout(() => {
+                this._retryOrFail(entry, new Error(`No ack for message ${entry.id}`));
+            }, this.options.ackTimeout));
+
         } catch (error) {
-            console.error('Failed to send media:', error);
-            throw error;
+            await this._retryOrFail(entry, error);
         }
     }
-    
-    async _sendDeliveryReceipt(message) {
-        try {
-            const receipt = this.proto.createDeliveryReceipt(message);
-            await this.ws.send(receipt);
-        } catch (error) {
-            console.error('Failed to send delivery receipt:', error);
-        }
+
+    /**
+     * History fields of a non-text outbox entry
+     */
+    _contentRecord(entry) {
+        const media = getMediaInfo(entry.content);
+
+        return {
+            type: entry.type,
+            body: getMessageText(entry.content) || null,
+            caption: media ? media.caption : null
+        };
     }
-    
-    async getChatById(chatId) {
-        // Implementation for getting chat by ID
-        return this.chats ? this.chats.get(chatId) : null;
+
+    /**
+     * Type, media, mentions, quote, location and vCards of a decoded node or a
+     * WebMessageInfo, read as the Message model reads them, for its history record
+     */
+    _historyFields(data) {
+        const { type, media, mentions, quotedMessage, location, vCards } = new Message(null, data);
+        return { type, media, mentions, quotedMessage, location, vCards };
     }
-    
-    async getChats() {
-        // Implementation for getting all chats
-        return this.chats ? Array.from(this.chats.values()) : [];
+
+    /**
+     * Acks after the first one (DEVICE, READ, PLAYED) arrive once the entry has
+     * left the outbox, so the status is updated either way
+     */
+    async _onOutboxAck(id, ack) {
+        if (ack >= MessageAck.SERVER) {
+            this.messageStatus.update(id, ack);
+        }
+
+        const entry = await this.outbox.get(id);
+        if (!entry) {
+            return;
+        }
+
+        if (ack === MessageAck.ERROR) {
+            await this._retryOrFail(entry, new Error(`Server rejected message ${id}`));
+        } else if (ack >= MessageAck.SERVER) {
+            this._clearSendTimer(id);
+            await this.outbox.remove(id);
+
+            this._settleSend(id, null, new SentMessage(this.messageStatus, id, entry.content, entry.createdAt));
+        }
     }
-    
-    async getContactById(contactId) {
-        // Implementation for getting contact by ID
-        return this.contacts ? this.contacts.get(contactId) : null;
+
+    /**
+     * Delivery/read/played receipts; group receipts name the member in participant
+     */
+    _onReceipt(message) {
+        const ack = ReceiptAck[message.attrs.type || 'delivery'];
+        if (ack === undefined) {
+            return;
+        }
+
+        const recipient = message.participant || message.from;
+        this.messageStatus.update(message.id, ack, recipient ? this._normalizeJid(recipient) : null);
     }
-    
-    async getContacts() {
-        // Implementation for getting all contacts
-        return this.contacts ? Array.from(this.contacts.values()) : [];
+
+    _trackMessage(entry) {
+        const recipients = Helpers.parseJID(entry.chatId)?.isGroup
+            ? this.getGroupParticipants(entry.chatId).filter(jid => !this._isOwnJid(jid))
+            : [];
+
+        return this.messageStatus.track(entry.id, entry.chatId, recipients);
     }
-    
-    _updateContacts(contacts) {
-        if (!this.contacts) {
-            this.contacts = new Map();
+
+    /**
+     * Back off exponentially until RetryLimits.MESSAGE_SEND attempts have failed
+     */
+    async _retryOrFail(entry, error) {
+        this._clearSendTimer(entry.id);
+
+        if (this.state === WAState.DESTROYED) {
+            return;
+        }
+
+        if (entry.attempts >= this.options.messageRetries) {
+            console.error(`Giving up on message ${entry.id} after ${entry.attempts} attempts:`, error.message);
+
+            try {
+                await this.outbox.remove(entry.id);
+            } catch (removeError) {
+                console.error(`Failed to remove message ${entry.id} from the outbox:`, removeError);
+            }
+
+            this.messageStatus.update(entry.id, MessageAck.ERROR);
+            this._settleSend(entry.id, error);
+            this.emit(WAEvents.MESSAGE_FAILED, { id: entry.id, chatId: entry.chatId, error });
+            return;
+        }
+
+        const delay = this.options.messageRetryDelay * Math.pow(2, entry.attempts - 1);
+        console.log(`Retrying message ${entry.id} in ${delay}ms:`, error.message);
+
+        this.sendTimers.set(entry.id, setTimeout(() => {
+            this.sendTimers.delete(entry.id);
+            this._transmit(entry);
+        }, delay));
+    }
+
+    /**
+     * Resend every outbox entry that is not already waiting on an ack or retry
+     */
+    async _replayOutbox() {
+        try {
+            const entries = await this.outbox.list();
+            if (entries.length > 0) {
+                console.log(`Replaying ${entries.length} unsent message(s)`);
+            }
+
+            for (const entry of entries) {
+                this._trackMessage(entry);
+                this._transmit(entry);
+            }
+        } catch (error) {
+            console.error('Failed to replay outbox:', error);
+        }
+    }
+
+    _settleSend(id, error, result) {
+        const pending = this.pendingSends.get(id);
+        if (!pending) {
+            // Replayed from a previous run; nobody is waiting on it
+            return;
+        }
+
+        this.pendingSends.delete(id);
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    _clearSendTimer(id) {
+        const timer = this.sendTimers.get(id);
+        if (timer) {
+            clearTimeout(timer);
+        }
+        this.sendTimers.delete(id);
+    }
+
+    /**
+     * Drop ack and retry timers; entries stay in the outbox for the next replay
+     */
+    _clearSendTimers() {
+        for (const id of Array.from(this.sendTimers.keys())) {
+            this._clearSendTimer(id);
+        }
+    }
+
+    async _processSendMessage(chatId, content, options = {}) {
+        try {
+            const messageId = options.messageId || Helpers.generateWhatsAppId();
+            const contextInfo = await this._buildContextInfo(chatId, options);
+            const preview = options.preview
+                ? { ...options.preview, jpegThumbnail: options.preview.jpegThumbnail ? Buffer.from(options.preview.jpegThumbnail, 'base64') : null }
+                : null;
+
+            const messageContent = createTextContent(content, contextInfo, preview);
+
+            if (messageContent) {
+                await this._sendContent(chatId, messageContent, { ...options, messageId });
+            } else if (Helpers.parseJID(chatId)?.isGroup) {
+                await this._sendGroupMessage(chatId, content, { ...options, messageId });
+            } else {
+                const message = this.proto.createTextMessage(chatId, content, { ...options, messageId });
+                await this._sendNode(message);
+            }
+
+            return {
+                id: messageId,
+                chatId,
+                content,
+                message: messageContent || { conversation: content },
+                timestamp: Date.now()
+            };
+
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * contextInfo for quotedMessageId/quotedParticipant, mentions and forwarded
+     * options; null for a plain message. The quoted text comes from local history.
+     */
+    async _buildContextInfo(chatId, options = {}) {
+        const mentions = options.mentions || [];
+        if (!options.quotedMessageId && mentions.length === 0 && !options.forwarded) {
+            return null;
+        }
+
+        const contextInfo = {};
+
+        if (options.quotedMessageId) {
+            const quoted = await this.messages.get(this._normalizeJid(chatId), options.quotedMessageId);
+            const quotedText = quoted ? quoted.body ?? quoted.caption : null;
+
+            contextInfo.stanzaId = options.quotedMessageId;
+            contextInfo.participant = options.quotedParticipant
+                || (quoted && (quoted.fromMe ? this.info.wid : quoted.sender))
+                || null;
+            contextInfo.quotedMessage = typeof quotedText === 'string' ? { conversation: quotedText } : null;
+        }
+
+        if (mentions.length > 0) {
+            contextInfo.mentionedJid = mentions.slice();
+        }
+
+        if (options.forwarded) {
+            contextInfo.isForwarded = true;
+            contextInfo.forwardingScore = 1;
+        }
+
+        return contextInfo;
+    }
+
+    /**
+     * Send encoded message content; in a group it travels inside the sender key
+     * ciphertext, marked format="proto"
+     */
+    async _sendContent(chatId, messageContent, options) {
+        if (Helpers.parseJID(chatId)?.isGroup) {
+            await this._sendGroupMessage(chatId, encodeMessageContent(messageContent), { ...options, format: 'proto' });
+        } else {
+            await this._sendNode(this.proto.createContentMessage(chatId, messageContent, options));
+        }
+    }
+
+    /**
+     * Encrypt with our sender key and fan the key out to members that lack it;
+     * options.format describes the plaintext. Throws (code NO_SIGNAL_SESSIONS)
+     * when no member would be able to read the message.
+     */
+    async _sendGroupMessage(groupId, plaintext, options) {
+        const participants = this.getGroupParticipants(groupId).filter(jid => !this._isOwnJid(jid));
+        const { distributionMessage, pending } = await this.crypto.getSenderKeyDistribution(groupId, participants);
+
+        const recipients = [];
+        for (const jid of pending) {
+            if (!(await this.crypto.hasSignalSession(jid))) {
+                console.log(`No Signal session with ${jid}, sender key not distributed`);
+                continue;
+            }
+
+            const { type, ciphertext } = await this.crypto.encryptSignalMessage(jid, distributionMessage);
+            recipients.push({ jid, type, ciphertext });
+        }
+
+        // Members holding our current key, plus those getting it now
+        if (participants.length - pending.length + recipients.length === 0) {
+            const error = new Error(`No Signal session with any of the ${participants.length} known members of ${groupId}, nobody could read the message`);
+            error.code = ErrorCodes.NO_SIGNAL_SESSIONS;
+            throw error;
         }
-        
+
+        const ciphertext = await this.crypto.encryptGroupMessage(groupId, plaintext);
+        await this._sendNode(this.proto.createGroupMessage(groupId, ciphertext, recipients, options));
+
+        if (recipients.length > 0) {
+            await this.crypto.markSenderKeyDistributed(groupId, recipients.map(recipient => recipient.jid));
+        }
+    }
+
+    /**
+     * Send a location ({ lat, lng, name, address, url } or { latitude, longitude, ... })
+     * through the outbox; resolves to a SentMessage like sendMessage
+     */
+    async sendLocation(chatId, location, options = {}) {
+        this._assertConnected();
+
+        const { messageId, ...sendOptions } = options;
+        const point = Location.from(location);
+
+        return await this._enqueue({
+            id: messageId,
+            chatId,
+            type: MessageTypes.LOCATION,
+            content: { locationMessage: point.toLocationMessage() },
+            options: sendOptions
+        });
+    }
+
+    /**
+     * Send one or more contacts as vCards through the outbox; contacts are
+     * Contact models, plain { name, number, organization, email }, or { vcard }
+     * to send a card as is. Resolves to a SentMessage like sendMessage.
+     */
+    async sendContactCard(chatId, contacts, options = {}) {
+        this._assertConnected();
+
+        const { messageId, displayName, ...sendOptions } = options;
+        const list = Array.isArray(contacts) ? contacts : [contacts];
+        if (list.length === 0) {
+            throw new Error('No contacts to send');
+        }
+
+        const cards = list.map(contact => {
+            const vcard = contact.vcard || buildVCard(contact);
+            return { displayName: parseVCard(vcard).name, vcard };
+        });
+
+        const messageContent = cards.length === 1
+            ? { contactMessage: cards[0] }
+            : { contactsArrayMessage: { displayName: displayName || `${cards.length} contacts`, contacts: cards } };
+
+        return await this._enqueue({
+            id: messageId,
+            chatId,
+            type: cards.length === 1 ? MessageTypes.CONTACT : MessageTypes.CONTACT_CARD_MULTI,
+            content: messageContent,
+            options: sendOptions
+        });
+    }
+
+    /**
+     * Share a live location; the session sends an update every options.interval
+     * (ms) until stop() or options.duration runs out. Each update goes through
+     * the outbox; resolves once the server acknowledges the first one.
+     */
+    async startLiveLocation(chatId, location, options = {}) {
+        this._assertConnected();
+
+        const session = new LiveLocationSession(chatId, location, async (liveLocationMessage) => {
+            if (this.state !== WAState.CONNECTED) {
+                throw new Error('Client not connected');
+            }
+
+            const sent = await this._enqueue({
+                chatId,
+                type: MessageTypes.LIVE_LOCATION,
+                content: { liveLocationMessage },
+                // Only the first update goes into history
+                options: { record: !session.id }
+            });
+            return sent.id;
+        }, options);
+
+        this.liveLocations.add(session);
+        session.once('stopped', () => this.liveLocations.delete(session));
+
+        try {
+            return await session.start();
+        } catch (error) {
+            this.liveLocations.delete(session);
+            throw error;
+        }
+    }
+
+    _stopLiveLocations() {
+        for (const session of Array.from(this.liveLocations)) {
+            session.stop();
+        }
+    }
+
+    async _processSendContent(chatId, messageContent, options = {}) {
+        try {
+            const messageId = options.messageId || Helpers.generateWhatsAppId();
+            const contextInfo = await this._buildContextInfo(chatId, options);
+            const message = contextInfo ? withContextInfo(messageContent, contextInfo) : messageContent;
+            await this._sendContent(chatId, message, { ...options, messageId });
+
+            const result = {
+                id: messageId,
+                chatId,
+                content: messageContent,
+                message,
+                timestamp: Date.now()
+            };
+
+            if (options.record !== false) {
+                await this._recordMessage({
+                    id: messageId,
+                    remoteJid: chatId,
+                    fromMe: true,
+                    type: options.type,
+                    body: getMessageText(messageContent) || null,
+                    timestamp: result.timestamp,
+                    ...this._historyFields({ key: { remoteJid: chatId, id: messageId, fromMe: true }, message })
+                });
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a file and send its descriptor (url, media key, hashes) as
+     * encrypted message content through the outbox; media already uploaded
+     * (a forward) is sent as is. Resolves to a SentMessage like sendMessage.
+     * options: { caption, messageId, quotedMessageId, quotedParticipant,
+     * mentions, forwarded } plus the upload options (type, mimetype, fileName,
+     * ptt, signal, onProgress).
+     */
+    async sendMedia(chatId, media, options = {}) {
+        this._assertConnected();
+
+        const { messageId, caption, type, mimetype, fileName, ptt, signal, onProgress, ...sendOptions } = options;
+        const id = messageId || Helpers.generateWhatsAppId();
+
+        // Upload progress is reported under the message ID
+        const mediaData = media && typeof media === 'object' && media.url && media.mediaKey
+            ? media
+            : await this.media.upload(media, { type, mimetype, fileName, ptt, signal, onProgress, uploadId: id });
+
+        return await this._enqueue({
+            id,
+            chatId,
+            type: mediaData.type,
+            content: createMediaContent(mediaData, caption),
+            options: sendOptions
+        });
+    }
+
+    /**
+     * A page of a chat's stored history, oldest first; options: { before, after, limit }
+     */
+    async fetchMessages(chatId, options = {}) {
+        return await this.messages.fetch(this._normalizeJid(chatId), options);
+    }
+
+    /**
+     * Search stored message bodies and captions; options: { chatId, fromMe, limit }
+     */
+    async searchMessages(query, options = {}) {
+        const chatId = options.chatId ? this._normalizeJid(options.chatId) : null;
+        return await this.messages.search(query, { ...options, chatId });
+    }
+
+    /**
+     * Stored history as { chatId: [messages] }, for one chat or all of them
+     */
+    async exportHistory(chatId = null) {
+        return await this.messages.export(chatId ? this._normalizeJid(chatId) : null);
+    }
+
+    async _recordMessage(message) {
+        if (!this.options.storeMessages) {
+            return;
+        }
+
+        try {
+            await this.messages.save({ ...message, remoteJid: this._normalizeJid(message.remoteJid) });
+        } catch (error) {
+            console.error('Failed to store message:', error);
+        }
+    }
+
+    /**
+     * React to the message with key { remoteJid, id, fromMe, participant };
+     * an empty emoji removes our reaction. The reactionMessage goes through the
+     * outbox; resolves to a SentMessage like sendMessage.
+     */
+    async sendReaction(messageKey, emoji) {
+        this._assertConnected();
+
+        const { remoteJid, id, fromMe = false, participant = null } = this._assertMessageKey(messageKey);
+        const timestamp = Date.now();
+
+        const sent = await this._enqueue({
+            chatId: remoteJid,
+            type: MessageTypes.REACTION,
+            content: {
+                reactionMessage: {
+                    key: { remoteJid, fromMe, id, participant },
+                    text: emoji || '',
+                    senderTimestampMs: timestamp
+                }
+            },
+            // A reaction changes the stored message instead of adding one
+            options: { record: false }
+        });
+
+        await this._applyReaction(this._normalizeJid(remoteJid), id, this.info.wid, emoji, timestamp);
+        return sent;
+    }
+
+    async removeReaction(messageKey) {
+        return await this.sendReaction(messageKey, '');
+    }
+
+    /**
+     * Reactions on a stored message, grouped by emoji ([{ emoji, count, senders }])
+     */
+    async getReactions(chatId, messageId) {
+        const record = await this.messages.get(this._normalizeJid(chatId), messageId);
+        return MessageStore.aggregateReactions(record ? record.reactions : {});
+    }
+
+    async _applyReaction(chatId, messageId, sender, emoji, timestamp) {
+        if (!this.options.storeMessages) {
+            return null;
+        }
+
+        try {
+            return await this.messages.setReaction(chatId, messageId, this._normalizeJid(sender), emoji, timestamp);
+        } catch (error) {
+            console.error('Failed to store reaction:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete the message with key { remoteJid, id, fromMe, participant } for
+     * everyone (revoke), or only from local history
+     */
+    async deleteMessage(messageKey, options = {}) {
+        const key = this._assertMessageKey(messageKey);
+        const chatId = this._normalizeJid(key.remoteJid);
+
+        if (options.forEveryone) {
+            this._assertConnected();
+
+            await this._sendProtocolMessage(key, { type: ProtocolMessageTypes.REVOKE });
+            await this._applyRevoke(chatId, key.id, key.fromMe ? this.info.wid : key.participant || key.remoteJid);
+            return true;
+        }
+
+        const before = await this.messages.get(chatId, key.id);
+        await this.messages.remove(chatId, key.id);
+
+        this.emit(WAEvents.MESSAGE_REVOKE_ME, before || { id: key.id, remoteJid: chatId, fromMe: !!key.fromMe });
+        return true;
+    }
+
+    /**
+     * Replace the text of one of our messages ({ remoteJid, id, fromMe: true })
+     */
+    async editMessage(messageKey, newText) {
+        this._assertConnected();
+
+        const key = this._assertMessageKey(messageKey);
+        if (!key.fromMe) {
+            throw new Error('Only your own messages can be edited');
+        }
+        if (typeof newText !== 'string' || newText.length === 0) {
+            throw new Error('Edited text must be a non-empty string');
+        }
+
+        await this._sendProtocolMessage(key, {
+            type: ProtocolMessageTypes.MESSAGE_EDIT,
+            editedMessage: { conversation: newText },
+            timestampMs: Date.now()
+        });
+        return await this._applyEdit(this._normalizeJid(key.remoteJid), key.id, newText, this.info.wid);
+    }
+
+    /**
+     * Send a protocolMessage ({ type, editedMessage, timestampMs }) about the
+     * message with key through the outbox; it changes that message instead of
+     * adding one to history
+     */
+    async _sendProtocolMessage(key, protocolMessage) {
+        const { remoteJid, id, fromMe = false, participant = null } = key;
+
+        return await this._enqueue({
+            chatId: remoteJid,
+            type: MessageTypes.PROTOCOL,
+            content: { protocolMessage: { key: { remoteJid, fromMe: !!fromMe, id, participant }, ...protocolMessage } },
+            options: { record: false }
+        });
+    }
+
+    /**
+     * Mark a stored message revoked and emit MESSAGE_REVOKE_EVERYONE with the
+     * revoked message and the stored original (null when it was never stored)
+     */
+    async _applyRevoke(chatId, messageId, sender) {
+        const before = await this.messages.get(chatId, messageId);
+        const after = {
+            ...(before || { id: messageId, remoteJid: chatId, fromMe: this._isOwnJid(sender), sender: this._normalizeJid(sender) }),
+            type: MessageTypes.REVOKED,
+            body: null,
+            caption: null,
+            media: null,
+            location: null,
+            vCards: null
+        };
+
+        if (before) {
+            await this._recordMessage(after);
+        }
+
+        this.emit(WAEvents.MESSAGE_REVOKE_EVERYONE, after, before);
+        return after;
+    }
+
+    /**
+     * Store a message's new text and emit MESSAGE_EDIT with the edited and
+     * previous message (null when it was never stored)
+     */
+    async _applyEdit(chatId, messageId, body, sender) {
+        const before = await this.messages.get(chatId, messageId);
+        const after = {
+            ...(before || { id: messageId, remoteJid: chatId, fromMe: this._isOwnJid(sender), sender: this._normalizeJid(sender), type: 'text' }),
+            body,
+            editedAt: Date.now()
+        };
+
+        if (before) {
+            await this._recordMessage(after);
+        }
+
+        this.emit(WAEvents.MESSAGE_EDIT, after, before);
+        return after;
+    }
+
+    _assertMessageKey(messageKey) {
+        if (!messageKey || !messageKey.remoteJid || !messageKey.id) {
+            throw new Error('Message key needs a remoteJid and id');
+        }
+        return messageKey;
+    }
+
+    /**
+     * Download and decrypt received media ({ url, mediaKey, ... }); options: { signal }
+     */
+    async downloadMedia(media, outputPath = null, options = {}) {
+        return await this.media.download(media, outputPath, options);
+    }
+
+    /**
+     * Readable stream of decrypted media; options: { downloadId, signal, onProgress }
+     */
+    downloadMediaStream(media, options = {}) {
+        return this.media.downloadStream(media, options);
+    }
+
+    /**
+     * Send a read receipt for the latest unread message in a chat
+     */
+    async markChatAsRead(chatId) {
+        this._assertConnected();
+
+        const message = this.unreadMessages.get(chatId);
+        if (!message) {
+            return false;
+        }
+
+        await this._sendNode(this.proto.createReadReceipt(message));
+        this.unreadMessages.delete(chatId);
+
+        return true;
+    }
+
+    async sendTyping(chatId, isTyping = true) {
+        this._assertConnected();
+
+        await this._sendNode(this.proto.createTypingMessage(chatId, isTyping));
+        return true;
+    }
+
+    async sendPresence(presence = 'available') {
+        this._assertConnected();
+
+        await this._sendNode(this.proto.createPresenceMessage(presence));
+        return true;
+    }
+
+    async createGroup(name, participants = []) {
+        const result = await this._sendGroupAction('create', null, participants, { subject: name });
+        // The creator is the first admin
+        this.setGroupParticipants(result.jid, participants, [this.info.wid]);
+
+        return {
+            id: result.jid,
+            name,
+            participants
+        };
+    }
+
+    async addToGroup(groupId, participants) {
+        await this._sendGroupAction('add', groupId, participants);
+        await this._applyGroupChange(groupId, GroupNotificationTypes.ADD, participants);
+        return true;
+    }
+
+    async removeFromGroup(groupId, participants) {
+        await this._sendGroupAction('remove', groupId, participants);
+        await this._applyGroupChange(groupId, GroupNotificationTypes.REMOVE, participants);
+        return true;
+    }
+
+    async leaveGroup(groupId) {
+        await this._sendGroupAction('leave', groupId);
+        this.groupParticipants.delete(groupId);
+        this.groupAdmins.delete(groupId);
+        await this.crypto.clearGroupSenderKeys(groupId);
+        return true;
+    }
+
+    async _sendGroupAction(type, groupId, participants = [], attrs = {}) {
+        this._assertConnected();
+
+        const requestId = Helpers.generateWhatsAppId();
+        const node = this.proto.createGroupAction(requestId, type, groupId, participants, attrs);
+        const response = await this._sendRequest(requestId, node);
+
+        return (response.query && response.query.group) || {};
+    }
+
+    /**
+     * Send a node and wait for the iq response carrying the same id
+     */
+    async _sendRequest(requestId, node, timeout = Timeouts.MESSAGE_SEND) {
+        const response = new Promise((resolve, reject) => {
+            const onMessage = (message) => {
+                if (message.tag !== 'iq' || message.id !== requestId) {
+                    return;
+                }
+
+                clearTimeout(timer);
+                this.off('proto_message', onMessage);
+
+                if (message.type === 'error') {
+                    reject(new Error(`Request ${requestId} failed`));
+                } else {
+                    resolve(message);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                this.off('proto_message', onMessage);
+                reject(new Error(`Request ${requestId} timed out`));
+            }, timeout);
+
+            this.on('proto_message', onMessage);
+        });
+
+        await this._sendNode(node);
+
+        return await response;
+    }
+
+    async _sendDeliveryReceipt(message) {
+        try {
+            const receipt = this.proto.createDeliveryReceipt(message);
+            await this._sendNode(receipt);
+        } catch (error) {
+            console.error('Failed to send delivery receipt:', error);
+        }
+    }
+
+    async _sendNode(node) {
+        const payload = this.crypto.sessionKeys ? await this.crypto.encrypt(node) : node;
+        await this.ws.send(payload);
+    }
+
+    _normalizeJid(jid) {
+        return String(jid).replace('@s.whatsapp.net', '@c.us');
+    }
+
+    _isOwnJid(jid) {
+        const wid = this.info && this.info.wid;
+        return !!wid && this._normalizeJid(jid).split('@')[0] === this._normalizeJid(wid).split('@')[0];
+    }
+
+    _assertConnected() {
+        if (this.state !== WAState.CONNECTED) {
+            throw new Error('Client not connected');
+        }
+    }
+
+    _startHeartbeat() {
+        this._stopHeartbeat();
+
+        if (!this.options.heartbeatInterval) {
+            return;
+        }
+
+        this.heartbeatTimer = setInterval(() => {
+            this._sendNode(this.proto.createPresenceMessage('available'))
+                .catch(error => console.error('Heartbeat failed:', error));
+        }, this.options.heartbeatInterval);
+    }
+
+    _stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    _setState(newState) {
+        const oldState = this.state;
+        if (oldState === newState) {
+            return;
+        }
+
+        this.state = newState;
+        this.emit(WAEvents.STATE_CHANGE, { from: oldState, to: newState });
+    }
+
+    async getChatById(chatId) {
+        // Implementation for getting chat by ID
+        return this.chats ? this.chats.get(this._normalizeJid(chatId)) || null : null;
+    }
+
+    async getChats() {
+        // Implementation for getting all chats
+        return this.chats ? Array.from(this.chats.values()) : [];
+    }
+
+    async getContactById(contactId) {
+        // Implementation for getting contact by ID
+        return this.contacts ? this.contacts.get(this._normalizeJid(contactId)) || null : null;
+    }
+
+    async getContacts() {
+        // Implementation for getting all contacts
+        return this.contacts ? Array.from(this.contacts.values()) : [];
+    }
+
+    /**
+     * Profile picture URL for a user or group, or null when hidden or unset
+     */
+    async getProfilePicUrl(jid) {
+        try {
+            const response = await this._query(requestId => {
+                return this.proto.createProfilePictureQuery(requestId, this._normalizeJid(jid));
+            });
+
+            const picture = response.query && response.query.picture;
+            return picture && picture.url ? picture.url : null;
+
+        } catch (error) {
+            console.error(`Failed to get profile picture for ${jid}:`, error);
+            return null;
+        }
+    }
+
+    _updateContacts(contacts) {
+        if (!this.contacts) {
+            this.contacts = new Map();
+        }
+        if (!Array.isArray(contacts)) {
+            return;
+        }
+
         contacts.forEach(contact => {
-            this.contacts.set(contact.id, contact);
+            // Query results carry the JID in a jid attribute
+            const id = this._normalizeJid(contact.id || contact.jid);
+            this.contacts.set(id, {
+                ...this.contacts.get(id),
+                ...contact,
+                id
+            });
         });
     }
-    
+
     _updateChats(chats) {
         if (!this.chats) {
             this.chats = new Map();
         }
-        
+        if (!Array.isArray(chats)) {
+            return;
+        }
+
         chats.forEach(chat => {
-            this.chats.set(chat.id, chat);
+            const id = this._normalizeJid(chat.id || chat.jid);
+            this.chats.set(id, {
+                ...this.chats.get(id),
+                ...chat,
+                id,
+                isGroup: !!Helpers.parseJID(id)?.isGroup
+            });
         });
     }
-    
-    async _attemptReconnection() {
-        if (this.state === WAState.DESTROYED) return;
-        
-        try {
-            console.log('Attempting to reconnect...');
-            await this.ws.connect();
-        } catch (error) {
-            console.error('Reconnection failed:', error);
-            
-            // Retry after delay
-            setTimeout(() => {
-                this._attemptReconnection();
-            }, 10000);
-        }
-    }
-    
+
     async logout() {
         try {
             // Send logout message
             const logoutMessage = this.proto.createLogoutMessage();
-            await this.ws.send(logoutMessage);
-            
+            await this._sendNode(logoutMessage);
+
             // Clear session
             await this.session.clear();
-            
-            this.state = WAState.UNPAIRED;
-            
+            await this.outbox.clear();
+            this._stopLiveLocations();
+
+            this.info = null;
+            this._stopHeartbeat();
+            this._setState(WAState.UNPAIRED);
+
         } catch (error) {
             console.error('Logout error:', error);
         }
     }
-    
+
     async destroy() {
-        this.state = WAState.DESTROYED;
-        
+        this._setState(WAState.DESTROYED);
+
+        this._stopHeartbeat();
+        this._clearSendTimers();
+        this._stopLiveLocations();
+        this.rateLimiter.clear(new Error('Client destroyed'));
+
+        // Unacknowledged messages stay in the outbox for the next run
+        const pending = Array.from(this.pendingSends.values());
+        this.pendingSends.clear();
+        pending.forEach(send => send.reject(new Error('Client destroyed')));
+        this.auth.destroy();
+
         if (this.ws) {
             await this.ws.disconnect();
         }
-        
+
         this.removeAllListeners();
     }
-    
+
     getInfo() {
         return this.info;
     }
-    
+
     getState() {
         return this.state;
     }
+
+    isClientReady() {
+        return this.state === WAState.CONNECTED;
+    }
 }
 
 module.exports = WhatsAppCore;
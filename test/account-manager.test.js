@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const AccountManager = require('../src/account-manager');
+const { WAState, WAEvents } = require('../src/utils/constants');
+
+/**
+ * Stand-in client whose initialize() fails while FakeClient.failing is set
+ */
+class FakeClient extends EventEmitter {
+    constructor(options) {
+        super();
+        this.options = options;
+        this.destroyed = false;
+        FakeClient.instances.push(this);
+    }
+
+    async initialize() {
+        if (FakeClient.failing) {
+            throw new Error('initialize failed');
+        }
+    }
+
+    async destroy() {
+        this.destroyed = true;
+    }
+
+    getState() {
+        return WAState.CONNECTED;
+    }
+
+    isClientReady() {
+        return true;
+    }
+
+    getInfo() {
+        return {};
+    }
+}
+FakeClient.instances = [];
+
+function createManager() {
+    FakeClient.instances = [];
+    FakeClient.failing = false;
+    return new AccountManager({ baseDir: '/nonexistent', clientClass: FakeClient, monitorInterval: 0 });
+}
+
+test('a failed start destroys the client and lets the next start build a fresh one', async () => {
+    const manager = createManager();
+    manager.addAccount('a');
+
+    FakeClient.failing = true;
+    await assert.rejects(manager.start('a'), /initialize failed/);
+
+    assert.strictEqual(manager.getClient('a'), null);
+    assert.ok(FakeClient.instances[0].destroyed);
+    assert.strictEqual(manager.getHealth('a').status, AccountManager.AccountStatus.STOPPED);
+    assert.strictEqual(manager.getHealth('a').lastError, 'initialize failed');
+
+    FakeClient.failing = false;
+    const client = await manager.start('a');
+
+    assert.notStrictEqual(client, FakeClient.instances[0]);
+    assert.strictEqual(manager.getClient('a'), client);
+    assert.strictEqual(manager.getHealth('a').status, AccountManager.AccountStatus.HEALTHY);
+
+    await manager.destroy();
+});
+
+test('every client event is re-emitted with the account ID', async () => {
+    const manager = createManager();
+    manager.addAccount('a');
+    const client = await manager.start('a');
+
+    for (const event of Object.values(WAEvents)) {
+        const received = [];
+        manager.on(event, (...args) => received.push(args));
+
+        client.emit(event, { event });
+
+        assert.deepStrictEqual(received, [['a', { event }]], event);
+    }
+
+    await manager.destroy();
+});
+
+test('account IDs that name baseDir or its parent are rejected', () => {
+    const manager = createManager();
+
+    for (const accountId of ['.', '..']) {
+        assert.throws(() => manager.addAccount(accountId), /Invalid account ID/, accountId);
+    }
+    assert.deepStrictEqual(manager.getAccountIds(), []);
+
+    // Dots inside a name are fine
+    manager.addAccount('sales..eu');
+    assert.ok(manager.hasAccount('sales..eu'));
+});
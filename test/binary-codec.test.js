@@ -0,0 +1,216 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { WABinaryReader, whatsappReadBinary } = require('../src/proto/binary-reader');
+const { whatsappWriteBinary } = require('../src/proto/binary-writer');
+const { WATags, WASingleByteTokens } = require('../src/utils/constants');
+
+// Set CODEC_SEED to replay a failing run
+const SEED = Number(process.env.CODEC_SEED) || crypto.randomInt(1, 2 ** 31);
+const ROUNDS = 300;
+
+// The default double-byte dictionaries are empty, so every DICTIONARY_n tag is
+// exercised through full 256-entry custom dictionaries instead
+const DOUBLE_BYTE_TOKENS = [0, 1, 2, 3].map(dictionary => {
+    return Array.from({ length: 256 }, (_, index) => `dict${dictionary}_token_${index}`);
+});
+const OPTIONS = { doubleByteTokens: DOUBLE_BYTE_TOKENS };
+
+const SINGLE_TOKENS = WASingleByteTokens.filter(token => token !== null);
+const JID_SERVERS = ['s.whatsapp.net', 'c.us', 'g.us', 'broadcast'];
+
+/**
+ * Reader that records every string, list and content tag it decodes
+ */
+class RecordingReader extends WABinaryReader {
+    constructor(data, options, seen) {
+        super(data, options);
+        this.seen = seen;
+    }
+
+    readString(tag) {
+        this.seen.add(tag);
+        return super.readString(tag);
+    }
+
+    readListSize(tag) {
+        this.seen.add(tag);
+        return super.readListSize(tag);
+    }
+
+    readBytes(n) {
+        // Binary content: the length tag sits before the length bytes
+        this.seen.add(n >= (1 << 20) ? WATags.BINARY_32 : n >= 256 ? WATags.BINARY_20 : WATags.BINARY_8);
+        return super.readBytes(n);
+    }
+}
+
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = list => list[int(0, list.length - 1)];
+    const chars = (alphabet, min, max) => Array.from({ length: int(min, max) }, () => pick(Array.from(alphabet))).join('');
+
+    return { next, int, pick, chars };
+}
+
+/**
+ * A random string and what it decodes to (s.whatsapp.net always comes back as c.us)
+ */
+function randomString(random) {
+    switch (random.int(0, 7)) {
+        case 0:
+            return random.pick(SINGLE_TOKENS);
+        case 1:
+            return random.pick(random.pick(DOUBLE_BYTE_TOKENS));
+        case 2: {
+            const agent = random.next() < 0.5 ? 0 : random.int(1, 255);
+            return `${random.chars('0123456789', 5, 15)}${agent ? `_${agent}` : ''}:${random.int(0, 255)}@${random.pick(['s.whatsapp.net', 'c.us'])}`;
+        }
+        case 3:
+            return `${random.chars('0123456789-', 1, 20)}@${random.pick(JID_SERVERS)}`;
+        case 4:
+            return random.chars('0123456789-.', 1, 40);
+        case 5:
+            return random.chars('0123456789ABCDEF', 1, 40);
+        case 6:
+            return random.chars('abcdefghijklmnopqrstuvwxyz éü漢😀_/', 0, 30);
+        default:
+            return random.chars('xyz', 256, 400);
+    }
+}
+
+function randomNode(random, depth = 0) {
+    const attrs = {};
+    for (let i = random.int(0, 4); i > 0; i--) {
+        attrs[random.pick(SINGLE_TOKENS)] = randomString(random);
+    }
+
+    let content = null;
+    const kind = random.int(0, depth > 2 ? 2 : 4);
+
+    if (kind === 1) {
+        content = randomString(random);
+    } else if (kind === 2) {
+        content = crypto.randomBytes(random.pick([0, random.int(1, 255), random.int(256, 3000)]));
+    } else if (kind >= 3) {
+        content = Array.from({ length: random.int(0, 6) }, () => randomNode(random, depth + 1));
+    }
+
+    return [random.pick(SINGLE_TOKENS), attrs, content];
+}
+
+/**
+ * Whether the writer falls back to raw bytes for a string
+ */
+function isRawString(value) {
+    return !SINGLE_TOKENS.includes(value) &&
+        !DOUBLE_BYTE_TOKENS.some(dictionary => dictionary.includes(value)) &&
+        value.indexOf('@') < 1 &&
+        !(value.length <= WATags.PACKED_MAX && /^([0-9.-]+|[0-9A-F]+)$/.test(value));
+}
+
+/**
+ * The node as the reader returns it: s.whatsapp.net becomes c.us and raw string
+ * content becomes a Buffer
+ */
+function normalize(value) {
+    if (typeof value === 'string') {
+        return value.replace(/s\.whatsapp\.net$/, 'c.us');
+    }
+    if (Array.isArray(value) && typeof value[0] === 'string') {
+        const [tag, attrs, content] = value;
+        const normalizedAttrs = {};
+        for (const [key, attrValue] of Object.entries(attrs)) {
+            normalizedAttrs[normalize(key)] = normalize(attrValue);
+        }
+        if (typeof content === 'string') {
+            return [normalize(tag), normalizedAttrs, isRawString(content) ? Buffer.from(content) : normalize(content)];
+        }
+        return [normalize(tag), normalizedAttrs, Array.isArray(content) ? content.map(normalize) : content];
+    }
+    return value;
+}
+
+function roundTrip(node, seen) {
+    const encoded = whatsappWriteBinary(node, OPTIONS);
+    return new RecordingReader(encoded, OPTIONS, seen).readNode();
+}
+
+test(`random nodes survive encode -> decode (CODEC_SEED=${SEED})`, () => {
+    const random = createRandom(SEED);
+    const seen = new Set();
+
+    for (let round = 0; round < ROUNDS; round++) {
+        const node = randomNode(random);
+        assert.deepStrictEqual(roundTrip(node, seen), normalize(node), `round ${round}, CODEC_SEED=${SEED}`);
+    }
+
+    // Sizes the random nodes rarely reach
+    const large = [
+        ['message', { id: '3EB0ABCDEF' }, Array.from({ length: 300 }, (_, i) => ['item', { index: String(i) }, null])],
+        ['media', {}, crypto.randomBytes(1 << 20)],
+        ['body', {}, 'z'.repeat(1 << 20)]
+    ];
+    for (const node of large) {
+        assert.deepStrictEqual(roundTrip(node, seen), normalize(node));
+    }
+
+    const expected = [
+        WATags.LIST_EMPTY, WATags.LIST_8, WATags.LIST_16,
+        WATags.DICTIONARY_0, WATags.DICTIONARY_1, WATags.DICTIONARY_2, WATags.DICTIONARY_3,
+        WATags.AD_JID, WATags.JID_PAIR, WATags.NIBBLE_8, WATags.HEX_8,
+        WATags.BINARY_8, WATags.BINARY_20, WATags.BINARY_32
+    ];
+    for (const tag of expected) {
+        assert.ok(seen.has(tag), `tag ${tag} was never decoded (CODEC_SEED=${SEED})`);
+    }
+    assert.ok([...seen].some(tag => tag >= 3 && tag < WATags.DICTIONARY_0), 'no single-byte token was decoded');
+});
+
+test('every double-byte token is written as its dictionary and index', () => {
+    DOUBLE_BYTE_TOKENS.forEach((dictionary, dictionaryIndex) => {
+        dictionary.forEach((token, index) => {
+            const node = whatsappWriteBinary(['message', { id: token }, null], OPTIONS);
+
+            assert.deepStrictEqual([...node.slice(-2)], [WATags.DICTIONARY_0 + dictionaryIndex, index]);
+            assert.strictEqual(whatsappReadBinary(node, false, OPTIONS)[1].id, token);
+        });
+    });
+});
+
+test('packed strings keep odd lengths and AD JIDs keep agent and device', () => {
+    const cases = {
+        '1': WATags.NIBBLE_8,
+        '12.34-5': WATags.NIBBLE_8,
+        'ABCDEF0': WATags.HEX_8,
+        '15551234567_1:2@s.whatsapp.net': WATags.AD_JID,
+        '15551234567:0@c.us': WATags.AD_JID,
+        '15551234567@s.whatsapp.net': WATags.JID_PAIR
+    };
+
+    for (const [value, tag] of Object.entries(cases)) {
+        const encoded = whatsappWriteBinary(['presence', { from: value }, null]);
+        const seen = new Set();
+        const decoded = new RecordingReader(encoded, {}, seen).readNode();
+
+        assert.ok(seen.has(tag), `${value} was not written as tag ${tag}`);
+        assert.strictEqual(decoded[1].from, normalize(value));
+    }
+});
+
+test('malformed input is rejected', () => {
+    assert.throws(() => new WABinaryReader(Buffer.from([WATags.LIST_8, 1, WATags.STREAM_END])).readNode(), /Unexpected stream end/);
+    assert.throws(() => new WABinaryReader(Buffer.from([WATags.LIST_8, 1, WATags.DICTIONARY_0, 0])).readNode(), /Invalid double byte token/);
+    assert.throws(() => new WABinaryReader(Buffer.from([WATags.LIST_8, 2, 9])).readNode(), /End of stream/);
+    assert.throws(() => whatsappWriteBinary(['presence', { from: '1:256@c.us' }, ['not a node']]), /Invalid node/);
+});
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WhatsAppClient = require('../src/index');
+const WhatsAppCore = require('../src/whatsapp-core');
+const ProductionWhatsAppClient = require('../src/production-client');
+const RateLimiter = require('../src/utils/rate-limiter');
+const { MemoryStorage } = require('../src/storage');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+
+test('the old entry points are the one client under other names', () => {
+    assert.strictEqual(require('../src/client'), WhatsAppClient);
+    assert.strictEqual(require('../src/core/production-core'), WhatsAppCore);
+    assert.strictEqual(require('../final-production-client'), ProductionWhatsAppClient);
+
+    const production = new ProductionWhatsAppClient({ autoMarkRead: false, storage: new MemoryStorage() });
+    assert.ok(production instanceof WhatsAppClient);
+    assert.deepStrictEqual([production.options.queueMessages, production.options.autoMarkRead], [true, false]);
+});
+
+test('session store and rate limiter are taken as instances or built by factories', async () => {
+    const saved = [];
+    const sessionStore = {
+        load: async () => null,
+        save: async (data) => saved.push(data),
+        clear: async () => saved.splice(0)
+    };
+    const scheduled = [];
+    let factoryCore = null;
+
+    const { server, client } = await createTestClient({
+        sessionStore,
+        rateLimiter: (core) => {
+            factoryCore = core;
+            const limiter = new RateLimiter({ delay: 0 });
+            const schedule = limiter.schedule.bind(limiter);
+            limiter.schedule = (task) => {
+                scheduled.push(task);
+                return schedule(task);
+            };
+            return limiter;
+        }
+    });
+
+    try {
+        assert.strictEqual(client.core.session, sessionStore);
+        assert.strictEqual(factoryCore, client.core);
+
+        await authenticate(client, server);
+        assert.strictEqual(saved.length, 1);
+        assert.strictEqual(saved[0].wid, client.core.info.wid);
+
+        await client.sendMessage(CONTACT, 'through the limiter');
+        assert.strictEqual(scheduled.length, 1);
+
+        await client.core.logout();
+        assert.deepStrictEqual(saved, []);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('an unknown auth method is refused when the core is built', () => {
+    assert.throws(() => new WhatsAppClient({ authMethod: 'carrier-pigeon', storage: new MemoryStorage() }), /Unknown auth method: carrier-pigeon/);
+});
+
+test('without queueMessages sends before ready throw, with it they wait for ready', async () => {
+    const strict = new WhatsAppClient({ syncHistory: false, storage: new MemoryStorage() });
+    await assert.rejects(strict.sendMessage(CONTACT, 'too early'), /not ready/);
+    await strict.destroy();
+
+    const { server, client } = await createTestClient({ queueMessages: true });
+
+    try {
+        const text = client.sendMessage(CONTACT, 'queued text');
+        const location = client.sendLocation(CONTACT, { lat: 52.37, lng: 4.89 });
+
+        const relayed = [];
+        server.on('message', message => relayed.push(message.id));
+        await authenticate(client, server);
+
+        const [sentText, sentLocation] = await Promise.all([text, location]);
+        assert.deepStrictEqual(relayed.sort(), [sentText.id, sentLocation.id].sort());
+    } finally {
+        await shutdown(client, server);
+    }
+
+    // Whatever is still waiting when the client goes away is rejected
+    const abandoned = new WhatsAppClient({ syncHistory: false, queueMessages: true, storage: new MemoryStorage() });
+    const pending = abandoned.sendLocation(CONTACT, { lat: 0, lng: 0 });
+    await abandoned.destroy();
+    await assert.rejects(pending, /Client destroyed/);
+});
+
+test('autoMarkRead sends a read receipt for each incoming message', async () => {
+    const { server, client } = await createTestClient({ autoMarkRead: true });
+
+    try {
+        await authenticate(client, server);
+
+        const read = once(server, 'receipt', attrs => attrs.type === 'read');
+        server.injectMessage({ id: 'IN1', from: CONTACT, body: 'seen?' });
+        assert.strictEqual((await read).id, 'IN1');
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('once the transport gives up, restartOnCrash initializes again and resumes the session', async () => {
+    const { server, client } = await createTestClient({ restartDelay: 10 });
+
+    try {
+        await authenticate(client, server);
+        client.on('qr', () => assert.fail('the restart should resume the stored session'));
+
+        const resumed = once(server, 'login');
+        const ready = once(client, 'ready');
+        client.core.ws.emit('reconnect_failed');
+
+        await resumed;
+        await ready;
+        assert.strictEqual(client.isReady, true);
+        assert.ok((await client.sendMessage(CONTACT, 'back again')).id);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('with restartOnCrash off a failed reconnect is only reported', async () => {
+    const { server, client } = await createTestClient({ restartOnCrash: false, restartDelay: 10 });
+
+    try {
+        await authenticate(client, server);
+
+        const failed = once(client, 'reconnect_failed');
+        client.core.ws.emit('reconnect_failed');
+        await failed;
+
+        assert.strictEqual(client.restartTimer, null);
+    } finally {
+        await shutdown(client, server);
+    }
+});
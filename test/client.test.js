@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+const { MessageAck } = require('../src/utils/constants');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+
+test('QR auth, send, server ack and receipts', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        assert.strictEqual(client.core.state, 'CONNECTED');
+        assert.strictEqual(server.sessions.size, 1);
+
+        const relayed = once(server, 'message');
+        const sent = await client.sendMessage(CONTACT, 'hello');
+        const message = await relayed;
+
+        assert.strictEqual(message.id, sent.id);
+        assert.strictEqual(message.content.toString(), 'hello');
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+
+        const delivered = once(client, 'message_status_changed', change => change.status === MessageAck.DEVICE);
+        server.sendReceipt(sent.id, CONTACT, 'delivery');
+        assert.strictEqual((await delivered).id, sent.id);
+
+        server.sendReceipt(sent.id, CONTACT, 'read');
+        await sent.waitFor(MessageAck.READ, 2000);
+        assert.strictEqual(sent.status, MessageAck.READ);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('incoming messages are delivered and receipted', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const received = once(client, 'message');
+        const receipt = once(server, 'receipt');
+        const id = server.injectMessage({ from: CONTACT, body: 'hi back' });
+
+        const message = await received;
+        assert.strictEqual(message.id, id);
+        assert.strictEqual(message.body, 'hi back');
+        assert.strictEqual((await receipt).id, id);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('the mock answers logins with the issued session only', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        const { core } = client;
+
+        const accepted = once(server, 'login');
+        await core._sendNode(core.proto.createResumeMessage(core.info));
+        assert.strictEqual((await accepted).wid, server.options.wid);
+
+        const rejected = once(server, 'login_failed');
+        await core._sendNode(core.proto.createResumeMessage({ ...core.info, serverToken: 'unknown' }));
+        assert.strictEqual((await rejected).serverToken, 'unknown');
+    } finally {
+        await shutdown(client, server);
+    }
+});
@@ -0,0 +1,84 @@
+/**
+ * Test Helpers
+ * A client wired to an in-process mock server with in-memory storage
+ */
+
+const WhatsAppClient = require('../src/index');
+const MockWhatsAppServer = require('../src/testing/mock-server');
+const CryptoHandler = require('../src/crypto');
+const { MemoryStorage } = require('../src/storage');
+
+/**
+ * Start a mock server and a client pointed at it; options go to the client
+ */
+async function createTestClient(options = {}, serverOptions = {}) {
+    const server = new MockWhatsAppServer(serverOptions);
+    await server.start();
+
+    const client = new WhatsAppClient({
+        endpoints: server.endpoints,
+        storage: new MemoryStorage(),
+        rateLimitDelay: 0,
+        syncHistory: false,
+        ...options
+    });
+
+    return { server, client };
+}
+
+/**
+ * Initialize the client and scan its QR code; resolves once it is ready
+ */
+async function authenticate(client, server) {
+    server.once('qr_challenge', (attrs, connection) => server.scanQR(connection));
+
+    const ready = once(client, 'ready');
+    await client.initialize();
+    await ready;
+}
+
+/**
+ * Next emission of an event matching predicate, as its first argument
+ */
+function once(emitter, event, predicate = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const listener = (value, ...rest) => {
+            if (predicate(value, ...rest)) {
+                clearTimeout(timer);
+                emitter.off(event, listener);
+                resolve(value);
+            }
+        };
+
+        const timer = setTimeout(() => {
+            emitter.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+
+        emitter.on(event, listener);
+    });
+}
+
+/**
+ * Another device's crypto with fresh keys, e.g. a group member to start a
+ * Signal session with from its prekey bundle
+ */
+async function createPeer() {
+    const peer = new CryptoHandler({ storage: new MemoryStorage() });
+    await peer.initialize();
+    await peer.generateKeys();
+    return peer;
+}
+
+async function shutdown(client, server) {
+    await client.destroy();
+    await server.stop();
+}
+
+module.exports = {
+    createTestClient,
+    authenticate,
+    once,
+    createPeer,
+    shutdown
+};
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const ALICE = '15551234567@s.whatsapp.net';
+const BOB = '15559990000@s.whatsapp.net';
+const GROUP = '123456-789@g.us';
+
+test('history keyed by @s.whatsapp.net or @c.us jids is synced', async () => {
+    const { server, client } = await createTestClient({ syncHistory: true }, {
+        chats: [{ jid: ALICE, name: 'Alice' }, { jid: BOB, name: 'Bob' }, { jid: GROUP, name: 'Group' }],
+        contacts: [{ jid: ALICE, name: 'Alice' }],
+        history: {
+            [ALICE]: [
+                { id: 'A1', from: ALICE, t: 100, body: 'hi' },
+                { id: 'A2', fromMe: true, t: 101, body: 'hello' }
+            ],
+            // The same chat spelled the way the client stores it
+            '15559990000@c.us': [{ id: 'B1', from: BOB, t: 102, body: 'from bob' }],
+            [GROUP]: [{ id: 'G1', participant: '15557654321@s.whatsapp.net', t: 103, body: 'group hi' }]
+        }
+    });
+
+    try {
+        const progress = [];
+        client.on('sync_progress', step => progress.push(step));
+        const completed = once(client, 'sync_complete');
+
+        await authenticate(client, server);
+        const summary = await completed;
+
+        assert.strictEqual(summary.error, null);
+        assert.strictEqual(summary.chats, 3);
+        assert.strictEqual(summary.messages, 4);
+
+        assert.deepStrictEqual(progress.map(step => [step.stage, step.completed, step.total]), [
+            ['chats', 1, 5],
+            ['contacts', 2, 5],
+            ['messages', 3, 5],
+            ['messages', 4, 5],
+            ['messages', 5, 5]
+        ]);
+        assert.deepStrictEqual(progress.slice(2).map(step => step.chatId), ['15551234567@c.us', '15559990000@c.us', GROUP]);
+
+        const history = await client.core.messages.fetch('15551234567@c.us');
+        assert.deepStrictEqual(history.map(message => [message.id, message.body, message.fromMe]), [
+            ['A1', 'hi', false],
+            ['A2', 'hello', true]
+        ]);
+        assert.strictEqual((await client.core.messages.get('15559990000@c.us', 'B1')).body, 'from bob');
+        assert.strictEqual((await client.core.messages.get(GROUP, 'G1')).sender, '15557654321@c.us');
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('chats known before the sync do not inflate its total', async () => {
+    const { server, client } = await createTestClient({ syncHistory: false }, {
+        chats: [{ jid: ALICE }],
+        history: { [ALICE]: [{ id: 'A1', from: ALICE, t: 100, body: 'hi' }] }
+    });
+
+    try {
+        await authenticate(client, server);
+        client.core._updateChats([{ jid: '15550001111@c.us' }, { jid: '15550002222@c.us' }]);
+
+        const progress = [];
+        client.on('sync_progress', step => progress.push(step));
+        const summary = await client.core.syncHistory();
+
+        assert.strictEqual(summary.messages, 1);
+        assert.deepStrictEqual(progress.map(step => `${step.completed}/${step.total}`), ['1/3', '2/3', '3/3']);
+    } finally {
+        await shutdown(client, server);
+    }
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../src/storage');
+const KeyManager = require('../src/crypto/keys');
+
+async function createKeys(storage) {
+    const keys = new KeyManager(storage);
+    await keys.initialize();
+
+    keys.storeIdentityKeys(await keys.generateIdentityKeys());
+    keys.storePreKeys(await keys.generatePreKeys(5));
+    keys.storeSignedPreKey(await keys.generateSignedPreKey(keys.getIdentityKeys().private));
+
+    return keys;
+}
+
+async function storedPreKeyIds(storage) {
+    return JSON.parse(await storage.get('prekeys')).map(key => key.keyId);
+}
+
+test('restoreKeys does not bring back a prekey consumed after the backup', async () => {
+    const storage = new MemoryStorage();
+    const keys = await createKeys(storage);
+    const backup = JSON.parse(JSON.stringify(keys.exportKeys()));
+    const consumed = backup.preKeys[0].keyId;
+
+    keys.removePreKey(consumed);
+    await keys.restoreKeys(backup);
+
+    assert.strictEqual(keys.getPreKey(consumed), undefined);
+    assert.strictEqual(keys.getAllPreKeys().length, 4);
+    assert.ok(!(await storedPreKeyIds(storage)).includes(consumed));
+});
+
+test('restoreKeys in a new process keeps consumed prekeys out', async () => {
+    const storage = new MemoryStorage();
+    const keys = await createKeys(storage);
+    const backup = JSON.parse(JSON.stringify(keys.exportKeys()));
+    const consumed = backup.preKeys[1].keyId;
+
+    keys.removePreKey(consumed);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // A fresh manager on the same store, then the session's backup on top
+    const restarted = new KeyManager(storage);
+    await restarted.initialize();
+    await restarted.restoreKeys(backup);
+
+    assert.strictEqual(restarted.getPreKey(consumed), undefined);
+    assert.strictEqual(restarted.getAllPreKeys().length, 4);
+    assert.ok(restarted.getIdentityKeys().public.equals(keys.getIdentityKeys().public));
+    assert.ok(!(await storedPreKeyIds(storage)).includes(consumed));
+
+    // Even with the prekey list gone, the backup cannot resurrect it
+    await storage.delete('prekeys');
+    const wiped = new KeyManager(storage);
+    await wiped.initialize();
+    await wiped.restoreKeys(backup);
+
+    assert.strictEqual(wiped.getPreKey(consumed), undefined);
+    assert.strictEqual(wiped.getAllPreKeys().length, 4);
+});
+
+test('restoreKeys fills an empty store from the backup', async () => {
+    const keys = await createKeys(new MemoryStorage());
+    const backup = JSON.parse(JSON.stringify(keys.exportKeys()));
+
+    const storage = new MemoryStorage();
+    const restored = new KeyManager(storage);
+    await restored.initialize();
+    await restored.restoreKeys(backup);
+
+    assert.strictEqual(restored.getAllPreKeys().length, 5);
+    assert.ok(restored.getLatestSignedPreKey().public.equals(keys.getLatestSignedPreKey().public));
+    assert.deepStrictEqual((await storedPreKeyIds(storage)).sort(), backup.preKeys.map(key => key.keyId).sort());
+});
@@ -0,0 +1,191 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const LinkPreviewGenerator = require('../src/media/link-preview');
+const { getImageDimensions } = require('../src/media/image');
+
+function noiseJpeg(width, height) {
+    return jpeg.encode({ width, height, data: crypto.randomBytes(width * height * 4) }, 90).data;
+}
+
+function solidPng(width, height) {
+    const png = new PNG({ width, height });
+    png.data.fill(200);
+    return PNG.sync.write(png);
+}
+
+function createGenerator(files) {
+    return new LinkPreviewGenerator({
+        fetcher: async (url) => {
+            if (!files[url]) {
+                throw new Error(`No fixture for ${url}`);
+            }
+            return { ...files[url], url };
+        }
+    });
+}
+
+const PAGE = Buffer.from(`
+    <html><head>
+        <title>Fallback</title>
+        <meta property="og:title" content="Example &amp; Co">
+        <meta property="og:description" content="A page">
+        <meta property="og:image" content="/cover">
+    </head></html>
+`);
+
+test('large og:images are scaled down to a small JPEG thumbnail', async () => {
+    const cover = noiseJpeg(1200, 800);
+    assert.ok(cover.length > 64 * 1024);
+
+    const generator = createGenerator({
+        'https://example.com/page': { body: PAGE, contentType: 'text/html' },
+        'https://example.com/cover': { body: cover, contentType: 'image/jpeg' }
+    });
+
+    const preview = await generator.generate('see https://example.com/page');
+    assert.strictEqual(preview.title, 'Example & Co');
+    assert.strictEqual(preview.description, 'A page');
+
+    const thumbnail = preview.jpegThumbnail;
+    assert.deepStrictEqual([...thumbnail.slice(0, 2)], [0xFF, 0xD8]);
+    assert.deepStrictEqual(getImageDimensions(thumbnail), { width: 96, height: 64 });
+    assert.ok(thumbnail.length < cover.length / 10);
+});
+
+test('PNG links get a JPEG thumbnail and other formats none', async () => {
+    const generator = createGenerator({
+        'https://example.com/logo.png': { body: solidPng(300, 600), contentType: 'image/png' },
+        'https://example.com/anim.gif': { body: Buffer.from('GIF89a\x10\x00\x10\x00\x00\x00\x00;abcdefghijkl', 'latin1'), contentType: 'image/gif' }
+    });
+
+    const png = await generator.generate('https://example.com/logo.png');
+    assert.deepStrictEqual(getImageDimensions(png.jpegThumbnail), { width: 48, height: 96 });
+
+    const gif = await generator.generate('https://example.com/anim.gif');
+    assert.strictEqual(gif.jpegThumbnail, null);
+});
+
+test('metadata prefers Open Graph tags and falls back to the title and description', () => {
+    assert.deepStrictEqual(LinkPreviewGenerator.parseMetadata(`
+        <meta name='description' content='Plain description'>
+        <meta property="og:title" content="First &quot;title&quot;">
+        <meta property="og:title" content="Second title">
+        <meta property="og:url" content="https://example.com/canonical">
+        <title>Ignored</title>
+    `), {
+        title: 'First "title"',
+        description: 'Plain description',
+        image: null,
+        url: 'https://example.com/canonical'
+    });
+
+    assert.deepStrictEqual(LinkPreviewGenerator.parseMetadata('<title> Tom &amp; Jerry &#39;s </title>'), {
+        title: 'Tom & Jerry \'s', description: null, image: null, url: null
+    });
+});
+
+test('pages are capped far below images, whatever the fetcher returns', async () => {
+    const bigPage = Buffer.concat([PAGE, Buffer.alloc(600 * 1024, ' ')]);
+    const generator = createGenerator({
+        'https://example.com/big': { body: bigPage, contentType: 'text/html' },
+        'https://example.com/page': { body: PAGE, contentType: 'text/html' },
+        'https://example.com/cover': { body: Buffer.alloc(6 * 1024 * 1024), contentType: 'image/jpeg' }
+    });
+
+    await assert.rejects(generator.generate('https://example.com/big'), /too large/);
+
+    // An oversized og:image only costs the thumbnail
+    const preview = await generator.generate('https://example.com/page');
+    assert.strictEqual(preview.title, 'Example & Co');
+    assert.strictEqual(preview.jpegThumbnail, null);
+});
+
+/**
+ * Local HTTP server answering from routes ({ status, headers, body }) and counting requests
+ */
+async function startServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const route = routes[req.url] || { status: 404 };
+        res.writeHead(route.status || 200, route.headers || {});
+        res.end(route.body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Lets the test server through while keeping every other private address blocked
+const allowLoopbackServer = address => address === '127.0.0.1' || !LinkPreviewGenerator.isPrivateAddress(address);
+
+test('the default fetcher refuses private, loopback and link-local addresses', async () => {
+    const { server, requests, base } = await startServer({ '/': { body: 'secret' } });
+
+    try {
+        const { fetchUrl, isPrivateAddress } = LinkPreviewGenerator;
+
+        await assert.rejects(fetchUrl(`${base}/`), /127\.0\.0\.1 is a private address/);
+        await assert.rejects(fetchUrl(`http://localhost:${server.address().port}/`), /private address/);
+        await assert.rejects(fetchUrl('http://[::ffff:127.0.0.1]/'), /private address/);
+        await assert.rejects(fetchUrl('file:///etc/passwd'), /unsupported protocol/);
+        assert.deepStrictEqual(requests, []);
+
+        for (const address of ['10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1']) {
+            assert.ok(isPrivateAddress(address), address);
+        }
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+            assert.ok(!isPrivateAddress(address), address);
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('redirects are followed a few times and each hop is checked again', async () => {
+    const { server, requests, base } = await startServer({
+        '/start': { status: 302, headers: { Location: '/middle' } },
+        '/middle': { status: 301, headers: { Location: '/end' } },
+        '/end': { headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: '<title>Done</title>' },
+        '/loop': { status: 302, headers: { Location: '/loop' } },
+        '/metadata': { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data/' } }
+    });
+    const options = { allowAddress: allowLoopbackServer };
+
+    try {
+        const { fetchUrl } = LinkPreviewGenerator;
+
+        const page = await fetchUrl(`${base}/start`, options);
+        assert.deepStrictEqual([page.url, page.contentType, page.body.toString()], [`${base}/end`, 'text/html', '<title>Done</title>']);
+
+        await assert.rejects(fetchUrl(`${base}/loop`, options), /Too many redirects/);
+        assert.strictEqual(requests.filter(url => url === '/loop').length, 4);
+
+        await assert.rejects(fetchUrl(`${base}/metadata`, options), /169\.254\.169\.254 is a private address/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the default fetcher stops reading past the page or image cap', async () => {
+    const { server, base } = await startServer({
+        '/page': { headers: { 'Content-Type': 'text/html' }, body: Buffer.alloc(2048, ' ') },
+        '/image': { headers: { 'Content-Type': 'image/png', 'Content-Length': 2048 }, body: Buffer.alloc(2048) }
+    });
+    const options = { allowAddress: allowLoopbackServer, maxPageBytes: 1024, maxBytes: 4096 };
+
+    try {
+        const { fetchUrl } = LinkPreviewGenerator;
+
+        // Chunked, so cut off while reading; the image announces its length up front
+        await assert.rejects(fetchUrl(`${base}/page`, options), /too large/);
+        assert.strictEqual((await fetchUrl(`${base}/image`, options)).body.length, 2048);
+        await assert.rejects(fetchUrl(`${base}/image`, { ...options, maxBytes: 1024 }), /too large/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
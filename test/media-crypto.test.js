@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+    expandMediaKey,
+    getMediaKeys,
+    encryptMedia,
+    decryptMedia,
+    encryptedLength,
+    MediaEncryptStream,
+    MediaDecryptStream
+} = require('../src/media/media-crypto');
+
+// Known answers for media key 00 01 .. 1f and PLAINTEXT, computed outside this
+// codebase with RFC 5869 HKDF (Python hmac/hashlib) and `openssl enc -aes-256-cbc`
+const MEDIA_KEY = Buffer.from(Array.from({ length: 32 }, (_, i) => i));
+const PLAINTEXT = Buffer.from('WhatsApp media known-answer test, more than one block of text.');
+const FILE_SHA256 = '10852b833a5501537d13cc2ef4ce67eb85428a34ad85c029767a9e334e5d229a';
+
+const VECTORS = {
+    image: {
+        aliases: ['image', 'sticker'],
+        expanded: 'aa6a127218397cbd2383e4ccf7176a79008c9aea9b7c5d81eb56b3f530f87d42dcc92d27b11ad6b5bd66f0560d0d8c4691d09ffec108833c1699574c52657923fb6e3e161d9698bc6b3a05fbc508a5154d4981725e9eb39838fcff2130508f1360cbb319f99cef163d57ab7c050a667e',
+        ciphertext: '9fcf1a21772cbc97ae5789c5595c99672a4ff852c8bfa3d6eefa224f37a078bf640419f15d15de9c584f7c16e39849f87f964e693c685d983f38d2d7eacdab02',
+        mac: 'f4c41824f366cbe7d7a8',
+        fileEncSha256: 'cb4bc472c9b4a6918563fe622942e561f9cf65661200d22a25df92da96498bef'
+    },
+    video: {
+        aliases: ['video', 'gif'],
+        expanded: 'f1dee5782cc4e2e7b07233b1e25de59b8564567ee06fa7006edab56a13c2b0a1431beb8efe698efad0f258e65feb5395259ad46118adcf3cd134ae881831c6865db31a8fa0bbce7bc3bcb9fcf369fcda9a63d5eb49eb03827d842400a27dbfb62efc9ebeb6f62b45df4575de4a871856',
+        ciphertext: 'b741c4d2c5b512fe46afdbb2e79fcf6c77a62d225592e48cb636a58147f6545cceb72f17e05c3721e82c4afcc62e09c257376d7b8ab11aa2ee4737d566a75ab6',
+        mac: '6dcfc3238ea04c6d0eba',
+        fileEncSha256: '39de3d7a6fbdfce4a4987f6981cf416de1877716a6554b3d4ed7d996a6965ebc'
+    },
+    audio: {
+        aliases: ['audio', 'ptt'],
+        expanded: '13f8935709c20e2e8b0680f81b0dd5fba61016c0347747b75bb8a8f6d7bcdb863ac5eb702662755054fe77db27b7c1c09ec93580944b6656b0babacf55026028ff6c68bb134a4fd082c12b5463a3bb79bc7558b5a1ef874ee6a5155a282db3560dc25fcf6b910762a2d75fcbe6b13749',
+        ciphertext: 'b3da843efac215f1007551444ee3c61378044973007bf45f89eafd6a9b6dfc048bdb2c7f38fc51dea2eeb7f07a3de9c6d6ffb1a2ce8f74259b046136b7e35825',
+        mac: '73d116ebbf6f3e2b159a',
+        fileEncSha256: '428d60bbde144ecaaed8b6363847734e2fb3613ec2c53fb8439e7453f2ecc39e'
+    },
+    document: {
+        aliases: ['document'],
+        expanded: '25e9d370804de0bb33ea5db79453db66b75c2bed8e162ad63dd02b6b9fbda46b8ad2692e99ed0f877d0ab48a86fff79094a393dafdca1265c99e197425de98f15f7d87d34714ea901f7eefc29c99e5acf826177ac4aaf590f67e927133b8a7f102a9fa5c2a88d62587699f581b2e9b76',
+        ciphertext: '4a0e815de496459ddda7a1a37d40f65e09fc9a42066dce04cd49bb57cc66d2e7058d33d6b7f70b2b8231de38b4e53b5c14f78126fdf211d70acb2a509402f80a',
+        mac: '7b861381cd97489ffb77',
+        fileEncSha256: '6341d092b144de7db81ef4fe0d17a193b47d6f460c3472a45a122de1b09b119d'
+    }
+};
+
+for (const [name, vector] of Object.entries(VECTORS)) {
+    for (const mediaType of vector.aliases) {
+        test(`${mediaType} media matches the ${name} known answers`, async () => {
+            const expanded = expandMediaKey(MEDIA_KEY, mediaType);
+            assert.strictEqual(expanded.toString('hex'), vector.expanded);
+
+            const keys = getMediaKeys(MEDIA_KEY, mediaType);
+            assert.strictEqual(keys.iv.toString('hex'), vector.expanded.slice(0, 32));
+            assert.strictEqual(keys.cipherKey.toString('hex'), vector.expanded.slice(32, 96));
+            assert.strictEqual(keys.macKey.toString('hex'), vector.expanded.slice(96, 160));
+            assert.strictEqual(keys.refKey.toString('hex'), vector.expanded.slice(160));
+
+            const result = await encryptMedia(PLAINTEXT, MEDIA_KEY, mediaType);
+            const ciphertext = result.encrypted.slice(0, -10);
+            const mac = result.encrypted.slice(-10);
+
+            assert.strictEqual(ciphertext.toString('hex'), vector.ciphertext);
+            assert.strictEqual(mac.toString('hex'), vector.mac);
+            assert.strictEqual(result.fileEncSha256.toString('hex'), vector.fileEncSha256);
+            assert.strictEqual(result.fileSha256.toString('hex'), FILE_SHA256);
+            assert.strictEqual(result.fileLength, PLAINTEXT.length);
+            assert.strictEqual(result.encryptedLength, encryptedLength(PLAINTEXT.length));
+
+            const encrypted = Buffer.from(vector.ciphertext + vector.mac, 'hex');
+            const decrypted = await decryptMedia(encrypted, MEDIA_KEY, mediaType, {
+                fileSha256: Buffer.from(FILE_SHA256, 'hex'),
+                fileEncSha256: Buffer.from(vector.fileEncSha256, 'hex')
+            });
+            assert.deepStrictEqual(decrypted, PLAINTEXT);
+        });
+    }
+}
+
+test('the streams agree with the known answers when fed byte by byte', async () => {
+    const encryptor = new MediaEncryptStream(expandMediaKey(MEDIA_KEY, 'image'));
+    const encrypted = await pipeBytes(encryptor, PLAINTEXT);
+    assert.strictEqual(encrypted.toString('hex'), VECTORS.image.ciphertext + VECTORS.image.mac);
+    assert.strictEqual(encryptor.result.fileEncSha256.toString('hex'), VECTORS.image.fileEncSha256);
+
+    const decryptor = new MediaDecryptStream(expandMediaKey(MEDIA_KEY, 'image'));
+    assert.deepStrictEqual(await pipeBytes(decryptor, encrypted), PLAINTEXT);
+});
+
+test('tampering, the wrong media type and hash mismatches are rejected', async () => {
+    const encrypted = Buffer.from(VECTORS.audio.ciphertext + VECTORS.audio.mac, 'hex');
+
+    const tampered = Buffer.from(encrypted);
+    tampered[5] ^= 1;
+    await assert.rejects(decryptMedia(tampered, MEDIA_KEY, 'audio'), /HMAC verification failed/);
+    await assert.rejects(decryptMedia(encrypted, MEDIA_KEY, 'video'), /HMAC verification failed/);
+    await assert.rejects(decryptMedia(encrypted, MEDIA_KEY, 'audio', {
+        fileEncSha256: crypto.randomBytes(32)
+    }), /Downloaded file hash mismatch/);
+
+    assert.throws(() => expandMediaKey(MEDIA_KEY, 'hologram'), /Unknown media type/);
+    assert.throws(() => expandMediaKey(MEDIA_KEY.slice(1), 'image'), /32 bytes/);
+});
+
+async function pipeBytes(transform, input) {
+    const chunks = [];
+    transform.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        transform.on('end', resolve);
+        transform.on('error', reject);
+    });
+
+    for (const byte of input) {
+        transform.write(Buffer.from([byte]));
+    }
+    transform.end();
+
+    await done;
+    return Buffer.concat(chunks);
+}
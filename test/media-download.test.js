@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const MediaHandler = require('../src/media');
+const { encryptMedia } = require('../src/media/media-crypto');
+
+const PLAINTEXT = crypto.randomBytes(200 * 1024);
+const MEDIA_KEY = crypto.randomBytes(32);
+
+/**
+ * Media server for one encrypted file; serve(req, res, encrypted) answers
+ * each request and every request's Range header is kept
+ */
+async function startMediaServer(encrypted, serve) {
+    const ranges = [];
+    const server = http.createServer((req, res) => {
+        ranges.push(req.headers.range || null);
+        serve(req, res, encrypted, ranges.length);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, ranges, url: `http://127.0.0.1:${server.address().port}/media.enc` };
+}
+
+function sendRange(req, res, encrypted) {
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (!match) {
+        res.writeHead(200, { 'Content-Length': encrypted.length });
+        res.end(encrypted);
+        return;
+    }
+
+    const offset = Number(match[1]);
+    res.writeHead(206, {
+        'Content-Length': encrypted.length - offset,
+        'Content-Range': `bytes ${offset}-${encrypted.length - 1}/${encrypted.length}`
+    });
+    res.end(encrypted.slice(offset));
+}
+
+/**
+ * Send the first bytes of the file, then drop the connection
+ */
+function dropAfter(res, encrypted, bytes) {
+    res.writeHead(200, { 'Content-Length': encrypted.length });
+    res.write(encrypted.slice(0, bytes), () => setTimeout(() => res.socket.destroy(), 20));
+}
+
+async function encryptedMedia() {
+    const { encrypted, fileSha256, fileEncSha256 } = await encryptMedia(PLAINTEXT, MEDIA_KEY, 'document');
+    return { encrypted, media: { mediaKey: MEDIA_KEY, type: 'document', fileLength: PLAINTEXT.length, fileSha256, fileEncSha256 } };
+}
+
+function createHandler() {
+    const handler = new MediaHandler(null);
+    handler.retryDelay = 0;
+    return handler;
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+test('a dropped download resumes with a Range request and still verifies', async () => {
+    const { encrypted, media } = await encryptedMedia();
+    const mediaServer = await startMediaServer(encrypted, (req, res, file, attempt) => {
+        if (attempt === 1) {
+            dropAfter(res, file, 64 * 1024);
+        } else {
+            sendRange(req, res, file);
+        }
+    });
+
+    try {
+        const progress = [];
+        const stream = createHandler().downloadStream({ ...media, url: mediaServer.url }, {
+            downloadId: 'D1',
+            onProgress: update => progress.push(update)
+        });
+
+        assert.ok((await readAll(stream)).equals(PLAINTEXT));
+        assert.deepStrictEqual(mediaServer.ranges, [null, 'bytes=65536-']);
+
+        // Progress carries on from the resumed offset instead of starting over
+        const received = progress.map(update => update.bytesReceived);
+        assert.deepStrictEqual(received, [...received].sort((a, b) => a - b));
+        assert.deepStrictEqual(progress.at(-1), {
+            id: 'D1', type: 'document', fileName: null, bytesReceived: encrypted.length, totalBytes: encrypted.length, percent: 100
+        });
+    } finally {
+        await new Promise(resolve => mediaServer.server.close(resolve));
+    }
+});
+
+test('a server that ignores Range resends everything and the received part is skipped', async () => {
+    const { encrypted, media } = await encryptedMedia();
+    const mediaServer = await startMediaServer(encrypted, (req, res, file, attempt) => {
+        if (attempt === 1) {
+            dropAfter(res, file, 50000);
+        } else {
+            res.writeHead(200, { 'Content-Length': file.length });
+            res.end(file);
+        }
+    });
+
+    try {
+        const stream = createHandler().downloadStream({ ...media, url: mediaServer.url });
+
+        assert.ok((await readAll(stream)).equals(PLAINTEXT));
+        assert.deepStrictEqual(mediaServer.ranges, [null, 'bytes=50000-']);
+    } finally {
+        await new Promise(resolve => mediaServer.server.close(resolve));
+    }
+});
+
+test('resumed bytes that do not match the file fail the integrity check', async () => {
+    const { encrypted, media } = await encryptedMedia();
+    const tampered = Buffer.from(encrypted);
+    tampered[100000] ^= 0x01;
+
+    const mediaServer = await startMediaServer(encrypted, (req, res, file, attempt) => {
+        if (attempt === 1) {
+            dropAfter(res, file, 64 * 1024);
+        } else {
+            sendRange(req, res, tampered);
+        }
+    });
+
+    try {
+        const stream = createHandler().downloadStream({ ...media, url: mediaServer.url });
+        await assert.rejects(readAll(stream), /HMAC verification failed/);
+    } finally {
+        await new Promise(resolve => mediaServer.server.close(resolve));
+    }
+});
+
+test('aborting a download errors the stream and does not retry', async () => {
+    const { encrypted, media } = await encryptedMedia();
+    const mediaServer = await startMediaServer(encrypted, (req, res, file) => {
+        // Part of the file, then nothing until the client gives up
+        res.writeHead(200, { 'Content-Length': file.length });
+        res.write(file.slice(0, 16 * 1024));
+    });
+
+    try {
+        const controller = new AbortController();
+        const stream = createHandler().downloadStream({ ...media, url: mediaServer.url }, {
+            signal: controller.signal,
+            onProgress: ({ bytesReceived }) => {
+                if (bytesReceived > 0) {
+                    controller.abort();
+                }
+            }
+        });
+
+        await assert.rejects(readAll(stream), error => error.name === 'AbortError');
+        assert.deepStrictEqual(mediaServer.ranges, [null]);
+    } finally {
+        mediaServer.server.closeAllConnections();
+        await new Promise(resolve => mediaServer.server.close(resolve));
+    }
+});
@@ -0,0 +1,281 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { createJpegThumbnail, getImageDimensions, getJpegOrientation } = require('../src/media/image');
+const { getAudioDuration, getAudioFileDuration, decodeWav, decodeWavFile, computeWaveform } = require('../src/media/audio');
+const MediaProcessor = require('../src/media/processor');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-media-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function tempFile(name, data) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+}
+
+/**
+ * RGBA image whose left half is red and right half blue
+ */
+function halves(width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = x < width / 2 ? 255 : 0;
+            data[i + 2] = x < width / 2 ? 0 : 255;
+            data[i + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * The JPEG with an APP1 Exif segment holding only an orientation tag
+ */
+function withOrientation(jpegBuffer, orientation, littleEndian = false) {
+    const tiff = Buffer.alloc(26);
+    const write16 = (value, offset) => (littleEndian ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset));
+    const write32 = (value, offset) => (littleEndian ? tiff.writeUInt32LE(value, offset) : tiff.writeUInt32BE(value, offset));
+
+    tiff.write(littleEndian ? 'II' : 'MM', 0, 'ascii');
+    write16(42, 2);
+    write32(8, 4);
+    write16(1, 8);
+    write16(0x0112, 10);
+    write16(3, 12);
+    write32(1, 14);
+    write16(orientation, 18);
+
+    const body = Buffer.concat([Buffer.from('Exif\0\0', 'binary'), tiff]);
+    const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    header.writeUInt16BE(body.length + 2, 2);
+
+    return Buffer.concat([jpegBuffer.subarray(0, 2), header, body, jpegBuffer.subarray(2)]);
+}
+
+/**
+ * Colour channel that dominates the pixel at (x, y)
+ */
+function colourAt(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return image.data[i] > image.data[i + 2] ? 'red' : 'blue';
+}
+
+test('createJpegThumbnail scales JPEG and PNG down to the thumbnail size', () => {
+    const source = halves(400, 200);
+
+    for (const buffer of [Buffer.from(jpeg.encode(source, 90).data), PNG.sync.write(source)]) {
+        const { thumbnail, width, height } = createJpegThumbnail(buffer);
+        const decoded = jpeg.decode(thumbnail, { useTArray: true });
+
+        assert.deepStrictEqual([width, height], [400, 200]);
+        assert.deepStrictEqual([decoded.width, decoded.height], [96, 48]);
+        assert.strictEqual(colourAt(decoded, 10, 24), 'red');
+        assert.strictEqual(colourAt(decoded, 85, 24), 'blue');
+    }
+
+    const small = createJpegThumbnail(Buffer.from(jpeg.encode(halves(40, 20), 90).data), { size: 10 });
+    assert.deepStrictEqual([jpeg.decode(small.thumbnail).width, small.width], [10, 40]);
+});
+
+test('createJpegThumbnail follows the EXIF orientation', () => {
+    const stored = Buffer.from(jpeg.encode(halves(80, 40), 90).data);
+
+    for (const littleEndian of [false, true]) {
+        // 6: shown turned a quarter clockwise, so the left half ends up on top
+        const rotated = withOrientation(stored, 6, littleEndian);
+        assert.strictEqual(getJpegOrientation(rotated), 6);
+        assert.deepStrictEqual(getImageDimensions(rotated), { width: 40, height: 80 });
+
+        const { thumbnail, width, height } = createJpegThumbnail(rotated);
+        const decoded = jpeg.decode(thumbnail, { useTArray: true });
+
+        assert.deepStrictEqual([width, height], [40, 80]);
+        assert.deepStrictEqual([decoded.width, decoded.height], [40, 80]);
+        assert.strictEqual(colourAt(decoded, 20, 10), 'red');
+        assert.strictEqual(colourAt(decoded, 20, 70), 'blue');
+    }
+
+    // 3: upside down, so the halves swap sides and the size stays
+    const flipped = createJpegThumbnail(withOrientation(stored, 3));
+    const decoded = jpeg.decode(flipped.thumbnail, { useTArray: true });
+    assert.deepStrictEqual([flipped.width, flipped.height], [80, 40]);
+    assert.strictEqual(colourAt(decoded, 10, 20), 'blue');
+    assert.strictEqual(colourAt(decoded, 70, 20), 'red');
+
+    assert.strictEqual(getJpegOrientation(stored), 1);
+});
+
+test('images over the decode limit keep their dimensions but get no thumbnail', () => {
+    // Only the header claims 20000 x 20000; decoding would need 1.6 GB
+    const png = PNG.sync.write(halves(4, 4));
+    png.writeUInt32BE(20000, 16);
+    png.writeUInt32BE(20000, 20);
+
+    assert.deepStrictEqual(createJpegThumbnail(png), { thumbnail: null, width: 20000, height: 20000 });
+
+    const huge = Buffer.from(jpeg.encode(halves(16, 16), 90).data);
+    const sof = huge.indexOf(Buffer.from([0xFF, 0xC0]));
+    huge.writeUInt16BE(20000, sof + 5);
+    huge.writeUInt16BE(20000, sof + 7);
+
+    assert.deepStrictEqual(createJpegThumbnail(huge), { thumbnail: null, width: 20000, height: 20000 });
+});
+
+/**
+ * 16-bit mono WAV of samples in [-1, 1]
+ */
+function wav(samples, sampleRate = 8000) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + samples.length * 2, 4);
+    header.write('WAVEfmt ', 8, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(samples.length * 2, 40);
+
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => data.writeInt16LE(Math.round(sample * 32767), i * 2));
+
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * MPEG-1 Layer III at 128 kbps and 44.1 kHz: 417-byte frames of 1152 samples
+ */
+function mp3(frames) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x00]);
+
+    const id3 = Buffer.alloc(30);
+    id3.write('ID3', 0, 'ascii');
+    id3[9] = 20;
+
+    return Buffer.concat([id3, ...Array.from({ length: frames }, () => frame)]);
+}
+
+function oggPage(granule, payload) {
+    const header = Buffer.alloc(28);
+    header.write('OggS', 0, 'ascii');
+    header.writeBigInt64LE(BigInt(granule), 6);
+    header[26] = 1;
+    header[27] = payload.length;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Ogg Opus with the last page far enough from the first that it is not in the head
+ */
+function ogg(seconds, preSkip = 312) {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0, 'ascii');
+    opusHead[8] = 1;
+    opusHead[9] = 1;
+    opusHead.writeUInt16LE(preSkip, 10);
+    opusHead.writeUInt32LE(48000, 12);
+
+    return Buffer.concat([
+        oggPage(0, opusHead),
+        oggPage(48000, Buffer.alloc(200)),
+        Buffer.alloc(200 * 1024, 0x55),
+        oggPage(seconds * 48000 + preSkip, Buffer.alloc(200))
+    ]);
+}
+
+function box(type, body) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * M4A with moov after a large mdat, as many encoders write it
+ */
+function m4a(timescale, duration) {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(timescale, 12);
+    mvhd.writeUInt32BE(duration, 16);
+
+    return Buffer.concat([
+        box('ftyp', Buffer.from('M4A \0\0\0\0isomM4A ', 'ascii')),
+        box('mdat', Buffer.alloc(300 * 1024)),
+        box('moov', box('mvhd', mvhd))
+    ]);
+}
+
+test('getAudioDuration reads WAV, MP3, Ogg and MP4 durations, in memory and from files', async () => {
+    const cases = [
+        ['tone.wav', wav(new Array(12000).fill(0.5)), 1.5],
+        // Over two read chunks, so frames straddle chunk boundaries
+        ['long.mp3', mp3(6000), 6000 * 1152 / 44100],
+        ['note.ogg', ogg(5), 5],
+        ['song.m4a', m4a(1000, 7500), 7.5]
+    ];
+
+    for (const [name, buffer, seconds] of cases) {
+        const filePath = tempFile(name, buffer);
+
+        assert.ok(Math.abs(getAudioDuration(buffer) - seconds) < 1e-9, name);
+        assert.ok(Math.abs(await getAudioFileDuration(filePath) - seconds) < 1e-9, name);
+    }
+
+    assert.strictEqual(getAudioDuration(Buffer.from('not audio at all')), null);
+    assert.strictEqual(await getAudioFileDuration(tempFile('empty.mp3', Buffer.alloc(0))), null);
+});
+
+test('decodeWavFile reads the same samples as decodeWav', async () => {
+    const samples = Array.from({ length: 800 }, (_, i) => Math.sin(i / 10));
+    const buffer = wav(samples);
+
+    const fromBuffer = decodeWav(buffer);
+    const fromFile = await decodeWavFile(tempFile('sine.wav', buffer));
+
+    assert.strictEqual(fromFile.sampleRate, 8000);
+    assert.deepStrictEqual(fromFile.samples, fromBuffer.samples);
+    assert.ok(Math.abs(fromFile.samples[100] - Math.sin(10)) < 1e-4);
+    assert.strictEqual(await decodeWavFile(tempFile('song.m4a', m4a(1000, 10))), null);
+});
+
+test('computeWaveform scales the loudest of 64 bars to 100', () => {
+    // Loudness rising linearly from the first bar to the last
+    const samples = new Float32Array(6400).map((_, i) => (i % 2 ? -1 : 1) * (Math.floor(i / 100) + 1) / 64);
+    const waveform = computeWaveform(samples);
+
+    assert.strictEqual(waveform.length, 64);
+    assert.strictEqual(waveform[63], 100);
+    assert.strictEqual(waveform[0], 2);
+    assert.strictEqual(waveform[31], 50);
+    assert.ok(waveform.every((level, i) => i === 0 || level >= waveform[i - 1]));
+
+    assert.deepStrictEqual(Array.from(computeWaveform(new Float32Array(640))), new Array(64).fill(0));
+    assert.strictEqual(computeWaveform(new Float32Array(63)), null);
+    assert.strictEqual(computeWaveform(new Float32Array(8), 4).length, 4);
+});
+
+test('MediaProcessor describes images and voice notes from files', async () => {
+    const processor = new MediaProcessor();
+
+    const image = await processor.describe(tempFile('photo.jpg', withOrientation(Buffer.from(jpeg.encode(halves(80, 40), 90).data), 8)), 'image');
+    assert.deepStrictEqual([image.width, image.height], [40, 80]);
+    assert.ok(Buffer.isBuffer(image.thumbnail));
+
+    const note = await processor.describe(tempFile('note.wav', wav(Array.from({ length: 16000 }, (_, i) => Math.sin(i) * i / 16000))), 'audio', { ptt: true });
+    assert.strictEqual(note.seconds, 2);
+    assert.strictEqual(note.waveform.length, 64);
+    assert.strictEqual(note.waveform[63], 100);
+
+    const song = await processor.describe(tempFile('song.m4a', m4a(44100, 44100 * 90)), 'audio', { ptt: true });
+    assert.deepStrictEqual(song, { seconds: 90 });
+});
@@ -0,0 +1,109 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { decryptMedia } = require('../src/media/media-crypto');
+const { decodeMessageContent } = require('../src/proto/message-content');
+const { MessageAck } = require('../src/utils/constants');
+const { createTestClient, authenticate, once, createPeer, shutdown } = require('./helpers');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+const GROUP = '123456-789@g.us';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-media-send-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Media upload endpoint keeping each posted body
+ */
+async function startUploadServer() {
+    const uploads = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            uploads.push({ url: new URL(req.url, 'http://localhost'), body: Buffer.concat(chunks) });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ url: `https://mmg.example/d/${uploads.length}.enc`, direct_path: `/d/${uploads.length}.enc` }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, uploads, endpoint: `http://127.0.0.1:${server.address().port}/upload` };
+}
+
+function protoContent(content) {
+    const proto = content.find(([tag]) => tag === 'proto');
+    return proto ? decodeMessageContent(proto[2]) : null;
+}
+
+test('sendMedia uploads the file and sends its key only inside the message content', async () => {
+    const upload = await startUploadServer();
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        client.core.media.uploadEndpoint = upload.endpoint;
+
+        const filePath = path.join(tempDir, 'report.txt');
+        fs.writeFileSync(filePath, 'Q3 numbers: up and to the right');
+
+        const relayed = once(server, 'message');
+        const sent = await client.sendMedia(CONTACT, filePath, { type: 'document', caption: 'Q3', fileName: 'q3.txt' });
+        const { id, content } = await relayed;
+
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+
+        // No clear <media> attributes; the descriptor is the documentMessage
+        assert.deepStrictEqual(content.map(([tag]) => tag), ['proto']);
+        const { documentMessage } = protoContent(content);
+        assert.strictEqual(documentMessage.url, 'https://mmg.example/d/1.enc');
+        assert.strictEqual(documentMessage.directPath, '/d/1.enc');
+        assert.strictEqual(documentMessage.fileName, 'q3.txt');
+        assert.strictEqual(documentMessage.caption, 'Q3');
+        assert.strictEqual(documentMessage.mediaKey.length, 32);
+
+        // The key in the message decrypts what was uploaded
+        assert.strictEqual(upload.uploads.length, 1);
+        const plain = await decryptMedia(upload.uploads[0].body, documentMessage.mediaKey, 'document');
+        assert.strictEqual(plain.toString(), 'Q3 numbers: up and to the right');
+        assert.strictEqual(upload.uploads[0].url.searchParams.get('token'), documentMessage.fileEncSha256.toString('base64url'));
+
+        const stored = await client.core.messages.get('15551234567@c.us', id);
+        assert.deepStrictEqual([stored.type, stored.caption, stored.fromMe], ['document', 'Q3', true]);
+    } finally {
+        await shutdown(client, server);
+        await new Promise(resolve => upload.server.close(resolve));
+    }
+});
+
+test('a media message from a group goes out under the sender key', async () => {
+    const upload = await startUploadServer();
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        client.core.media.uploadEndpoint = upload.endpoint;
+
+        const member = await createPeer();
+        await client.core.crypto.processPreKeyBundle(CONTACT, await member.getPreKeyBundle());
+        client.core.setGroupParticipants(GROUP, [CONTACT]);
+
+        const filePath = path.join(tempDir, 'group.txt');
+        fs.writeFileSync(filePath, 'agenda');
+
+        const relayed = once(server, 'message');
+        const sent = await client.sendMedia(GROUP, filePath, { type: 'document' });
+        const { id, content } = await relayed;
+
+        assert.strictEqual(sent.id, id);
+        assert.deepStrictEqual(content.map(([tag]) => tag), ['participants', 'enc']);
+        assert.strictEqual(content[1][1].format, 'proto');
+    } finally {
+        await shutdown(client, server);
+        await new Promise(resolve => upload.server.close(resolve));
+    }
+});
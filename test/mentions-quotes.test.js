@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { encodeMessageContent, decodeMessageContent } = require('../src/proto/message-content');
+const { WAEvents } = require('../src/utils/constants');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const ALICE = '15551234567@s.whatsapp.net';
+const BOB = '15559990000@s.whatsapp.net';
+const CAROL = '15557654321@s.whatsapp.net';
+
+/**
+ * Message content the server relayed for the next send; plain text travels
+ * as the body rather than as a <proto> child
+ */
+async function nextContent(server, send) {
+    const relayed = once(server, 'message');
+    const sent = await send();
+    const { id, content } = await relayed;
+
+    assert.strictEqual(sent.id, id);
+    if (!Array.isArray(content)) {
+        return { body: Buffer.from(content).toString() };
+    }
+    return decodeMessageContent(content.find(([tag]) => tag === 'proto')[2]);
+}
+
+/**
+ * The contextInfo fields a quote or mention sets
+ */
+function quoteAndMentions({ stanzaId, participant, quotedMessage, mentionedJid }) {
+    return { stanzaId, participant, quotedMessage, mentionedJid };
+}
+
+async function withClient(run) {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        await run(client, server);
+    } finally {
+        await shutdown(client, server);
+    }
+}
+
+test('quotes and mentions turn a text into an extendedTextMessage with contextInfo', async () => {
+    await withClient(async (client, server) => {
+        const received = once(client, WAEvents.MESSAGE, message => message.id === 'A1');
+        server.injectMessage({ id: 'A1', from: ALICE, body: 'who is coming?' });
+        await received;
+
+        const plain = await nextContent(server, () => client.sendMessage(ALICE, 'no context'));
+        assert.deepStrictEqual(plain, { body: 'no context' });
+
+        const { extendedTextMessage } = await nextContent(server, () => {
+            return client.sendMessage(ALICE, '@15559990000 and me', { quotedMessageId: 'A1', mentions: [BOB] });
+        });
+
+        assert.strictEqual(extendedTextMessage.text, '@15559990000 and me');
+        assert.deepStrictEqual(quoteAndMentions(extendedTextMessage.contextInfo), {
+            stanzaId: 'A1',
+            participant: '15551234567@c.us',
+            quotedMessage: { conversation: 'who is coming?' },
+            mentionedJid: [BOB]
+        });
+
+        // A message we never stored is still quoted by ID, just without its text
+        const unknown = await nextContent(server, () => {
+            return client.sendMessage(ALICE, 'about that', { quotedMessageId: 'OLD', quotedParticipant: CAROL });
+        });
+        assert.deepStrictEqual(quoteAndMentions(unknown.extendedTextMessage.contextInfo), {
+            stanzaId: 'OLD', participant: CAROL, quotedMessage: null, mentionedJid: []
+        });
+    });
+});
+
+test('reply quotes the message it is called on, whoever wrote it', async () => {
+    await withClient(async (client, server) => {
+        const received = once(client, WAEvents.MESSAGE, message => message.id === 'A1');
+        server.injectMessage({ id: 'A1', from: ALICE, body: 'pizza?' });
+        const message = await received;
+
+        const reply = await nextContent(server, () => message.reply('yes please'));
+        assert.deepStrictEqual(
+            [reply.extendedTextMessage.text, reply.extendedTextMessage.contextInfo.stanzaId, reply.extendedTextMessage.contextInfo.participant],
+            ['yes please', 'A1', '15551234567@c.us']
+        );
+
+        // Quoting ourselves names our own JID
+        const ours = await client.sendMessage(ALICE, 'with pineapple');
+        const followUp = await nextContent(server, () => client.sendMessage(ALICE, 'kidding', { quotedMessageId: ours.id }));
+        assert.deepStrictEqual(quoteAndMentions(followUp.extendedTextMessage.contextInfo), {
+            stanzaId: ours.id,
+            participant: client.core.info.wid,
+            quotedMessage: { conversation: 'with pineapple' },
+            mentionedJid: []
+        });
+    });
+});
+
+test('incoming mentions and quotes are surfaced on the message and kept in history', async () => {
+    await withClient(async (client, server) => {
+        client.core._updateContacts([{ jid: BOB, name: 'Bob' }]);
+
+        const received = once(client, WAEvents.MESSAGE, message => message.id === 'A2');
+        server.injectMessage({
+            id: 'A2',
+            from: ALICE,
+            children: [['proto', {}, encodeMessageContent({
+                extendedTextMessage: {
+                    text: '@15559990000 @15557654321 see above',
+                    contextInfo: { stanzaId: 'A1', participant: ALICE, quotedMessage: { conversation: 'the plan' }, mentionedJid: [BOB, CAROL] }
+                }
+            })]]
+        });
+        const message = await received;
+
+        assert.strictEqual(message.body, '@15559990000 @15557654321 see above');
+        assert.deepStrictEqual(message.mentions, [BOB, CAROL]);
+        assert.strictEqual(message.hasQuotedMsg, true);
+        assert.deepStrictEqual(message.quotedMessage, { id: 'A1', author: ALICE, body: 'the plan' });
+
+        // Only mentions we know as contacts resolve
+        assert.deepStrictEqual((await message.getMentions()).map(contact => contact.name), ['Bob']);
+
+        const [stored] = await client.fetchMessages(ALICE);
+        assert.deepStrictEqual([stored.mentions, stored.quotedMessage], [message.mentions, message.quotedMessage]);
+    });
+});
@@ -0,0 +1,164 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MessageStatusStore, SentMessage } = require('../src/utils/message-status');
+const { MessageAck, MessageTypes } = require('../src/utils/constants');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+
+test('SentMessage follows PENDING -> SERVER -> DEVICE -> READ -> PLAYED', () => {
+    const store = new MessageStatusStore();
+    store.track('A1', CONTACT);
+    const sent = new SentMessage(store, 'A1', 'hello');
+    const changes = [];
+    store.on('status_changed', (record, previous) => changes.push([previous, record.status]));
+
+    assert.strictEqual(sent.status, MessageAck.PENDING);
+    assert.strictEqual(sent.chatId, CONTACT);
+
+    for (const ack of [MessageAck.SERVER, MessageAck.DEVICE, MessageAck.READ, MessageAck.PLAYED]) {
+        store.update('A1', ack);
+        assert.strictEqual(sent.status, ack);
+    }
+
+    assert.deepStrictEqual(changes, [
+        [MessageAck.PENDING, MessageAck.SERVER],
+        [MessageAck.SERVER, MessageAck.DEVICE],
+        [MessageAck.DEVICE, MessageAck.READ],
+        [MessageAck.READ, MessageAck.PLAYED]
+    ]);
+});
+
+test('late or repeated acks never move the status back', () => {
+    const store = new MessageStatusStore();
+    store.track('A2', CONTACT);
+    const sent = new SentMessage(store, 'A2', 'hello');
+    let changes = 0;
+    store.on('status_changed', () => changes++);
+
+    store.update('A2', MessageAck.READ);
+    store.update('A2', MessageAck.DEVICE);
+    store.update('A2', MessageAck.SERVER);
+    store.update('A2', MessageAck.READ);
+
+    assert.strictEqual(sent.status, MessageAck.READ);
+    assert.strictEqual(changes, 1);
+});
+
+test('group messages are only as far along as the slowest member', () => {
+    const store = new MessageStatusStore();
+    const members = ['1@c.us', '2@c.us'];
+    store.track('G1', '123-456@g.us', members);
+    const sent = new SentMessage(store, 'G1', 'hello group');
+
+    store.update('G1', MessageAck.SERVER);
+    store.update('G1', MessageAck.READ, members[0]);
+    assert.strictEqual(sent.status, MessageAck.SERVER);
+
+    store.update('G1', MessageAck.DEVICE, members[1]);
+    assert.strictEqual(sent.status, MessageAck.DEVICE);
+
+    store.update('G1', MessageAck.READ, members[1]);
+    assert.strictEqual(sent.status, MessageAck.READ);
+    assert.deepStrictEqual(sent.receipts, { '1@c.us': MessageAck.READ, '2@c.us': MessageAck.READ });
+});
+
+test('waitFor resolves on the ack and rejects on ERROR', async () => {
+    const store = new MessageStatusStore();
+    store.track('W1', CONTACT);
+    store.track('W2', CONTACT);
+    const delivered = new SentMessage(store, 'W1', 'one').waitFor(MessageAck.DEVICE, 1000);
+    const failed = new SentMessage(store, 'W2', 'two').waitFor(MessageAck.DEVICE, 1000);
+
+    store.update('W1', MessageAck.SERVER);
+    store.update('W1', MessageAck.DEVICE);
+    store.update('W2', MessageAck.ERROR);
+
+    assert.strictEqual((await delivered).status, MessageAck.DEVICE);
+    await assert.rejects(failed, /W2 failed/);
+    await assert.rejects(new SentMessage(store, 'W1', 'one').waitFor(MessageAck.READ, 20), /Timed out/);
+});
+
+test('acks after the server ack update the sent message', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const sent = await client.sendMessage(CONTACT, 'hello');
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+        assert.strictEqual(await client.core.outbox.get(sent.id), null);
+
+        for (const ack of [MessageAck.DEVICE, MessageAck.READ, MessageAck.PLAYED]) {
+            const changed = once(client, 'message_status_changed', change => change.id === sent.id);
+            server.sendAck(sent.id, ack, { from: CONTACT });
+            assert.strictEqual((await changed).status, ack);
+            assert.strictEqual(sent.status, ack);
+        }
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('locations and live location updates go through the outbox', async () => {
+    const { server, client } = await createTestClient({}, { autoAck: false });
+
+    try {
+        await authenticate(client, server);
+
+        const received = once(server, 'message');
+        const sending = client.sendLocation(CONTACT, { lat: 52.37, lng: 4.89, name: 'Dam Square' });
+        const { id } = await received;
+
+        const entry = await client.core.outbox.get(id);
+        assert.strictEqual(entry.type, MessageTypes.LOCATION);
+        assert.strictEqual(entry.content.locationMessage.name, 'Dam Square');
+        assert.strictEqual(client.core.messageStatus.get(id).status, MessageAck.PENDING);
+
+        server.sendAck(id, MessageAck.SERVER, { from: CONTACT });
+        const sent = await sending;
+
+        assert.ok(sent instanceof SentMessage);
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+        assert.strictEqual(await client.core.outbox.get(id), null);
+
+        server.options.autoAck = true;
+        const live = await client.startLiveLocation(CONTACT, { lat: 52.37, lng: 4.89 }, { interval: 60000 });
+        live.stop();
+
+        assert.strictEqual(client.core.messageStatus.get(live.id).status, MessageAck.SERVER);
+        assert.deepStrictEqual(await client.core.outbox.list(), []);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('contact cards go through the outbox', async () => {
+    const { server, client } = await createTestClient({}, { autoAck: false });
+
+    try {
+        await authenticate(client, server);
+
+        const received = once(server, 'message');
+        const sending = client.sendContactCard(CONTACT, [
+            { name: 'Ada Lovelace', number: '+44 20 7946 0001' },
+            { name: 'Charles Babbage', number: '+44 20 7946 0002' }
+        ]);
+        const { id } = await received;
+
+        const entry = await client.core.outbox.get(id);
+        assert.strictEqual(entry.type, MessageTypes.CONTACT_CARD_MULTI);
+        assert.strictEqual(entry.content.contactsArrayMessage.contacts.length, 2);
+
+        server.sendAck(id, MessageAck.SERVER, { from: CONTACT });
+        const sent = await sending;
+
+        assert.ok(sent instanceof SentMessage);
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+        assert.strictEqual(await client.core.outbox.get(id), null);
+    } finally {
+        await shutdown(client, server);
+    }
+});
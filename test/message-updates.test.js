@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ProtocolMessageTypes, encodeMessageContent, decodeMessageContent } = require('../src/proto/message-content');
+const { WAEvents, MessageAck } = require('../src/utils/constants');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const GROUP = '123456-789@g.us';
+const ALICE = '15551234567@s.whatsapp.net';
+const MALLORY = '15559990000@s.whatsapp.net';
+const ADMIN = '15557654321@s.whatsapp.net';
+
+/**
+ * Authenticated client holding a group message from alice with ID G1
+ */
+async function withStoredMessage(run) {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const received = once(client, WAEvents.MESSAGE, message => message.id === 'G1');
+        server.injectMessage({ id: 'G1', from: GROUP, participant: ALICE, body: 'lunch is on me' });
+        await received;
+
+        await run(client, server);
+    } finally {
+        await shutdown(client, server);
+    }
+}
+
+/**
+ * <proto> child holding a protocolMessage about the message with key
+ */
+function protocolChild(key, type, text = null) {
+    return ['proto', {}, encodeMessageContent({
+        protocolMessage: { key, type, editedMessage: text ? { conversation: text } : null }
+    })];
+}
+
+function revoke(id, participant = null) {
+    return [protocolChild({ remoteJid: GROUP, id, participant }, ProtocolMessageTypes.REVOKE)];
+}
+
+function edit(id, text) {
+    return [protocolChild({ remoteJid: GROUP, id, fromMe: false }, ProtocolMessageTypes.MESSAGE_EDIT, text)];
+}
+
+function collect(client, event) {
+    const events = [];
+    client.on(event, message => events.push(message));
+    return events;
+}
+
+test('an edit from anyone but the author is ignored', async () => {
+    await withStoredMessage(async (client, server) => {
+        const edits = collect(client, WAEvents.MESSAGE_EDIT);
+
+        server.injectMessage({ from: GROUP, participant: MALLORY, children: edit('G1', 'I owe you $500') });
+
+        // Alice's own edit is applied, after the forged one was handled
+        const edited = once(client, WAEvents.MESSAGE_EDIT);
+        server.injectMessage({ from: GROUP, participant: ALICE, children: edit('G1', 'lunch is on me tomorrow') });
+        await edited;
+
+        assert.deepStrictEqual(edits.map(message => message.body), ['lunch is on me tomorrow']);
+        assert.strictEqual((await client.core.messages.get(GROUP, 'G1')).body, 'lunch is on me tomorrow');
+    });
+});
+
+test('a revoke from a member who is neither the author nor an admin is ignored', async () => {
+    await withStoredMessage(async (client, server) => {
+        const revokes = collect(client, WAEvents.MESSAGE_REVOKE_EVERYONE);
+
+        server.injectMessage({ from: GROUP, participant: MALLORY, children: revoke('G1', ALICE) });
+        // Claiming someone else wrote a message we never stored does not help either
+        server.injectMessage({ from: GROUP, participant: MALLORY, children: revoke('G2', ALICE) });
+
+        const revoked = once(client, WAEvents.MESSAGE_REVOKE_EVERYONE);
+        server.injectMessage({ from: GROUP, participant: ALICE, children: revoke('G1') });
+        await revoked;
+
+        assert.deepStrictEqual(revokes.map(message => [message.id, message.author]), [['G1', '15551234567@c.us']]);
+        assert.strictEqual((await client.core.messages.get(GROUP, 'G1')).type, 'revoked');
+    });
+});
+
+test('a group admin can revoke another member\'s message', async () => {
+    await withStoredMessage(async (client, server) => {
+        const promoted = once(client, WAEvents.GROUP_UPDATE, update => update.type === 'promote');
+        server.injectGroupNotification(GROUP, 'promote', [ADMIN], ALICE);
+        await promoted;
+
+        assert.ok(client.core.isGroupAdmin(GROUP, ADMIN));
+
+        const revoked = once(client, WAEvents.MESSAGE_REVOKE_EVERYONE);
+        server.injectMessage({ from: GROUP, participant: ADMIN, children: revoke('G1', ALICE) });
+        const message = await revoked;
+
+        // Still attributed to its author, not to the admin who removed it
+        assert.strictEqual(message.author, '15551234567@c.us');
+
+        const demoted = once(client, WAEvents.GROUP_UPDATE, update => update.type === 'demote');
+        server.injectGroupNotification(GROUP, 'demote', [ADMIN], ALICE);
+        await demoted;
+
+        assert.ok(!client.core.isGroupAdmin(GROUP, ADMIN));
+    });
+});
+
+test('reactions travel as reactionMessage content both ways', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const received = once(client, WAEvents.MESSAGE, message => message.id === 'D1');
+        server.injectMessage({ id: 'D1', from: ALICE, body: 'ship it?' });
+        await received;
+
+        const relayed = once(server, 'message');
+        const sent = await client.sendReaction({ remoteJid: ALICE, id: 'D1', fromMe: false }, '🚀');
+        const { id, content } = await relayed;
+        const [, , proto] = content.find(([tag]) => tag === 'proto');
+        const { reactionMessage } = decodeMessageContent(proto);
+
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+        assert.deepStrictEqual(reactionMessage.key, { remoteJid: ALICE, fromMe: false, id: 'D1', participant: null });
+        assert.strictEqual(reactionMessage.text, '🚀');
+        assert.ok(reactionMessage.senderTimestampMs > 1600000000000);
+
+        const reacted = once(client, WAEvents.MESSAGE_REACTION);
+        server.injectMessage({
+            from: ALICE,
+            children: [['proto', {}, encodeMessageContent({
+                reactionMessage: { key: { remoteJid: ALICE, fromMe: false, id: 'D1' }, text: '👍', senderTimestampMs: Date.now() }
+            })]]
+        });
+        const reaction = await reacted;
+
+        assert.strictEqual(reaction.id, 'D1');
+        assert.strictEqual(reaction.emoji, '👍');
+        assert.deepStrictEqual((await client.getReactions(ALICE, 'D1')).map(({ emoji, count }) => [emoji, count]).sort(), [['👍', 1], ['🚀', 1]]);
+        // The reaction did not become a message of its own
+        assert.strictEqual((await client.core.messages.fetch('15551234567@c.us')).length, 1);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('our edits and revokes go out as protocolMessage content', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const sent = await client.sendMessage(ALICE, 'see you at 5');
+        const key = { remoteJid: ALICE, id: sent.id, fromMe: true };
+
+        let relayed = once(server, 'message');
+        const edited = await client.editMessage(key, 'see you at 6');
+        let { content } = await relayed;
+        let { protocolMessage } = decodeMessageContent(content.find(([tag]) => tag === 'proto')[2]);
+
+        assert.strictEqual(edited.body, 'see you at 6');
+        assert.strictEqual(protocolMessage.type, ProtocolMessageTypes.MESSAGE_EDIT);
+        assert.deepStrictEqual(protocolMessage.key, { remoteJid: ALICE, fromMe: true, id: sent.id, participant: null });
+        assert.deepStrictEqual(protocolMessage.editedMessage, { conversation: 'see you at 6' });
+
+        relayed = once(server, 'message');
+        await client.deleteMessage(key, { forEveryone: true });
+        ({ content } = await relayed);
+        ({ protocolMessage } = decodeMessageContent(content.find(([tag]) => tag === 'proto')[2]));
+
+        assert.strictEqual(protocolMessage.type, ProtocolMessageTypes.REVOKE);
+        assert.strictEqual(protocolMessage.key.id, sent.id);
+        assert.strictEqual(protocolMessage.editedMessage, null);
+
+        // Neither update is a message of its own in history
+        const history = await client.core.messages.fetch('15551234567@c.us');
+        assert.deepStrictEqual(history.map(message => [message.id, message.type]), [[sent.id, 'revoked']]);
+    } finally {
+        await shutdown(client, server);
+    }
+});
@@ -0,0 +1,242 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Message = require('../src/models/message');
+const Location = require('../src/models/location');
+const LiveLocationSession = require('../src/utils/live-location');
+const { encodeVarint } = require('../src/proto/protobuf');
+const { encodeMessageContent, decodeMessageContent, createMediaContent } = require('../src/proto/message-content');
+const { MessageTypes, MessageAck } = require('../src/utils/constants');
+const { SentMessage } = require('../src/utils/message-status');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+const TARGET = '15557654321@s.whatsapp.net';
+
+const VCARD = 'BEGIN:VCARD\nVERSION:3.0\nN:;Ada Lovelace;;;\nFN:Ada Lovelace\nNOTE:kept as is\nTEL;type=CELL;type=VOICE;waid=442079460001:+442079460001\nEND:VCARD';
+
+/**
+ * Client stand-in that records which send method forward() picks
+ */
+function recordingClient() {
+    const calls = [];
+    const record = name => async (...args) => {
+        calls.push([name, ...args]);
+        return { id: 'SENT' };
+    };
+
+    return {
+        calls,
+        sendMessage: record('sendMessage'),
+        sendMedia: record('sendMedia'),
+        sendLocation: record('sendLocation'),
+        sendContactCard: record('sendContactCard')
+    };
+}
+
+function webMessage(message) {
+    return { key: { remoteJid: CONTACT, id: 'M1', fromMe: false }, message, messageTimestamp: 1700000000 };
+}
+
+test('forward sends locations, contact cards and text with the matching method', async () => {
+    const client = recordingClient();
+
+    const location = new Message(client, webMessage({
+        locationMessage: { degreesLatitude: 52.37, degreesLongitude: 4.89, name: 'Dam Square' }
+    }));
+    await location.forward(TARGET);
+
+    const [method, chatId, point, options] = client.calls.pop();
+    assert.strictEqual(method, 'sendLocation');
+    assert.strictEqual(chatId, TARGET);
+    assert.deepStrictEqual([point.latitude, point.longitude, point.name], [52.37, 4.89, 'Dam Square']);
+    assert.deepStrictEqual(options, { forwarded: true });
+
+    const cards = new Message(client, webMessage({
+        contactsArrayMessage: { displayName: '2 contacts', contacts: [{ displayName: 'Ada Lovelace', vcard: VCARD }, { displayName: 'Ada', vcard: VCARD }] }
+    }));
+    await cards.forward(TARGET);
+
+    assert.deepStrictEqual(client.calls.pop(), [
+        'sendContactCard', TARGET, [{ vcard: VCARD }, { vcard: VCARD }], { displayName: '2 contacts', forwarded: true }
+    ]);
+
+    const text = new Message(client, webMessage({ conversation: 'hello' }));
+    await text.forward(TARGET);
+
+    assert.deepStrictEqual(client.calls.pop(), ['sendMessage', TARGET, 'hello', { forwarded: true }]);
+});
+
+test('forward refuses messages it cannot copy instead of sending their text', async () => {
+    const client = recordingClient();
+
+    const invite = new Message(client, webMessage({
+        groupInviteMessage: { groupJid: '123-456@g.us', groupName: 'Team', inviteCode: 'abc' }
+    }));
+    await assert.rejects(invite.forward(TARGET), /Cannot forward groupInvite/);
+
+    // A history record without its coordinates
+    const stored = new Message(client, { remoteJid: CONTACT, id: 'M2', type: MessageTypes.LOCATION, body: 'Dam Square' });
+    await assert.rejects(stored.forward(TARGET), /no location to forward/);
+
+    assert.deepStrictEqual(client.calls, []);
+});
+
+test('location and contact content carry the forwarded flag on the wire', () => {
+    const contextInfo = { isForwarded: true, forwardingScore: 1 };
+
+    for (const content of [
+        { locationMessage: { degreesLatitude: 52.37, degreesLongitude: 4.89, name: 'Dam Square', contextInfo } },
+        { contactMessage: { displayName: 'Ada Lovelace', vcard: VCARD, contextInfo } },
+        { contactsArrayMessage: { displayName: '1 contact', contacts: [{ displayName: 'Ada Lovelace', vcard: VCARD }], contextInfo } }
+    ]) {
+        const [type] = Object.keys(content);
+        const decoded = decodeMessageContent(encodeMessageContent(content));
+
+        assert.strictEqual(decoded[type].contextInfo.isForwarded, true, type);
+        assert.strictEqual(new Message(null, webMessage(decoded)).isForwarded, true, type);
+    }
+});
+
+test('a forwarded contact card reaches the server unchanged', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const original = new Message(client, webMessage({ contactMessage: { displayName: 'Ada Lovelace', vcard: VCARD } }));
+        const received = once(server, 'message');
+        const sent = await original.forward(TARGET);
+        const { id, content } = await received;
+        const [, , proto] = content.find(([tag]) => tag === 'proto');
+        const { contactMessage } = decodeMessageContent(proto);
+
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(contactMessage.vcard, VCARD);
+        assert.strictEqual(contactMessage.contextInfo.isForwarded, true);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('stored messages keep what forward and quoting need', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const mediaKey = Buffer.alloc(32, 7);
+        const image = createMediaContent({
+            type: 'image', url: 'https://mmg.example/d/1.enc', directPath: '/d/1.enc', mimetype: 'image/jpeg',
+            mediaKey, fileSha256: Buffer.alloc(32, 1), fileEncSha256: Buffer.alloc(32, 2), fileLength: 1234, width: 4, height: 3
+        }, 'look');
+        image.imageMessage.contextInfo = { stanzaId: 'M0', participant: TARGET, quotedMessage: { conversation: 'send a photo' }, mentionedJid: [TARGET] };
+
+        const contents = {
+            IMG: image,
+            LOC: { locationMessage: { degreesLatitude: 52.37, degreesLongitude: 4.89, name: 'Dam Square' } },
+            VCF: { contactMessage: { displayName: 'Ada Lovelace', vcard: VCARD } }
+        };
+        for (const [id, content] of Object.entries(contents)) {
+            const received = once(client, 'message', message => message.id === id);
+            server.injectMessage({ id, from: CONTACT, children: [['proto', {}, encodeMessageContent(content)]] });
+            await received;
+        }
+
+        const recorder = recordingClient();
+        const stored = new Map((await client.core.fetchMessages(CONTACT)).map(record => [record.id, new Message(recorder, record)]));
+
+        const photo = stored.get('IMG');
+        assert.strictEqual(photo.type, 'image');
+        assert.ok(photo.hasMedia);
+        assert.ok(photo.media.mediaKey.equals(mediaKey));
+        assert.deepStrictEqual(photo.mentions, [TARGET]);
+        assert.deepStrictEqual(photo.quotedMessage, { id: 'M0', author: TARGET, body: 'send a photo' });
+
+        await photo.forward(TARGET);
+        const [method, , media, options] = recorder.calls.pop();
+        assert.strictEqual(method, 'sendMedia');
+        assert.deepStrictEqual([media.url, media.width, options.caption], ['https://mmg.example/d/1.enc', 4, 'look']);
+
+        await stored.get('LOC').forward(TARGET);
+        const [, , point] = recorder.calls.pop();
+        assert.deepStrictEqual([point.latitude, point.longitude, point.name], [52.37, 4.89, 'Dam Square']);
+
+        assert.strictEqual(stored.get('VCF').contactCards[0].name, 'Ada Lovelace');
+        await stored.get('VCF').forward(TARGET);
+        assert.deepStrictEqual(recorder.calls.pop().slice(0, 3), ['sendContactCard', TARGET, [{ vcard: VCARD }]]);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('forwarding received media re-sends its descriptor and resolves to a SentMessage', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+        // Nothing may be uploaded again
+        client.core.media.upload = async () => assert.fail('forward must not upload');
+
+        const content = createMediaContent({
+            type: 'video', url: 'https://mmg.example/d/2.enc', directPath: '/d/2.enc', mimetype: 'video/mp4',
+            mediaKey: Buffer.alloc(32, 9), fileSha256: Buffer.alloc(32, 1), fileEncSha256: Buffer.alloc(32, 2), fileLength: 5000, seconds: 12
+        }, 'clip');
+        const incoming = once(client, 'message', message => message.id === 'VID');
+        server.injectMessage({ id: 'VID', from: CONTACT, children: [['proto', {}, encodeMessageContent(content)]] });
+        const message = await incoming;
+
+        const relayed = once(server, 'message');
+        const sent = await message.forward(TARGET);
+        const { id, content: nodes } = await relayed;
+        const { videoMessage } = decodeMessageContent(nodes.find(([tag]) => tag === 'proto')[2]);
+
+        assert.ok(sent instanceof SentMessage);
+        assert.strictEqual(sent.id, id);
+        assert.strictEqual(sent.status, MessageAck.SERVER);
+        assert.strictEqual(videoMessage.url, 'https://mmg.example/d/2.enc');
+        assert.ok(videoMessage.mediaKey.equals(Buffer.alloc(32, 9)));
+        assert.deepStrictEqual([videoMessage.seconds, videoMessage.caption], [12, 'clip']);
+        assert.strictEqual(videoMessage.contextInfo.isForwarded, true);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('locations reject impossible accuracy, speed and heading before they reach the wire', () => {
+    const point = { lat: 52.37, lng: 4.89 };
+
+    for (const [option, value] of [['accuracy', -5], ['speed', -1], ['speed', 'fast'], ['degrees', 361], ['degrees', -90], ['accuracy', NaN]]) {
+        assert.throws(() => Location.from({ ...point, [option]: value }), /Invalid (accuracy|speed|heading)/, `${option}: ${value}`);
+    }
+
+    // Whole meters and degrees, as the message fields hold them
+    const location = Location.from({ ...point, accuracy: 12.6, speed: '1.5', degrees: 359.7 });
+    assert.deepStrictEqual([location.accuracy, location.speed, location.degrees], [13, 1.5, 0]);
+    assert.strictEqual(Location.from(point).accuracy, null);
+
+    const { locationMessage } = decodeMessageContent(encodeMessageContent({ locationMessage: location.toLocationMessage() }));
+    assert.strictEqual(locationMessage.accuracyInMeters, 13);
+
+    for (const value of [-1, 1.5, NaN, 2 ** 53]) {
+        assert.throws(() => encodeVarint(value), /Invalid varint/, String(value));
+    }
+    assert.deepStrictEqual([...encodeVarint(300)], [0xAC, 0x02]);
+});
+
+test('live location updates keep the location comment unless the session sets a caption', async () => {
+    const sent = [];
+    const send = async (message) => {
+        sent.push(message);
+        return `L${sent.length}`;
+    };
+
+    const plain = new LiveLocationSession(CONTACT, { lat: 52.37, lng: 4.89, comment: 'on my way' }, send);
+    await plain.start();
+    plain.stop();
+
+    const captioned = new LiveLocationSession(CONTACT, { lat: 52.37, lng: 4.89, comment: 'on my way' }, send, { caption: 'running late' });
+    await captioned.start();
+    captioned.stop();
+
+    assert.deepStrictEqual(sent.map(message => message.caption), ['on my way', 'running late']);
+});
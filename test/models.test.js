@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Chat, GroupChat, Contact, createChat } = require('../src/models');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const ALICE = '15551234567@s.whatsapp.net';
+const BOB = '15559990000@s.whatsapp.net';
+const GROUP = '123456-789@g.us';
+
+test('chats read protocol attributes into typed fields and serialize without the client', () => {
+    const client = { name: 'client' };
+    const now = Math.floor(Date.now() / 1000);
+
+    const chat = createChat(client, { id: '15551234567@c.us', count: '3', t: '1700000000', archive: 'true', pin: '1', mute: String(now + 3600) });
+    assert.ok(chat instanceof Chat && !(chat instanceof GroupChat));
+    assert.deepStrictEqual(
+        [chat.name, chat.isGroup, chat.unreadCount, chat.timestamp, chat.archived, chat.pinned, chat.isMuted, chat.lastMessage],
+        ['15551234567', false, 3, 1700000000000, true, true, true, null]
+    );
+    assert.strictEqual(chat.client, client);
+    assert.ok(!('client' in JSON.parse(JSON.stringify(chat))));
+
+    assert.strictEqual(new Chat(client, { id: ALICE, mute: '-1' }).isMuted, true);
+    assert.strictEqual(new Chat(client, { id: ALICE, mute: String(now - 60) }).isMuted, false);
+    const unset = new Chat(client, { id: ALICE, archive: 'false', unreadCount: 'n/a' });
+    assert.deepStrictEqual([unset.archived, unset.unreadCount], [false, 0]);
+
+    const group = createChat(client, { id: GROUP, subject: 'Lunch', creator: ALICE, desc: 'Fridays' });
+    assert.ok(group instanceof GroupChat);
+    assert.deepStrictEqual([group.name, group.isGroup, group.owner, group.description], ['Lunch', true, ALICE, 'Fridays']);
+});
+
+test('contacts pick the best display name and flag business and saved entries', () => {
+    const saved = new Contact(null, { id: '15551234567@c.us', name: 'Alice', notify: 'ali', biz: '1' });
+    assert.deepStrictEqual(
+        [saved.number, saved.displayName, saved.pushname, saved.isBusiness, saved.isMyContact, saved.isGroup],
+        ['15551234567', 'Alice', 'ali', true, true, false]
+    );
+
+    const seen = new Contact(null, { id: '15559990000@c.us', notify: 'bobby' });
+    assert.deepStrictEqual([seen.displayName, seen.isMyContact, seen.isBusiness], ['bobby', false, false]);
+    assert.strictEqual(new Contact(null, { id: '15559990000@c.us' }).displayName, '15559990000');
+});
+
+test('chats and contacts from the sync act on the client they came from', async () => {
+    const { server, client } = await createTestClient({ syncHistory: true }, {
+        chats: [{ jid: ALICE, name: 'Alice', count: 1, t: 200 }, { jid: BOB, name: 'Bob', t: 300, archive: 'true' }, { jid: GROUP, name: 'Lunch', t: 100 }],
+        contacts: [{ jid: ALICE, name: 'Alice', biz: 'true' }, { jid: BOB, notify: 'bobby' }],
+        history: { [ALICE]: [{ id: 'A1', from: ALICE, t: 200, body: 'lunch?' }] },
+        profilePictures: { [ALICE]: 'https://pps.example/alice.jpg' }
+    });
+
+    try {
+        const synced = once(client, 'sync_complete');
+        await authenticate(client, server);
+        await synced;
+
+        // Most recent first, each as the class its JID calls for
+        const chats = await client.getChats();
+        assert.deepStrictEqual(chats.map(chat => [chat.name, chat.constructor.name]), [['Bob', 'Chat'], ['Alice', 'Chat'], ['Lunch', 'GroupChat']]);
+
+        const chat = await client.getChatById(ALICE);
+        assert.strictEqual(chat.lastMessage.body, 'lunch?');
+        assert.deepStrictEqual((await chat.fetchMessages()).map(message => message.id), ['A1']);
+
+        const relayed = once(server, 'message');
+        const sent = await chat.sendMessage('yes!');
+        assert.strictEqual((await relayed).id, sent.id);
+
+        // An unread incoming message is receipted through the chat
+        const received = once(client, 'message', message => message.id === 'A2');
+        server.injectMessage({ id: 'A2', from: ALICE, body: 'at noon' });
+        await received;
+
+        const receipted = once(server, 'receipt', attrs => attrs.type === 'read');
+        assert.strictEqual(chat.unreadCount, 1);
+        assert.strictEqual(await chat.markRead(), true);
+        assert.strictEqual((await receipted).id, 'A2');
+        assert.strictEqual(chat.unreadCount, 0);
+        assert.strictEqual(await chat.markRead(), false);
+
+        const contact = await chat.getContact();
+        assert.ok(contact instanceof Contact);
+        assert.deepStrictEqual([contact.displayName, contact.isBusiness, contact.isMe], ['Alice', true, false]);
+        assert.strictEqual(await contact.getProfilePicUrl(), 'https://pps.example/alice.jpg');
+        assert.strictEqual((await contact.getChat()).id, chat.id);
+
+        const bob = await client.getContactById(BOB);
+        assert.deepStrictEqual([bob.displayName, bob.isMyContact], ['bobby', false]);
+        assert.strictEqual(await bob.getProfilePicUrl(), null);
+
+        const group = await client.getChatById(GROUP);
+        assert.strictEqual(await group.getContact(), null);
+        client.core.setGroupParticipants(GROUP, [ALICE, BOB]);
+        assert.deepStrictEqual(group.participants, ['15551234567@c.us', '15559990000@c.us']);
+    } finally {
+        await shutdown(client, server);
+    }
+});
@@ -0,0 +1,234 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const NoiseProtocol = require('../src/crypto/noise');
+const { NoiseConfig } = require('../src/utils/constants');
+
+/**
+ * A TCP Noise responder: answers the handshake, then echoes every transport
+ * frame back upper-cased. Incoming bytes are fed to decodeFrames as they arrive.
+ */
+async function startResponder(staticKeyPair, serverPayload) {
+    const connections = [];
+
+    const server = net.createServer((socket) => {
+        const noise = new NoiseProtocol({ role: 'responder', staticKeyPair });
+        const connection = { noise, socket, clientPayload: null, received: [], error: null };
+        let helloReceived = false;
+        connections.push(connection);
+
+        socket.on('data', (chunk) => {
+            try {
+                for (const frame of noise.decodeFrames(chunk)) {
+                    if (noise.isHandshakeComplete) {
+                        const plaintext = noise.decryptFrame(frame);
+                        connection.received.push(plaintext.toString());
+                        socket.write(noise.encodeFrame(noise.encryptFrame(Buffer.from(plaintext.toString().toUpperCase()))));
+                    } else if (!helloReceived) {
+                        noise.processClientHello(frame);
+                        helloReceived = true;
+                        socket.write(noise.encodeFrame(noise.createServerHello(serverPayload)));
+                    } else {
+                        connection.clientPayload = noise.processClientFinish(frame);
+                    }
+                }
+            } catch (error) {
+                connection.error = error;
+                socket.destroy();
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, connections, port: server.address().port };
+}
+
+/**
+ * Initiator side of the connection; frames() resolves with the next n decrypted frames
+ */
+async function connect(port, serverKey, clientPayload) {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.setNoDelay(true);
+    await new Promise(resolve => socket.once('connect', resolve));
+
+    const noise = new NoiseProtocol({ role: 'initiator' });
+    const incoming = [];
+    let waiter = null;
+
+    socket.on('data', (chunk) => {
+        incoming.push(...noise.decodeFrames(chunk));
+        if (waiter) {
+            waiter();
+        }
+    });
+
+    const nextFrame = async () => {
+        while (incoming.length === 0) {
+            await new Promise(resolve => { waiter = resolve; });
+        }
+        return incoming.shift();
+    };
+
+    socket.write(noise.encodeFrame(noise.createClientHello()));
+    const serverPayload = noise.processServerHello(await nextFrame());
+    assert.deepStrictEqual(noise.handshakeState.remoteStatic, serverKey);
+    socket.write(noise.encodeFrame(noise.createClientFinish(clientPayload)));
+
+    return {
+        noise,
+        socket,
+        serverPayload,
+        async frames(n) {
+            const frames = [];
+            for (let i = 0; i < n; i++) {
+                frames.push(noise.decryptFrame(await nextFrame()).toString());
+            }
+            return frames;
+        }
+    };
+}
+
+/**
+ * Write bytes in the given chunk sizes, waiting for each write to drain
+ */
+async function writeInChunks(socket, data, sizes) {
+    let offset = 0;
+    for (const size of sizes) {
+        const chunk = data.slice(offset, offset + size);
+        offset += chunk.length;
+        await new Promise(resolve => socket.write(chunk, resolve));
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    if (offset < data.length) {
+        await new Promise(resolve => socket.write(data.slice(offset), resolve));
+    }
+}
+
+function waitUntil(condition, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                reject(new Error('Timed out'));
+            } else {
+                setTimeout(poll, 5);
+            }
+        };
+        poll();
+    });
+}
+
+test('handshake and framed transport against a TCP responder', async () => {
+    const serverKey = NoiseProtocol.generateKeyPair();
+    const responder = await startResponder(serverKey, Buffer.from('server payload'));
+    const client = await connect(responder.port, serverKey.public, Buffer.from('client payload'));
+
+    try {
+        assert.strictEqual(client.serverPayload.toString(), 'server payload');
+        await waitUntil(() => responder.connections[0].noise.isHandshakeComplete);
+
+        const [{ noise: server, clientPayload }] = responder.connections;
+        assert.strictEqual(clientPayload.toString(), 'client payload');
+        assert.deepStrictEqual(server.handshakeState.h, client.noise.handshakeState.h);
+        assert.deepStrictEqual(server.handshakeState.remoteStatic, client.noise.staticKeyPair.public);
+        assert.deepStrictEqual(server.getTransportKeys().sendingKey, client.noise.getTransportKeys().receivingKey);
+        assert.deepStrictEqual(server.getTransportKeys().receivingKey, client.noise.getTransportKeys().sendingKey);
+
+        const messages = ['one', 'two', 'three'];
+        for (const message of messages) {
+            client.socket.write(client.noise.encodeFrame(client.noise.encryptFrame(Buffer.from(message))));
+        }
+
+        assert.deepStrictEqual(await client.frames(3), ['ONE', 'TWO', 'THREE']);
+        assert.deepStrictEqual(responder.connections[0].received, messages);
+        assert.strictEqual(client.noise.transport.sendCounter, 3);
+        assert.strictEqual(client.noise.transport.receiveCounter, 3);
+    } finally {
+        client.socket.destroy();
+        responder.server.close();
+    }
+});
+
+test('frames split inside the 3-byte length prefix are reassembled', async () => {
+    const serverKey = NoiseProtocol.generateKeyPair();
+    const responder = await startResponder(serverKey);
+    const client = await connect(responder.port, serverKey.public);
+
+    try {
+        const first = client.noise.encodeFrame(client.noise.encryptFrame(Buffer.from('split prefix')));
+        const second = client.noise.encodeFrame(client.noise.encryptFrame(Buffer.alloc(70000, 'x')));
+        const third = client.noise.encodeFrame(client.noise.encryptFrame(Buffer.from('tail')));
+        const stream = Buffer.concat([first, second, third]);
+
+        // 1 and 2 bytes of the first prefix, then the rest of it, then cut the
+        // second frame's prefix after its first byte
+        await writeInChunks(client.socket, stream, [1, 1, 1, 5, first.length - 8 + 1, 2, 1000]);
+
+        const echoed = await client.frames(3);
+        assert.deepStrictEqual(echoed, ['SPLIT PREFIX', 'X'.repeat(70000), 'TAIL']);
+        assert.strictEqual(responder.connections[0].error, null);
+    } finally {
+        client.socket.destroy();
+        responder.server.close();
+    }
+});
+
+test('frames decoded byte by byte come out whole and in order', () => {
+    const sender = new NoiseProtocol({ role: 'initiator' });
+    const receiver = new NoiseProtocol({ role: 'responder' });
+    const frames = ['a', 'bb', '', 'dddd'].map(text => Buffer.from(text));
+    const stream = Buffer.concat(frames.map(frame => sender.encodeFrame(frame)));
+    const decoded = [];
+
+    for (const byte of stream) {
+        decoded.push(...receiver.decodeFrames(Buffer.from([byte])));
+    }
+
+    assert.deepStrictEqual(decoded, frames);
+    assert.strictEqual(receiver.inBuffer.length, 0);
+    assert.strictEqual(stream.length, NoiseConfig.HEADER.length + frames.length * NoiseConfig.FRAME_LENGTH_BYTES + 7);
+});
+
+test('transport frames must be decrypted in counter order', () => {
+    const serverKey = NoiseProtocol.generateKeyPair();
+    const initiator = new NoiseProtocol({ role: 'initiator' });
+    const responder = new NoiseProtocol({ role: 'responder', staticKeyPair: serverKey });
+
+    responder.processClientHello(initiator.createClientHello());
+    initiator.processServerHello(responder.createServerHello());
+    responder.processClientFinish(initiator.createClientFinish());
+
+    const first = initiator.encryptFrame(Buffer.from('first'));
+    const second = initiator.encryptFrame(Buffer.from('second'));
+
+    // Out of order: the second frame cannot be opened with counter 0
+    assert.throws(() => responder.decryptFrame(second));
+    assert.strictEqual(responder.transport.receiveCounter, 0);
+
+    assert.strictEqual(responder.decryptFrame(first).toString(), 'first');
+    assert.strictEqual(responder.decryptFrame(second).toString(), 'second');
+
+    // Replays fail once the counter has moved on
+    assert.throws(() => responder.decryptFrame(first));
+
+    const reply = responder.encryptFrame(Buffer.from('reply'));
+    assert.strictEqual(initiator.decryptFrame(reply).toString(), 'reply');
+    assert.throws(() => initiator.decryptFrame(reply));
+});
+
+test('a wrong connection header or tampered handshake is rejected', () => {
+    const responder = new NoiseProtocol({ role: 'responder' });
+    assert.throws(() => responder.decodeFrames(Buffer.from([0x57, 0x41, 9, 9, 0, 0, 0])), /Invalid connection header/);
+
+    const serverKey = NoiseProtocol.generateKeyPair();
+    const initiator = new NoiseProtocol({ role: 'initiator' });
+    const honest = new NoiseProtocol({ role: 'responder', staticKeyPair: serverKey });
+
+    honest.processClientHello(initiator.createClientHello());
+    const serverHello = honest.createServerHello(Buffer.from('payload'));
+    serverHello[serverHello.length - 1] ^= 1;
+
+    assert.throws(() => initiator.processServerHello(serverHello));
+});
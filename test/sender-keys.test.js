@@ -0,0 +1,181 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SenderKeyImpl = require('../src/crypto/sender-keys');
+const SenderKeyStore = require('../src/crypto/sender-key-store');
+const SignalSessionStore = require('../src/crypto/session-store');
+const { MemoryStorage } = require('../src/storage');
+const { ErrorCodes, WAEvents } = require('../src/utils/constants');
+const { createTestClient, authenticate, once, createPeer, shutdown } = require('./helpers');
+
+const GROUP = '123456-789@g.us';
+const BOB = '15557654321@s.whatsapp.net';
+const CAROL = '15559990000@s.whatsapp.net';
+
+const senderKeys = new SenderKeyImpl();
+
+/**
+ * Our state plus a member's copy of it, from the distribution message
+ */
+function createPair() {
+    const own = senderKeys.createState();
+    const received = senderKeys.processDistributionMessage(senderKeys.createDistributionMessage(own));
+    return { own, received };
+}
+
+test('a distributed sender key decrypts in order, out of order and only once', () => {
+    const { own, received } = createPair();
+    const ciphertexts = ['one', 'two', 'three', 'four'].map(text => senderKeys.encrypt(own, Buffer.from(text)));
+
+    assert.strictEqual(senderKeys.decrypt([received], ciphertexts[0]).toString(), 'one');
+    // Skipping ahead keeps the keys of the skipped messages
+    assert.strictEqual(senderKeys.decrypt([received], ciphertexts[3]).toString(), 'four');
+    assert.strictEqual(senderKeys.decrypt([received], ciphertexts[2]).toString(), 'three');
+    assert.strictEqual(senderKeys.decrypt([received], ciphertexts[1]).toString(), 'two');
+
+    assert.throws(() => senderKeys.decrypt([received], ciphertexts[1]), /Duplicate or expired/);
+    assert.throws(() => senderKeys.decrypt([received], ciphertexts[0]), /Duplicate or expired/);
+    assert.throws(() => senderKeys.encrypt(received, Buffer.from('forged')), /received sender key/);
+});
+
+test('tampered, unknown and too distant sender key messages are rejected', () => {
+    const { own, received } = createPair();
+
+    const tampered = senderKeys.encrypt(own, Buffer.from('hello'));
+    tampered[tampered.length - 1] ^= 0x01;
+    assert.throws(() => senderKeys.decrypt([received], tampered), /Invalid sender key signature/);
+
+    const other = createPair();
+    assert.throws(() => senderKeys.decrypt([received], senderKeys.encrypt(other.own, Buffer.from('x'))), /No sender key state/);
+
+    own.iteration += 2001;
+    assert.throws(() => senderKeys.decrypt([received], senderKeys.encrypt(own, Buffer.from('late'))), /Too many skipped/);
+});
+
+test('the store keeps the newest states per sender and drops whole groups', async () => {
+    const store = new SenderKeyStore(new MemoryStorage());
+    const states = Array.from({ length: 7 }, () => senderKeys.createState());
+
+    await store.store(GROUP, 'bob', { states });
+    await store.store('other@g.us', 'bob', { states: states.slice(0, 1) });
+
+    // Read back through a fresh store, so from storage rather than the cache
+    const reloaded = new SenderKeyStore(store.storage);
+    const record = await reloaded.load(GROUP, 'bob');
+    assert.deepStrictEqual(record.states.map(state => state.keyId), states.slice(0, 5).map(state => state.keyId));
+    assert.ok(Buffer.isBuffer(record.states[0].chainKey));
+
+    await reloaded.removeGroup(GROUP);
+    assert.strictEqual(await reloaded.load(GROUP, 'bob'), null);
+    assert.ok(await reloaded.load('other@g.us', 'bob'));
+});
+
+test('a group message round-trips from our client to a member with a Signal session', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const bob = await createPeer();
+        await client.core.crypto.processPreKeyBundle(BOB, await bob.getPreKeyBundle());
+        client.core.setGroupParticipants(GROUP, [BOB]);
+
+        const ours = client.core.info.wid;
+        const decryptAs = async (nodes) => {
+            const participants = nodes.find(([tag]) => tag === 'participants');
+            if (participants) {
+                const [[, , [[, { type }, ciphertext]]]] = participants[2];
+                const distribution = await bob.decryptSignalMessage(ours, type, ciphertext);
+                await bob.processSenderKeyDistribution(GROUP, ours, distribution);
+            }
+
+            const [, , skmsg] = nodes.find(([tag, attrs]) => tag === 'enc' && attrs.type === 'skmsg');
+            return (await bob.decryptGroupMessage(GROUP, ours, skmsg)).toString();
+        };
+
+        let relayed = once(server, 'message');
+        await client.sendMessage(GROUP, 'hello group');
+        let { content } = await relayed;
+        assert.strictEqual(await decryptAs(content), 'hello group');
+
+        // The second message needs no new distribution
+        relayed = once(server, 'message');
+        await client.sendMessage(GROUP, 'still here');
+        ({ content } = await relayed);
+        assert.ok(!content.some(([tag]) => tag === 'participants'));
+        assert.strictEqual(await decryptAs(content), 'still here');
+
+        // Replaying a message is rejected by the member
+        const [, , replayed] = content.find(([tag]) => tag === 'enc');
+        await assert.rejects(bob.decryptGroupMessage(GROUP, ours, replayed), /Duplicate or expired/);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('membership changes rotate our sender key and drop keys of members who left', async () => {
+    const { server, client } = await createTestClient();
+
+    try {
+        await authenticate(client, server);
+
+        const crypto = client.core.crypto;
+        const ownKeyId = async () => {
+            const { distributionMessage } = await crypto.getSenderKeyDistribution(GROUP, []);
+            return senderKeys.processDistributionMessage(distributionMessage).keyId;
+        };
+
+        client.core.setGroupParticipants(GROUP, [BOB, CAROL]);
+        const first = await ownKeyId();
+        await crypto.markSenderKeyDistributed(GROUP, [BOB, CAROL]);
+
+        // Carol's own sender key, as if she had sent to the group
+        const carolKey = createPair();
+        await crypto.processSenderKeyDistribution(GROUP, CAROL, senderKeys.createDistributionMessage(carolKey.own));
+
+        const joined = once(client, WAEvents.GROUP_JOIN);
+        server.injectGroupNotification(GROUP, 'add', ['15550001111@s.whatsapp.net']);
+        await joined;
+
+        const second = await ownKeyId();
+        assert.notStrictEqual(second, first);
+        // The new key goes to every member again
+        assert.deepStrictEqual((await crypto.getSenderKeyDistribution(GROUP, [BOB, CAROL])).pending, [BOB, CAROL]);
+
+        const left = once(client, WAEvents.GROUP_LEAVE);
+        server.injectGroupNotification(GROUP, 'remove', [CAROL]);
+        await left;
+
+        assert.notStrictEqual(await ownKeyId(), second);
+        assert.strictEqual(await crypto.senderKeyStore.load(GROUP, SignalSessionStore.toAddress(CAROL)), null);
+        assert.ok(!client.core.getGroupParticipants(GROUP).includes(CAROL.replace('s.whatsapp.net', 'c.us')));
+
+        // When we leave, every key of the group goes
+        const weLeft = once(client, WAEvents.GROUP_LEAVE);
+        server.injectGroupNotification(GROUP, 'leave', [client.core.info.wid]);
+        await weLeft;
+
+        assert.deepStrictEqual(await crypto.storage.list(`sender-keys/${GROUP}/`), []);
+        assert.deepStrictEqual(client.core.getGroupParticipants(GROUP), []);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('a group send fails when no member has a Signal session', async () => {
+    const { server, client } = await createTestClient({ messageRetries: 1 });
+
+    try {
+        await authenticate(client, server);
+        client.core.setGroupParticipants(GROUP, [BOB, CAROL]);
+
+        const failed = once(client, WAEvents.MESSAGE_FAILED);
+        const sent = [];
+        server.on('message', message => sent.push(message));
+
+        await assert.rejects(client.sendMessage(GROUP, 'anyone there?'), error => error.code === ErrorCodes.NO_SIGNAL_SESSIONS);
+        assert.strictEqual((await failed).error.code, ErrorCodes.NO_SIGNAL_SESSIONS);
+        assert.deepStrictEqual(sent, []);
+    } finally {
+        await shutdown(client, server);
+    }
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WhatsAppClient = require('../src/index');
+const { createTestClient, authenticate, once, shutdown } = require('./helpers');
+
+const CONTACT = '15551234567@s.whatsapp.net';
+
+test('a dropped connection resumes and replays the outbox', async () => {
+    const { server, client } = await createTestClient({ queueMessages: true });
+
+    try {
+        await authenticate(client, server);
+
+        const disconnected = once(client, 'disconnected');
+        server.terminate();
+        await disconnected;
+
+        const sending = client.sendMessage(CONTACT, 'queued while offline');
+        const resumed = once(server, 'login');
+        const relayed = once(server, 'message');
+
+        await resumed;
+        assert.strictEqual((await relayed).content.toString(), 'queued while offline');
+        assert.strictEqual((await sending).id, (await relayed).id);
+        assert.strictEqual(client.core.state, 'CONNECTED');
+        assert.strictEqual(client.isReady, true);
+    } finally {
+        await shutdown(client, server);
+    }
+});
+
+test('a restarted client resumes its stored session', async () => {
+    const { server, client } = await createTestClient();
+    const { storage } = client.core;
+
+    await authenticate(client, server);
+    await client.destroy();
+
+    const restarted = new WhatsAppClient({ endpoints: server.endpoints, storage, rateLimitDelay: 0, syncHistory: false });
+    restarted.on('qr', () => assert.fail('a stored session should not need a QR code'));
+
+    try {
+        const ready = once(restarted, 'ready');
+        await restarted.initialize();
+        await ready;
+
+        assert.strictEqual(restarted.core.state, 'CONNECTED');
+        assert.strictEqual(restarted.core.info.wid, '15550000000@c.us');
+
+        const sent = await restarted.sendMessage(CONTACT, 'after restart');
+        assert.ok(sent.id);
+    } finally {
+        await shutdown(restarted, server);
+    }
+});
+
+test('a rejected login falls back to QR authentication', async () => {
+    const { server, client } = await createTestClient();
+    const { storage } = client.core;
+
+    await authenticate(client, server);
+    await client.destroy();
+    server.sessions.clear();
+
+    const restarted = new WhatsAppClient({ endpoints: server.endpoints, storage, rateLimitDelay: 0, syncHistory: false });
+
+    try {
+        const rejected = once(server, 'login_failed');
+        const qr = once(restarted, 'qr');
+        await restarted.initialize();
+
+        await rejected;
+        await qr;
+        assert.strictEqual(restarted.core.state, 'PAIRING');
+    } finally {
+        await shutdown(restarted, server);
+    }
+});
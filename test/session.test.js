@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Session = require('../src/session');
+const WhatsAppClient = require('../src/index');
+const { MemoryStorage } = require('../src/storage');
+const { ErrorCodes } = require('../src/utils/constants');
+
+const SESSION = { clientId: 'client', clientToken: 'client-token', serverToken: 'server-token', wid: '15550000000@c.us' };
+
+async function storedSession(passphrase) {
+    const storage = new MemoryStorage();
+    await new Session('./unused.json', { storage, passphrase }).save(SESSION);
+    return storage;
+}
+
+test('an envelope opens with the right passphrase', async () => {
+    const storage = await storedSession('right');
+    const envelope = await storage.get('session');
+    assert.ok(!envelope.includes('server-token'));
+
+    const loaded = await new Session('./unused.json', { storage, passphrase: 'right' }).load();
+    assert.strictEqual(loaded.serverToken, 'server-token');
+});
+
+test('a wrong or missing passphrase rejects and leaves the envelope alone', async () => {
+    const storage = await storedSession('right');
+    const envelope = await storage.get('session');
+
+    for (const passphrase of ['wrong', null]) {
+        const session = new Session('./unused.json', { storage, passphrase });
+
+        await assert.rejects(session.load(), error => error.code === ErrorCodes.SESSION_LOCKED);
+        await assert.rejects(session.save({ ...SESSION, serverToken: 'replacement' }), error => error.code === ErrorCodes.SESSION_LOCKED);
+        assert.strictEqual(await storage.get('session'), envelope);
+    }
+});
+
+test('a damaged envelope is locked too, and clear() unlocks saving', async () => {
+    const storage = await storedSession('right');
+    const envelope = Buffer.from(await storage.get('session'), 'base64');
+    envelope[envelope.length - 1] ^= 1;
+    await storage.set('session', envelope.toString('base64'));
+
+    const session = new Session('./unused.json', { storage, passphrase: 'right' });
+    await assert.rejects(session.load(), /wrong passphrase or corrupted data/);
+
+    await session.clear();
+    assert.strictEqual(await session.load(), null);
+    await session.save(SESSION);
+    assert.strictEqual((await session.load()).clientId, 'client');
+});
+
+test('initialize rejects instead of starting a new login over a locked session', async () => {
+    const storage = await storedSession('right');
+    const envelope = await storage.get('session');
+    const client = new WhatsAppClient({ endpoints: ['ws://127.0.0.1:9'], storage, sessionPassphrase: 'wrong' });
+    client.on('auth_failure', () => {});
+
+    try {
+        await assert.rejects(client.initialize(), error => error.code === ErrorCodes.SESSION_LOCKED);
+        assert.strictEqual(await storage.get('session'), envelope);
+    } finally {
+        await client.destroy();
+    }
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPeer } = require('./helpers');
+
+const ALICE = '15551234567@s.whatsapp.net';
+const BOB = '15557654321@s.whatsapp.net';
+
+/**
+ * Alice with a session to bob from his prekey bundle (X3DH), bob without one yet
+ */
+async function createSession() {
+    const alice = await createPeer();
+    const bob = await createPeer();
+    const bundle = await bob.getPreKeyBundle();
+
+    await alice.processPreKeyBundle(BOB, bundle);
+    return { alice, bob, bundle };
+}
+
+async function send(from, to, text) {
+    return from.encryptSignalMessage(to, Buffer.from(text));
+}
+
+async function receive(to, from, { type, ciphertext }) {
+    return (await to.decryptSignalMessage(from, type, ciphertext)).toString();
+}
+
+test('X3DH starts a session the receiver can answer on, consuming the one-time prekey', async () => {
+    const { alice, bob, bundle } = await createSession();
+
+    // Alice keeps wrapping her messages in the prekey message until bob replies
+    const first = await send(alice, BOB, 'hi bob');
+    const second = await send(alice, BOB, 'are you there?');
+    assert.deepStrictEqual([first.type, second.type], ['pkmsg', 'pkmsg']);
+
+    assert.strictEqual(await receive(bob, ALICE, first), 'hi bob');
+    assert.strictEqual(await receive(bob, ALICE, second), 'are you there?');
+    assert.strictEqual(bob.keys.getPreKey(bundle.preKeys[0].keyId), undefined);
+
+    const reply = await send(bob, ALICE, 'hi alice');
+    assert.strictEqual(reply.type, 'msg');
+    assert.strictEqual(await receive(alice, BOB, reply), 'hi alice');
+
+    // Bob's reply confirmed the session, so alice stops sending prekey messages
+    const next = await send(alice, BOB, 'great');
+    assert.strictEqual(next.type, 'msg');
+    assert.strictEqual(await receive(bob, ALICE, next), 'great');
+});
+
+test('a bundle with a forged signed prekey signature is rejected', async () => {
+    const alice = await createPeer();
+    const bundle = await (await createPeer()).getPreKeyBundle();
+    bundle.signedPreKey.signature = Buffer.from(bundle.signedPreKey.signature).fill(0);
+
+    await assert.rejects(alice.processPreKeyBundle(BOB, bundle), /Invalid signed prekey signature/);
+    assert.strictEqual(await alice.hasSignalSession(BOB), false);
+});
+
+test('the ratchet decrypts across turns and out of order, but each message only once', async () => {
+    const { alice, bob } = await createSession();
+    assert.strictEqual(await receive(bob, ALICE, await send(alice, BOB, 'hello')), 'hello');
+
+    // Several turns, each one stepping the ratchet
+    for (let turn = 0; turn < 3; turn++) {
+        assert.strictEqual(await receive(alice, BOB, await send(bob, ALICE, `bob ${turn}`)), `bob ${turn}`);
+        assert.strictEqual(await receive(bob, ALICE, await send(alice, BOB, `alice ${turn}`)), `alice ${turn}`);
+    }
+
+    const inFlight = [];
+    for (const text of ['one', 'two', 'three']) {
+        inFlight.push(await send(bob, ALICE, text));
+    }
+    // Alice answers before the rest of bob's chain arrives
+    assert.strictEqual(await receive(alice, BOB, inFlight[2]), 'three');
+    assert.strictEqual(await receive(bob, ALICE, await send(alice, BOB, 'got three')), 'got three');
+    const late = await send(bob, ALICE, 'after the step');
+
+    assert.strictEqual(await receive(alice, BOB, late), 'after the step');
+    assert.strictEqual(await receive(alice, BOB, inFlight[0]), 'one');
+    assert.strictEqual(await receive(alice, BOB, inFlight[1]), 'two');
+
+    await assert.rejects(receive(alice, BOB, inFlight[1]), /Duplicate or expired/);
+    await assert.rejects(receive(alice, BOB, late), /Duplicate or expired/);
+});
+
+test('a tampered message fails without damaging the session', async () => {
+    const { alice, bob } = await createSession();
+    assert.strictEqual(await receive(bob, ALICE, await send(alice, BOB, 'hello')), 'hello');
+
+    const message = await send(bob, ALICE, 'pay 10');
+    const tampered = { ...message, ciphertext: Buffer.from(message.ciphertext) };
+    tampered.ciphertext[tampered.ciphertext.length - 1] ^= 0x01;
+
+    await assert.rejects(receive(alice, BOB, tampered), /Bad MAC/);
+    assert.strictEqual(await receive(alice, BOB, message), 'pay 10');
+});
+
+test('a message more than 2000 steps ahead of the chain is refused', async () => {
+    const { alice, bob } = await createSession();
+    assert.strictEqual(await receive(bob, ALICE, await send(alice, BOB, 'hello')), 'hello');
+
+    const withinLimit = [];
+    for (let i = 0; i <= 2000; i++) {
+        withinLimit.push(await send(bob, ALICE, `message ${i}`));
+    }
+    const beyondLimit = await send(bob, ALICE, 'too far');
+
+    await assert.rejects(receive(alice, BOB, beyondLimit), /Too many skipped messages/);
+
+    // Exactly at the limit still works, and keeps the keys of everything skipped
+    assert.strictEqual(await receive(alice, BOB, withinLimit[2000]), 'message 2000');
+    assert.strictEqual(await receive(alice, BOB, withinLimit[0]), 'message 0');
+    assert.strictEqual(await receive(alice, BOB, beyondLimit), 'too far');
+});
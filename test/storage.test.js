@@ -0,0 +1,232 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage, MemoryStorage, SingleFileStorage } = require('../src/storage');
+const MessageStore = require('../src/utils/message-store');
+
+const CHAT = '15551234567@s.whatsapp.net';
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'wa-storage-'));
+}
+
+/**
+ * Count list() calls on an adapter
+ */
+function countLists(storage) {
+    const calls = [];
+    const list = storage.list.bind(storage);
+    storage.list = (prefix) => {
+        calls.push(prefix);
+        return list(prefix);
+    };
+    return calls;
+}
+
+test('FileStorage.list only walks the directory its prefix names', async () => {
+    const root = tempDir();
+    const storage = new FileStorage(root);
+
+    try {
+        await storage.set('messages/a@c.us/001-A', '1');
+        await storage.set('messages/a@c.us/002-B', '2');
+        await storage.set('messages/b@c.us/001-C', '3');
+        await storage.set('sessions/x', '4');
+
+        const walked = [];
+        const walk = storage._walk.bind(storage);
+        storage._walk = (dirPath, segments, keys) => {
+            walked.push(path.relative(root, dirPath));
+            return walk(dirPath, segments, keys);
+        };
+
+        assert.deepStrictEqual(await storage.list('messages/a@c.us/'), ['messages/a@c.us/001-A', 'messages/a@c.us/002-B']);
+        assert.deepStrictEqual(walked, [path.join('messages', 'a@c.us')]);
+
+        walked.length = 0;
+        assert.deepStrictEqual(await storage.list('messages/a@c.us/002'), ['messages/a@c.us/002-B']);
+        assert.deepStrictEqual(walked, [path.join('messages', 'a@c.us')]);
+
+        walked.length = 0;
+        assert.deepStrictEqual(await storage.list('messages/'), ['messages/a@c.us/001-A', 'messages/a@c.us/002-B', 'messages/b@c.us/001-C']);
+        assert.ok(!walked.includes('sessions'));
+
+        assert.deepStrictEqual(await storage.list('missing/'), []);
+        assert.strictEqual((await storage.list()).length, 4);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('FileStorage keeps keys that sanitizing would have merged apart and lists them unchanged', async () => {
+    const root = tempDir();
+    const storage = new FileStorage(path.join(root, 'store'));
+
+    try {
+        const keys = [
+            'sessions/15551234567:2@s.whatsapp.net', 'sessions/15551234567_2@s.whatsapp.net', 'sessions/15551234567 2@s.whatsapp.net',
+            'notes/100% done?', 'notes/a*b', 'notes/caf\u00e9 \u{1F37B}', 'notes/..', 'notes/.', 'notes/%2E%2E'
+        ];
+        for (const [i, key] of keys.entries()) {
+            await storage.set(key, String(i));
+        }
+
+        assert.deepStrictEqual(await storage.list(), [...keys].sort());
+        for (const [i, key] of keys.entries()) {
+            assert.strictEqual(await storage.get(key), String(i), key);
+        }
+        assert.deepStrictEqual(await storage.list('sessions/15551234567:'), ['sessions/15551234567:2@s.whatsapp.net']);
+
+        // Nothing escaped the root, and JIDs keep their readable file names
+        assert.deepStrictEqual(fs.readdirSync(root), ['store']);
+        assert.ok(fs.existsSync(path.join(root, 'store', 'sessions', '15551234567_2@s.whatsapp.net.json')));
+
+        assert.strictEqual(await storage.delete('notes/..'), true);
+        assert.strictEqual(await storage.get('notes/..'), null);
+        assert.strictEqual(await storage.get('notes/%2E%2E'), '8');
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('MessageStore lists a chat once and then looks ids up in its index', async () => {
+    const storage = new MemoryStorage();
+    const store = new MessageStore(storage);
+    const lists = countLists(storage);
+
+    for (let i = 0; i < 20; i++) {
+        await store.save({ id: `ID${i}`, remoteJid: CHAT, body: `message ${i}`, timestamp: 1000 + i });
+    }
+    assert.strictEqual((await store.get(CHAT, 'ID7')).body, 'message 7');
+    await store.setReaction(CHAT, 'ID7', 'me@c.us', '👍', 5000);
+
+    assert.deepStrictEqual(lists, [`messages/${CHAT}/`]);
+
+    // A new timestamp moves the message to a new key without leaving the old one
+    await store.save({ id: 'ID7', remoteJid: CHAT, body: 'edited', timestamp: 9000 });
+    const keys = await storage.list(`messages/${CHAT}/`);
+    assert.strictEqual(keys.filter(key => key.endsWith('-ID7')).length, 1);
+    assert.deepStrictEqual((await store.get(CHAT, 'ID7')).reactions, { 'me@c.us': { emoji: '👍', timestamp: 5000 } });
+
+    const page = await store.fetch(CHAT, { limit: 3 });
+    assert.deepStrictEqual(page.map(message => message.id), ['ID18', 'ID19', 'ID7']);
+
+    assert.strictEqual(await store.remove(CHAT, 'ID7'), true);
+    assert.strictEqual(await store.get(CHAT, 'ID7'), null);
+    assert.strictEqual(await store.remove(CHAT, 'ID7'), false);
+
+    await store.clear(CHAT);
+    assert.strictEqual(await store.get(CHAT, 'ID1'), null);
+    await store.save({ id: 'ID1', remoteJid: CHAT, body: 'again', timestamp: 1 });
+    assert.strictEqual((await store.get(CHAT, 'ID1')).body, 'again');
+});
+
+test('MessageStore finds messages written by an earlier instance', async () => {
+    const root = tempDir();
+
+    try {
+        const first = new MessageStore(new FileStorage(root));
+        await first.save({ id: 'OLD', remoteJid: CHAT, body: 'from before', timestamp: 1234 });
+        await first.save({ id: 'OTHER', remoteJid: 'other@c.us', body: 'elsewhere', timestamp: 1235 });
+
+        const storage = new FileStorage(root);
+        const lists = countLists(storage);
+        const second = new MessageStore(storage);
+
+        assert.strictEqual((await second.get(CHAT, 'OLD')).body, 'from before');
+        assert.strictEqual(await second.get(CHAT, 'OTHER'), null);
+        assert.deepStrictEqual(lists, [`messages/${CHAT}/`]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('MessageStore keeps every reaction set at the same time', async () => {
+    const root = tempDir();
+
+    try {
+        for (const storage of [new MemoryStorage(), new FileStorage(root)]) {
+            const store = new MessageStore(storage);
+            await store.save({ id: 'ID1', remoteJid: CHAT, body: 'party?', timestamp: 1000 });
+
+            const senders = Array.from({ length: 10 }, (_, i) => `1555000000${i}@c.us`);
+            await Promise.all([
+                ...senders.map((sender, i) => store.setReaction(CHAT, 'ID1', sender, '🎉', 2000 + i)),
+                store.save({ ...(await store.get(CHAT, 'ID1')), body: 'party!', reactions: undefined })
+            ]);
+
+            const record = await store.get(CHAT, 'ID1');
+            assert.deepStrictEqual(Object.keys(record.reactions).sort(), senders);
+            assert.strictEqual(record.body, 'party!');
+        }
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('SingleFileStorage rewrites the file once for writes that arrive together', async () => {
+    const root = tempDir();
+    const filePath = path.join(root, 'store.json');
+    const storage = new SingleFileStorage(filePath);
+
+    const rename = fs.promises.rename;
+    let rewrites = 0;
+    fs.promises.rename = (...args) => {
+        rewrites++;
+        return rename(...args);
+    };
+
+    try {
+        await storage.set('keep', 'old');
+        rewrites = 0;
+
+        const keys = Array.from({ length: 20 }, (_, i) => `keys/${i}`);
+        const [deleted] = await Promise.all([
+            storage.delete('keep'),
+            ...keys.map((key, i) => storage.set(key, String(i))),
+            storage.delete('never-set')
+        ]);
+
+        // The first write goes out alone, everything queued behind it in one go
+        assert.strictEqual(rewrites, 2);
+        assert.strictEqual(deleted, true);
+
+        const reloaded = new SingleFileStorage(filePath);
+        assert.deepStrictEqual(await reloaded.list(), [...keys].sort());
+        assert.strictEqual(await reloaded.get('keys/7'), '7');
+        assert.strictEqual(await reloaded.get('keep'), null);
+    } finally {
+        fs.promises.rename = rename;
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('SingleFileStorage rejects every write of a failed rewrite and keeps the last good state', async () => {
+    const root = tempDir();
+    const filePath = path.join(root, 'store.json');
+    const storage = new SingleFileStorage(filePath);
+
+    const rename = fs.promises.rename;
+
+    try {
+        await storage.set('a', '1');
+
+        fs.promises.rename = async () => {
+            throw new Error('disk full');
+        };
+        await Promise.all([
+            assert.rejects(storage.set('b', '2'), /disk full/),
+            assert.rejects(storage.set('c', '3'), /disk full/)
+        ]);
+        fs.promises.rename = rename;
+
+        assert.deepStrictEqual(await storage.list(), ['a']);
+        await storage.set('d', '4');
+        assert.deepStrictEqual(await new SingleFileStorage(filePath).list(), ['a', 'd']);
+    } finally {
+        fs.promises.rename = rename;
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});